@@ -0,0 +1,245 @@
+/**
+ * Git Client
+ * Runs git with argument arrays (no shell), so messages and paths are passed
+ * verbatim, and turns common failures into typed errors.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+class GitError extends Error {
+    constructor(message, { args = [], exitCode = null, stdout = '', stderr = '', code = 'EGIT' } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.args = args;
+        this.exitCode = exitCode;
+        this.stdout = stdout;
+        this.stderr = stderr;
+    }
+}
+
+// Merge / rebase stopped on conflicting changes
+class GitConflictError extends GitError {}
+
+// Credentials missing or rejected by the remote
+class GitAuthError extends GitError {}
+
+// Push rejected because the remote has commits we don't
+class GitNonFastForwardError extends GitError {}
+
+// Commit had nothing staged
+class GitNothingToCommitError extends GitError {}
+
+// Push refused by the remote itself (hook, protected branch); retrying won't help
+class GitPushRejectedError extends GitError {}
+
+const ERROR_PATTERNS = [
+    { type: GitNothingToCommitError, code: 'ENOTHINGTOCOMMIT', pattern: /nothing to commit|nothing added to commit|no changes added to commit/i },
+    { type: GitConflictError, code: 'ECONFLICT', pattern: /CONFLICT \(|Automatic merge failed|could not apply|needs merge|unmerged files|fix conflicts/i },
+    { type: GitNonFastForwardError, code: 'ENONFASTFORWARD', pattern: /non-fast-forward|\(fetch first\)/i },
+    { type: GitPushRejectedError, code: 'EREJECTED', pattern: /\[remote rejected\]/i },
+    { type: GitAuthError, code: 'EAUTH', pattern: /Authentication failed|could not read (Username|Password)|terminal prompts disabled|Permission denied \(publickey|Invalid username or password|returned error: 40[13]|Repository not found/i }
+];
+
+/**
+ * Build the error for a failed git invocation
+ */
+const classifyGitError = (args, exitCode, stdout, stderr) => {
+    const output = `${stderr}\n${stdout}`;
+    const lines = output.split('\n').map(line => line.trim()).filter(Boolean);
+    // Prefer git's own error lines over hints and progress output
+    const important = lines.filter(line => /^(error|fatal|CONFLICT|!|Automatic merge failed)/.test(line));
+    const detail = (important.length > 0 ? important : lines.slice(-1)).join(' | ') || `exit code ${exitCode}`;
+    const message = `git ${args[0]} failed: ${detail}`;
+    const match = ERROR_PATTERNS.find(({ pattern }) => pattern.test(output));
+
+    if (match) {
+        return new match.type(message, { args, exitCode, stdout, stderr, code: match.code });
+    }
+    return new GitError(message, { args, exitCode, stdout, stderr });
+};
+
+class GitClient {
+    constructor({ cwd = process.cwd(), timeout = 60000, env = {} } = {}) {
+        this.cwd = cwd;
+        this.timeout = timeout;
+        // Never wait for a credential prompt or an editor nobody can answer
+        this.env = { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_EDITOR: 'true', ...env };
+    }
+
+    /**
+     * Run git with an argument array
+     * Resolves { stdout, stderr } on exit code 0; stderr alone (progress, hints) is not a failure.
+     */
+    run(args, { timeout = this.timeout, cwd = this.cwd } = {}) {
+        return new Promise((resolve, reject) => {
+            const child = spawn('git', args, { cwd, env: this.env, stdio: ['ignore', 'pipe', 'pipe'] });
+            const stdout = [];
+            const stderr = [];
+            let timedOut = false;
+
+            const timer = timeout ? setTimeout(() => {
+                timedOut = true;
+                child.kill('SIGTERM');
+            }, timeout) : null;
+
+            child.stdout.on('data', chunk => stdout.push(chunk));
+            child.stderr.on('data', chunk => stderr.push(chunk));
+
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                reject(new GitError(`git ${args[0]} could not start: ${error.message}`, { args, code: error.code }));
+            });
+
+            child.on('close', (exitCode) => {
+                clearTimeout(timer);
+                const out = Buffer.concat(stdout).toString('utf8');
+                const err = Buffer.concat(stderr).toString('utf8');
+
+                if (timedOut) {
+                    reject(new GitError(`git ${args[0]} timed out after ${timeout}ms`, { args, stdout: out, stderr: err, code: 'ETIMEDOUT' }));
+                } else if (exitCode !== 0) {
+                    reject(classifyGitError(args, exitCode, out, err));
+                } else {
+                    resolve({ stdout: out, stderr: err });
+                }
+            });
+        });
+    }
+
+    /**
+     * Run git and return trimmed stdout
+     */
+    async output(args, options) {
+        const { stdout } = await this.run(args, options);
+        return stdout.trim();
+    }
+
+    /**
+     * Porcelain status lines, optionally limited to a pathspec
+     */
+    async status(paths = []) {
+        const args = ['status', '--porcelain'];
+        if (paths.length > 0) args.push('--', ...paths);
+
+        const output = await this.output(args);
+        return output ? output.split('\n') : [];
+    }
+
+    /**
+     * Paths currently staged in the index
+     */
+    async stagedFiles() {
+        const output = await this.output(['diff', '--cached', '--name-only']);
+        return output ? output.split('\n') : [];
+    }
+
+    async currentBranch() {
+        return this.output(['branch', '--show-current']);
+    }
+
+    async revParse(ref = 'HEAD') {
+        return this.output(['rev-parse', ref]);
+    }
+
+    async configGet(key) {
+        return this.output(['config', '--get', key]);
+    }
+
+    async pull(extraArgs = []) {
+        return this.run(['pull', ...extraArgs]);
+    }
+
+    async add(paths) {
+        if (!paths || paths.length === 0) {
+            throw new GitError('git add failed: no paths given', { args: ['add'], code: 'EINVALID' });
+        }
+        return this.run(['add', '--', ...paths]);
+    }
+
+    /**
+     * Commit staged changes (or only the given paths)
+     */
+    async commit(message, { paths = [] } = {}) {
+        if (!message || !String(message).trim()) {
+            throw new GitError('git commit failed: empty commit message', { args: ['commit'], code: 'EINVALID' });
+        }
+
+        const args = ['commit', '-m', String(message)];
+        if (paths.length > 0) args.push('--', ...paths);
+        return this.run(args);
+    }
+
+    /**
+     * Paths with unresolved merge conflicts
+     */
+    async conflictedFiles() {
+        const output = await this.output(['diff', '--name-only', '--diff-filter=U']);
+        return output ? output.split('\n') : [];
+    }
+
+    /**
+     * File content at a revision or index stage (e.g. "HEAD:path", ":2:path")
+     */
+    async show(spec) {
+        const { stdout } = await this.run(['show', spec]);
+        return stdout;
+    }
+
+    /**
+     * Whether a rebase is stopped in progress
+     */
+    async isRebasing() {
+        const gitDir = await this.output(['rev-parse', '--git-path', 'rebase-merge']);
+        const applyDir = await this.output(['rev-parse', '--git-path', 'rebase-apply']);
+        return [gitDir, applyDir].some(dir => fs.existsSync(path.resolve(this.cwd, dir)));
+    }
+
+    /**
+     * Whether commit is an ancestor of ref (false if either cannot be resolved)
+     */
+    async isAncestor(commit, ref) {
+        try {
+            await this.run(['merge-base', '--is-ancestor', commit, ref]);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Whether a commit has more than one parent
+     */
+    async isMergeCommit(commit = 'HEAD') {
+        const parents = await this.output(['rev-list', '--parents', '-n', '1', commit]);
+        return parents.split(' ').length > 2;
+    }
+
+    async push(extraArgs = []) {
+        return this.run(['push', ...extraArgs]);
+    }
+
+    async resetSoft(ref = 'HEAD~1') {
+        return this.run(['reset', '--soft', ref]);
+    }
+
+    /**
+     * Last commit as { sha, subject }
+     */
+    async lastCommit() {
+        const output = await this.output(['log', '-1', '--format=%H%x00%s']);
+        const [sha, subject] = output.split('\0');
+        return { sha, subject };
+    }
+}
+
+module.exports = GitClient;
+module.exports.GitError = GitError;
+module.exports.GitConflictError = GitConflictError;
+module.exports.GitAuthError = GitAuthError;
+module.exports.GitNonFastForwardError = GitNonFastForwardError;
+module.exports.GitNothingToCommitError = GitNothingToCommitError;
+module.exports.GitPushRejectedError = GitPushRejectedError;
+module.exports.classifyGitError = classifyGitError;
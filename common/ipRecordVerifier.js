@@ -0,0 +1,202 @@
+/**
+ * IP Record Verifier
+ * Checks the Ed25519 signatures the monitor puts on each ip.json target.
+ * Standalone (Node's crypto only) so consumer tools can copy or require it.
+ *
+ *   const { createVerifier } = require('./ipRecordVerifier');
+ *   const verifier = createVerifier({ publicKeys: require('./public-keys.json') });
+ *   const result = verifier.verify('crypto-web-tool', ipJson.targets['crypto-web-tool']);
+ *   if (!result.valid) throw new Error(result.message);
+ *
+ * Signed payload (UTF-8 JSON array, no whitespace):
+ *   ["ip-monitor/v1", <target name>, <ip>, <ipv4>, <ipv6>, <signedAt>, <sequence>]
+ */
+
+const crypto = require('crypto');
+
+const PAYLOAD_VERSION = 'ip-monitor/v1';
+
+// DER prefix turning a raw 32-byte Ed25519 key into SubjectPublicKeyInfo
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+const DEFAULT_MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000; // 3 days
+const DEFAULT_CLOCK_SKEW_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Bytes covered by a record's signature
+ */
+const recordPayload = (name, target, { signedAt, sequence }) => Buffer.from(JSON.stringify([
+    PAYLOAD_VERSION,
+    name,
+    target.ip || null,
+    target.ipv4 || null,
+    target.ipv6 || null,
+    signedAt,
+    sequence
+]), 'utf8');
+
+/**
+ * Key id: first 16 hex characters of SHA-256 over the raw public key
+ */
+const keyIdFor = (rawPublicKey) => crypto.createHash('sha256').update(rawPublicKey).digest('hex').slice(0, 16);
+
+/**
+ * Public key object from base64 raw bytes or PEM
+ */
+const toPublicKey = (value) => {
+    if (/-----BEGIN/.test(value)) {
+        return crypto.createPublicKey(value);
+    }
+    return crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(value, 'base64')]),
+        format: 'der',
+        type: 'spki'
+    });
+};
+
+/**
+ * Raw 32-byte public key of a key object
+ */
+const rawPublicKey = (keyObject) => keyObject.export({ format: 'der', type: 'spki' }).subarray(ED25519_SPKI_PREFIX.length);
+
+/**
+ * Normalize trusted keys: public-keys.json ({ keys: [...] }), an array of entries or of base64 strings
+ */
+const loadPublicKeys = (publicKeys) => {
+    const list = Array.isArray(publicKeys) ? publicKeys : (publicKeys && publicKeys.keys) || [];
+    const keys = new Map();
+
+    for (const entry of list) {
+        const value = typeof entry === 'string' ? entry : entry.publicKey;
+        const keyObject = toPublicKey(value);
+        const keyId = keyIdFor(rawPublicKey(keyObject));
+
+        keys.set(keyId, {
+            keyId,
+            keyObject,
+            retiredAt: entry.retiredAt ? Date.parse(entry.retiredAt) : null
+        });
+    }
+
+    return keys;
+};
+
+const reject = (reason, message) => ({ valid: false, reason, message });
+
+/**
+ * Verify one target record
+ * options: { publicKeys, maxAgeMs, clockSkewMs, now, lastSeen: { sequence, value } }
+ * Returns { valid, keyId, sequence, signedAt } or { valid: false, reason, message } with reason
+ * one of unsigned, unknown-key, retired-key, bad-signature, stale, future, replayed.
+ */
+const verifyRecord = (name, target, options = {}) => {
+    const keys = options.keys || loadPublicKeys(options.publicKeys);
+    const maxAgeMs = options.maxAgeMs === undefined ? DEFAULT_MAX_AGE_MS : options.maxAgeMs;
+    const clockSkewMs = options.clockSkewMs === undefined ? DEFAULT_CLOCK_SKEW_MS : options.clockSkewMs;
+    const now = options.now || Date.now();
+    const signature = target && target.signature;
+
+    if (!signature || !signature.value || !signature.keyId) {
+        return reject('unsigned', `Record '${name}' is not signed`);
+    }
+
+    const key = keys.get(signature.keyId);
+    if (!key) {
+        return reject('unknown-key', `Record '${name}' is signed with unknown key ${signature.keyId}`);
+    }
+
+    const signedAt = Date.parse(signature.signedAt);
+    if (!Number.isInteger(signature.sequence) || Number.isNaN(signedAt)) {
+        return reject('bad-signature', `Record '${name}' has a malformed signature`);
+    }
+
+    const valid = crypto.verify(
+        null,
+        recordPayload(name, target, signature),
+        key.keyObject,
+        Buffer.from(signature.value, 'base64')
+    );
+    if (!valid) {
+        return reject('bad-signature', `Signature of record '${name}' does not match`);
+    }
+
+    if (key.retiredAt && signedAt > key.retiredAt) {
+        return reject('retired-key', `Record '${name}' was signed after key ${key.keyId} was retired`);
+    }
+
+    if (signedAt > now + clockSkewMs) {
+        return reject('future', `Record '${name}' is signed in the future (${signature.signedAt})`);
+    }
+
+    if (maxAgeMs && now - signedAt > maxAgeMs) {
+        return reject('stale', `Record '${name}' was signed at ${signature.signedAt}, older than ${maxAgeMs}ms`);
+    }
+
+    // A lower sequence, or the same sequence with other content, is an old record served again
+    const lastSeen = options.lastSeen;
+    if (lastSeen && (signature.sequence < lastSeen.sequence
+        || (signature.sequence === lastSeen.sequence && signature.value !== lastSeen.value))) {
+        return reject('replayed', `Record '${name}' has sequence ${signature.sequence}, already saw ${lastSeen.sequence}`);
+    }
+
+    return { valid: true, keyId: key.keyId, sequence: signature.sequence, signedAt: signature.signedAt };
+};
+
+/**
+ * Verify every target of a raw ip.json document
+ */
+const verifyIpConfig = (document, options = {}) => {
+    const keys = options.keys || loadPublicKeys(options.publicKeys);
+    const targets = {};
+
+    for (const [name, target] of Object.entries((document && document.targets) || {})) {
+        const lastSeen = options.lastSeen ? options.lastSeen[name] : null;
+        targets[name] = verifyRecord(name, target, { ...options, keys, lastSeen });
+    }
+
+    return {
+        valid: Object.keys(targets).length > 0 && Object.values(targets).every(result => result.valid),
+        targets
+    };
+};
+
+/**
+ * Verifier that remembers the highest sequence per target, rejecting replays across calls
+ * Pass state (e.g. loaded from disk) to keep that memory across restarts; it is updated in place.
+ */
+const createVerifier = ({ publicKeys, maxAgeMs, clockSkewMs, state = {} } = {}) => {
+    const keys = loadPublicKeys(publicKeys);
+
+    return {
+        state,
+        verify(name, target, now = Date.now()) {
+            const result = verifyRecord(name, target, { keys, maxAgeMs, clockSkewMs, now, lastSeen: state[name] });
+            if (result.valid) {
+                state[name] = { sequence: result.sequence, value: target.signature.value };
+            }
+            return result;
+        },
+        verifyIpConfig(document, now = Date.now()) {
+            const targets = {};
+            for (const [name, target] of Object.entries((document && document.targets) || {})) {
+                targets[name] = this.verify(name, target, now);
+            }
+            return {
+                valid: Object.keys(targets).length > 0 && Object.values(targets).every(result => result.valid),
+                targets
+            };
+        }
+    };
+};
+
+module.exports = {
+    PAYLOAD_VERSION,
+    recordPayload,
+    keyIdFor,
+    toPublicKey,
+    rawPublicKey,
+    loadPublicKeys,
+    verifyRecord,
+    verifyIpConfig,
+    createVerifier
+};
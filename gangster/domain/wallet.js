@@ -1,7 +1,9 @@
 const fs = require('fs');
 const { logger } = require('../util');
 const { readFileToJson } = require('../../common/helper');
-const { execSync } = require('child_process');
+const GitClient = require('../../common/GitClient');
+
+const git = new GitClient({ cwd: process.cwd() });
 
 const buildRegistedWalletMsg = (wallets) => {
     if (!wallets) {
@@ -17,21 +19,22 @@ const buildRegistedWalletMsg = (wallets) => {
     return msg;
 }
 
-const commitWallet = (id, msg) => {
+const commitWallet = async (id, msg) => {
     try {
         console.log(`[commitWallet] for id ${id}`);
         logger.info(`[commitWallet] for id ${id}`);
 
-        execSync(`git pull`, { cwd: process.cwd() });
+        await git.pull();
         logger.info(`git pull`, { cwd: process.cwd() });
 
-        execSync(`git add ${process.cwd()}/gangster/data/${id}/wallets.json`, { cwd: process.cwd() });
-        logger.info(`git add ${process.cwd()}/gangster/data/${id}/wallets.json`, { cwd: process.cwd() });
+        const walletPath = `${process.cwd()}/gangster/data/${id}/wallets.json`;
+        await git.add([walletPath]);
+        logger.info(`git add ${walletPath}`, { cwd: process.cwd() });
 
-        execSync(`git commit -m "user ${id} ${msg} wallet"`, { cwd: process.cwd() });
+        await git.commit(`user ${id} ${msg} wallet`, { paths: [walletPath] });
         logger.info(`git commit -m "user ${id} ${msg} wallet"`, { cwd: process.cwd() });
 
-        execSync(`git push`, { cwd: process.cwd() });
+        await git.push();
         logger.info(`git push`, { cwd: process.cwd() });
     } catch (error) {
         console.error(`commit for user ${id} error!!!`, error);
@@ -68,7 +71,7 @@ const addWallet = async (ctx) => {
         if (!fs.existsSync(walletPath)) {
             fs.writeFileSync(walletPath, JSON.stringify({ username, telegramId: id, whitelist: true, wallets: walletList }));
             logger.info(`[addWallet] ${id} ${username} first time commit`);
-            commitWallet(id, 'add');
+            await commitWallet(id, 'add');
             return ctx.telegram.sendMessage(id, `Đăng kí ví thành công\n${buildRegistedWalletMsg(wallets)}`);
         }
 
@@ -88,7 +91,7 @@ const addWallet = async (ctx) => {
 
         logger.info(`[addWallet] ${id} ${username} second times commit`);
         fs.writeFileSync(walletPath, JSON.stringify({ ...userInfo, wallets }));
-        commitWallet(id, 'add');
+        await commitWallet(id, 'add');
 
         const msgPrefix = `telegramId: ${id}\nĐăng kí ví thành công\nRegisted wallet:`;
         const walletMsg = buildRegistedWalletMsg(wallets);
@@ -105,7 +108,7 @@ const addWallet = async (ctx) => {
     }
 }
 
-const removeWallet = (ctx) => {
+const removeWallet = async (ctx) => {
     const { id, username } = ctx.message.from;
     const args = ctx.message.text.split(" ");
     try {
@@ -121,7 +124,7 @@ const removeWallet = (ctx) => {
         const wallets = userInfo.wallets.filter(w => w.walletAddress.toLowerCase() !== walletAddress.toLowerCase());
         logger.info(`[removeWallet] commit to remove ${id} ${username}`, wallets);
         fs.writeFileSync(walletPath, JSON.stringify({ ...userInfo, wallets }));
-        commitWallet(id, 'remove');
+        await commitWallet(id, 'remove');
 
         const msgPrefix = `telegramId: ${id}\nXoá ví thành công\nRegisted wallet:`;
         const walletMsg = buildRegistedWalletMsg(wallets);
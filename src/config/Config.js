@@ -1,77 +1,370 @@
 /**
  * Simplified Configuration for IP Monitor Service
- * No notifications - just IP detection and Git commits
+ * IP detection, publishing (git and other backends) and optional notifications
+ *
+ * Settings come from an optional YAML / JSON config file, overridden by environment
+ * variables; every value is checked against the schema in ./schema.js and all
+ * problems are reported together before anything starts.
  */
 
+const fs = require('fs');
 const path = require('path');
-const { logger } = require('../util');
+const YAML = require('yaml');
+const { FIELDS, CROSS_CHECKS } = require('./schema');
+
+// Looked up in the working directory when neither --config nor CONFIG_FILE is given
+const DEFAULT_FILES = ['config/ip-monitor.yml', 'config/ip-monitor.yaml', 'config/ip-monitor.json'];
+
+const REDACTED = '<redacted>';
+
+/**
+ * Invalid configuration; errors lists every problem found
+ */
+const configError = (errors, filePath = null) => {
+    const error = new Error(`Invalid configuration${filePath ? ` (${filePath})` : ''}:\n  - ${errors.join('\n  - ')}`);
+    error.code = 'ECONFIG';
+    error.errors = errors;
+    return error;
+};
+
+const getPath = (object, key) => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), object);
+
+const setPath = (object, key, value) => {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const node = parts.reduce((current, part) => {
+        if (!current[part]) current[part] = {};
+        return current[part];
+    }, object);
+    node[last] = value;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Parse IP_TARGETS / ipMonitor.targets into a list of { name, policy }
+ * Accepts "a,b,c", a JSON array string, or an array of names / { name, policy } objects.
+ * An empty list means "every target found in ip.json".
+ */
+const parseTargets = (value) => {
+    let entries;
+
+    if (Array.isArray(value)) {
+        entries = value;
+    } else {
+        if (!value || !String(value).trim()) return [];
+        const raw = String(value).trim();
+
+        if (raw.startsWith('[')) {
+            try {
+                entries = JSON.parse(raw);
+            } catch (error) {
+                throw new Error(`IP_TARGETS is not valid JSON: ${error.message}`);
+            }
+        } else {
+            entries = raw.split(',');
+        }
+    }
+
+    return entries
+        .map(entry => typeof entry === 'string'
+            ? { name: entry.trim(), policy: {} }
+            : { name: String((entry && entry.name) || '').trim(), policy: (entry && entry.policy) || {} })
+        .filter(entry => entry.name);
+};
+
+const BOOLEANS = { true: true, yes: true, on: true, 1: true, false: false, no: false, off: false, 0: false };
+
+/**
+ * Convert a raw value (env string or file value) to the field's type
+ * Throws with a message describing what was expected.
+ */
+const coerce = (field, raw) => {
+    switch (field.type) {
+        case 'integer': {
+            if (typeof raw === 'number' && Number.isInteger(raw)) return raw;
+            if (typeof raw === 'string' && /^-?\d+$/.test(raw.trim())) return parseInt(raw.trim());
+            throw new Error(`expected an integer, got ${JSON.stringify(raw)}`);
+        }
+        case 'boolean': {
+            if (typeof raw === 'boolean') return raw;
+            const key = String(raw).trim().toLowerCase();
+            if (key in BOOLEANS) return BOOLEANS[key];
+            throw new Error(`expected true or false, got ${JSON.stringify(raw)}`);
+        }
+        case 'string':
+            if (typeof raw === 'string' || typeof raw === 'number') return String(raw);
+            throw new Error(`expected a string, got ${JSON.stringify(raw)}`);
+        case 'enum':
+            if (field.values.includes(raw)) return raw;
+            throw new Error(`expected one of ${field.values.join(', ')}, got ${JSON.stringify(raw)}`);
+        case 'list': {
+            const list = Array.isArray(raw) ? raw : String(raw).split(',');
+            if (list.some(item => typeof item !== 'string' && typeof item !== 'object')) {
+                throw new Error(`expected a list, got ${JSON.stringify(raw)}`);
+            }
+            return list.map(item => (typeof item === 'string' ? item.trim() : item)).filter(Boolean);
+        }
+        case 'targets':
+            return parseTargets(raw);
+        default:
+            throw new Error(`unknown type ${field.type}`);
+    }
+};
+
+/**
+ * Check a coerced value against the field's limits; returns an error message or null
+ */
+const checkLimits = (field, value) => {
+    if (field.type === 'integer') {
+        if (field.min !== undefined && value < field.min) return `must be at least ${field.min}, got ${value}`;
+        if (field.max !== undefined && value > field.max) return `must be at most ${field.max}, got ${value}`;
+    }
+
+    if (field.type === 'list') {
+        if (field.minItems && value.length < field.minItems) return `needs at least ${field.minItems} entr${field.minItems === 1 ? 'y' : 'ies'}`;
+        const unknown = field.values ? value.filter(item => !field.values.includes(item)) : [];
+        if (unknown.length > 0) return `unknown values ${unknown.join(', ')} (expected ${field.values.join(', ')})`;
+    }
+
+    return field.validate ? field.validate(value) : null;
+};
 
 class Config {
-    constructor() {
+    /**
+     * options: { file, env, argv } - file wins over --config in argv, which wins over CONFIG_FILE
+     */
+    constructor({ file = null, env = process.env, argv = process.argv } = {}) {
+        this.env = env;
+        this.filePath = this.resolveFilePath(file, argv);
+
         this.validateEnvironment();
         this.loadConfig();
     }
 
+    /**
+     * Find the config file: explicit option, --config, CONFIG_FILE, then the default locations
+     */
+    resolveFilePath(file, argv) {
+        const index = argv.findIndex(arg => arg === '--config' || arg.startsWith('--config='));
+        const fromArgv = index < 0 ? null : argv[index].includes('=') ? argv[index].split('=').slice(1).join('=') : argv[index + 1];
+        const explicit = file || fromArgv || this.env.CONFIG_FILE;
+
+        if (explicit) {
+            const resolved = path.resolve(explicit);
+            if (!fs.existsSync(resolved)) {
+                throw configError([`config file not found: ${resolved}`]);
+            }
+            return resolved;
+        }
+
+        const found = DEFAULT_FILES.map(candidate => path.resolve(candidate)).find(candidate => fs.existsSync(candidate));
+        return found || null;
+    }
+
+    /**
+     * Read the config file (YAML, or JSON by extension)
+     */
+    readFile() {
+        if (!this.filePath) return {};
+
+        let content;
+        try {
+            content = fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            throw configError([`cannot read config file: ${error.message}`], this.filePath);
+        }
+
+        let data;
+        try {
+            data = this.filePath.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+        } catch (error) {
+            throw configError([`cannot parse config file: ${error.message}`], this.filePath);
+        }
+
+        if (data == null) return {};
+        if (!isPlainObject(data)) {
+            throw configError(['config file must contain a mapping of settings'], this.filePath);
+        }
+        return data;
+    }
+
+    /**
+     * Resolve every setting (default < file < env) and validate it
+     * Collects all problems and throws one error listing them.
+     */
     validateEnvironment() {
-        // No required environment variables for simple mode
-        // Everything has sensible defaults
-        logger.info('IP Monitor - no notification services required');
+        const file = this.readFile();
+        const errors = this.findUnknownKeys(file);
+        const settings = {};
+        this.sources = {};
+
+        for (const field of FIELDS) {
+            const envValue = field.env ? this.env[field.env] : undefined;
+            const fileValue = getPath(file, field.key);
+
+            let raw;
+            let source;
+            if (envValue !== undefined && envValue !== '') {
+                raw = envValue;
+                source = 'env';
+            } else if (fileValue !== undefined && fileValue !== null) {
+                raw = fileValue;
+                source = 'file';
+            }
+
+            const label = source === 'env' ? `${field.env} (${field.key})` : field.key;
+            let value;
+
+            if (source) {
+                try {
+                    value = coerce(field, raw);
+                    const problem = checkLimits(field, value);
+                    if (problem) throw new Error(problem);
+                    if (field.transform) value = field.transform(value);
+                } catch (error) {
+                    errors.push(`${label}: ${error.message}`);
+                    source = null;
+                }
+            }
+
+            if (!source) {
+                value = typeof field.default === 'function' ? field.default(settings) : field.default;
+            }
+
+            setPath(settings, field.key, value);
+            this.sources[field.key] = source || 'default';
+        }
+
+        if (errors.length === 0) {
+            CROSS_CHECKS.forEach(crossCheck => {
+                const problem = crossCheck(settings);
+                if (problem) errors.push(problem);
+            });
+        }
+
+        if (errors.length > 0) {
+            throw configError(errors, this.filePath);
+        }
+
+        this.settings = settings;
+    }
+
+    /**
+     * Keys in the config file that match no setting (usually typos)
+     */
+    findUnknownKeys(file, prefix = '') {
+        return Object.entries(file).flatMap(([name, value]) => {
+            const key = prefix ? `${prefix}.${name}` : name;
+            if (FIELDS.some(field => field.key === key)) return [];
+            if (isPlainObject(value) && FIELDS.some(field => field.key.startsWith(`${key}.`))) {
+                return this.findUnknownKeys(value, key);
+            }
+            return [`${key}: unknown setting`];
+        });
     }
 
     loadConfig() {
-        // IP Monitor settings
-        this.ipMonitor = {
-            checkInterval: parseInt(process.env.CHECK_INTERVAL_MS) || 60 * 60 * 1000, // 1 hour
-            timeout: parseInt(process.env.IP_CHECK_TIMEOUT) || 30000,
-            maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
-            configPath: process.env.IP_CONFIG_PATH || path.join(process.cwd(), 'src/config/ip.json')
-        };
-
-        // Git settings (enabled by default)
-        this.git = {
-            enabled: process.env.GIT_COMMIT_ENABLED !== 'false',
-            maxRetries: parseInt(process.env.GIT_MAX_RETRIES) || 3,
-            timeout: parseInt(process.env.GIT_TIMEOUT) || 60000,
-            autoCommit: process.env.GIT_AUTO_COMMIT !== 'false'
-        };
-
-        // GitHub settings for remote IP comparison
-        const githubOwner = process.env.GITHUB_OWNER || 'dohoanghuy';
-        const githubRepo = process.env.GITHUB_REPO || 'ip-config';
-        const githubBranch = process.env.GITHUB_BRANCH || 'main';
-
-        this.github = {
-            owner: githubOwner,
-            repo: githubRepo,
-            branch: githubBranch,
-            rawUrl: process.env.GITHUB_RAW_URL || `https://raw.githubusercontent.com/${githubOwner}/${githubRepo}/${githubBranch}/src/config/ip.json`
-        };
+        const settings = this.settings;
+
+        // IP Monitor settings (targets, families, detection providers)
+        this.ipMonitor = settings.ipMonitor;
+
+        // Git settings (enabled by default; only git.managedFiles are ever committed)
+        this.git = settings.git;
+
+        // GitHub settings for remote IP comparison and the contents API
+        this.github = settings.github;
+
+        // Publishing backends besides git (webhook / DNS from settings, anything else from the publishers file)
+        this.publishers = settings.publishers;
+
+        // Notification channels for IP changes, publish failures and health transitions
+        this.notifications = settings.notifications;
 
         // Logging settings
-        this.logging = {
-            level: process.env.LOG_LEVEL || 'info',
-            enableConsole: process.env.LOG_CONSOLE !== 'false',
-            enableFile: process.env.LOG_FILE === 'true',
-            filePath: process.env.LOG_FILE_PATH || 'logs/ip-monitor.log'
-        };
+        this.logging = settings.logging;
 
         // Server settings (optional health endpoint)
-        this.server = {
-            port: parseInt(process.env.PORT) || 3000,
-            host: process.env.HOST || '0.0.0.0',
-            enableHealthCheck: process.env.HEALTH_CHECK !== 'false'
-        };
+        this.server = settings.server;
+
+        // Check scheduling: cron overrides the interval; adaptive tunes it
+        this.schedule = settings.schedule;
+
+        // Ed25519 signatures on ip.json records (keys: npm run keys -- generate)
+        this.signing = settings.signing;
+
+        // Local / published / detected IP drift: what to do in each state
+        this.drift = settings.drift;
+
+        // Observed IP history (append-only JSONL)
+        this.history = settings.history;
+
+        // Check lock shared by every monitor process on this repository
+        this.lock = settings.lock;
 
         // Rate limiting (minimal for simple mode)
-        this.rateLimiting = {
-            debounceDelay: parseInt(process.env.DEBOUNCE_DELAY) || 5000
-        };
+        this.rateLimiting = settings.rateLimiting;
+
+        // Check traces (GET /api/checks/:id)
+        this.tracing = settings.tracing;
+
+        // Config file reloading
+        this.reload = settings.reload;
 
         // Paths
         this.configPath = this.ipMonitor.configPath;
         this.checkInterval = this.ipMonitor.checkInterval;
     }
 
+    /**
+     * Parse IP_TARGETS into a list of { name, policy }
+     */
+    parseTargets(value) {
+        return parseTargets(value);
+    }
+
+    /**
+     * Settings whose value differs in another config: [{ key, restart }]
+     */
+    diff(other) {
+        return FIELDS
+            .filter(field => JSON.stringify(getPath(this.settings, field.key)) !== JSON.stringify(getPath(other.settings, field.key)))
+            .map(field => ({ key: field.key, restart: Boolean(field.restart) }));
+    }
+
+    /**
+     * Take the given settings over from another config (restart-only settings on reload)
+     */
+    keep(other, keys) {
+        keys.forEach(key => setPath(this.settings, key, getPath(other.settings, key)));
+        this.loadConfig();
+    }
+
+    /**
+     * Every setting with secrets replaced (for --print-config and status output)
+     */
+    redacted() {
+        const copy = JSON.parse(JSON.stringify(this.settings));
+        FIELDS
+            .filter(field => field.secret && getPath(copy, field.key))
+            .forEach(field => {
+                const value = getPath(copy, field.key);
+                // Token lists keep their length, so it still shows how many are set
+                setPath(copy, field.key, Array.isArray(value) ? value.map(() => REDACTED) : REDACTED);
+            });
+        return copy;
+    }
+
+    /**
+     * Settings overridden by environment variables: [{ key, env }]
+     */
+    envOverrides() {
+        return FIELDS
+            .filter(field => this.sources[field.key] === 'env')
+            .map(field => ({ key: field.key, env: field.env }));
+    }
+
     /**
      * Get service name for logging
      */
@@ -83,21 +376,26 @@ class Config {
      * Check if running in development mode
      */
     isDevelopment() {
-        return process.env.NODE_ENV === 'development';
+        return this.env.NODE_ENV === 'development';
     }
 
     /**
      * Get configuration as string for logging
      */
     toString() {
+        const redacted = this.redacted();
         return JSON.stringify({
+            configFile: this.filePath,
             checkInterval: this.checkInterval,
             gitEnabled: this.git.enabled,
             configPath: this.configPath,
-            github: this.github,
-            server: this.server
+            targets: this.ipMonitor.targets.map(t => t.name),
+            github: redacted.github,
+            server: redacted.server
         }, null, 2);
     }
 }
 
-module.exports = Config;
\ No newline at end of file
+module.exports = Config;
+module.exports.parseTargets = parseTargets;
+module.exports.configError = configError;
@@ -0,0 +1,263 @@
+/**
+ * Configuration schema
+ * Every setting with its config-file key, environment variable, type, default and limits.
+ * Values are layered: default < config file < environment variable.
+ *
+ * Field options:
+ *   key       dotted path in the config object and the config file ("git.pullStrategy")
+ *   env       environment variable overriding the file
+ *   type      integer | boolean | string | enum | list | targets
+ *   default   value, or function of the settings resolved so far (fields are resolved in order)
+ *   min / max integer bounds; values: allowed enum / list values; validate: extra check returning an error
+ *   secret    redacted in --print-config and status output
+ *   restart   changing it needs a restart (not applied on hot reload)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const { parseCron } = require('../utils/cron');
+const { parseQuietHours } = require('../services/Scheduler');
+const { ALLOWED_ACTIONS } = require('../services/DriftDetector');
+const { EVENT_TYPES } = require('../notifiers/notifierTypes');
+const { TSIG_ALGORITHMS } = require('../utils/dnsClient');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const cwdPath = (relative) => path.join(process.cwd(), relative);
+
+// Throwing parsers turned into validators
+const check = (parse) => (value) => {
+    try {
+        parse(value);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
+
+const isUrl = (value) => (/^https?:\/\/[^\s/]+/i.test(value) ? null : 'expected an http(s) URL');
+
+// API tokens are compared as-is, so short ones are easy to guess
+const validateTokens = (tokens) => (tokens.some(token => typeof token !== 'string' || token.length < 16)
+    ? 'every token needs at least 16 characters'
+    : null);
+
+const validateOrigins = (origins) => {
+    const invalid = origins.filter(origin => origin !== '*' && !/^https?:\/\/[^\s/]+$/i.test(origin));
+    return invalid.length > 0 ? `expected origins like https://example.com or *, got ${invalid.join(', ')}` : null;
+};
+
+const FIELDS = [
+    // IP monitor
+    { key: 'ipMonitor.checkInterval', env: 'CHECK_INTERVAL_MS', type: 'integer', default: HOUR, min: 10 * SECOND },
+    { key: 'ipMonitor.timeout', env: 'IP_CHECK_TIMEOUT', type: 'integer', default: 30 * SECOND, min: 100, restart: true },
+    { key: 'ipMonitor.maxRetries', env: 'MAX_RETRIES', type: 'integer', default: 3, min: 1, restart: true },
+    { key: 'ipMonitor.configPath', env: 'IP_CONFIG_PATH', type: 'string', default: () => cwdPath('src/config/ip.json'), restart: true },
+    { key: 'ipMonitor.defaultTarget', env: 'IP_DEFAULT_TARGET', type: 'string', default: 'crypto-web-tool' },
+    { key: 'ipMonitor.targets', env: 'IP_TARGETS', type: 'targets', default: [] },
+    { key: 'ipMonitor.families', env: 'IP_FAMILIES', type: 'list', default: ['ipv4'], values: ['ipv4', 'ipv6'], minItems: 1 },
+    { key: 'ipMonitor.historyLimit', env: 'IP_HISTORY_LIMIT', type: 'integer', default: 20, min: 1 },
+
+    // Detection (providers are built once at startup)
+    { key: 'ipMonitor.detection.mode', env: 'DETECTION_MODE', type: 'enum', default: 'fallback', values: ['fallback', 'consensus'], restart: true },
+    { key: 'ipMonitor.detection.consensusProviders', env: 'CONSENSUS_PROVIDERS', type: 'integer', default: 3, min: 1, restart: true },
+    { key: 'ipMonitor.detection.quorum', env: 'CONSENSUS_QUORUM', type: 'integer', default: 2, min: 1, restart: true },
+    { key: 'ipMonitor.detection.providersPath', env: 'DETECTION_PROVIDERS_PATH', type: 'string', default: null, restart: true },
+    { key: 'ipMonitor.detection.providersDir', env: 'DETECTION_PROVIDERS_DIR', type: 'string', default: null, restart: true },
+    // DNS answers in milliseconds; the general timeout would hold a check for 30s per dead resolver
+    { key: 'ipMonitor.detection.dnsTimeout', env: 'DNS_TIMEOUT_MS', type: 'integer', default: 3 * SECOND, min: 100, restart: true },
+    { key: 'ipMonitor.detection.scope', env: 'DETECTION_SCOPE', type: 'enum', default: 'public', values: ['public', 'gateway', 'interface'], restart: true },
+    { key: 'ipMonitor.detection.gateway.upnpLocation', env: 'UPNP_LOCATION', type: 'string', default: null, validate: isUrl, restart: true },
+    { key: 'ipMonitor.detection.gateway.natPmpGateway', env: 'GATEWAY_ADDRESS', type: 'string', default: null, restart: true },
+    { key: 'ipMonitor.detection.gateway.interfaceName', env: 'NETWORK_INTERFACE', type: 'string', default: null, restart: true },
+    { key: 'ipMonitor.detection.gateway.publicOnly', env: 'INTERFACE_PUBLIC_ONLY', type: 'boolean', default: false, restart: true },
+    { key: 'ipMonitor.detection.statsPath', env: 'PROVIDER_STATS_PATH', type: 'string', default: () => cwdPath('data/provider-stats.json'), restart: true },
+    { key: 'ipMonitor.detection.adaptive.enabled', env: 'ADAPTIVE_DETECTION', type: 'boolean', default: false, restart: true },
+    { key: 'ipMonitor.detection.adaptive.failureThreshold', env: 'CIRCUIT_FAILURE_THRESHOLD', type: 'integer', default: 3, min: 1, restart: true },
+    { key: 'ipMonitor.detection.adaptive.cooldownMs', env: 'CIRCUIT_COOLDOWN_MS', type: 'integer', default: 15 * MINUTE, min: 0, restart: true },
+    { key: 'ipMonitor.detection.adaptive.windowMs', env: 'ADAPTIVE_WINDOW_MS', type: 'integer', default: HOUR, min: MINUTE, restart: true },
+    { key: 'ipMonitor.detection.adaptive.demotionStep', env: 'ADAPTIVE_DEMOTION_STEP', type: 'integer', default: 10, min: 0, restart: true },
+
+    // Git
+    { key: 'git.enabled', env: 'GIT_COMMIT_ENABLED', type: 'boolean', default: true },
+    { key: 'git.maxRetries', env: 'GIT_MAX_RETRIES', type: 'integer', default: 3, min: 1 },
+    { key: 'git.timeout', env: 'GIT_TIMEOUT', type: 'integer', default: 60 * SECOND, min: SECOND },
+    { key: 'git.autoCommit', env: 'GIT_AUTO_COMMIT', type: 'boolean', default: true },
+    {
+        key: 'git.managedFiles',
+        env: 'GIT_MANAGED_FILES',
+        type: 'list',
+        minItems: 1,
+        default: (settings) => [path.relative(process.cwd(), settings.ipMonitor.configPath) || settings.ipMonitor.configPath]
+    },
+    { key: 'git.stagedChanges', env: 'GIT_STAGED_CHANGES', type: 'enum', default: 'refuse', values: ['refuse', 'ignore'] },
+    { key: 'git.pullStrategy', env: 'GIT_PULL_STRATEGY', type: 'enum', default: 'rebase', values: ['rebase', 'merge', 'ff-only'] },
+    { key: 'git.mode', env: 'GIT_COMMIT_MODE', type: 'enum', default: 'local', values: ['local', 'github-api'] },
+
+    // GitHub (remote comparison and contents API)
+    { key: 'github.owner', env: 'GITHUB_OWNER', type: 'string', default: 'dohoanghuy' },
+    { key: 'github.repo', env: 'GITHUB_REPO', type: 'string', default: 'ip-config' },
+    { key: 'github.branch', env: 'GITHUB_BRANCH', type: 'string', default: 'main' },
+    { key: 'github.path', env: 'GITHUB_CONFIG_PATH', type: 'string', default: 'src/config/ip.json' },
+    {
+        key: 'github.rawUrl',
+        env: 'GITHUB_RAW_URL',
+        type: 'string',
+        validate: isUrl,
+        default: ({ github }) => `https://raw.githubusercontent.com/${github.owner}/${github.repo}/${github.branch}/${github.path}`
+    },
+    { key: 'github.apiUrl', env: 'GITHUB_API_URL', type: 'string', default: 'https://api.github.com', validate: isUrl, transform: value => value.replace(/\/+$/, '') },
+    { key: 'github.token', env: 'GITHUB_TOKEN', type: 'string', default: null, secret: true },
+    { key: 'github.committerName', env: 'GITHUB_COMMITTER_NAME', type: 'string', default: null },
+    { key: 'github.committerEmail', env: 'GITHUB_COMMITTER_EMAIL', type: 'string', default: null },
+
+    // Publishers
+    { key: 'publishers.path', env: 'PUBLISHERS_PATH', type: 'string', default: null },
+    { key: 'publishers.statePath', env: 'PUBLISHER_STATE_PATH', type: 'string', default: () => cwdPath('data/publisher-state.json') },
+    { key: 'publishers.webhook.url', env: 'PUBLISH_WEBHOOK_URL', type: 'string', default: null, validate: isUrl },
+    { key: 'publishers.webhook.secret', env: 'PUBLISH_WEBHOOK_SECRET', type: 'string', default: null, secret: true },
+    { key: 'publishers.rfc2136.server', env: 'RFC2136_SERVER', type: 'string', default: null },
+    { key: 'publishers.rfc2136.zone', env: 'RFC2136_ZONE', type: 'string', default: null },
+    { key: 'publishers.rfc2136.records', env: 'RFC2136_RECORDS', type: 'list', default: [] },
+    { key: 'publishers.rfc2136.ttl', env: 'RFC2136_TTL', type: 'integer', default: 300, min: 0 },
+    { key: 'publishers.rfc2136.tsig.name', env: 'TSIG_KEY_NAME', type: 'string', default: null },
+    { key: 'publishers.rfc2136.tsig.algorithm', env: 'TSIG_ALGORITHM', type: 'enum', default: 'hmac-sha256', values: Object.keys(TSIG_ALGORITHMS) },
+    { key: 'publishers.rfc2136.tsig.secret', env: 'TSIG_SECRET', type: 'string', default: null, secret: true },
+    { key: 'publishers.dyndns2.url', env: 'DYNDNS_URL', type: 'string', default: null, validate: isUrl },
+    { key: 'publishers.dyndns2.username', env: 'DYNDNS_USERNAME', type: 'string', default: null },
+    { key: 'publishers.dyndns2.password', env: 'DYNDNS_PASSWORD', type: 'string', default: null, secret: true },
+    { key: 'publishers.dyndns2.records', env: 'DYNDNS_HOSTNAMES', type: 'list', default: [] },
+
+    // Notifications
+    { key: 'notifications.path', env: 'NOTIFIERS_PATH', type: 'string', default: null },
+    { key: 'notifications.events', env: 'NOTIFY_EVENTS', type: 'list', default: EVENT_TYPES, values: EVENT_TYPES },
+    { key: 'notifications.rateLimit.maxCalls', env: 'NOTIFY_RATE_LIMIT', type: 'integer', default: 5, min: 1 },
+    { key: 'notifications.rateLimit.windowMs', env: 'NOTIFY_RATE_WINDOW_MS', type: 'integer', default: HOUR, min: SECOND },
+    { key: 'notifications.telegram.token', env: 'TELEGRAM_TOKEN', type: 'string', default: null, secret: true },
+    { key: 'notifications.telegram.chatId', env: 'TELEGRAM_CHAT_ID', type: 'string', default: null },
+    { key: 'notifications.telegram.apiUrl', env: 'TELEGRAM_API_URL', type: 'string', default: 'https://api.telegram.org', validate: isUrl },
+    { key: 'notifications.webhook.url', env: 'NOTIFY_WEBHOOK_URL', type: 'string', default: null, validate: isUrl },
+    { key: 'notifications.webhook.secret', env: 'NOTIFY_WEBHOOK_SECRET', type: 'string', default: null, secret: true },
+    { key: 'notifications.smtp.host', env: 'SMTP_HOST', type: 'string', default: null },
+    { key: 'notifications.smtp.secure', env: 'SMTP_SECURE', type: 'boolean', default: false },
+    { key: 'notifications.smtp.port', env: 'SMTP_PORT', type: 'integer', min: 1, max: 65535, default: ({ notifications }) => (notifications.smtp.secure ? 465 : 587) },
+    { key: 'notifications.smtp.startTls', env: 'SMTP_STARTTLS', type: 'enum', default: 'auto', values: ['auto', 'required', 'never'] },
+    { key: 'notifications.smtp.username', env: 'SMTP_USERNAME', type: 'string', default: null },
+    { key: 'notifications.smtp.password', env: 'SMTP_PASSWORD', type: 'string', default: null, secret: true },
+    { key: 'notifications.smtp.from', env: 'SMTP_FROM', type: 'string', default: null },
+    { key: 'notifications.smtp.to', env: 'SMTP_TO', type: 'string', default: null },
+    { key: 'notifications.smtp.rejectUnauthorized', env: 'SMTP_TLS_REJECT_UNAUTHORIZED', type: 'boolean', default: true },
+
+    // Logging (the file is JSON lines, rotated by size / age; 0 turns a limit off)
+    { key: 'logging.level', env: 'LOG_LEVEL', type: 'enum', default: 'info', values: ['error', 'warn', 'info', 'debug'] },
+    { key: 'logging.enableConsole', env: 'LOG_CONSOLE', type: 'boolean', default: true },
+    { key: 'logging.enableFile', env: 'LOG_FILE', type: 'boolean', default: false },
+    { key: 'logging.filePath', env: 'LOG_FILE_PATH', type: 'string', default: 'logs/ip-monitor.log' },
+    { key: 'logging.format', env: 'LOG_FORMAT', type: 'enum', default: 'text', values: ['text', 'json'] },
+    { key: 'logging.maxSize', env: 'LOG_MAX_SIZE', type: 'integer', default: 10 * 1024 * 1024, min: 0 },
+    { key: 'logging.rotateMs', env: 'LOG_ROTATE_MS', type: 'integer', default: DAY, min: 0 },
+    { key: 'logging.maxFiles', env: 'LOG_MAX_FILES', type: 'integer', default: 7, min: 0 },
+    { key: 'logging.retentionMs', env: 'LOG_RETENTION_MS', type: 'integer', default: 14 * DAY, min: 0 },
+
+    // Health server (bound once at startup)
+    { key: 'server.port', env: 'PORT', type: 'integer', default: 3000, min: 1, max: 65535, restart: true },
+    { key: 'server.host', env: 'HOST', type: 'string', default: '0.0.0.0', restart: true },
+    { key: 'server.enableHealthCheck', env: 'HEALTH_CHECK', type: 'boolean', default: true, restart: true },
+
+    // HTTP API access: read tokens see status / IPs / history, admin tokens can also check and restart.
+    // Without tokens the read routes are open and the control routes only answer localhost.
+    { key: 'server.auth.readTokens', env: 'API_READ_TOKENS', type: 'list', default: [], secret: true, validate: validateTokens },
+    { key: 'server.auth.adminTokens', env: 'API_ADMIN_TOKENS', type: 'list', default: [], secret: true, validate: validateTokens },
+    { key: 'server.cors.origins', env: 'CORS_ORIGINS', type: 'list', default: [], validate: validateOrigins },
+    { key: 'server.control.port', env: 'CONTROL_PORT', type: 'integer', default: null, min: 1, max: 65535, restart: true },
+    { key: 'server.control.host', env: 'CONTROL_HOST', type: 'string', default: '127.0.0.1', restart: true },
+    { key: 'server.rateLimit.maxCalls', env: 'API_RATE_LIMIT', type: 'integer', default: 120, min: 1 },
+    { key: 'server.rateLimit.controlMaxCalls', env: 'API_CONTROL_RATE_LIMIT', type: 'integer', default: 10, min: 1 },
+    { key: 'server.rateLimit.windowMs', env: 'API_RATE_WINDOW_MS', type: 'integer', default: MINUTE, min: SECOND },
+
+    // Scheduling
+    { key: 'schedule.cron', env: 'CHECK_CRON', type: 'string', default: null, validate: check(parseCron) },
+    { key: 'schedule.timezone', env: 'SCHEDULE_TIMEZONE', type: 'string', default: null, validate: value => (moment.tz.zone(value) ? null : 'unknown timezone') },
+    { key: 'schedule.quietHours', env: 'QUIET_HOURS', type: 'string', default: null, validate: check(parseQuietHours) },
+    { key: 'schedule.jitterMs', env: 'SCHEDULE_JITTER_MS', type: 'integer', default: 0, min: 0 },
+    { key: 'schedule.adaptive.enabled', env: 'ADAPTIVE_SCHEDULE', type: 'boolean', default: false },
+    { key: 'schedule.adaptive.minIntervalMs', env: 'SCHEDULE_MIN_INTERVAL_MS', type: 'integer', default: 5 * MINUTE, min: 10 * SECOND },
+    { key: 'schedule.adaptive.maxIntervalMs', env: 'SCHEDULE_MAX_INTERVAL_MS', type: 'integer', default: 6 * HOUR, min: 10 * SECOND },
+    { key: 'schedule.adaptive.fastWindowMs', env: 'SCHEDULE_FAST_WINDOW_MS', type: 'integer', default: HOUR, min: 0 },
+    { key: 'schedule.adaptive.backoffAfterMs', env: 'SCHEDULE_BACKOFF_AFTER_MS', type: 'integer', default: DAY, min: 0 },
+
+    // Record signing
+    { key: 'signing.enabled', env: 'SIGNING_ENABLED', type: 'boolean', default: false },
+    { key: 'signing.keyDir', env: 'SIGNING_KEY_DIR', type: 'string', default: () => cwdPath('data/keys') },
+    { key: 'signing.privateKey', env: 'SIGNING_PRIVATE_KEY', type: 'string', default: null, secret: true },
+    { key: 'signing.refreshMs', env: 'SIGNING_REFRESH_MS', type: 'integer', default: DAY, min: MINUTE },
+
+    // Drift handling
+    { key: 'drift.cdnLagMs', env: 'DRIFT_CDN_LAG_MS', type: 'integer', default: 10 * MINUTE, min: 0 },
+    ...Object.entries({
+        local_stale: ['DRIFT_LOCAL_STALE', 'republish'],
+        remote_stale: ['DRIFT_REMOTE_STALE', 'republish'],
+        remote_unreachable: ['DRIFT_REMOTE_UNREACHABLE', 'alert'],
+        remote_edited: ['DRIFT_REMOTE_EDITED', 'alert'],
+        cdn_lag: ['DRIFT_CDN_LAG', 'wait']
+    }).map(([state, [env, defaultAction]]) => ({
+        key: `drift.actions.${state}`, env, type: 'enum', default: defaultAction, values: ALLOWED_ACTIONS[state]
+    })),
+
+    // History
+    { key: 'history.enabled', env: 'HISTORY_ENABLED', type: 'boolean', default: true },
+    { key: 'history.path', env: 'HISTORY_PATH', type: 'string', default: () => cwdPath('data/ip-history.jsonl') },
+
+    // Check lock (inside .git so it is never committed)
+    {
+        key: 'lock.path',
+        env: 'LOCK_PATH',
+        type: 'string',
+        restart: true,
+        default: () => {
+            const gitDir = cwdPath('.git');
+            const lockDir = fs.existsSync(gitDir) && fs.statSync(gitDir).isDirectory() ? gitDir : cwdPath('data');
+            return path.join(lockDir, 'ip-monitor.lock');
+        }
+    },
+    { key: 'lock.staleMs', env: 'LOCK_STALE_MS', type: 'integer', default: 10 * MINUTE, min: SECOND, restart: true },
+    { key: 'lock.waitMs', env: 'LOCK_TIMEOUT_MS', type: 'integer', default: 2 * MINUTE, min: 0, restart: true },
+
+    // Rate limiting
+    { key: 'rateLimiting.debounceDelay', env: 'DEBOUNCE_DELAY', type: 'integer', default: 5 * SECOND, min: 0 },
+
+    // Recent check traces served by /api/checks
+    { key: 'tracing.limit', env: 'TRACE_LIMIT', type: 'integer', default: 50, min: 1, restart: true },
+    { key: 'tracing.maxEvents', env: 'TRACE_MAX_EVENTS', type: 'integer', default: 500, min: 10, restart: true },
+
+    // Reload the config file when it changes (SIGHUP always reloads)
+    { key: 'reload.watch', env: 'CONFIG_WATCH', type: 'boolean', default: true, restart: true },
+    { key: 'reload.intervalMs', env: 'CONFIG_WATCH_INTERVAL_MS', type: 'integer', default: 2 * SECOND, min: 100, restart: true }
+];
+
+/**
+ * Checks across fields; each returns an error message or null
+ */
+const CROSS_CHECKS = [
+    ({ ipMonitor }) => (ipMonitor.detection.quorum > ipMonitor.detection.consensusProviders
+        ? `ipMonitor.detection.quorum (${ipMonitor.detection.quorum}) cannot exceed ipMonitor.detection.consensusProviders (${ipMonitor.detection.consensusProviders})`
+        : null),
+    ({ schedule }) => (schedule.adaptive.minIntervalMs > schedule.adaptive.maxIntervalMs
+        ? 'schedule.adaptive.minIntervalMs cannot exceed schedule.adaptive.maxIntervalMs'
+        : null),
+    ({ publishers }) => (Boolean(publishers.rfc2136.tsig.name) !== Boolean(publishers.rfc2136.tsig.secret)
+        ? 'publishers.rfc2136.tsig needs both a name and a secret'
+        : null),
+    ({ git, github }) => (git.enabled && git.mode === 'github-api' && !github.token
+        ? 'github.token (GITHUB_TOKEN) is required with git.mode github-api'
+        : null)
+];
+
+module.exports = {
+    FIELDS,
+    CROSS_CHECKS
+};
@@ -7,12 +7,15 @@
  * - Git integration for automatic commits
  * - Basic health monitoring endpoint
  * - Graceful shutdown handling
- * - Simple logging
+ * - Validated config file (YAML / JSON) with env overrides, reloaded on SIGHUP or change
+ * - Leveled logging (text or JSON lines) with file rotation
  */
 
 require('dotenv').config();
 
+const fs = require('fs');
 const path = require('path');
+const YAML = require('yaml');
 const { logger } = require('./util');
 
 // Import core components
@@ -26,6 +29,7 @@ class Application {
         this.ipMonitorService = null;
         this.healthServer = null;
         this.isShuttingDown = false;
+        this.reloadTimer = null;
 
         // Setup process handlers
         this.setupProcessHandlers();
@@ -40,7 +44,8 @@ class Application {
 
             // Load and validate configuration
             this.config = new Config();
-            logger.info('Configuration loaded successfully');
+            logger.configure(this.config.logging);
+            logger.info(`Configuration loaded successfully from ${this.config.filePath || 'defaults and environment'}`);
 
             if (this.config.isDevelopment()) {
                 logger.info('Running in development mode');
@@ -80,6 +85,9 @@ class Application {
                 const serverInfo = this.healthServer.getInfo();
                 logger.info(`Health server started on ${serverInfo.host}:${serverInfo.port}`);
                 logger.info(`Health server available at http://${serverInfo.host}:${serverInfo.port}`);
+                if (serverInfo.control) {
+                    logger.info(`Control API available at http://${serverInfo.control.host}:${serverInfo.control.port}/api`);
+                }
             }
 
             // Start IP Monitor Service
@@ -87,12 +95,14 @@ class Application {
 
             logger.info('🚀 IP Monitor Application started successfully!');
             logger.info(`📊 Monitoring interval: ${Math.round(this.config.checkInterval / 60000)} minutes`);
-            logger.info(`🔧 Git integration: ${this.config.git.enabled ? 'Enabled' : 'Disabled'}`);
+            logger.info(`🔧 Git integration: ${this.ipMonitorService.isGitEnabled() ? 'Enabled' : 'Disabled'}`);
 
             if (this.healthServer) {
                 logger.info(`🏥 Health endpoint: http://localhost:${this.config.server.port}/health`);
             }
 
+            this.watchConfigFile();
+
             logger.info('Application startup completed. Press Ctrl+C to stop.');
 
             return true;
@@ -116,6 +126,9 @@ class Application {
             this.isShuttingDown = true;
             logger.info(`🛑 Shutting down IP Monitor Application: ${reason}`);
 
+            // Stop watching the config file
+            this.unwatchConfigFile();
+
             // Stop IP Monitor Service
             if (this.ipMonitorService) {
                 await this.ipMonitorService.stop(reason);
@@ -133,6 +146,55 @@ class Application {
         } catch (error) {
             logger.error('Error during application shutdown:', error);
         }
+
+        await logger.flush();
+    }
+
+    /**
+     * Re-read the config file and apply it to the running service
+     * An invalid file is reported and the running settings are kept.
+     */
+    async reloadConfig(reason) {
+        if (!this.ipMonitorService || this.isShuttingDown) return null;
+
+        logger.info(`Reloading configuration (${reason})...`);
+
+        try {
+            const config = new Config({ file: this.config.filePath });
+            const result = await this.ipMonitorService.applyConfig(config);
+            this.config = this.ipMonitorService.config;
+            logger.configure(this.config.logging);
+            return result;
+        } catch (error) {
+            logger.error('Configuration reload failed, keeping the current settings:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Reload when the config file changes (polled, so it also works on mounted volumes)
+     */
+    watchConfigFile() {
+        const { filePath, reload } = this.config;
+        if (!filePath || !reload.watch) return;
+
+        this.watchedFile = filePath;
+        fs.watchFile(filePath, { interval: reload.intervalMs }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) return;
+
+            // Editors often write a file in several steps
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = setTimeout(() => this.reloadConfig('config file changed'), 500);
+        });
+        logger.info(`Watching ${filePath} for changes`);
+    }
+
+    unwatchConfigFile() {
+        clearTimeout(this.reloadTimer);
+        if (this.watchedFile) {
+            fs.unwatchFile(this.watchedFile);
+            this.watchedFile = null;
+        }
     }
 
     /**
@@ -150,6 +212,12 @@ class Application {
             });
         });
 
+        // Reload the config file without restarting
+        process.on('SIGHUP', () => {
+            logger.info(`Received SIGHUP: ${this.getSignalDescription('SIGHUP')}`);
+            this.reloadConfig('SIGHUP');
+        });
+
         // Handle uncaught exceptions
         process.on('uncaughtException', async (error) => {
             logger.error('Uncaught Exception:', error);
@@ -158,8 +226,8 @@ class Application {
         });
 
         // Handle unhandled promise rejections
-        process.on('unhandledRejection', async (reason, promise) => {
-            logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
+        process.on('unhandledRejection', async (reason) => {
+            logger.error('Unhandled Rejection:', reason);
             await this.stop('Unhandled Rejection');
             process.exit(1);
         });
@@ -172,7 +240,8 @@ class Application {
         const descriptions = {
             'SIGINT': 'Interrupt Signal (Ctrl+C)',
             'SIGTERM': 'Termination Signal',
-            'SIGUSR2': 'User Signal 2 (nodemon restart)'
+            'SIGUSR2': 'User Signal 2 (nodemon restart)',
+            'SIGHUP': 'Hangup Signal (reload configuration)'
         };
         return descriptions[signal] || signal;
     }
@@ -192,14 +261,40 @@ class Application {
     }
 }
 
+/**
+ * Print the effective configuration (secrets redacted) and where it came from
+ */
+function printConfig() {
+    try {
+        const config = new Config();
+        const overrides = config.envOverrides();
+        const header = [
+            `# Config file: ${config.filePath || 'none (defaults and environment)'}`,
+            `# Environment overrides: ${overrides.length > 0 ? overrides.map(o => o.env).join(', ') : 'none'}`
+        ];
+
+        process.stdout.write(`${header.join('\n')}\n${YAML.stringify(config.redacted())}`);
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
 // Create and run the application
 async function main() {
+    if (process.argv.includes('--print-config')) {
+        printConfig();
+        return;
+    }
+
     const app = new Application();
 
     try {
         await app.initialize();
         await app.start();
     } catch (error) {
+        // Configuration problems are listed on the console, not only in the log
+        if (error.code === 'ECONFIG') console.error(error.message);
         logger.error('Failed to start application:', error);
         process.exit(1);
     }
@@ -0,0 +1,49 @@
+/**
+ * Signing key management for ip.json records
+ *
+ * Usage:
+ *   npm run keys -- generate [--force]   create the signing key (SIGNING_KEY_DIR)
+ *   npm run keys -- rotate               new key; the old one stays trusted for what it already signed
+ *   npm run keys -- public               print public-keys.json for consumers
+ */
+
+require('dotenv').config();
+
+const Config = require('./config/Config');
+const { generateKey, rotateKey, readPublicKeys } = require('./services/RecordSigner');
+
+const USAGE = 'Usage: node src/keys.js <generate [--force] | rotate | public>';
+
+const main = () => {
+    const [command, ...flags] = process.argv.slice(2);
+    const { keyDir } = new Config().signing;
+
+    switch (command) {
+        case 'generate': {
+            const { keyId, publicKey } = generateKey(keyDir, { force: flags.includes('--force') });
+            console.log(`Generated key ${keyId} in ${keyDir}`);
+            console.log(`Public key: ${publicKey}`);
+            break;
+        }
+        case 'rotate': {
+            const { previous, current } = rotateKey(keyDir);
+            console.log(`Retired key ${previous.keyId} at ${previous.retiredAt}`);
+            console.log(`Generated key ${current.keyId} in ${keyDir}`);
+            console.log('Distribute the updated public-keys.json to consumers');
+            break;
+        }
+        case 'public':
+            console.log(JSON.stringify(readPublicKeys(keyDir), null, 2));
+            break;
+        default:
+            console.error(USAGE);
+            process.exitCode = 1;
+    }
+};
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,182 @@
+/**
+ * Notifier Registry
+ * Holds the notification channels (Telegram, webhooks, email) and sends each
+ * monitor event to the channels subscribed to it, rate limited per channel
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { safeJsonParse, withRetry, RateLimiter } = require('../utils/helpers');
+const { logger } = require('../util');
+const { createNotifier, renderNotification } = require('./notifierTypes');
+
+class NotifierRegistry {
+    constructor(config) {
+        this.config = config.notifications;
+        this.channels = new Map();
+        this.hostname = os.hostname();
+    }
+
+    /**
+     * Load channels configured through env, then the notifiers file
+     */
+    load() {
+        const { path: notifiersPath, telegram, webhook, smtp } = this.config;
+
+        if (telegram.token && telegram.chatId) {
+            this.register({ name: 'telegram', type: 'telegram', ...telegram, source: 'env' });
+        }
+
+        if (webhook.url) {
+            this.register({ name: 'webhook', type: 'webhook', ...webhook, source: 'env' });
+        }
+
+        if (smtp.host) {
+            this.register({ name: 'email', type: 'smtp', ...smtp, source: 'env' });
+        }
+
+        if (notifiersPath) {
+            this.loadDefinitionsFile(notifiersPath);
+        }
+
+        return this;
+    }
+
+    /**
+     * Register a channel definition (merged over an existing one with the same name)
+     */
+    register(definition) {
+        const existing = this.channels.get(definition.name);
+        const merged = existing ? { ...existing.definition, ...definition } : definition;
+
+        const notifier = createNotifier(merged, { events: this.config.events });
+        const rateLimit = { ...this.config.rateLimit, ...(notifier.rateLimit || {}) };
+
+        this.channels.set(notifier.name, {
+            definition: merged,
+            notifier,
+            limiter: new RateLimiter(rateLimit.maxCalls, rateLimit.windowMs),
+            suppressed: 0,
+            lastResult: null
+        });
+
+        return notifier;
+    }
+
+    /**
+     * Load an array of notifier definitions from a JSON file
+     */
+    loadDefinitionsFile(filePath) {
+        const resolvedPath = path.resolve(filePath);
+
+        let content;
+        try {
+            content = fs.readFileSync(resolvedPath, 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read notifiers file ${resolvedPath}: ${error.message}`);
+        }
+
+        const data = safeJsonParse(content, null);
+        const definitions = Array.isArray(data) ? data : data && data.notifiers;
+        if (!Array.isArray(definitions)) {
+            throw new Error(`Notifiers file ${resolvedPath} must contain an array of notifiers`);
+        }
+
+        definitions.forEach(definition => this.register({ source: 'config', ...definition }));
+        logger.info(`Loaded ${definitions.length} notifier definitions from ${resolvedPath}`);
+    }
+
+    /**
+     * Send an event to every enabled channel subscribed to its type
+     * event: { type, title, summary, ...details }
+     * Never throws; returns { <name>: { type, sent, ... } }.
+     */
+    async notify(event) {
+        const full = { hostname: this.hostname, timestamp: new Date().toISOString(), ...event };
+
+        const entries = await Promise.all([...this.channels.values()]
+            .filter(channel => channel.notifier.enabled && channel.notifier.events.includes(full.type))
+            .map(async (channel) => [channel.notifier.name, await this.sendOne(channel, full)]));
+
+        return Object.fromEntries(entries);
+    }
+
+    /**
+     * Send to one channel unless its rate limit is used up
+     * Dropped notifications are counted and mentioned in the next one that goes out.
+     */
+    async sendOne(channel, event) {
+        const { notifier, limiter } = channel;
+        const startTime = Date.now();
+
+        if (!limiter.isAllowed()) {
+            channel.suppressed++;
+            logger.warn(`Notification ${event.type} to ${notifier.name} dropped by rate limit`);
+            channel.lastResult = { type: notifier.type, event: event.type, sent: false, reason: 'Rate limited', timestamp: new Date().toISOString() };
+            return channel.lastResult;
+        }
+
+        const notification = renderNotification(notifier, event);
+        if (channel.suppressed > 0) {
+            notification.text += `\n(${channel.suppressed} earlier notifications were dropped by the rate limit)`;
+        }
+
+        let attempts = 0;
+        try {
+            const result = await withRetry(
+                () => {
+                    attempts++;
+                    return notifier.send(notification);
+                },
+                notifier.maxRetries,
+                notifier.retryDelay,
+                error => error.retryable !== false
+            );
+
+            channel.suppressed = 0;
+            logger.info(`Sent ${event.type} notification to ${notifier.name} (${notifier.type})`);
+            channel.lastResult = {
+                type: notifier.type,
+                event: event.type,
+                sent: true,
+                ...result,
+                attempts,
+                duration: Date.now() - startTime,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            logger.error(`Notification to ${notifier.name} failed:`, error);
+            channel.lastResult = {
+                type: notifier.type,
+                event: event.type,
+                sent: false,
+                error: error.message,
+                code: error.code || null,
+                attempts,
+                duration: Date.now() - startTime,
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        return channel.lastResult;
+    }
+
+    /**
+     * Describe every channel with its rate limit and last result (for status output)
+     */
+    describe() {
+        return [...this.channels.values()].map(({ notifier, limiter, suppressed, lastResult }) => ({
+            name: notifier.name,
+            type: notifier.type,
+            enabled: notifier.enabled,
+            events: notifier.events,
+            source: notifier.source,
+            rateLimit: { maxCalls: limiter.maxCalls, windowMs: limiter.windowMs, ...limiter.getStatus() },
+            suppressed,
+            lastResult
+        }));
+    }
+}
+
+module.exports = NotifierRegistry;
@@ -0,0 +1,182 @@
+/**
+ * Notifier types
+ * Turns a declarative channel definition into an object with a send(notification) method
+ *
+ * Supported types:
+ * - telegram: Bot API sendMessage to one or more chats
+ * - webhook:  POST the notification as JSON, signed with HMAC-SHA256 when a secret is set
+ * - smtp:     plain-text email (implicit TLS or STARTTLS, AUTH PLAIN / LOGIN)
+ *
+ * Events: ip.changed, publish.failed, health.unhealthy, health.recovered
+ * The notification passed to send(), rendered from the event with the channel's templates:
+ * { type, title, subject, text, event }
+ */
+
+const axios = require('axios');
+const smtpClient = require('../utils/smtpClient');
+const { correlationHeaders } = require('../utils/context');
+const { renderTemplate, signatureHeaders, httpError, USER_AGENT } = require('../publishers/publisherTypes');
+
+const EVENT_TYPES = ['ip.changed', 'publish.failed', 'health.unhealthy', 'health.recovered'];
+
+const DEFAULT_TEMPLATE = '{{ title }} on {{ hostname }}\n{{ summary }}\n{{ timestamp }}';
+const DEFAULT_SUBJECT = '[ip-monitor] {{ title }}';
+
+/**
+ * Render an event with the channel's templates
+ * templates: { "<event type>": "..." } overrides template, which overrides the default
+ */
+const renderNotification = (definition, event) => {
+    const templates = definition.templates || {};
+    const template = templates[event.type] || definition.template || DEFAULT_TEMPLATE;
+
+    return {
+        type: event.type,
+        title: event.title,
+        subject: renderTemplate(definition.subject || DEFAULT_SUBJECT, event).trim(),
+        text: renderTemplate(template, event).trim(),
+        event
+    };
+};
+
+const telegram = (definition) => {
+    const chatIds = String(definition.chatId || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (!definition.token || chatIds.length === 0) {
+        throw new Error(`Notifier '${definition.name}' of type telegram needs a token and a chatId`);
+    }
+
+    const apiUrl = (definition.apiUrl || 'https://api.telegram.org').replace(/\/+$/, '');
+
+    return async (notification) => {
+        const messages = [];
+
+        for (const chatId of chatIds) {
+            try {
+                const response = await axios.post(`${apiUrl}/bot${definition.token}/sendMessage`, {
+                    chat_id: chatId,
+                    text: notification.text,
+                    disable_web_page_preview: true,
+                    ...(definition.parseMode ? { parse_mode: definition.parseMode } : {})
+                }, {
+                    headers: { 'User-Agent': USER_AGENT },
+                    timeout: definition.timeout
+                });
+                messages.push({ chatId, messageId: response.data && response.data.result ? response.data.result.message_id : null });
+            } catch (error) {
+                // Only the status and Telegram's description: the request URL carries the bot token
+                const description = error.response && error.response.data && error.response.data.description;
+                throw httpError(`Telegram sendMessage to ${chatId}`, {
+                    code: error.code,
+                    response: error.response,
+                    message: description || error.message
+                });
+            }
+        }
+
+        return { messages };
+    };
+};
+
+const webhook = (definition) => {
+    if (!definition.url) {
+        throw new Error(`Notifier '${definition.name}' of type webhook needs a url`);
+    }
+
+    return async (notification) => {
+        const body = JSON.stringify({
+            event: notification.type,
+            title: notification.title,
+            text: notification.text,
+            data: notification.event,
+            timestamp: notification.event.timestamp
+        });
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': USER_AGENT,
+            ...correlationHeaders(),
+            ...(definition.headers || {}),
+            ...(definition.secret ? signatureHeaders(definition.secret, body) : {})
+        };
+
+        try {
+            const response = await axios.post(definition.url, body, { headers, timeout: definition.timeout });
+            return { status: response.status };
+        } catch (error) {
+            throw httpError(`Notification webhook ${definition.url}`, error);
+        }
+    };
+};
+
+const smtp = (definition) => {
+    if (!definition.host || !definition.from || !definition.to) {
+        throw new Error(`Notifier '${definition.name}' of type smtp needs a host, from and to`);
+    }
+
+    return async (notification) => {
+        return smtpClient.sendMail({
+            host: definition.host,
+            port: definition.port || (definition.secure ? 465 : 587),
+            secure: Boolean(definition.secure),
+            startTls: definition.startTls || 'auto',
+            username: definition.username,
+            password: definition.password,
+            from: definition.from,
+            to: definition.to,
+            subject: notification.subject,
+            text: notification.text,
+            rejectUnauthorized: definition.rejectUnauthorized !== false,
+            timeout: definition.timeout
+        });
+    };
+};
+
+const notifierTypes = {
+    telegram,
+    webhook,
+    smtp
+};
+
+/**
+ * Build a notifier from a definition
+ * Definitions with their own send() function (custom modules) are used as-is.
+ */
+const createNotifier = (definition, defaults = {}) => {
+    if (!definition || !definition.name) {
+        throw new Error('Notifier definition needs a name');
+    }
+
+    const resolved = {
+        enabled: true,
+        events: EVENT_TYPES,
+        maxRetries: 3,
+        retryDelay: 1000,
+        timeout: 10000,
+        source: 'config',
+        ...defaults,
+        ...definition
+    };
+
+    const unknown = resolved.events.filter(type => !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+        throw new Error(`Notifier '${resolved.name}' subscribes to unknown events: ${unknown.join(', ')}`);
+    }
+
+    if (typeof resolved.send === 'function') {
+        return { ...resolved, type: resolved.type || 'custom' };
+    }
+
+    const factory = notifierTypes[resolved.type];
+    if (!factory) {
+        throw new Error(`Notifier '${resolved.name}' has unknown type ${resolved.type}`);
+    }
+
+    return { ...resolved, send: factory(resolved) };
+};
+
+module.exports = {
+    createNotifier,
+    renderNotification,
+    notifierTypes,
+    EVENT_TYPES
+};
@@ -0,0 +1,152 @@
+/**
+ * Provider Registry
+ * Holds the IP detection providers: built-ins, definitions from a JSON file,
+ * and custom provider modules loaded from a directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { safeJsonParse } = require('../utils/helpers');
+const { logger } = require('../util');
+const { createProvider } = require('./providerTypes');
+const defaultProviders = require('./defaultProviders');
+
+class ProviderRegistry {
+    constructor(config) {
+        this.config = config;
+        this.timeout = config.ipMonitor.timeout;
+        this.dnsTimeout = config.ipMonitor.detection.dnsTimeout;
+        this.providers = new Map();
+    }
+
+    /**
+     * Load built-ins, then the providers file, then the modules directory
+     */
+    load() {
+        const { providersPath, providersDir } = this.config.ipMonitor.detection;
+
+        defaultProviders.forEach(definition => this.register({ ...definition, source: 'builtin' }));
+        this.applyGatewaySettings();
+
+        if (providersPath) {
+            this.loadDefinitionsFile(providersPath);
+        }
+
+        if (providersDir) {
+            this.loadDirectory(providersDir);
+        }
+
+        return this;
+    }
+
+    /**
+     * Register a provider definition
+     * A definition with an existing name is merged over the previous one,
+     * so config can tweak a built-in ({ "name": "HTTPBin", "enabled": false }).
+     */
+    register(definition) {
+        const existing = this.providers.get(definition.name);
+        const merged = existing ? { ...existing.definition, ...definition } : definition;
+
+        const provider = createProvider(merged, { timeout: this.timeout, dnsTimeout: this.dnsTimeout });
+        this.providers.set(provider.name, { definition: merged, provider });
+
+        return provider;
+    }
+
+    /**
+     * Apply gateway / interface settings from config to the built-in local providers
+     */
+    applyGatewaySettings() {
+        const { upnpLocation, natPmpGateway, interfaceName, publicOnly } = this.config.ipMonitor.detection.gateway;
+
+        if (upnpLocation) this.register({ name: 'UPnP IGD', location: upnpLocation });
+        if (natPmpGateway) this.register({ name: 'NAT-PMP', gateway: natPmpGateway });
+
+        ['Interface', 'Interface v6'].forEach(name => {
+            this.register({ name, interface: interfaceName || undefined, publicOnly });
+        });
+    }
+
+    /**
+     * Load an array of provider definitions from a JSON file
+     */
+    loadDefinitionsFile(filePath) {
+        const resolvedPath = path.resolve(filePath);
+
+        let content;
+        try {
+            content = fs.readFileSync(resolvedPath, 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read providers file ${resolvedPath}: ${error.message}`);
+        }
+
+        const data = safeJsonParse(content, null);
+        const definitions = Array.isArray(data) ? data : data && data.providers;
+        if (!Array.isArray(definitions)) {
+            throw new Error(`Providers file ${resolvedPath} must contain an array of providers`);
+        }
+
+        definitions.forEach(definition => this.register({ source: 'config', ...definition }));
+        logger.info(`Loaded ${definitions.length} provider definitions from ${resolvedPath}`);
+    }
+
+    /**
+     * Load custom provider modules from a directory
+     * Each .js file exports a definition (with detect() or a declarative type),
+     * an array of definitions, or a factory (context) => definition(s).
+     */
+    loadDirectory(dirPath) {
+        const resolvedDir = path.resolve(dirPath);
+
+        let files;
+        try {
+            files = fs.readdirSync(resolvedDir).filter(file => file.endsWith('.js')).sort();
+        } catch (error) {
+            throw new Error(`Cannot read providers directory ${resolvedDir}: ${error.message}`);
+        }
+
+        const context = { config: this.config, timeout: this.timeout, logger };
+
+        for (const file of files) {
+            const modulePath = path.join(resolvedDir, file);
+            const exported = require(modulePath);
+            const resolved = typeof exported === 'function' ? exported(context) : exported;
+            const definitions = Array.isArray(resolved) ? resolved : [resolved];
+
+            definitions.forEach(definition => this.register({ source: modulePath, ...definition }));
+            logger.info(`Loaded custom provider module ${file}`);
+        }
+    }
+
+    /**
+     * Get enabled providers, optionally filtered by family, scope and names, in priority order
+     */
+    getProviders({ family, scope, names } = {}) {
+        return [...this.providers.values()]
+            .map(entry => entry.provider)
+            .filter(provider => provider.enabled)
+            .filter(provider => !family || provider.family === family)
+            .filter(provider => !scope || provider.scope === scope)
+            .filter(provider => !names || names.includes(provider.name))
+            .sort((a, b) => a.priority - b.priority);
+    }
+
+    /**
+     * Describe every registered provider (for status output)
+     */
+    describe() {
+        return [...this.providers.values()].map(({ provider }) => ({
+            name: provider.name,
+            type: provider.type,
+            family: provider.family,
+            scope: provider.scope,
+            priority: provider.priority,
+            timeout: provider.timeout,
+            enabled: provider.enabled,
+            source: provider.source
+        }));
+    }
+}
+
+module.exports = ProviderRegistry;
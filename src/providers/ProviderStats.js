@@ -0,0 +1,238 @@
+/**
+ * Provider Statistics
+ * Per-provider reliability counters, latency percentiles and circuit breaker state,
+ * persisted to a JSON file so they survive restarts
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { safeJsonParse } = require('../utils/helpers');
+const { logger } = require('../util');
+
+const LATENCY_SAMPLES = 100;
+const FAILURE_TIMESTAMPS = 20;
+const SAVE_DELAY = 1000;
+
+/**
+ * Classify a detection error as 'timeout', 'invalid' or 'failure'
+ */
+const classifyError = (error) => {
+    const code = error && (error.code || (error.cause && error.cause.code));
+    if (code === 'ETIMEDOUT' || code === 'ECONNABORTED' || /timed? ?out|timeout/i.test(error.message)) {
+        return 'timeout';
+    }
+    if (code === 'EINVALIDRESPONSE') {
+        return 'invalid';
+    }
+    return 'failure';
+};
+
+/**
+ * Nearest-rank percentile of a list of numbers
+ */
+const percentile = (values, p) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length) - 1;
+    return sorted[Math.min(Math.max(rank, 0), sorted.length - 1)];
+};
+
+const createEntry = () => ({
+    success: 0,
+    failure: 0,
+    timeout: 0,
+    invalidResponse: 0,
+    consecutiveFailures: 0,
+    recentFailures: [],
+    latencies: [],
+    lastError: null,
+    lastErrorAt: null,
+    lastSuccessAt: null,
+    circuitOpenUntil: null
+});
+
+class ProviderStats {
+    constructor(config) {
+        const detection = config.ipMonitor.detection;
+        this.filePath = detection.statsPath;
+        this.adaptive = detection.adaptive;
+        this.entries = {};
+        this.saveTimer = null;
+    }
+
+    /**
+     * Load persisted statistics (missing or corrupt files start empty)
+     */
+    async load() {
+        if (!this.filePath) return this;
+
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            const data = safeJsonParse(content, {});
+            for (const [name, entry] of Object.entries(data.providers || {})) {
+                this.entries[name] = { ...createEntry(), ...entry };
+            }
+            logger.info(`Loaded provider statistics for ${Object.keys(this.entries).length} providers`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`Could not load provider statistics: ${error.message}`);
+            }
+        }
+
+        return this;
+    }
+
+    getEntry(name) {
+        if (!this.entries[name]) {
+            this.entries[name] = createEntry();
+        }
+        return this.entries[name];
+    }
+
+    /**
+     * Record a successful detection
+     */
+    recordSuccess(name, latencyMs) {
+        const entry = this.getEntry(name);
+        entry.success++;
+        entry.consecutiveFailures = 0;
+        entry.circuitOpenUntil = null;
+        entry.lastSuccessAt = Date.now();
+        entry.latencies = entry.latencies.concat(latencyMs).slice(-LATENCY_SAMPLES);
+        this.scheduleSave();
+    }
+
+    /**
+     * Record a failed detection; opens the circuit after too many consecutive failures
+     */
+    recordFailure(name, error, latencyMs) {
+        const entry = this.getEntry(name);
+        const kind = classifyError(error);
+        const now = Date.now();
+
+        if (kind === 'timeout') entry.timeout++;
+        else if (kind === 'invalid') entry.invalidResponse++;
+        else entry.failure++;
+
+        entry.consecutiveFailures++;
+        entry.recentFailures = entry.recentFailures.concat(now).slice(-FAILURE_TIMESTAMPS);
+        entry.latencies = entry.latencies.concat(latencyMs).slice(-LATENCY_SAMPLES);
+        entry.lastError = { kind, message: error.message };
+        entry.lastErrorAt = now;
+
+        const { failureThreshold, cooldownMs } = this.adaptive;
+        if (this.adaptive.enabled && entry.consecutiveFailures >= failureThreshold) {
+            entry.circuitOpenUntil = now + cooldownMs;
+            logger.warn(`Circuit opened for ${name} after ${entry.consecutiveFailures} consecutive failures`);
+        }
+
+        this.scheduleSave();
+        return kind;
+    }
+
+    /**
+     * Whether a provider is currently skipped by its circuit breaker
+     * After the cooldown the circuit is half-open: one attempt decides.
+     */
+    isCircuitOpen(name) {
+        const entry = this.entries[name];
+        return Boolean(entry && entry.circuitOpenUntil && entry.circuitOpenUntil > Date.now());
+    }
+
+    /**
+     * Priority adjusted for failures inside the adaptive window
+     */
+    getEffectivePriority(provider) {
+        if (!this.adaptive.enabled) return provider.priority;
+
+        const entry = this.entries[provider.name];
+        if (!entry) return provider.priority;
+
+        const since = Date.now() - this.adaptive.windowMs;
+        const recent = entry.recentFailures.filter(timestamp => timestamp >= since).length;
+        return provider.priority + recent * this.adaptive.demotionStep;
+    }
+
+    /**
+     * Order providers for a cycle: demote recent failures, skip open circuits
+     * If every circuit is open the providers are tried anyway rather than giving up.
+     */
+    arrange(providers) {
+        if (!this.adaptive.enabled) return providers;
+
+        const ordered = [...providers].sort((a, b) => this.getEffectivePriority(a) - this.getEffectivePriority(b));
+        const available = ordered.filter(provider => !this.isCircuitOpen(provider.name));
+
+        return available.length > 0 ? available : ordered;
+    }
+
+    /**
+     * Snapshot of one provider for status output
+     */
+    describe(name) {
+        const entry = this.getEntry(name);
+        const attempts = entry.success + entry.failure + entry.timeout + entry.invalidResponse;
+
+        return {
+            success: entry.success,
+            failure: entry.failure,
+            timeout: entry.timeout,
+            invalidResponse: entry.invalidResponse,
+            attempts,
+            successRate: attempts > 0 ? Math.round((entry.success / attempts) * 1000) / 1000 : null,
+            consecutiveFailures: entry.consecutiveFailures,
+            latencyMs: {
+                p50: percentile(entry.latencies, 50),
+                p90: percentile(entry.latencies, 90),
+                p99: percentile(entry.latencies, 99),
+                samples: entry.latencies.length
+            },
+            lastError: entry.lastError,
+            lastErrorAt: entry.lastErrorAt,
+            lastSuccessAt: entry.lastSuccessAt,
+            circuitOpen: this.isCircuitOpen(name),
+            circuitOpenUntil: entry.circuitOpenUntil
+        };
+    }
+
+    /**
+     * Persist shortly after the last change, batching bursts of records
+     */
+    scheduleSave() {
+        if (!this.filePath || this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => logger.warn(`Could not save provider statistics: ${error.message}`));
+        }, SAVE_DELAY);
+
+        if (this.saveTimer.unref) this.saveTimer.unref();
+    }
+
+    /**
+     * Write statistics atomically (temp file + rename)
+     */
+    async save() {
+        if (!this.filePath) return;
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify({ updatedAt: new Date().toISOString(), providers: this.entries }, null, 2), 'utf8');
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    /**
+     * Flush pending writes (used on shutdown)
+     */
+    async flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        await this.save();
+    }
+}
+
+module.exports = ProviderStats;
+module.exports.classifyError = classifyError;
+module.exports.percentile = percentile;
@@ -0,0 +1,136 @@
+/**
+ * Built-in IP detection providers
+ * Lower priority runs first; each address family and scope has its own chain.
+ * DNS providers use Node's resolver (or the wire client for CHAOS), so no dig binary is needed.
+ */
+
+module.exports = [
+    {
+        name: 'Google DNS',
+        type: 'dns',
+        family: 'ipv4',
+        hostname: 'o-o.myaddr.l.google.com',
+        recordType: 'TXT',
+        servers: ['ns1.google.com'],
+        priority: 1
+    },
+    {
+        name: 'Cloudflare DNS',
+        type: 'dns',
+        family: 'ipv4',
+        hostname: 'whoami.cloudflare',
+        recordType: 'TXT',
+        recordClass: 'CH',
+        servers: ['1.1.1.1', '1.0.0.1'],
+        priority: 2
+    },
+    {
+        name: 'OpenDNS',
+        type: 'dns',
+        family: 'ipv4',
+        hostname: 'myip.opendns.com',
+        recordType: 'A',
+        servers: ['resolver1.opendns.com'],
+        priority: 3
+    },
+    {
+        name: 'IPify API',
+        type: 'http-text',
+        family: 'ipv4',
+        url: 'https://api.ipify.org?format=text',
+        priority: 4
+    },
+    {
+        name: 'AWS CheckIP',
+        type: 'http-text',
+        family: 'ipv4',
+        url: 'https://checkip.amazonaws.com',
+        priority: 5
+    },
+    {
+        name: 'HTTPBin',
+        type: 'http-json',
+        family: 'ipv4',
+        url: 'https://httpbin.org/ip',
+        field: 'origin',
+        parser: 'first-csv',
+        priority: 6
+    },
+    {
+        name: 'ICanHazIP',
+        type: 'http-text',
+        family: 'ipv4',
+        url: 'https://ipv4.icanhazip.com',
+        priority: 7
+    },
+    {
+        name: 'Google DNS v6',
+        type: 'dns',
+        family: 'ipv6',
+        hostname: 'o-o.myaddr.l.google.com',
+        recordType: 'TXT',
+        servers: ['ns1.google.com'],
+        priority: 1
+    },
+    {
+        name: 'Cloudflare DNS v6',
+        type: 'dns',
+        family: 'ipv6',
+        hostname: 'whoami.cloudflare',
+        recordType: 'TXT',
+        recordClass: 'CH',
+        servers: ['2606:4700:4700::1111', '2606:4700:4700::1001'],
+        priority: 2
+    },
+    {
+        name: 'OpenDNS v6',
+        type: 'dns',
+        family: 'ipv6',
+        hostname: 'myip.opendns.com',
+        recordType: 'AAAA',
+        servers: ['resolver1.opendns.com'],
+        priority: 3
+    },
+    {
+        name: 'IPify API v6',
+        type: 'http-text',
+        family: 'ipv6',
+        url: 'https://api6.ipify.org?format=text',
+        priority: 4
+    },
+    {
+        name: 'ICanHazIP v6',
+        type: 'http-text',
+        family: 'ipv6',
+        url: 'https://ipv6.icanhazip.com',
+        priority: 5
+    },
+    {
+        name: 'UPnP IGD',
+        type: 'upnp',
+        scope: 'gateway',
+        family: 'ipv4',
+        priority: 1
+    },
+    {
+        name: 'NAT-PMP',
+        type: 'natpmp',
+        scope: 'gateway',
+        family: 'ipv4',
+        priority: 2
+    },
+    {
+        name: 'Interface',
+        type: 'interface',
+        scope: 'interface',
+        family: 'ipv4',
+        priority: 1
+    },
+    {
+        name: 'Interface v6',
+        type: 'interface',
+        scope: 'interface',
+        family: 'ipv6',
+        priority: 1
+    }
+];
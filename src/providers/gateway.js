@@ -0,0 +1,213 @@
+/**
+ * Gateway and local interface address detection
+ * Reads the WAN address from the router (UPnP IGD, NAT-PMP) or reports
+ * addresses of local network interfaces, without asking third-party services
+ */
+
+const axios = require('axios');
+const dgram = require('dgram');
+const fs = require('fs').promises;
+const os = require('os');
+const { cleanString } = require('../utils/helpers');
+
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+const IGD_SEARCH_TARGET = 'urn:schemas-upnp-org:device:InternetGatewayDevice:1';
+const WAN_SERVICE_PATTERN = /urn:schemas-upnp-org:service:WAN(IP|PPP)Connection:\d/;
+const NATPMP_PORT = 5351;
+
+/**
+ * Discover an IGD via SSDP M-SEARCH and return its description URL (LOCATION header)
+ */
+const discoverIgd = ({ ssdpAddress = SSDP_ADDRESS, ssdpPort = SSDP_PORT, timeout = 3000 } = {}) => {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket('udp4');
+        const request = Buffer.from([
+            'M-SEARCH * HTTP/1.1',
+            `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+            'MAN: "ssdp:discover"',
+            'MX: 2',
+            `ST: ${IGD_SEARCH_TARGET}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        const finish = (error, location) => {
+            clearTimeout(timer);
+            socket.close();
+            if (error) reject(error);
+            else resolve(location);
+        };
+
+        const timer = setTimeout(() => {
+            const error = new Error(`No UPnP gateway answered within ${timeout}ms`);
+            error.code = 'ETIMEDOUT';
+            finish(error);
+        }, timeout);
+
+        socket.on('error', finish);
+        socket.on('message', (message) => {
+            const match = message.toString().match(/^location:\s*(.+)$/im);
+            if (match) finish(null, match[1].trim());
+        });
+
+        socket.send(request, ssdpPort, ssdpAddress, (error) => {
+            if (error) finish(error);
+        });
+    });
+};
+
+/**
+ * Find the WANIPConnection / WANPPPConnection control URL in a device description
+ */
+const findWanService = (descriptionXml, location) => {
+    const services = descriptionXml.match(/<service>[\s\S]*?<\/service>/g) || [];
+
+    for (const service of services) {
+        const typeMatch = service.match(/<serviceType>\s*([^<]+?)\s*<\/serviceType>/);
+        const controlMatch = service.match(/<controlURL>\s*([^<]+?)\s*<\/controlURL>/);
+
+        if (typeMatch && controlMatch && WAN_SERVICE_PATTERN.test(typeMatch[1])) {
+            const baseMatch = descriptionXml.match(/<URLBase>\s*([^<]+?)\s*<\/URLBase>/);
+            const base = baseMatch ? baseMatch[1] : location;
+            return {
+                serviceType: typeMatch[1],
+                controlUrl: new URL(controlMatch[1], base).toString()
+            };
+        }
+    }
+
+    throw new Error('Gateway description has no WANIPConnection or WANPPPConnection service');
+};
+
+/**
+ * Ask the IGD for its external address with the GetExternalIPAddress SOAP action
+ */
+const getUpnpExternalIp = async ({ controlUrl, serviceType }, timeout) => {
+    const body = '<?xml version="1.0"?>' +
+        '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">' +
+        `<s:Body><u:GetExternalIPAddress xmlns:u="${serviceType}"></u:GetExternalIPAddress></s:Body>` +
+        '</s:Envelope>';
+
+    const response = await axios.post(controlUrl, body, {
+        timeout,
+        responseType: 'text',
+        headers: {
+            'Content-Type': 'text/xml; charset="utf-8"',
+            'SOAPAction': `"${serviceType}#GetExternalIPAddress"`
+        }
+    });
+
+    const match = String(response.data).match(/<NewExternalIPAddress>\s*([^<]*?)\s*<\/NewExternalIPAddress>/);
+    if (!match || !match[1]) {
+        const error = new Error('Gateway did not return NewExternalIPAddress');
+        error.code = 'EINVALIDRESPONSE';
+        throw error;
+    }
+
+    return cleanString(match[1]);
+};
+
+/**
+ * Read the IPv4 default gateway from /proc/net/route (Linux)
+ */
+const getDefaultGateway = async () => {
+    let content;
+    try {
+        content = await fs.readFile('/proc/net/route', 'utf8');
+    } catch (error) {
+        throw new Error('Cannot determine default gateway on this platform; set GATEWAY_ADDRESS');
+    }
+
+    for (const line of content.split('\n').slice(1)) {
+        const [, destination, gateway] = line.trim().split(/\s+/);
+        if (destination === '00000000' && gateway && gateway !== '00000000') {
+            // Little-endian hex, e.g. 0101A8C0 -> 192.168.1.1
+            const bytes = gateway.match(/../g).map(byte => parseInt(byte, 16)).reverse();
+            return bytes.join('.');
+        }
+    }
+
+    throw new Error('No default gateway found in /proc/net/route');
+};
+
+/**
+ * Ask the gateway for its external address with NAT-PMP (RFC 6886, opcode 0)
+ */
+const getNatPmpExternalIp = ({ gateway, port = NATPMP_PORT, timeout = 3000 }) => {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket('udp4');
+
+        const finish = (error, ip) => {
+            clearTimeout(timer);
+            socket.close();
+            if (error) reject(error);
+            else resolve(ip);
+        };
+
+        const timer = setTimeout(() => {
+            const error = new Error(`NAT-PMP gateway ${gateway} did not answer within ${timeout}ms`);
+            error.code = 'ETIMEDOUT';
+            finish(error);
+        }, timeout);
+
+        socket.on('error', finish);
+        socket.on('message', (message) => {
+            if (message.length < 12 || message[0] !== 0 || message[1] !== 128) return;
+
+            const resultCode = message.readUInt16BE(2);
+            if (resultCode !== 0) {
+                finish(new Error(`NAT-PMP gateway returned result code ${resultCode}`));
+                return;
+            }
+
+            finish(null, Array.from(message.subarray(8, 12)).join('.'));
+        });
+
+        socket.send(Buffer.from([0, 0]), port, gateway, (error) => {
+            if (error) finish(error);
+        });
+    });
+};
+
+/**
+ * Whether an address is private, loopback or link-local
+ */
+const isPrivateAddress = (address, family) => {
+    if (family === 'ipv4') {
+        return /^(10\.|127\.|169\.254\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])\.)/.test(address);
+    }
+    return /^(::1$|fe[89ab][0-9a-f]:|f[cd][0-9a-f]{2}:)/i.test(address);
+};
+
+/**
+ * Get the first non-internal address of a family from os.networkInterfaces()
+ */
+const getInterfaceAddress = ({ family, interfaceName = null, publicOnly = false }) => {
+    const interfaces = os.networkInterfaces();
+    const names = interfaceName ? [interfaceName] : Object.keys(interfaces);
+
+    for (const name of names) {
+        for (const entry of interfaces[name] || []) {
+            // Node 18.0-18.3 reports family as a number
+            const entryFamily = entry.family === 'IPv4' || entry.family === 4 ? 'ipv4' : 'ipv6';
+            if (entryFamily !== family || entry.internal) continue;
+            if (family === 'ipv6' && /^fe80:/i.test(entry.address)) continue;
+            if (publicOnly && isPrivateAddress(entry.address, family)) continue;
+            return entry.address;
+        }
+    }
+
+    const scope = interfaceName ? `interface ${interfaceName}` : 'any interface';
+    throw new Error(`No ${publicOnly ? 'public ' : ''}${family} address on ${scope}`);
+};
+
+module.exports = {
+    discoverIgd,
+    findWanService,
+    getUpnpExternalIp,
+    getDefaultGateway,
+    getNatPmpExternalIp,
+    getInterfaceAddress,
+    isPrivateAddress
+};
@@ -0,0 +1,325 @@
+/**
+ * Provider types for IP detection
+ * Turns a declarative provider definition into an object with a detect() method
+ *
+ * Supported types:
+ * - http-text: GET a URL and parse the body as text
+ * - http-json: GET a URL and read the IP from a field path ("origin", "data.ip")
+ * - dns:       TXT / A / AAAA lookup against specific resolvers (class IN or CH)
+ * - command:   run a shell command and parse its stdout
+ * - upnp:      WAN address from a UPnP Internet Gateway Device      (scope "gateway")
+ * - natpmp:    WAN address from a NAT-PMP gateway                   (scope "gateway")
+ * - interface: address of a local network interface                 (scope "interface")
+ */
+
+const axios = require('axios');
+const dns = require('dns');
+const net = require('net');
+const { executeCommand, cleanString, withTimeout, normalizeIp, getIpFamily, getFieldPath } = require('../utils/helpers');
+const dnsClient = require('../utils/dnsClient');
+const gateway = require('./gateway');
+
+const FAMILY_NUMBERS = { ipv4: 4, ipv6: 6 };
+const USER_AGENT = 'ip-monitor/1.0';
+
+/**
+ * Error for a response that arrived but did not contain a usable IP
+ */
+const invalidResponse = (message) => {
+    const error = new Error(message);
+    error.code = 'EINVALIDRESPONSE';
+    return error;
+};
+
+/**
+ * Response parsers, selected by definition.parser
+ */
+const parsers = {
+    text: (value) => cleanString(String(value)),
+    'first-line': (value) => cleanString(String(value).split(/\r?\n/).find(line => line.trim()) || ''),
+    'first-csv': (value) => cleanString(String(value).split(',')[0])
+};
+
+/**
+ * Resolve a parser from a definition ("text", "first-line", "first-csv" or { regex })
+ */
+const getParser = (parser = 'text') => {
+    if (typeof parser === 'function') return parser;
+
+    if (parser && typeof parser === 'object' && parser.regex) {
+        const regex = new RegExp(parser.regex);
+        return (value) => {
+            const match = String(value).match(regex);
+            if (!match) throw invalidResponse(`Response did not match ${parser.regex}`);
+            return cleanString(match[1] || match[0]);
+        };
+    }
+
+    if (!parsers[parser]) {
+        throw new Error(`Unknown parser: ${parser}`);
+    }
+
+    return parsers[parser];
+};
+
+const httpText = (definition) => {
+    const parse = getParser(definition.parser);
+
+    return async () => {
+        const response = await axios.get(definition.url, {
+            timeout: definition.timeout,
+            family: FAMILY_NUMBERS[definition.family],
+            responseType: 'text',
+            headers: {
+                'User-Agent': USER_AGENT,
+                ...definition.headers
+            }
+        });
+        return parse(response.data);
+    };
+};
+
+const httpJson = (definition) => {
+    if (!definition.field) {
+        throw new Error(`Provider '${definition.name}' of type http-json needs a field path`);
+    }
+    const parse = getParser(definition.parser);
+
+    return async () => {
+        const response = await axios.get(definition.url, {
+            timeout: definition.timeout,
+            family: FAMILY_NUMBERS[definition.family],
+            headers: {
+                'Accept': 'application/json',
+                'User-Agent': USER_AGENT,
+                ...definition.headers
+            }
+        });
+
+        const value = getFieldPath(response.data, definition.field);
+        if (value === undefined || value === null) {
+            throw invalidResponse(`Field '${definition.field}' missing from response`);
+        }
+        return parse(value);
+    };
+};
+
+/**
+ * Split a resolver entry into host and port ("1.1.1.1", "ns1.google.com:53", "[2606:4700::1111]:53")
+ */
+const parseServer = (entry) => {
+    const value = String(entry).trim();
+    const bracketed = value.match(/^\[([^\]]+)\](?::(\d+))?$/);
+    if (bracketed) return { host: bracketed[1], port: parseInt(bracketed[2]) || 53 };
+    if (net.isIPv6(value)) return { host: value, port: 53 };
+
+    const [host, port] = value.split(':');
+    return { host, port: parseInt(port) || 53 };
+};
+
+/**
+ * Resolve resolver hostnames to an address of the provider's family,
+ * so the query itself travels over IPv4 or IPv6 as intended
+ */
+const resolveServers = async (servers, family) => {
+    const resolved = [];
+    for (const entry of servers) {
+        const { host, port } = parseServer(entry);
+        const address = net.isIP(host)
+            ? host
+            : (await dns.promises.lookup(host, { family: FAMILY_NUMBERS[family] })).address;
+        resolved.push({ host: address, port });
+    }
+    return resolved;
+};
+
+/**
+ * Format a resolved server for dns.Resolver#setServers
+ */
+const formatServer = ({ host, port }) => {
+    if (port === 53) return host;
+    return net.isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`;
+};
+
+/**
+ * Pick the first record that is an IP of the wanted family, else parse the first record
+ */
+const pickRecord = (records, family, parse) => {
+    for (const record of records) {
+        const value = parse(record);
+        const ip = normalizeIp(value, { unmapIpv4: true });
+        if (ip && getIpFamily(ip) === family) return value;
+    }
+    return parse(records[0]);
+};
+
+const dnsLookup = (definition) => {
+    const recordType = (definition.recordType || 'TXT').toUpperCase();
+    const recordClass = (definition.recordClass || 'IN').toUpperCase();
+    if (!['TXT', 'A', 'AAAA'].includes(recordType)) {
+        throw new Error(`Provider '${definition.name}' has unsupported record type ${recordType}`);
+    }
+    if (!['IN', 'CH'].includes(recordClass)) {
+        throw new Error(`Provider '${definition.name}' has unsupported record class ${recordClass}`);
+    }
+    if (!definition.hostname) {
+        throw new Error(`Provider '${definition.name}' of type dns needs a hostname`);
+    }
+    const parse = getParser(definition.parser);
+    const servers = Array.isArray(definition.servers) ? definition.servers : [];
+
+    // Node's resolver only speaks class IN; CHAOS queries go through the wire client
+    const queryChaos = async (resolved) => {
+        if (resolved.length === 0) {
+            throw new Error(`Provider '${definition.name}' needs servers for class ${recordClass}`);
+        }
+
+        let lastError;
+        for (const { host, port } of resolved) {
+            try {
+                return await dnsClient.query({
+                    server: host,
+                    port,
+                    name: definition.hostname,
+                    type: recordType,
+                    recordClass,
+                    timeout: definition.timeout
+                });
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError;
+    };
+
+    const queryInternet = async (resolved) => {
+        const resolver = new dns.promises.Resolver({ timeout: definition.timeout, tries: 1 });
+        if (resolved.length > 0) {
+            resolver.setServers(resolved.map(formatServer));
+        }
+
+        const lookup = recordType === 'TXT'
+            ? resolver.resolveTxt(definition.hostname).then(records => records.map(chunks => chunks.join('')))
+            : resolver.resolve(definition.hostname, recordType);
+
+        try {
+            return await withTimeout(lookup, definition.timeout, `DNS lookup timed out after ${definition.timeout}ms`);
+        } finally {
+            resolver.cancel();
+        }
+    };
+
+    return async () => {
+        const resolved = await resolveServers(servers, definition.family);
+        const records = recordClass === 'IN'
+            ? await queryInternet(resolved)
+            : await queryChaos(resolved);
+
+        if (!records || records.length === 0) {
+            throw invalidResponse(`No ${recordType} records for ${definition.hostname}`);
+        }
+        return pickRecord(records, definition.family, parse);
+    };
+};
+
+const command = (definition) => {
+    if (!definition.command) {
+        throw new Error(`Provider '${definition.name}' of type command needs a command`);
+    }
+    const parse = getParser(definition.parser);
+
+    return async () => {
+        const stdout = await executeCommand(definition.command, { timeout: definition.timeout });
+        return parse(stdout);
+    };
+};
+
+const upnp = (definition) => {
+    // The control URL is discovered once and reused until a request fails
+    let service = null;
+
+    return async () => {
+        try {
+            if (!service) {
+                const location = definition.location || await gateway.discoverIgd({
+                    ssdpAddress: definition.ssdpAddress,
+                    ssdpPort: definition.ssdpPort,
+                    timeout: definition.searchTimeout || definition.timeout
+                });
+                const description = await axios.get(location, { timeout: definition.timeout, responseType: 'text' });
+                service = gateway.findWanService(String(description.data), location);
+            }
+            return await gateway.getUpnpExternalIp(service, definition.timeout);
+        } catch (error) {
+            service = null;
+            throw error;
+        }
+    };
+};
+
+const natpmp = (definition) => {
+    return async () => {
+        const address = definition.gateway || await gateway.getDefaultGateway();
+        return gateway.getNatPmpExternalIp({ gateway: address, port: definition.port, timeout: definition.timeout });
+    };
+};
+
+const networkInterface = (definition) => {
+    return async () => gateway.getInterfaceAddress({
+        family: definition.family,
+        interfaceName: definition.interface || null,
+        publicOnly: Boolean(definition.publicOnly)
+    });
+};
+
+const providerTypes = {
+    'http-text': httpText,
+    'http-json': httpJson,
+    dns: dnsLookup,
+    command,
+    upnp,
+    natpmp,
+    interface: networkInterface
+};
+
+/**
+ * Build a provider from a definition
+ * Definitions with their own detect() function (custom modules) are used as-is.
+ * dns providers default to defaults.dnsTimeout, everything else to defaults.timeout.
+ */
+const createProvider = (definition, defaults = {}) => {
+    if (!definition || !definition.name) {
+        throw new Error('Provider definition needs a name');
+    }
+
+    const resolved = {
+        family: 'ipv4',
+        scope: 'public',
+        priority: 100,
+        enabled: true,
+        timeout: (definition.type === 'dns' && defaults.dnsTimeout) || defaults.timeout,
+        source: 'config',
+        ...definition
+    };
+
+    if (!FAMILY_NUMBERS[resolved.family]) {
+        throw new Error(`Provider '${resolved.name}' has unsupported family ${resolved.family}`);
+    }
+
+    if (typeof resolved.detect === 'function') {
+        return { ...resolved, type: resolved.type || 'custom' };
+    }
+
+    const factory = providerTypes[resolved.type];
+    if (!factory) {
+        throw new Error(`Provider '${resolved.name}' has unknown type ${resolved.type}`);
+    }
+
+    return { ...resolved, detect: factory(resolved) };
+};
+
+module.exports = {
+    createProvider,
+    providerTypes,
+    parsers
+};
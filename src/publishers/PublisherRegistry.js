@@ -0,0 +1,312 @@
+/**
+ * Publisher Registry
+ * Holds the backends a detected IP change is published to (git, webhooks,
+ * files, gists, dynamic DNS) and fans each change out to all of them
+ *
+ * What each publisher last published, and its last result, is persisted to a JSON
+ * file so publishers that failed or fell behind ip.json are retried on later checks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { safeJsonParse, withRetry, ipsEqual } = require('../utils/helpers');
+const { metrics } = require('../utils/metrics');
+const { logger } = require('../util');
+const { createPublisher } = require('./publisherTypes');
+
+const publishFailures = metrics.counter(
+    'ip_monitor_publish_failures_total',
+    'Publishes that failed after all retries, by publisher',
+    ['publisher', 'type']
+);
+
+/**
+ * Whether two { <target>: { ipv4, ipv6 } } maps hold the same addresses
+ */
+const sameTargets = (a = {}, b = {}) => {
+    const names = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...names].every(name => ['ipv4', 'ipv6'].every(family => {
+        const ipA = (a[name] || {})[family] || null;
+        const ipB = (b[name] || {})[family] || null;
+        return ipA === ipB || ipsEqual(ipA, ipB);
+    }));
+};
+
+/**
+ * Key of a published record: "<name>/<type>" for DNS RRsets, the hostname otherwise
+ */
+const recordKey = (record) => (record.type ? `${record.name}/${record.type}` : record.name);
+
+class PublisherRegistry {
+    constructor(config, { gitService } = {}) {
+        this.config = config;
+        this.context = { config, gitService };
+        this.publishers = new Map();
+        this.lastResults = {};
+
+        // Last successful publish per publisher: { targets, records: { <key>: value }, publishedAt }
+        this.published = {};
+        this.statePath = config.publishers.statePath;
+        this.stateReady = Promise.resolve();
+    }
+
+    /**
+     * Load the built-in git publisher, publishers configured through env, then the publishers file
+     */
+    load() {
+        const { path: publishersPath, webhook, rfc2136, dyndns2 } = this.config.publishers;
+
+        // GitService / GitHubApiService retry on their own
+        this.register({ name: 'git', type: 'git', maxRetries: 1, source: 'builtin' });
+
+        if (webhook.url) {
+            this.register({ name: 'webhook', type: 'webhook', url: webhook.url, secret: webhook.secret, source: 'env' });
+        }
+
+        if (rfc2136.server) {
+            this.register({ name: 'rfc2136', type: 'rfc2136', ...rfc2136, source: 'env' });
+        }
+
+        if (dyndns2.url) {
+            this.register({ name: 'dyndns2', type: 'dyndns2', ...dyndns2, source: 'env' });
+        }
+
+        if (publishersPath) {
+            this.loadDefinitionsFile(publishersPath);
+        }
+
+        this.stateReady = this.loadState();
+        return this;
+    }
+
+    /**
+     * Load persisted publish state (missing or corrupt files start empty)
+     */
+    async loadState() {
+        if (!this.statePath) return;
+
+        try {
+            const data = safeJsonParse(await fs.promises.readFile(this.statePath, 'utf8'), {});
+            for (const [name, entry] of Object.entries(data.publishers || {})) {
+                if (entry.published && !this.published[name]) this.published[name] = entry.published;
+                if (entry.lastResult && !this.lastResults[name]) this.lastResults[name] = entry.lastResult;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`Could not load publisher state: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Write publish state atomically (temp file + rename)
+     */
+    async saveState() {
+        if (!this.statePath) return;
+
+        const publishers = {};
+        for (const name of new Set([...Object.keys(this.published), ...Object.keys(this.lastResults)])) {
+            publishers[name] = { published: this.published[name] || null, lastResult: this.lastResults[name] || null };
+        }
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.statePath), { recursive: true });
+            const tempPath = `${this.statePath}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify({ updatedAt: new Date().toISOString(), publishers }, null, 2), 'utf8');
+            await fs.promises.rename(tempPath, this.statePath);
+        } catch (error) {
+            logger.warn(`Could not save publisher state: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remember a publish result; records that went through count as published even when others failed
+     */
+    recordResult(publisher, event, result) {
+        this.lastResults[publisher.name] = result;
+
+        const previous = this.published[publisher.name] || { targets: null, records: {} };
+        const records = { ...previous.records };
+        (result.records || [])
+            .filter(record => record.success)
+            .forEach(record => {
+                records[recordKey(record)] = record.value;
+            });
+
+        this.published[publisher.name] = result.success
+            ? { targets: event.targets, records, publishedAt: result.timestamp }
+            : { ...previous, records };
+    }
+
+    /**
+     * Register a publisher definition (merged over an existing one with the same name)
+     */
+    register(definition) {
+        const existing = this.publishers.get(definition.name);
+        const merged = existing ? { ...existing.definition, ...definition } : definition;
+
+        const publisher = createPublisher(merged, this.context);
+        this.publishers.set(publisher.name, { definition: merged, publisher });
+
+        return publisher;
+    }
+
+    /**
+     * Load an array of publisher definitions from a JSON file
+     */
+    loadDefinitionsFile(filePath) {
+        const resolvedPath = path.resolve(filePath);
+
+        let content;
+        try {
+            content = fs.readFileSync(resolvedPath, 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read publishers file ${resolvedPath}: ${error.message}`);
+        }
+
+        const data = safeJsonParse(content, null);
+        const definitions = Array.isArray(data) ? data : data && data.publishers;
+        if (!Array.isArray(definitions)) {
+            throw new Error(`Publishers file ${resolvedPath} must contain an array of publishers`);
+        }
+
+        definitions.forEach(definition => this.register({ source: 'config', ...definition }));
+        logger.info(`Loaded ${definitions.length} publisher definitions from ${resolvedPath}`);
+    }
+
+    /**
+     * Enabled publishers in registration order
+     */
+    getPublishers() {
+        return [...this.publishers.values()]
+            .map(entry => entry.publisher)
+            .filter(publisher => publisher.enabled);
+    }
+
+    /**
+     * Publish an event to every enabled publisher concurrently
+     * skip: { <name>: reason } leaves a publisher out for this event.
+     * Never throws; returns { <name>: { type, attempted, success, attempts, duration, ... } }.
+     */
+    async publishAll(event, { skip = {} } = {}) {
+        await this.stateReady;
+
+        const entries = await Promise.all(this.getPublishers().map(async (publisher) => {
+            if (skip[publisher.name]) {
+                const result = { type: publisher.type, attempted: false, reason: skip[publisher.name] };
+                this.lastResults[publisher.name] = result;
+                return [publisher.name, result];
+            }
+            return [publisher.name, await this.publishOne(publisher, event)];
+        }));
+
+        await this.saveState();
+        return Object.fromEntries(entries);
+    }
+
+    /**
+     * Publishers whose last publish failed or whose published addresses differ from targets
+     * Git is left out: drift detection compares ip.json with the published git copy.
+     */
+    getPending(targets) {
+        return this.getPublishers().filter(publisher => {
+            if (publisher.type === 'git') return false;
+            const lastResult = this.lastResults[publisher.name];
+            const published = this.published[publisher.name];
+            return (lastResult && lastResult.attempted && !lastResult.success)
+                || !published || !published.targets || !sameTargets(published.targets, targets);
+        });
+    }
+
+    /**
+     * Publish the current targets again to every pending publisher (event.retry is set)
+     * Never throws; returns results like publishAll for the publishers that were retried.
+     */
+    async retryPending(event) {
+        await this.stateReady;
+
+        const pending = this.getPending(event.targets);
+        if (pending.length === 0) return {};
+
+        logger.info(`Retrying publishers that failed or are behind ip.json: ${pending.map(publisher => publisher.name).join(', ')}`);
+        const retryEvent = { ...event, retry: true };
+        const entries = await Promise.all(pending.map(async publisher => [publisher.name, await this.publishOne(publisher, retryEvent)]));
+
+        await this.saveState();
+        return Object.fromEntries(entries);
+    }
+
+    /**
+     * Publish to one backend with its own retry policy, and record the result
+     * event.published holds the records this publisher already has ({ <key>: value }).
+     */
+    async publishOne(publisher, event) {
+        const result = await this.attemptPublish(publisher, {
+            ...event,
+            published: (this.published[publisher.name] || {}).records || {}
+        });
+        this.recordResult(publisher, event, result);
+        return result;
+    }
+
+    async attemptPublish(publisher, event) {
+        const startTime = Date.now();
+        let attempts = 0;
+
+        try {
+            const result = await withRetry(
+                () => {
+                    attempts++;
+                    return publisher.publish(event);
+                },
+                publisher.maxRetries,
+                publisher.retryDelay,
+                error => error.retryable !== false
+            );
+
+            logger.info(`Published to ${publisher.name} (${publisher.type})`);
+            if (result && result.success === false) publishFailures.inc({ publisher: publisher.name, type: publisher.type });
+            return {
+                type: publisher.type,
+                attempted: true,
+                success: result && result.success !== undefined ? result.success : true,
+                ...result,
+                attempts,
+                duration: Date.now() - startTime,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            logger.error(`Publishing to ${publisher.name} failed:`, error);
+            publishFailures.inc({ publisher: publisher.name, type: publisher.type });
+            return {
+                type: publisher.type,
+                attempted: true,
+                success: false,
+                // withRetry wraps the last error once attempts run out
+                ...(error.result || (error.cause && error.cause.result) || {}),
+                error: error.message,
+                code: error.code || null,
+                attempts,
+                duration: Date.now() - startTime,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * Describe every registered publisher with its last result (for status output)
+     */
+    describe() {
+        return [...this.publishers.values()].map(({ publisher }) => ({
+            name: publisher.name,
+            type: publisher.type,
+            enabled: publisher.enabled,
+            maxRetries: publisher.maxRetries,
+            source: publisher.source,
+            lastResult: this.lastResults[publisher.name] || null,
+            publishedAt: (this.published[publisher.name] || {}).publishedAt || null
+        }));
+    }
+}
+
+module.exports = PublisherRegistry;
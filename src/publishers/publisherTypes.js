@@ -0,0 +1,397 @@
+/**
+ * Publisher types
+ * Turns a declarative publisher definition into an object with a publish(event) method
+ *
+ * Supported types:
+ * - git:     commit ip.json through the configured GitService / GitHubApiService
+ * - webhook: POST the change as JSON, signed with HMAC-SHA256 when a secret is set
+ * - file:    write ip.json, or a rendered template, to a local file
+ * - gist:    store target IPs in a GitHub gist file (key/value JSON)
+ * - rfc2136: replace A / AAAA records with DNS UPDATE messages, TSIG signed
+ * - dyndns2: the /nic/update protocol spoken by most dynamic DNS providers
+ *
+ * The event passed to publish():
+ * { message, changes, targets: { name: { ip, ipv4, ipv6 } }, document, trigger, timestamp,
+ *   retry, published: { <record key>: value } }
+ * On a retry (event.retry) the DNS publishers only send records whose published value is behind.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const dnsClient = require('../utils/dnsClient');
+const { getFieldPath } = require('../utils/helpers');
+const { correlationHeaders } = require('../utils/context');
+
+const USER_AGENT = 'ip-monitor/1.0';
+
+/**
+ * Wrap an HTTP failure; client errors (other than timeouts / rate limits) are not retried
+ */
+const httpError = (action, error) => {
+    const status = error.response ? error.response.status : null;
+    const wrapped = new Error(`${action} failed${status ? ` (${status})` : ''}: ${error.message}`);
+    wrapped.code = error.code || (status ? `HTTP_${status}` : null);
+    wrapped.status = status;
+    wrapped.retryable = !status || status >= 500 || status === 408 || status === 429;
+    return wrapped;
+};
+
+/**
+ * Render "{{ path }}" placeholders against the event; objects are written as JSON
+ */
+const renderTemplate = (template, event) => {
+    return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, fieldPath) => {
+        const value = getFieldPath(event, fieldPath);
+        if (value === undefined || value === null) return '';
+        return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+    });
+};
+
+/**
+ * Signature headers for a JSON body: receivers verify HMAC-SHA256(secret, "<timestamp>.<body>")
+ * and reject stale timestamps
+ */
+const signatureHeaders = (secret, body) => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return {
+        'X-IP-Monitor-Timestamp': timestamp,
+        'X-IP-Monitor-Signature': `sha256=${signature}`
+    };
+};
+
+/**
+ * Write through a temporary file so readers never see a half-written file
+ */
+const writeFileAtomic = async (filePath, content) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, content, 'utf8');
+    await fs.rename(tempPath, filePath);
+};
+
+const git = (definition, { gitService }) => {
+    if (!gitService) {
+        throw new Error(`Publisher '${definition.name}' of type git needs a git service`);
+    }
+
+    return async (event) => gitService.commitIpChange(event.changes);
+};
+
+const webhook = (definition) => {
+    if (!definition.url) {
+        throw new Error(`Publisher '${definition.name}' of type webhook needs a url`);
+    }
+
+    return async (event) => {
+        const body = JSON.stringify({
+            event: 'ip.changed',
+            message: event.message,
+            changes: event.changes,
+            targets: event.targets,
+            trigger: event.trigger,
+            timestamp: event.timestamp
+        });
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': USER_AGENT,
+            ...correlationHeaders(),
+            ...(definition.headers || {}),
+            ...(definition.secret ? signatureHeaders(definition.secret, body) : {})
+        };
+
+        try {
+            const response = await axios.post(definition.url, body, { headers, timeout: definition.timeout });
+            return { status: response.status };
+        } catch (error) {
+            throw httpError(`Webhook ${definition.url}`, error);
+        }
+    };
+};
+
+const file = (definition) => {
+    if (!definition.path) {
+        throw new Error(`Publisher '${definition.name}' of type file needs a path`);
+    }
+
+    return async (event) => {
+        let content;
+        if (definition.templatePath) {
+            content = renderTemplate(await fs.readFile(path.resolve(definition.templatePath), 'utf8'), event);
+        } else if (definition.template) {
+            content = renderTemplate(definition.template, event);
+        } else {
+            content = JSON.stringify(event.document, null, 2);
+        }
+
+        const filePath = path.resolve(definition.path);
+        await writeFileAtomic(filePath, content);
+        return { path: filePath, bytes: Buffer.byteLength(content) };
+    };
+};
+
+const gist = (definition, { config }) => {
+    const token = definition.token || config.github.token;
+    if (!definition.gistId) {
+        throw new Error(`Publisher '${definition.name}' of type gist needs a gistId`);
+    }
+    if (!token) {
+        throw new Error(`Publisher '${definition.name}' of type gist needs a token (or GITHUB_TOKEN)`);
+    }
+
+    const apiUrl = (definition.apiUrl || config.github.apiUrl).replace(/\/+$/, '');
+    const filename = definition.filename || 'ip.json';
+
+    return async (event) => {
+        // 'flat': { "<target>": "<ip>", "<target>.ipv6": "..." }; 'document': the whole ip.json
+        let data = event.document;
+        if ((definition.format || 'flat') === 'flat') {
+            data = {};
+            for (const [name, target] of Object.entries(event.targets)) {
+                if (target.ip) data[name] = target.ip;
+                if (target.ipv6 && target.ipv6 !== target.ip) data[`${name}.ipv6`] = target.ipv6;
+            }
+        }
+
+        try {
+            const response = await axios.patch(`${apiUrl}/gists/${encodeURIComponent(definition.gistId)}`, {
+                files: { [filename]: { content: JSON.stringify(data, null, 2) } }
+            }, {
+                headers: {
+                    Accept: 'application/vnd.github+json',
+                    Authorization: `Bearer ${token}`,
+                    'User-Agent': USER_AGENT
+                },
+                timeout: definition.timeout
+            });
+
+            const history = response.data && response.data.history;
+            return { url: response.data && response.data.html_url, version: history && history[0] ? history[0].version : null };
+        } catch (error) {
+            throw httpError(`Gist ${definition.gistId}`, error);
+        }
+    };
+};
+
+/**
+ * Normalize DNS record definitions: "host", "host=target" or { name, target, family, ttl }
+ */
+const parseRecords = (records, defaultTarget) => {
+    const list = typeof records === 'string' ? records.split(',') : records || [];
+
+    return list
+        .map(record => {
+            if (typeof record !== 'string') return { target: defaultTarget, ...record };
+            const [name, target] = record.trim().split('=');
+            return { name: name.trim(), target: (target || defaultTarget).trim() };
+        })
+        .filter(record => record.name);
+};
+
+/**
+ * Addresses a record should point at: [{ family, type, ip }] for each family the target has
+ */
+const recordAddresses = (record, event) => {
+    const target = event.targets[record.target] || {};
+    return ['ipv4', 'ipv6']
+        .filter(family => !record.family || record.family === family)
+        .filter(family => target[family])
+        .map(family => ({ family, type: family === 'ipv4' ? 'A' : 'AAAA', ip: target[family] }));
+};
+
+/**
+ * Result for a record a retry leaves alone because it already holds the value
+ */
+const alreadyPublished = (event, key, value) => (event.retry && event.published && event.published[key] === value
+    ? { skipped: true, reason: 'Already published' }
+    : null);
+
+/**
+ * Fail with per-record results attached when any record failed
+ */
+const settleRecords = (action, records) => {
+    const failed = records.filter(record => record.success === false);
+    if (failed.length === 0) return { records };
+
+    const error = new Error(`${action}: ${failed.length} of ${records.length} records failed (${failed[0].error})`);
+    error.code = failed[0].code || null;
+    error.retryable = failed.some(record => record.retryable);
+    error.result = { records: records.map(({ retryable, ...record }) => record) };
+    throw error;
+};
+
+// Server answers that mean the update will never succeed as configured
+const DNS_FATAL_RCODES = ['REFUSED', 'NOTAUTH', 'NOTZONE', 'FORMERR', 'NOTIMP'];
+
+const rfc2136 = (definition, { config }) => {
+    if (!definition.server || !definition.zone) {
+        throw new Error(`Publisher '${definition.name}' of type rfc2136 needs a server and a zone`);
+    }
+
+    const [host, port] = String(definition.server).split(/:(?=\d+$)/);
+    const records = parseRecords(definition.records, config.ipMonitor.defaultTarget);
+    const key = definition.tsig && definition.tsig.name ? definition.tsig : null;
+
+    return async (event) => {
+        const results = [];
+
+        for (const record of records) {
+            const addresses = recordAddresses(record, event);
+            if (addresses.length === 0) {
+                results.push({ name: record.name, target: record.target, skipped: true, reason: 'No address for target' });
+                continue;
+            }
+
+            // One UPDATE per RRset, so every record reports its own outcome
+            for (const { type, ip } of addresses) {
+                const unchanged = alreadyPublished(event, `${record.name}/${type}`, ip);
+                if (unchanged) {
+                    results.push({ name: record.name, type, value: ip, ...unchanged });
+                    continue;
+                }
+
+                try {
+                    await dnsClient.update({
+                        server: host,
+                        port: parseInt(definition.port || port) || 53,
+                        zone: definition.zone,
+                        deletes: [{ name: record.name, type }],
+                        adds: [{ name: record.name, type, ttl: record.ttl || definition.ttl || 300, value: ip }],
+                        key,
+                        timeout: definition.timeout
+                    });
+                    results.push({ name: record.name, type, value: ip, success: true });
+                } catch (error) {
+                    results.push({
+                        name: record.name,
+                        type,
+                        value: ip,
+                        success: false,
+                        error: error.message,
+                        code: error.code || null,
+                        retryable: !DNS_FATAL_RCODES.includes(error.code) && !/TSIG|signed/.test(error.message)
+                    });
+                }
+            }
+        }
+
+        return settleRecords(`DNS update at ${definition.server}`, results);
+    };
+};
+
+// dyndns2 return codes: good / nochg succeed, 911 and dnserr are worth retrying later
+const DYNDNS_SUCCESS = ['good', 'nochg'];
+const DYNDNS_RETRYABLE = ['911', 'dnserr'];
+
+const dyndns2 = (definition, { config }) => {
+    if (!definition.url) {
+        throw new Error(`Publisher '${definition.name}' of type dyndns2 needs a url`);
+    }
+
+    const url = /\/nic\/update\/?$/.test(definition.url) ? definition.url : `${definition.url.replace(/\/+$/, '')}/nic/update`;
+    const records = parseRecords(definition.records || definition.hostnames, config.ipMonitor.defaultTarget);
+    const auth = definition.username ? { username: definition.username, password: definition.password || '' } : undefined;
+
+    return async (event) => {
+        const results = [];
+
+        for (const record of records) {
+            const addresses = recordAddresses(record, event);
+            if (addresses.length === 0) {
+                results.push({ name: record.name, target: record.target, skipped: true, reason: 'No address for target' });
+                continue;
+            }
+
+            // Providers with dual-stack support take "myip=v4,v6"
+            const myip = addresses.map(address => address.ip).join(',');
+
+            const unchanged = alreadyPublished(event, record.name, myip);
+            if (unchanged) {
+                results.push({ name: record.name, value: myip, ...unchanged });
+                continue;
+            }
+
+            try {
+                const response = await axios.get(url, {
+                    params: { hostname: record.name, myip },
+                    auth,
+                    headers: { 'User-Agent': definition.userAgent || USER_AGENT },
+                    timeout: definition.timeout,
+                    responseType: 'text'
+                });
+
+                const answer = String(response.data).trim().split(/\r?\n/)[0] || '';
+                const code = answer.split(/\s+/)[0];
+
+                if (DYNDNS_SUCCESS.includes(code)) {
+                    results.push({ name: record.name, value: myip, success: true, response: answer });
+                } else {
+                    results.push({
+                        name: record.name,
+                        value: myip,
+                        success: false,
+                        error: `Provider answered '${answer}'`,
+                        code,
+                        retryable: DYNDNS_RETRYABLE.includes(code)
+                    });
+                }
+            } catch (error) {
+                const wrapped = httpError(`dyndns2 update of ${record.name}`, error);
+                results.push({ name: record.name, value: myip, success: false, error: wrapped.message, code: wrapped.code, retryable: wrapped.retryable });
+            }
+        }
+
+        return settleRecords(`dyndns2 update at ${url}`, results);
+    };
+};
+
+const publisherTypes = {
+    git,
+    webhook,
+    file,
+    gist,
+    rfc2136,
+    dyndns2
+};
+
+/**
+ * Build a publisher from a definition
+ * Definitions with their own publish() function (custom modules) are used as-is.
+ */
+const createPublisher = (definition, context = {}) => {
+    if (!definition || !definition.name) {
+        throw new Error('Publisher definition needs a name');
+    }
+
+    const resolved = {
+        enabled: true,
+        maxRetries: 3,
+        retryDelay: 1000,
+        timeout: 10000,
+        source: 'config',
+        ...definition
+    };
+
+    if (typeof resolved.publish === 'function') {
+        return { ...resolved, type: resolved.type || 'custom' };
+    }
+
+    const factory = publisherTypes[resolved.type];
+    if (!factory) {
+        throw new Error(`Publisher '${resolved.name}' has unknown type ${resolved.type}`);
+    }
+
+    return { ...resolved, publish: factory(resolved, context) };
+};
+
+module.exports = {
+    createPublisher,
+    renderTemplate,
+    signatureHeaders,
+    httpError,
+    publisherTypes,
+    USER_AGENT
+};
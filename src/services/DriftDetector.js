@@ -0,0 +1,138 @@
+/**
+ * Drift Detector
+ * Classifies how the local ip.json, the published copy (raw URL) and the
+ * detected public IP disagree, and picks the configured action for each case
+ *
+ * States (per target and family):
+ * - in_sync:            local, remote and public IP agree
+ * - local_stale:        the public IP differs from ip.json (the IP changed)
+ * - remote_stale:       ip.json is current but the published copy still has an older value
+ * - remote_unreachable: the published copy could not be fetched, only local was compared
+ * - remote_edited:      the published copy was changed by someone else after our last write
+ * - cdn_lag:            we wrote the current value recently and the raw URL cache has not caught up
+ */
+
+const { ipsEqual } = require('../utils/helpers');
+const { logger } = require('../util');
+
+const STATES = ['in_sync', 'local_stale', 'remote_stale', 'remote_unreachable', 'remote_edited', 'cdn_lag'];
+
+// republish: publish the detected IP again; overwrite: replace someone else's edit;
+// alert: warn only; pause: publish nothing this check; wait: let the cache expire
+const ALLOWED_ACTIONS = {
+    local_stale: ['republish', 'alert', 'pause'],
+    remote_stale: ['republish', 'alert', 'pause'],
+    remote_unreachable: ['republish', 'alert', 'pause'],
+    remote_edited: ['overwrite', 'alert', 'pause'],
+    cdn_lag: ['wait', 'republish', 'alert']
+};
+
+const toTime = (value) => Date.parse(value) || 0;
+
+class DriftDetector {
+    constructor(config) {
+        this.cdnLagMs = config.drift.cdnLagMs;
+        this.actions = { in_sync: 'none', ...config.drift.actions };
+
+        for (const [state, allowed] of Object.entries(ALLOWED_ACTIONS)) {
+            if (!allowed.includes(this.actions[state])) {
+                throw new Error(`Invalid drift action '${this.actions[state]}' for ${state} (expected ${allowed.join(', ')})`);
+            }
+        }
+
+        this.current = {}; // "<target>/<family>" -> { target, family, state, action, since, ... }
+        this.counts = Object.fromEntries(STATES.map(state => [state, 0]));
+        this.remote = { reachable: null, checkedAt: null, error: null };
+    }
+
+    /**
+     * Classify one family of one target
+     * local / remote are ip.json target records (remote null when unreachable or missing)
+     */
+    classify({ family, publicIp, local = {}, remote = null, remoteReachable = true, now = Date.now() }) {
+        const localIp = local[family] || null;
+
+        if (!ipsEqual(localIp, publicIp)) return 'local_stale';
+        if (!remoteReachable) return 'remote_unreachable';
+
+        const remoteIp = remote ? remote[family] || null : null;
+        if (ipsEqual(remoteIp, publicIp)) return 'in_sync';
+
+        // Written after our last update: someone else edited the published copy
+        const localTime = toTime(local.lastUpdated);
+        if (remote && toTime(remote.lastUpdated) > localTime) return 'remote_edited';
+
+        // An address we never had, without a newer timestamp: a hand edit
+        const known = (local.history || []).some(entry => ipsEqual(entry.ip, remoteIp));
+        if (remoteIp && !known) return 'remote_edited';
+
+        // Our own older value (or no record yet): lagging cache right after a write, lost publish otherwise
+        return now - localTime < this.cdnLagMs ? 'cdn_lag' : 'remote_stale';
+    }
+
+    /**
+     * Remember the outcome of fetching the published copy
+     */
+    recordRemote(reachable, error = null) {
+        this.remote = {
+            reachable,
+            checkedAt: new Date().toISOString(),
+            error: error ? error.message : null
+        };
+    }
+
+    /**
+     * Record the state of a target/family and return the configured action
+     */
+    record(target, family, state, details = {}) {
+        const key = `${target}/${family}`;
+        const previous = this.current[key];
+        const action = this.actions[state];
+        const now = new Date().toISOString();
+
+        if (!previous || previous.state !== state) {
+            this.counts[state]++;
+            if (state !== 'in_sync') {
+                logger.warn(`[${target}] ${family} drift: ${state} (action: ${action})`);
+            } else if (previous) {
+                logger.info(`[${target}] ${family} drift resolved (was ${previous.state})`);
+            }
+        }
+
+        this.current[key] = {
+            target,
+            family,
+            state,
+            action,
+            since: previous && previous.state === state ? previous.since : now,
+            lastSeen: now,
+            ...details
+        };
+
+        return action;
+    }
+
+    /**
+     * Current drift that needs attention (anything but in_sync)
+     */
+    getActive() {
+        return Object.values(this.current).filter(entry => entry.state !== 'in_sync');
+    }
+
+    /**
+     * Drift details for status output and metrics
+     */
+    getInfo() {
+        return {
+            remote: this.remote,
+            cdnLagMs: this.cdnLagMs,
+            actions: this.actions,
+            targets: Object.values(this.current),
+            counts: { ...this.counts }
+        };
+    }
+}
+
+module.exports = DriftDetector;
+module.exports.STATES = STATES;
+module.exports.ALLOWED_ACTIONS = ALLOWED_ACTIONS;
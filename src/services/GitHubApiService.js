@@ -0,0 +1,275 @@
+/**
+ * GitHub API Service
+ * Publishes ip.json through the GitHub contents API (GET sha, PUT new content),
+ * so the monitor needs a token instead of a local clone and push credentials.
+ * Same interface as GitService: validateService(), commitIpChange(changes).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const { mergeIpConfigs } = require('./IpConfigStore');
+const { buildIpChangeMessage, timeGitStep } = require('./GitService');
+const { withRetry, safeJsonParse } = require('../utils/helpers');
+const { logger } = require('../util');
+
+// /status and /metrics validate on every request; an API call this recent already proves access
+const VALIDATION_TTL = 5 * 60 * 1000;
+
+class GitHubApiError extends Error {
+    constructor(message, { status = null, code = 'EGITHUBAPI' } = {}) {
+        super(message);
+        this.name = 'GitHubApiError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Turn an axios failure into a GitHubApiError with a code callers can act on
+ */
+const toApiError = (action, error) => {
+    const status = error.response ? error.response.status : null;
+    const detail = error.response && error.response.data && error.response.data.message
+        ? error.response.data.message
+        : error.message;
+
+    let code = 'EGITHUBAPI';
+    if (status === 401 || status === 403) code = 'EAUTH';
+    else if (status === 404) code = 'ENOTFOUND';
+    // The file changed since we read its sha
+    else if (status === 409 || (status === 422 && /sha/i.test(detail))) code = 'ECONFLICT';
+
+    return new GitHubApiError(`GitHub API ${action} failed${status ? ` (${status})` : ''}: ${detail}`, { status, code });
+};
+
+class GitHubApiService {
+    constructor(config) {
+        this.config = config;
+        this.enabled = config.git.enabled;
+        this.autoCommit = config.git.autoCommit;
+        this.maxRetries = config.git.maxRetries;
+        this.timeout = config.git.timeout;
+        this.github = config.github;
+        this.mergeOptions = {
+            defaultTarget: config.ipMonitor.defaultTarget,
+            historyLimit: config.ipMonitor.historyLimit
+        };
+
+        // Last successful API call: { at, fileSha }; cleared by any failure
+        this.lastAccess = null;
+    }
+
+    recordAccess(fileSha) {
+        this.lastAccess = { at: Date.now(), fileSha };
+    }
+
+    get contentsUrl() {
+        const { apiUrl, owner, repo } = this.github;
+        const encodedPath = this.github.path.split('/').map(encodeURIComponent).join('/');
+        return `${apiUrl}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/contents/${encodedPath}`;
+    }
+
+    get headers() {
+        return {
+            Accept: 'application/vnd.github+json',
+            Authorization: `Bearer ${this.github.token}`,
+            'X-GitHub-Api-Version': '2022-11-28',
+            'User-Agent': 'ip-monitor-service'
+        };
+    }
+
+    /**
+     * Read the file from the branch: { sha, content } (null if it doesn't exist yet)
+     */
+    async getFile() {
+        try {
+            const response = await axios.get(this.contentsUrl, {
+                params: { ref: this.github.branch },
+                headers: this.headers,
+                timeout: this.timeout
+            });
+
+            this.recordAccess(response.data.sha);
+            return {
+                sha: response.data.sha,
+                content: Buffer.from(response.data.content || '', 'base64').toString('utf8')
+            };
+        } catch (error) {
+            const apiError = toApiError('read', error);
+            if (apiError.code === 'ENOTFOUND') {
+                this.recordAccess(null);
+                return null;
+            }
+            this.lastAccess = null;
+            throw apiError;
+        }
+    }
+
+    /**
+     * Create or update the file; sha must be the blob we read (omitted for a new file)
+     */
+    async putFile(content, message, sha) {
+        const body = {
+            message,
+            content: Buffer.from(content, 'utf8').toString('base64'),
+            branch: this.github.branch
+        };
+        if (sha) body.sha = sha;
+
+        if (this.github.committerName && this.github.committerEmail) {
+            body.committer = { name: this.github.committerName, email: this.github.committerEmail };
+        }
+
+        try {
+            const response = await axios.put(this.contentsUrl, body, { headers: this.headers, timeout: this.timeout });
+            this.recordAccess(response.data.content ? response.data.content.sha : null);
+            return response.data.commit.sha;
+        } catch (error) {
+            this.lastAccess = null;
+            throw toApiError('update', error);
+        }
+    }
+
+    /**
+     * Publish the local ip.json: merge it with the remote version and PUT the result
+     */
+    async publish(message) {
+        const local = safeJsonParse(await fs.readFile(this.config.configPath, 'utf8'), null);
+        if (!local) {
+            throw new Error(`Invalid JSON in ${this.config.configPath}`);
+        }
+
+        const remote = await timeGitStep('read', () => this.getFile());
+        const remoteDoc = remote ? safeJsonParse(remote.content, null) : null;
+
+        // Someone may have edited the file on GitHub; keep their fields and the freshest IPs
+        const merged = remoteDoc ? mergeIpConfigs(local, remoteDoc, this.mergeOptions) : local;
+        const content = JSON.stringify(merged, null, 2);
+
+        if (remote && remote.content === content) {
+            await this.writeLocalConfig(local, content);
+            logger.info('Remote ip.json already up to date');
+            return { success: true, message: 'No changes to commit' };
+        }
+
+        const commitSha = await timeGitStep('update', () => this.putFile(content, message, remote ? remote.sha : null));
+        await this.writeLocalConfig(local, content);
+        return { success: true, message: `Updated ${this.github.path} via GitHub API`, commitSha };
+    }
+
+    /**
+     * Keep the local ip.json equal to what was published, so later checks compare against the merge
+     */
+    async writeLocalConfig(local, content) {
+        if (JSON.stringify(local, null, 2) === content) return;
+        await fs.writeFile(this.config.configPath, content, 'utf8');
+        logger.info('Local ip.json updated with the merged remote changes');
+    }
+
+    /**
+     * Bring the local ip.json up to date with the remote copy (startup of a fresh container)
+     */
+    async syncLocalConfig() {
+        const remote = await this.getFile();
+        const remoteDoc = remote ? safeJsonParse(remote.content, null) : null;
+        if (!remoteDoc) return false;
+
+        const local = safeJsonParse(await fs.readFile(this.config.configPath, 'utf8').catch(() => null), null);
+        const merged = local ? mergeIpConfigs(local, remoteDoc, this.mergeOptions) : remoteDoc;
+
+        await fs.mkdir(path.dirname(this.config.configPath), { recursive: true });
+        await fs.writeFile(this.config.configPath, JSON.stringify(merged, null, 2), 'utf8');
+        logger.info(`Local ip.json synced from ${this.github.owner}/${this.github.repo}@${this.github.branch}`);
+        return true;
+    }
+
+    /**
+     * Commit IP changes with retry mechanism
+     * changes: [{ target, family, oldIp, newIp }]
+     */
+    async commitIpChange(changes) {
+        if (!this.enabled || !this.autoCommit) {
+            logger.info('Auto-commit is disabled');
+            return { success: true, message: 'Auto-commit disabled' };
+        }
+
+        const message = buildIpChangeMessage(changes);
+
+        try {
+            logger.info(`Committing IP change via GitHub API: ${message}`);
+
+            // A sha conflict means the file moved on: re-read and merge again. Bad credentials won't fix themselves.
+            const result = await withRetry(
+                () => this.publish(message),
+                this.maxRetries,
+                2000,
+                error => error.code !== 'EAUTH' && error.code !== 'ENOTFOUND'
+            );
+
+            logger.info('IP change committed successfully');
+            return result;
+
+        } catch (error) {
+            logger.error('Failed to commit IP change after retries:', error);
+            const wrapped = new Error(`Failed to commit IP change: ${error.message}`);
+            wrapped.code = error.code;
+            wrapped.cause = error;
+            throw wrapped;
+        }
+    }
+
+    /**
+     * Validate the token and access to the file
+     * Answers from the last publish / sync / read when it succeeded within VALIDATION_TTL.
+     */
+    async validateService() {
+        try {
+            if (!this.enabled) {
+                return {
+                    healthy: true,
+                    enabled: false,
+                    message: 'Git service is disabled'
+                };
+            }
+
+            if (!this.github.token) {
+                throw new Error('GITHUB_TOKEN is required for GIT_COMMIT_MODE=github-api');
+            }
+
+            const fresh = this.lastAccess && Date.now() - this.lastAccess.at < VALIDATION_TTL;
+            if (!fresh) await this.getFile();
+
+            return {
+                healthy: true,
+                enabled: true,
+                mode: 'github-api',
+                repository: {
+                    remoteUrl: `${this.github.apiUrl}/repos/${this.github.owner}/${this.github.repo}`,
+                    currentBranch: this.github.branch,
+                    path: this.github.path,
+                    fileSha: this.lastAccess.fileSha,
+                    checkedAt: new Date(this.lastAccess.at).toISOString(),
+                    timestamp: new Date().toISOString()
+                },
+                config: {
+                    maxRetries: this.maxRetries,
+                    timeout: this.timeout,
+                    autoCommit: this.autoCommit
+                }
+            };
+        } catch (error) {
+            return {
+                healthy: false,
+                enabled: this.enabled,
+                mode: 'github-api',
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+}
+
+module.exports = GitHubApiService;
+module.exports.GitHubApiError = GitHubApiError;
+module.exports.VALIDATION_TTL = VALIDATION_TTL;
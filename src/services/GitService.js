@@ -3,9 +3,62 @@
  * Includes retry mechanisms, proper error handling, and rollback capabilities
  */
 
-const { executeCommand, sanitizeGitMessage, withRetry, sleep } = require('../utils/helpers');
+const fs = require('fs').promises;
+const path = require('path');
+const GitClient = require('../../common/GitClient');
+const { GitAuthError, GitConflictError, GitNothingToCommitError, GitPushRejectedError } = GitClient;
+const { mergeIpConfigs } = require('./IpConfigStore');
+const { withRetry, safeJsonParse } = require('../utils/helpers');
+const { metrics } = require('../utils/metrics');
 const { logger } = require('../util');
 
+const PULL_ARGS = {
+    rebase: ['--rebase', '--autostash'],
+    merge: ['--no-rebase', '--autostash'],
+    'ff-only': ['--ff-only']
+};
+
+// A rebase replays local commits one at a time; each may stop on a conflict
+const MAX_CONFLICT_ROUNDS = 10;
+
+// From a local add to a push over a slow link
+const gitStepDuration = metrics.histogram(
+    'ip_monitor_git_operation_duration_seconds',
+    'Duration of git operations by step and outcome',
+    ['step', 'outcome'],
+    [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120]
+);
+
+/**
+ * Run one git step, timed in ip_monitor_git_operation_duration_seconds
+ */
+const timeGitStep = async (step, fn) => {
+    const end = gitStepDuration.startTimer({ step });
+    try {
+        const result = await fn();
+        end({ outcome: 'success' });
+        return result;
+    } catch (error) {
+        end({ outcome: 'failure' });
+        throw error;
+    }
+};
+
+/**
+ * Commit message describing one or more target changes
+ */
+const buildIpChangeMessage = (changes) => {
+    const parts = changes.map(({ target, family, oldIp, newIp }) => {
+        const label = family === 'ipv6' ? `${target} v6` : target;
+        return oldIp && oldIp !== newIp ? `${label} ${oldIp} -> ${newIp}` : `${label} ${newIp}`;
+    });
+    // Changes with a reason re-publish an unchanged IP (signature refresh, stale or edited remote)
+    let prefix = 'update ip';
+    if (changes.every(change => change.reason === 'signature refresh')) prefix = 'refresh ip signature';
+    else if (changes.every(change => change.reason)) prefix = 'republish ip';
+    return `${prefix} ${parts.join(', ')}`;
+};
+
 class GitService {
     constructor(config) {
         this.config = config;
@@ -13,6 +66,15 @@ class GitService {
         this.maxRetries = config.git.maxRetries;
         this.timeout = config.git.timeout;
         this.autoCommit = config.git.autoCommit;
+        this.managedFiles = config.git.managedFiles;
+        this.stagedChanges = config.git.stagedChanges;
+        this.pullStrategy = config.git.pullStrategy;
+        this.ipConfigFile = path.relative(process.cwd(), config.configPath) || config.configPath;
+        this.mergeOptions = {
+            defaultTarget: config.ipMonitor.defaultTarget,
+            historyLimit: config.ipMonitor.historyLimit
+        };
+        this.git = new GitClient({ timeout: this.timeout });
     }
 
     /**
@@ -23,22 +85,17 @@ class GitService {
     }
 
     /**
-     * Check git repository status
+     * Check git repository status (optionally only for some paths)
      */
-    async getStatus() {
+    async getStatus(paths = []) {
         try {
-            const status = await executeCommand('git status --porcelain', {
-                timeout: this.timeout
-            });
-
-            const branch = await executeCommand('git branch --show-current', {
-                timeout: this.timeout
-            });
+            const changes = await this.git.status(paths);
+            const branch = await this.git.currentBranch();
 
             return {
-                hasChanges: status.trim().length > 0,
-                changes: status.trim().split('\n').filter(line => line.trim()),
-                currentBranch: branch.trim(),
+                hasChanges: changes.length > 0,
+                changes,
+                currentBranch: branch,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
@@ -47,74 +104,148 @@ class GitService {
     }
 
     /**
-     * Pull latest changes from remote
+     * Pull latest changes from remote (GIT_PULL_STRATEGY: rebase | merge | ff-only)
+     * Conflicts limited to ip.json are resolved with a JSON merge; anything else aborts the pull.
      */
     async pull() {
+        const args = PULL_ARGS[this.pullStrategy] || PULL_ARGS.rebase;
+        logger.info(`Pulling latest changes from remote repository (${args.join(' ')})`);
+
         try {
-            logger.info('Pulling latest changes from remote repository');
-            const result = await executeCommand('git pull', {
-                timeout: this.timeout
-            });
+            const result = await this.git.pull(args);
+            if (/autostash.*conflict/i.test(`${result.stdout}${result.stderr}`)) {
+                logger.warn('Local changes could not be re-applied after pull; they are kept in git stash');
+            }
 
             logger.info('Git pull completed successfully');
-            return result;
+            return result.stdout;
         } catch (error) {
-            throw new Error(`Git pull failed: ${error.message}`);
+            if (!(error instanceof GitConflictError)) throw error;
+
+            logger.warn(`Pull stopped on conflicts: ${error.message}`);
+            await this.resolvePullConflicts();
+            logger.info('Pull conflicts resolved');
+            return 'Conflicts resolved';
         }
     }
 
     /**
-     * Add files to staging area
+     * Resolve a stopped rebase / merge whose only conflicted file is ip.json
      */
-    async add(files = []) {
+    async resolvePullConflicts() {
         try {
-            const filesToAdd = files.length > 0 ? files.join(' ') : '.';
-            const command = `git add ${filesToAdd}`;
+            for (let round = 0; round < MAX_CONFLICT_ROUNDS; round++) {
+                const conflicted = await this.git.conflictedFiles();
+                const others = conflicted.filter(file => file !== this.ipConfigFile);
+
+                if (conflicted.length === 0 || others.length > 0) {
+                    throw new GitConflictError(
+                        `Cannot resolve conflicts automatically in ${(others.length > 0 ? others : ['unknown files']).join(', ')}`,
+                        { args: ['pull'], code: 'ECONFLICT' }
+                    );
+                }
 
-            logger.info(`Adding files to git: ${filesToAdd}`);
-            const result = await executeCommand(command, {
-                timeout: this.timeout
-            });
+                await this.mergeIpConfigConflict();
+
+                if (await this.continuePull()) return;
+            }
+
+            throw new GitConflictError(`Gave up after ${MAX_CONFLICT_ROUNDS} rounds of conflicts`, { args: ['pull'], code: 'ECONFLICT' });
 
-            logger.info('Files added to git staging area');
-            return result;
         } catch (error) {
-            throw new Error(`Git add failed: ${error.message}`);
+            await this.abortPull();
+            throw error;
+        }
+    }
+
+    /**
+     * Write the JSON merge of both sides of a conflicted ip.json and stage it
+     */
+    async mergeIpConfigConflict() {
+        const file = this.ipConfigFile;
+        const ours = safeJsonParse(await this.git.show(`:2:${file}`), null);
+        const theirs = safeJsonParse(await this.git.show(`:3:${file}`), null);
+
+        if (!ours || !theirs) {
+            throw new GitConflictError(`Cannot merge ${file}: one side is not valid JSON`, { args: ['pull'], code: 'ECONFLICT' });
         }
+
+        const merged = mergeIpConfigs(ours, theirs, this.mergeOptions);
+        await fs.writeFile(path.resolve(file), JSON.stringify(merged, null, 2), 'utf8');
+        await this.git.add([file]);
+
+        logger.info(`Merged conflicting versions of ${file}`);
     }
 
     /**
-     * Commit changes with message
+     * Continue the stopped rebase / merge; false if the next step stopped on another conflict
      */
-    async commit(message, files = []) {
+    async continuePull() {
+        const rebasing = await this.git.isRebasing();
+
         try {
-            const sanitizedMessage = sanitizeGitMessage(message);
-            if (!sanitizedMessage) {
-                throw new Error('Invalid commit message');
+            await this.git.run(rebasing ? ['rebase', '--continue'] : ['commit', '--no-edit']);
+            return !(await this.git.isRebasing());
+        } catch (error) {
+            if (error instanceof GitConflictError) return false;
+
+            // The merged file matched upstream, leaving our commit empty: drop it
+            if (rebasing && /No changes|nothing left to stage/i.test(`${error.stdout}${error.stderr}`)) {
+                try {
+                    await this.git.run(['rebase', '--skip']);
+                    return !(await this.git.isRebasing());
+                } catch (skipError) {
+                    if (skipError instanceof GitConflictError) return false;
+                    throw skipError;
+                }
             }
 
-            // Add files if specified
-            if (files.length > 0) {
-                await this.add(files);
-            }
+            throw error;
+        }
+    }
 
-            const command = `git commit -m "${sanitizedMessage}"`;
-            logger.info(`Committing changes: ${sanitizedMessage}`);
+    /**
+     * Abort a stopped rebase / merge, restoring the pre-pull state
+     */
+    async abortPull() {
+        const args = await this.git.isRebasing() ? ['rebase', '--abort'] : ['merge', '--abort'];
 
-            const result = await executeCommand(command, {
-                timeout: this.timeout
-            });
+        try {
+            await this.git.run(args);
+            logger.warn(`Pull aborted (git ${args.join(' ')})`);
+        } catch (error) {
+            logger.error('Could not abort pull:', error);
+        }
+    }
+
+    /**
+     * Add files to staging area (an explicit list; there is no "add everything")
+     */
+    async add(files) {
+        logger.info(`Adding files to git: ${files.join(' ')}`);
+        const result = await this.git.add(files);
+
+        logger.info('Files added to git staging area');
+        return result.stdout;
+    }
+
+    /**
+     * Commit only the given paths (git commit -- <paths>), leaving anything else in the index alone
+     */
+    async commit(message, files) {
+        try {
+            logger.info(`Committing changes to ${files.join(' ')}: ${message}`);
+            const result = await this.git.commit(message, { paths: files });
 
             logger.info('Git commit completed successfully');
-            return result;
+            return result.stdout;
         } catch (error) {
-            // Check if it's a "nothing to commit" error (not actually an error)
-            if (error.message.includes('nothing to commit') ||
-                error.message.includes('no changes added')) {
+            // "nothing to commit" is not actually an error
+            if (error instanceof GitNothingToCommitError) {
                 logger.info('No changes to commit');
                 return 'No changes to commit';
             }
-            throw new Error(`Git commit failed: ${error.message}`);
+            throw error;
         }
     }
 
@@ -122,92 +253,138 @@ class GitService {
      * Push changes to remote repository
      */
     async push() {
-        try {
-            logger.info('Pushing changes to remote repository');
-            const result = await executeCommand('git push', {
-                timeout: this.timeout
-            });
+        logger.info('Pushing changes to remote repository');
+        const result = await this.git.push();
 
-            logger.info('Git push completed successfully');
-            return result;
-        } catch (error) {
-            throw new Error(`Git push failed: ${error.message}`);
+        logger.info('Git push completed successfully');
+        return result.stdout;
+    }
+
+    /**
+     * Refuse to commit while unrelated changes are staged (GIT_STAGED_CHANGES=refuse)
+     * The pathspec commit would leave them alone, but a half-prepared index usually
+     * means someone is working in this checkout.
+     */
+    async checkStagedChanges(files) {
+        const unrelated = (await this.git.stagedFiles()).filter(file => !files.includes(file));
+        if (unrelated.length === 0) return;
+
+        if (this.stagedChanges === 'refuse') {
+            const error = new Error(`Refusing to commit: unrelated changes are staged (${unrelated.join(', ')})`);
+            error.code = 'ESTAGEDCHANGES';
+            error.files = unrelated;
+            throw error;
         }
+
+        logger.warn(`Leaving unrelated staged changes out of the commit: ${unrelated.join(', ')}`);
     }
 
     /**
-     * Complete git workflow: pull, add, commit, push
+     * Complete git workflow: add, commit, pull, push - restricted to the managed files
+     * Committing before the pull lets a rebase replay our commit on top of upstream and
+     * lets ip.json conflicts be merged. Git failures keep their type (GitConflictError,
+     * GitAuthError, ...) with the failed step attached.
      */
-    async commitAndPush(message, files = []) {
+    async commitAndPush(message, files = this.managedFiles) {
         if (!this.enabled) {
             logger.info('Git operations are disabled');
             return { success: true, message: 'Git operations disabled' };
         }
 
+        if (!files || files.length === 0) {
+            throw new Error('No files to commit: set GIT_MANAGED_FILES');
+        }
+
         const operations = [];
+        let ownSha = null;
 
         try {
-            // Step 1: Pull latest changes
-            operations.push('pull');
-            await this.pull();
-
-            // Step 2: Check if there are changes to commit
-            const status = await this.getStatus();
-            if (!status.hasChanges && files.length === 0) {
+            // Step 1: Check if the managed files changed
+            const status = await timeGitStep('status', () => this.getStatus(files));
+            if (!status.hasChanges) {
                 logger.info('No changes detected, skipping commit');
                 return { success: true, message: 'No changes to commit' };
             }
 
-            // Step 3: Add files
+            operations.push('check-index');
+            await timeGitStep('check-index', () => this.checkStagedChanges(files));
+
+            // Step 2: Add files
             operations.push('add');
-            await this.add(files);
+            await timeGitStep('add', () => this.add(files));
 
-            // Step 4: Commit changes
+            // Step 3: Commit changes
             operations.push('commit');
-            await this.commit(message, []);
+            if (await timeGitStep('commit', () => this.commit(message, files)) === 'No changes to commit') {
+                return { success: true, message: 'No changes to commit' };
+            }
+            ownSha = await this.getHeadSha();
+
+            // Step 4: Pull latest changes (a rebase rewrites our commit)
+            operations.push('pull');
+            await timeGitStep('pull', () => this.pull());
+            ownSha = await this.findOwnCommit(message, ownSha);
+
+            if (!ownSha) {
+                logger.info('Upstream already contains this change, nothing to push');
+                return { success: true, message: 'No changes to commit', operations };
+            }
 
             // Step 5: Push to remote
             operations.push('push');
-            await this.push();
+            await timeGitStep('push', () => this.push());
 
             return {
                 success: true,
                 message: `Git operations completed: ${operations.join(' -> ')}`,
-                operations: operations
+                operations: operations,
+                commitSha: ownSha
             };
 
         } catch (error) {
-            logger.error(`Git operation failed at step '${operations[operations.length - 1]}':`, error);
+            const step = operations[operations.length - 1];
+            logger.error(`Git operation failed at step '${step}':`, error);
 
-            // Attempt rollback if commit succeeded but push failed
-            if (operations.includes('commit') && !operations.includes('push')) {
-                await this.attemptRollback();
+            // Undo our commit if it never reached the remote, so the next attempt starts clean
+            if (ownSha && (step === 'pull' || step === 'push')) {
+                await this.attemptRollback(ownSha);
             }
 
-            throw new Error(`Git operations failed at ${operations[operations.length - 1]}: ${error.message}`);
+            error.message = `Git operations failed at ${step}: ${error.message}`;
+            error.step = step;
+            throw error;
         }
     }
 
     /**
-     * Commit IP change with retry mechanism
+     * Build commit message describing one or more target changes
+     */
+    buildIpChangeMessage(changes) {
+        return buildIpChangeMessage(changes);
+    }
+
+    /**
+     * Commit IP changes with retry mechanism
+     * changes: [{ target, family, oldIp, newIp }]
      */
-    async commitIpChange(ip, oldIp = null) {
+    async commitIpChange(changes) {
         if (!this.enabled || !this.autoCommit) {
             logger.info('Auto-commit is disabled');
             return { success: true, message: 'Auto-commit disabled' };
         }
 
-        const message = oldIp ?
-            `update ip ${oldIp} -> ${ip}` :
-            `update ip ${ip}`;
+        const message = this.buildIpChangeMessage(changes);
 
         try {
             logger.info(`Committing IP change: ${message}`);
 
+            // Conflicts, rejected credentials or pushes and a busy index won't fix themselves; anything else is retried
             const result = await withRetry(
-                () => this.commitAndPush(message, ['src/config/ip.json']),
+                () => this.commitAndPush(message, this.managedFiles),
                 this.maxRetries,
-                2000 // 2 second base delay
+                2000, // 2 second base delay
+                error => !(error instanceof GitAuthError || error instanceof GitConflictError
+                    || error instanceof GitPushRejectedError || error.code === 'ESTAGEDCHANGES')
             );
 
             logger.info('IP change committed successfully');
@@ -215,23 +392,64 @@ class GitService {
 
         } catch (error) {
             logger.error('Failed to commit IP change after retries:', error);
-            throw new Error(`Failed to commit IP change: ${error.message}`);
+            const wrapped = new Error(`Failed to commit IP change: ${error.message}`);
+            wrapped.code = error.code;
+            wrapped.cause = error.cause || error;
+            throw wrapped;
         }
     }
 
     /**
-     * Attempt to rollback last commit
+     * After a pull, the SHA to publish: our (possibly rebased) commit, or the merge
+     * commit on top of it; null if upstream already has it
      */
-    async attemptRollback() {
+    async findOwnCommit(message, committedSha) {
+        const head = await this.git.lastCommit();
+        const ours = head.subject === message.split('\n')[0]
+            || (head.sha !== committedSha && await this.git.isAncestor(committedSha, head.sha)
+                && !(await this.git.isAncestor(committedSha, '@{u}')));
+
+        if (!ours || await this.git.isAncestor(head.sha, '@{u}')) return null;
+        return head.sha;
+    }
+
+    /**
+     * Roll back the monitor's own commit, only if HEAD is still exactly that commit
+     */
+    async attemptRollback(expectedSha) {
         try {
-            logger.warn('Attempting to rollback last commit');
-            await executeCommand('git reset --soft HEAD~1', {
-                timeout: this.timeout
-            });
+            const head = await this.getHeadSha();
+            if (!expectedSha || head !== expectedSha) {
+                logger.warn(`Not rolling back: HEAD ${head} is not the monitor's commit ${expectedSha}`);
+                return false;
+            }
+
+            // A soft reset of a merge commit would stage upstream's changes as ours
+            if (await this.git.isMergeCommit(expectedSha)) {
+                logger.warn(`Not rolling back merge commit ${expectedSha}; it will be pushed with the next change`);
+                return false;
+            }
+
+            logger.warn(`Rolling back commit ${expectedSha}`);
+            await this.git.resetSoft(`${expectedSha}~1`);
             logger.info('Rollback completed successfully');
+            return true;
         } catch (rollbackError) {
             logger.error('Rollback failed:', rollbackError);
             // Don't throw here as it's a recovery attempt
+            return false;
+        }
+    }
+
+    /**
+     * Get the SHA of the current HEAD commit (null if it cannot be read)
+     */
+    async getHeadSha() {
+        try {
+            return await this.git.revParse('HEAD');
+        } catch (error) {
+            logger.warn(`Could not read HEAD commit: ${error.message}`);
+            return null;
         }
     }
 
@@ -240,22 +458,14 @@ class GitService {
      */
     async getRepositoryInfo() {
         try {
-            const remoteUrl = await executeCommand('git config --get remote.origin.url', {
-                timeout: this.timeout
-            });
-
-            const branch = await executeCommand('git branch --show-current', {
-                timeout: this.timeout
-            });
-
-            const lastCommit = await executeCommand('git log -1 --format="%H %s"', {
-                timeout: this.timeout
-            });
+            const remoteUrl = await this.git.configGet('remote.origin.url');
+            const branch = await this.git.currentBranch();
+            const lastCommit = await this.git.lastCommit();
 
             return {
-                remoteUrl: remoteUrl.trim(),
-                currentBranch: branch.trim(),
-                lastCommit: lastCommit.trim(),
+                remoteUrl,
+                currentBranch: branch,
+                lastCommit: `${lastCommit.sha} ${lastCommit.subject}`,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
@@ -287,7 +497,10 @@ class GitService {
                 config: {
                     maxRetries: this.maxRetries,
                     timeout: this.timeout,
-                    autoCommit: this.autoCommit
+                    autoCommit: this.autoCommit,
+                    managedFiles: this.managedFiles,
+                    stagedChanges: this.stagedChanges,
+                    pullStrategy: this.pullStrategy
                 }
             };
         } catch (error) {
@@ -301,4 +514,6 @@ class GitService {
     }
 }
 
-module.exports = GitService;
\ No newline at end of file
+module.exports = GitService;
+module.exports.buildIpChangeMessage = buildIpChangeMessage;
+module.exports.timeGitStep = timeGitStep;
\ No newline at end of file
@@ -1,33 +1,65 @@
 /**
  * Health monitoring server
  * Provides HTTP endpoints for health checks, status monitoring, and service control
+ *
+ * Access: /health and / are public, status / metrics / read API need a read or admin token,
+ * POST /api/check and /api/restart need an admin token (see utils/apiSecurity.js).
+ * With server.control.port set, the control routes are only served on that listener.
  */
 
 const express = require('express');
 const { formatTimestamp } = require('../utils/helpers');
+const { acceptId, runWithContext } = require('../utils/context');
+const { requireScope, cors, rateLimit } = require('../utils/apiSecurity');
+const { metrics, Registry } = require('../utils/metrics');
 const { logger } = require('../util');
 
+// Liveness and scrape endpoints, polled by orchestrators and Prometheus
+const PROBE_PATHS = ['/health', '/metrics'];
+
 class HealthServer {
     constructor(config, ipMonitorService) {
         this.config = config;
         this.ipMonitorService = ipMonitorService;
         this.app = express();
         this.server = null;
+        this.controlApp = config.server.control.port ? express() : null;
+        this.controlServer = null;
         this.startTime = Date.now();
 
-        this.setupMiddleware();
+        // Tokens and origins are read per request, so a config reload applies them
+        const auth = () => this.ipMonitorService.config.server.auth;
+        this.requireRead = requireScope('read', auth);
+        this.requireAdmin = requireScope('admin', auth);
+
+        this.setupMiddleware(this.app);
         this.setupRoutes();
+
+        if (this.controlApp) {
+            this.setupMiddleware(this.controlApp);
+            this.setupControlRoutes(this.controlApp);
+            this.setupErrorHandlers(this.controlApp);
+        }
     }
 
     /**
      * Setup Express middleware
      */
-    setupMiddleware() {
+    setupMiddleware(app) {
         // JSON parsing
-        this.app.use(express.json());
+        app.use(express.json());
+
+        // Correlation id: the caller's X-Request-Id or a new one, returned on every response
+        // and attached to every log line and check started by the request
+        app.use((req, res, next) => {
+            const requestId = acceptId(req.get('X-Request-Id'));
+            req.id = requestId;
+            res.set('X-Request-Id', requestId);
+            runWithContext({ requestId }, next);
+        });
 
         // Request logging
-        this.app.use((req, res, next) => {
+        app.use((req, res, next) => {
             logger.info(`${req.method} ${req.path}`, {
                 ip: req.ip,
                 userAgent: req.get('User-Agent')
@@ -35,13 +67,11 @@ class HealthServer {
             next();
         });
 
-        // CORS headers
-        this.app.use((req, res, next) => {
-            res.header('Access-Control-Allow-Origin', '*');
-            res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
-            res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-            next();
-        });
+        // CORS headers for the configured origins only
+        app.use(cors(() => this.ipMonitorService.config.server.cors.origins));
+
+        // Requests per client address; the probes stay reachable however busy the API is
+        app.use(rateLimit(() => this.ipMonitorService.config.server.rateLimit, { exemptPaths: PROBE_PATHS }));
     }
 
     /**
@@ -71,7 +101,6 @@ class HealthServer {
                 const statusCode = health.healthy ? 200 : 503;
 
                 res.status(statusCode).json({
-                    status: health.healthy ? 'healthy' : 'unhealthy',
                     timestamp: formatTimestamp(),
                     ...health
                 });
@@ -86,7 +115,7 @@ class HealthServer {
         });
 
         // Detailed status endpoint
-        this.app.get('/status', async (req, res) => {
+        this.app.get('/status', this.requireRead, async (req, res) => {
             try {
                 const status = await this.ipMonitorService.getStatus();
                 res.json({
@@ -103,15 +132,15 @@ class HealthServer {
         });
 
         // Metrics endpoint (Prometheus-style)
-        this.app.get('/metrics', async (req, res) => {
+        this.app.get('/metrics', this.requireRead, async (req, res) => {
             try {
                 const status = await this.ipMonitorService.getStatus();
                 const health = this.ipMonitorService.getHealth();
 
-                const metrics = this.formatPrometheusMetrics(status, health);
+                const output = this.formatPrometheusMetrics(status, health);
 
-                res.set('Content-Type', 'text/plain');
-                res.send(metrics);
+                res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+                res.send(output);
             } catch (error) {
                 logger.error('Metrics generation failed:', error);
                 res.status(500).json({
@@ -122,10 +151,18 @@ class HealthServer {
         });
 
         // API endpoints
+        if (!this.controlApp) this.setupControlRoutes(this.app);
         this.setupApiRoutes();
 
+        this.setupErrorHandlers(this.app);
+    }
+
+    /**
+     * 404 and error handlers (registered last)
+     */
+    setupErrorHandlers(app) {
         // 404 handler
-        this.app.use('*', (req, res) => {
+        app.use('*', (req, res) => {
             res.status(404).json({
                 error: 'Endpoint not found',
                 method: req.method,
@@ -135,7 +172,7 @@ class HealthServer {
         });
 
         // Error handler
-        this.app.use((error, req, res, next) => {
+        app.use((error, req, res, next) => {
             logger.error('Express error:', error);
             res.status(500).json({
                 error: 'Internal server error',
@@ -146,15 +183,25 @@ class HealthServer {
     }
 
     /**
-     * Setup API routes for service control
+     * Setup service control routes (admin scope, stricter rate limit)
      */
-    setupApiRoutes() {
-        const apiRouter = express.Router();
+    setupControlRoutes(app) {
+        const controlRouter = express.Router();
+        const controlLimits = () => {
+            const { controlMaxCalls, windowMs } = this.ipMonitorService.config.server.rateLimit;
+            return { maxCalls: controlMaxCalls, windowMs };
+        };
+        // Per route, so other /api routes on the same app keep their own scope
+        const guard = [rateLimit(controlLimits), this.requireAdmin];
 
-        // Force IP check
-        apiRouter.post('/check', async (req, res) => {
+        // Force IP check; body or query: { dryRun, skipGit }
+        controlRouter.post('/check', guard, async (req, res) => {
             try {
-                const result = await this.ipMonitorService.forceCheck();
+                const options = { ...req.query, ...(req.body || {}) };
+                const result = await this.ipMonitorService.forceCheck({
+                    dryRun: options.dryRun === true || options.dryRun === 'true',
+                    skipGit: options.skipGit === true || options.skipGit === 'true'
+                });
                 res.json({
                     success: true,
                     result,
@@ -165,17 +212,80 @@ class HealthServer {
                 res.status(500).json({
                     success: false,
                     error: error.message,
+                    checkId: error.checkId || null,
+                    timestamp: formatTimestamp()
+                });
+            }
+        });
+
+        // Service control endpoints
+        controlRouter.post('/restart', guard, async (req, res) => {
+            try {
+                logger.info('Service restart requested via API');
+
+                // Stop and start the service
+                await this.ipMonitorService.stop('API Restart');
+                await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds
+                await this.ipMonitorService.start();
+
+                res.json({
+                    success: true,
+                    message: 'Service restarted successfully',
+                    timestamp: formatTimestamp()
+                });
+            } catch (error) {
+                logger.error('Service restart failed:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                    timestamp: formatTimestamp()
+                });
+            }
+        });
+
+        app.use('/api', controlRouter);
+    }
+
+    /**
+     * Setup read-only API routes
+     */
+    setupApiRoutes() {
+        const apiRouter = express.Router();
+        apiRouter.use(this.requireRead);
+
+        // Recent check cycles, newest first: ?limit=
+        apiRouter.get('/checks', (req, res) => {
+            res.json({
+                checks: this.ipMonitorService.traces.list({ limit: req.query.limit }),
+                timestamp: formatTimestamp()
+            });
+        });
+
+        // One check cycle with its result and every log line written while it ran
+        apiRouter.get('/checks/:id', (req, res) => {
+            const trace = this.ipMonitorService.traces.get(req.params.id);
+
+            if (!trace) {
+                return res.status(404).json({
+                    error: `Unknown or expired check: ${req.params.id}`,
                     timestamp: formatTimestamp()
                 });
             }
+
+            res.json({
+                ...trace,
+                timestamp: formatTimestamp()
+            });
         });
 
-        // Get current IP
+        // Get current IP (default target plus every tracked target)
         apiRouter.get('/ip', async (req, res) => {
             try {
-                const currentIp = await this.ipMonitorService.readLocalIp();
+                const targets = await this.ipMonitorService.readLocalIps();
+                const currentIp = await this.ipMonitorService.readLocalIp().catch(() => null);
                 res.json({
                     ip: currentIp,
+                    targets,
                     timestamp: formatTimestamp()
                 });
             } catch (error) {
@@ -187,25 +297,76 @@ class HealthServer {
             }
         });
 
-        // Service control endpoints
-        apiRouter.post('/restart', async (req, res) => {
+        // Get current IP for a single target
+        apiRouter.get('/ip/:target', async (req, res) => {
             try {
-                logger.info('Service restart requested via API');
-
-                // Stop and start the service
-                await this.ipMonitorService.stop('API Restart');
-                await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds
-                await this.ipMonitorService.start();
+                const targets = await this.ipMonitorService.readLocalIps();
+                const target = targets[req.params.target];
+
+                if (!target) {
+                    return res.status(404).json({
+                        error: `Unknown target: ${req.params.target}`,
+                        timestamp: formatTimestamp()
+                    });
+                }
 
                 res.json({
-                    success: true,
-                    message: 'Service restarted successfully',
+                    target: req.params.target,
+                    ...target,
                     timestamp: formatTimestamp()
                 });
             } catch (error) {
-                logger.error('Service restart failed:', error);
+                logger.error('Failed to get target IP:', error);
                 res.status(500).json({
-                    success: false,
+                    error: error.message,
+                    timestamp: formatTimestamp()
+                });
+            }
+        });
+
+        // Observed IP history: ?target=&family=&from=&to=&changesOnly=true&limit=&offset=&order=asc|desc
+        apiRouter.get('/history', async (req, res) => {
+            try {
+                const { target, family, from, to, limit, offset, order } = req.query;
+                const result = await this.ipMonitorService.history.query({
+                    target,
+                    family,
+                    from,
+                    to,
+                    changesOnly: req.query.changesOnly === 'true',
+                    limit,
+                    offset,
+                    order
+                });
+
+                res.json({
+                    ...result,
+                    timestamp: formatTimestamp()
+                });
+            } catch (error) {
+                const invalidQuery = error.message.startsWith('Invalid time');
+                if (!invalidQuery) logger.error('Failed to query IP history:', error);
+                res.status(invalidQuery ? 400 : 500).json({
+                    error: error.message,
+                    timestamp: formatTimestamp()
+                });
+            }
+        });
+
+        // History summary per target/family (changes, lease durations)
+        apiRouter.get('/history/summary', async (req, res) => {
+            try {
+                const { target, family, from, to } = req.query;
+                const summary = await this.ipMonitorService.history.summary({ target, family, from, to });
+
+                res.json({
+                    summary,
+                    timestamp: formatTimestamp()
+                });
+            } catch (error) {
+                const invalidQuery = error.message.startsWith('Invalid time');
+                if (!invalidQuery) logger.error('Failed to summarize IP history:', error);
+                res.status(invalidQuery ? 400 : 500).json({
                     error: error.message,
                     timestamp: formatTimestamp()
                 });
@@ -217,55 +378,70 @@ class HealthServer {
 
     /**
      * Format metrics in Prometheus format
+     * Counters and histograms recorded while running (utils/metrics.js), followed by
+     * gauges read from the current status
      */
     formatPrometheusMetrics(status, health) {
-        const metrics = [];
+        const scrape = new Registry();
+        const service = status.service || {};
+        const healthStatus = status.health || {};
 
         // Basic service metrics
-        metrics.push(`# HELP ip_monitor_up Whether the IP monitor service is running`);
-        metrics.push(`# TYPE ip_monitor_up gauge`);
-        metrics.push(`ip_monitor_up ${status.service?.running ? 1 : 0}`);
-
-        metrics.push(`# HELP ip_monitor_uptime_seconds Service uptime in seconds`);
-        metrics.push(`# TYPE ip_monitor_uptime_seconds counter`);
-        metrics.push(`ip_monitor_uptime_seconds ${Math.floor((status.service?.uptime || 0) / 1000)}`);
+        scrape.gauge('ip_monitor_up', 'Whether the IP monitor service is running').set({}, service.isRunning ? 1 : 0);
+        scrape.gauge('ip_monitor_uptime_seconds', 'Seconds since the service started')
+            .set({}, Math.floor((healthStatus.uptimeMs || 0) / 1000));
 
         // Health metrics
-        metrics.push(`# HELP ip_monitor_healthy Whether the service is healthy`);
-        metrics.push(`# TYPE ip_monitor_healthy gauge`);
-        metrics.push(`ip_monitor_healthy ${health.healthy ? 1 : 0}`);
-
-        metrics.push(`# HELP ip_monitor_errors_total Total number of errors`);
-        metrics.push(`# TYPE ip_monitor_errors_total counter`);
-        metrics.push(`ip_monitor_errors_total ${status.health?.errorCount || 0}`);
-
-        metrics.push(`# HELP ip_monitor_checks_total Total number of IP checks performed`);
-        metrics.push(`# TYPE ip_monitor_checks_total counter`);
-        metrics.push(`ip_monitor_checks_total ${status.health?.totalChecks || 0}`);
-
-        // Last check timestamp
-        if (status.service?.lastCheck) {
-            metrics.push(`# HELP ip_monitor_last_check_timestamp_seconds Timestamp of last IP check`);
-            metrics.push(`# TYPE ip_monitor_last_check_timestamp_seconds gauge`);
-            metrics.push(`ip_monitor_last_check_timestamp_seconds ${Math.floor(status.service.lastCheck / 1000)}`);
+        scrape.gauge('ip_monitor_healthy', 'Whether the service is healthy').set({}, health.healthy ? 1 : 0);
+        scrape.gauge('ip_monitor_consecutive_failures', 'Checks failed in a row (unhealthy from 5)').set({}, healthStatus.errorCount || 0);
+        scrape.gauge('ip_monitor_warnings', 'Number of active health warnings').set({}, (health.warnings || []).length);
+
+        // Last check / success / change timestamps
+        const timestamps = scrape.gauge('ip_monitor_last_event_timestamp_seconds', 'Time of the last check, successful check and IP change', ['event']);
+        [['check', healthStatus.lastCheck], ['success', healthStatus.lastSuccess], ['ip_change', healthStatus.lastIpChange?.timestamp]]
+            .filter(([, time]) => time)
+            .forEach(([event, time]) => timestamps.set({ event }, Math.floor(time / 1000)));
+
+        // Current IP per target and family, as labels
+        const info = scrape.gauge('ip_monitor_info', 'Current IP per target and family (always 1)', ['target', 'family', 'ip']);
+        Object.entries(status.targets || {}).forEach(([target, entry]) => {
+            ['ipv4', 'ipv6'].filter(family => entry[family]).forEach(family => info.set({ target, family, ip: entry[family] }, 1));
+        });
+
+        // Detection provider statistics (kept across restarts, so counted up from zero in each scrape registry)
+        const providers = status.services?.ipDetection?.methods || [];
+        const requests = scrape.counter('ip_monitor_provider_requests_total', 'Detection attempts per provider by outcome', ['provider', 'outcome']);
+        const circuit = scrape.gauge('ip_monitor_provider_circuit_open', 'Whether the provider circuit breaker is open', ['provider']);
+        providers.forEach(p => {
+            ['success', 'failure', 'timeout', 'invalidResponse'].forEach(outcome => {
+                requests.inc({ provider: p.name, outcome }, p.stats[outcome]);
+            });
+            circuit.set({ provider: p.name }, p.stats.circuitOpen ? 1 : 0);
+        });
+
+        // Local / published / detected IP drift
+        if (status.drift) {
+            scrape.gauge('ip_monitor_remote_reachable', 'Whether the published ip.json could be fetched on the last check')
+                .set({}, status.drift.remote.reachable ? 1 : 0);
+
+            const driftState = scrape.gauge('ip_monitor_drift_state', 'Current drift state per target and family', ['target', 'family', 'state']);
+            status.drift.targets.forEach(entry => driftState.set({ target: entry.target, family: entry.family, state: entry.state }, 1));
+
+            const transitions = scrape.counter('ip_monitor_drift_transitions_total', 'Times a target/family entered each drift state', ['state']);
+            Object.entries(status.drift.counts).forEach(([state, count]) => transitions.inc({ state }, count));
         }
 
         // Git service status
         if (status.services?.git) {
-            metrics.push(`# HELP ip_monitor_git_enabled Whether Git integration is enabled`);
-            metrics.push(`# TYPE ip_monitor_git_enabled gauge`);
-            metrics.push(`ip_monitor_git_enabled ${status.services.git.enabled ? 1 : 0}`);
-
-            metrics.push(`# HELP ip_monitor_git_healthy Whether Git service is healthy`);
-            metrics.push(`# TYPE ip_monitor_git_healthy gauge`);
-            metrics.push(`ip_monitor_git_healthy ${status.services.git.healthy ? 1 : 0}`);
+            scrape.gauge('ip_monitor_git_enabled', 'Whether Git integration is enabled').set({}, status.services.git.enabled ? 1 : 0);
+            scrape.gauge('ip_monitor_git_healthy', 'Whether Git service is healthy').set({}, status.services.git.healthy ? 1 : 0);
         }
 
-        return metrics.join('\n') + '\n';
+        return metrics.render() + scrape.render();
     }
 
     /**
-     * Start the health server
+     * Start the health server (and the control listener, if configured)
      */
     async start() {
         if (!this.config.server.enableHealthCheck) {
@@ -274,43 +450,56 @@ class HealthServer {
         }
 
         try {
-            return new Promise((resolve, reject) => {
-                this.server = this.app.listen(
-                    this.config.server.port,
-                    this.config.server.host,
-                    () => {
-                        const address = this.server.address();
-                        logger.info(`Health server started on ${address.address}:${address.port}`);
-                        resolve(true);
-                    }
-                );
-
-                this.server.on('error', (error) => {
-                    logger.error('Health server error:', error);
-                    reject(error);
-                });
-            });
+            const { auth } = this.config.server;
+            if (auth.readTokens.length + auth.adminTokens.length === 0) {
+                logger.warn('No API tokens set (API_READ_TOKENS / API_ADMIN_TOKENS): status routes are open and control routes only answer localhost');
+            }
+
+            this.server = await this.listen(this.app, this.config.server.port, this.config.server.host, 'Health server');
+
+            if (this.controlApp) {
+                const { port, host } = this.config.server.control;
+                this.controlServer = await this.listen(this.controlApp, port, host, 'Control API');
+            }
+
+            return true;
         } catch (error) {
             logger.error('Failed to start health server:', error);
+            await this.stop();
             throw error;
         }
     }
 
+    /**
+     * Listen on host:port; resolves with the server once it is bound
+     */
+    listen(app, port, host, name) {
+        return new Promise((resolve, reject) => {
+            const server = app.listen(port, host, () => {
+                const address = server.address();
+                logger.info(`${name} started on ${address.address}:${address.port}`);
+                resolve(server);
+            });
+
+            server.on('error', (error) => {
+                logger.error(`${name} error:`, error);
+                reject(error);
+            });
+        });
+    }
+
     /**
      * Stop the health server
      */
     async stop() {
-        if (!this.server) {
-            return;
-        }
+        const close = (server) => new Promise((resolve) => {
+            if (!server || !server.listening) return resolve();
+            server.close(() => resolve());
+        });
 
         try {
-            return new Promise((resolve) => {
-                this.server.close(() => {
-                    logger.info('Health server stopped');
-                    resolve();
-                });
-            });
+            await Promise.all([close(this.server), close(this.controlServer)]);
+            if (this.server) logger.info('Health server stopped');
         } catch (error) {
             logger.error('Error stopping health server:', error);
         }
@@ -325,10 +514,12 @@ class HealthServer {
         }
 
         const address = this.server.address();
+        const control = this.controlServer ? this.controlServer.address() : null;
         return {
             running: true,
             host: address.address,
             port: address.port,
+            control: control ? { host: control.address, port: control.port } : null,
             uptime: Date.now() - this.startTime
         };
     }
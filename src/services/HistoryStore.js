@@ -0,0 +1,180 @@
+/**
+ * IP History Store
+ * Append-only JSONL log of every observed IP per target and family,
+ * with filtered queries and lease statistics
+ *
+ * One line per observation:
+ * {"timestamp":"...","target":"crypto-web-tool","family":"ipv4","ip":"1.2.3.4",
+ *  "previousIp":"1.2.3.3","changed":true,"method":"IPify API","commitSha":"abc123..."}
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { logger } = require('../util');
+
+/**
+ * Parse a time filter given as ISO string or epoch milliseconds
+ */
+const parseTime = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const time = /^\d+$/.test(String(value)) ? parseInt(value) : Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid time: ${value}`);
+    }
+    return time;
+};
+
+class HistoryStore {
+    constructor(config) {
+        this.enabled = config.history.enabled;
+        this.filePath = config.history.path;
+    }
+
+    /**
+     * Append observations (one per target/family) to the log
+     */
+    async append(entries) {
+        if (!this.enabled || entries.length === 0) return;
+
+        const lines = entries.map(entry => JSON.stringify({
+            timestamp: entry.timestamp || new Date().toISOString(),
+            target: entry.target,
+            family: entry.family,
+            ip: entry.ip,
+            previousIp: entry.previousIp || null,
+            changed: Boolean(entry.changed),
+            method: entry.method || null,
+            commitSha: entry.commitSha || null
+        })).join('\n') + '\n';
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.appendFile(this.filePath, lines, 'utf8');
+        } catch (error) {
+            // History is informational; never fail a check because of it
+            logger.warn(`Could not append IP history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stream every entry matching a filter, oldest first
+     */
+    async readEntries({ target, family, from, to, changesOnly } = {}) {
+        const fromTime = parseTime(from);
+        const toTime = parseTime(to);
+        const entries = [];
+
+        try {
+            await fs.promises.access(this.filePath);
+        } catch (error) {
+            return entries;
+        }
+
+        const lines = readline.createInterface({
+            input: fs.createReadStream(this.filePath, 'utf8'),
+            crlfDelay: Infinity
+        });
+
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                continue; // skip a torn last line
+            }
+
+            const time = Date.parse(entry.timestamp);
+            if (target && entry.target !== target) continue;
+            if (family && entry.family !== family) continue;
+            if (changesOnly && !entry.changed) continue;
+            if (fromTime !== null && time < fromTime) continue;
+            if (toTime !== null && time > toTime) continue;
+
+            entries.push(entry);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Query entries with pagination, newest first by default
+     */
+    async query({ limit = 100, offset = 0, order = 'desc', ...filters } = {}) {
+        const entries = await this.readEntries(filters);
+        if (order !== 'asc') entries.reverse();
+
+        const pageLimit = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+        const pageOffset = Math.max(parseInt(offset) || 0, 0);
+
+        return {
+            total: entries.length,
+            limit: pageLimit,
+            offset: pageOffset,
+            items: entries.slice(pageOffset, pageOffset + pageLimit)
+        };
+    }
+
+    /**
+     * Time (ms) of the most recent real IP change, i.e. an entry replacing a previous IP; null if none
+     */
+    async lastChangeAt(filters = {}) {
+        const changes = await this.readEntries({ ...filters, changesOnly: true });
+        const times = changes
+            .filter(entry => entry.previousIp)
+            .map(entry => Date.parse(entry.timestamp))
+            .filter(time => !Number.isNaN(time));
+        return times.length > 0 ? Math.max(...times) : null;
+    }
+
+    /**
+     * Summary statistics per target/family: observations, changes and lease durations
+     * A lease is the time between two consecutive changes; the current lease is reported separately.
+     */
+    async summary(filters = {}) {
+        const entries = await this.readEntries({ ...filters, changesOnly: false });
+        const groups = {};
+
+        for (const entry of entries) {
+            const key = `${entry.target}/${entry.family}`;
+            if (!groups[key]) {
+                groups[key] = { target: entry.target, family: entry.family, observations: 0, changes: [], ips: new Set(), first: entry, last: entry };
+            }
+            const group = groups[key];
+            group.observations++;
+            group.ips.add(entry.ip);
+            group.last = entry;
+            // The first sighting of a target is recorded as changed but replaces nothing
+            if (entry.changed && entry.previousIp) group.changes.push(Date.parse(entry.timestamp));
+        }
+
+        return Object.values(groups).map(group => {
+            const leases = [];
+            for (let i = 1; i < group.changes.length; i++) {
+                leases.push(group.changes[i] - group.changes[i - 1]);
+            }
+            const lastChange = group.changes[group.changes.length - 1];
+
+            return {
+                target: group.target,
+                family: group.family,
+                observations: group.observations,
+                changes: group.changes.length,
+                distinctIps: group.ips.size,
+                currentIp: group.last.ip,
+                firstSeen: group.first.timestamp,
+                lastSeen: group.last.timestamp,
+                lastChange: lastChange ? new Date(lastChange).toISOString() : null,
+                currentLeaseMs: lastChange ? Date.parse(group.last.timestamp) - lastChange : null,
+                averageLeaseMs: leases.length > 0 ? Math.round(leases.reduce((a, b) => a + b, 0) / leases.length) : null,
+                shortestLeaseMs: leases.length > 0 ? Math.min(...leases) : null,
+                longestLeaseMs: leases.length > 0 ? Math.max(...leases) : null
+            };
+        });
+    }
+}
+
+module.exports = HistoryStore;
+module.exports.parseTime = parseTime;
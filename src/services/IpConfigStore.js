@@ -0,0 +1,311 @@
+/**
+ * IP Config Store
+ * Reads and writes src/config/ip.json as a map of named targets
+ *
+ * File layout:
+ * {
+ *   "crypto-web-tool": "1.2.3.4",            // flat mirror for existing consumers
+ *   "targets": {
+ *     "crypto-web-tool": {
+ *       "ip": "1.2.3.4",                     // ipv4, or ipv6 when there is no ipv4
+ *       "ipv4": "1.2.3.4",
+ *       "ipv6": "2001:db8::1",
+ *       "policy": { "methods": [], "families": ["ipv4", "ipv6"] },
+ *       "lastUpdated": "...",
+ *       "history": [{ "ip": "...", "family": "ipv4", "method": "...", "detectedAt": "..." }],
+ *       "signature": { "alg": "Ed25519", "keyId": "...", "sequence": 7, "signedAt": "...", "value": "..." }
+ *     }
+ *   },
+ *   "lastUpdated": "...",
+ *   "lastUpdateBy": "ip-monitor-service"
+ * }
+ *
+ * Legacy single-key files ({ "crypto-web-tool": "1.2.3.4" }) are loaded as one target.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { formatTimestamp, isValidIp, normalizeIp, getIpFamily, safeJsonParse } = require('../utils/helpers');
+
+const UPDATED_BY = 'ip-monitor-service';
+
+// Top-level keys that describe the file itself rather than a target
+const META_KEYS = ['targets', 'lastUpdated', 'lastUpdateBy', 'createdBy', 'ip'];
+
+/**
+ * Build an empty target entry
+ */
+const createTarget = (policy = {}) => ({
+    ip: null,
+    ipv4: null,
+    ipv6: null,
+    policy: { ...policy },
+    lastUpdated: null,
+    history: []
+});
+
+/**
+ * Fill in ipv4/ipv6 from whatever the entry has and derive the primary "ip"
+ */
+const normalizeTargetAddresses = (target) => {
+    let ipv4 = normalizeIp(target.ipv4, { unmapIpv4: true });
+    let ipv6 = normalizeIp(target.ipv6);
+    const legacy = normalizeIp(target.ip, { unmapIpv4: true });
+
+    if (legacy && getIpFamily(legacy) === 'ipv4' && !ipv4) ipv4 = legacy;
+    if (legacy && getIpFamily(legacy) === 'ipv6' && !ipv6) ipv6 = legacy;
+    if (ipv4 && getIpFamily(ipv4) !== 'ipv4') ipv4 = null;
+    if (ipv6 && getIpFamily(ipv6) !== 'ipv6') ipv6 = null;
+
+    return { ...target, ip: ipv4 || ipv6 || null, ipv4: ipv4 || null, ipv6: ipv6 || null };
+};
+
+/**
+ * Normalize raw ip.json content into { targets, meta }
+ */
+const normalizeIpConfig = (data, defaultTarget = 'crypto-web-tool') => {
+    const raw = data && typeof data === 'object' ? data : {};
+    const targets = {};
+
+    // Current format: explicit targets map
+    if (raw.targets && typeof raw.targets === 'object') {
+        for (const [name, entry] of Object.entries(raw.targets)) {
+            const value = typeof entry === 'string' ? { ip: entry } : (entry || {});
+            targets[name] = normalizeTargetAddresses({
+                ...createTarget(value.policy),
+                ...value,
+                history: Array.isArray(value.history) ? value.history : []
+            });
+        }
+    }
+
+    // Legacy format: flat "<name>": "<ip>" keys (also the mirror we write back)
+    for (const [key, value] of Object.entries(raw)) {
+        if (META_KEYS.includes(key) || targets[key]) continue;
+        if (typeof value === 'string' && isValidIp(value)) {
+            targets[key] = normalizeTargetAddresses({ ...createTarget(), ip: value, lastUpdated: raw.lastUpdated || null });
+        }
+    }
+
+    // Oldest format: a single "ip" key
+    if (raw.ip && isValidIp(raw.ip) && !targets[defaultTarget]) {
+        targets[defaultTarget] = normalizeTargetAddresses({ ...createTarget(), ip: raw.ip, lastUpdated: raw.lastUpdated || null });
+    }
+
+    const meta = {};
+    for (const key of ['lastUpdated', 'lastUpdateBy', 'createdBy']) {
+        if (raw[key] !== undefined) meta[key] = raw[key];
+    }
+
+    return { targets, meta };
+};
+
+/**
+ * Serialize a normalized document back to the on-disk layout
+ */
+const serializeIpConfig = (document) => {
+    const output = {};
+
+    // Flat mirror keeps consumers reading ip.json["<name>"] working
+    for (const [name, target] of Object.entries(document.targets)) {
+        if (target.ip) output[name] = target.ip;
+    }
+
+    output.targets = document.targets;
+    return { ...output, ...document.meta };
+};
+
+const toTime = (value) => Date.parse(value) || 0;
+
+/**
+ * When a target last detected an address of a family (history first, lastUpdated as fallback)
+ */
+const familyDetectedAt = (target, family) => {
+    const entries = target.history.filter(entry => (entry.family || getIpFamily(entry.ip)) === family);
+    const last = entries[entries.length - 1];
+    return toTime(last ? last.detectedAt : target.lastUpdated);
+};
+
+/**
+ * Merge two versions of one target: each family keeps the most recently detected
+ * address, other fields come from the more recently updated side, histories are combined.
+ */
+const mergeTargets = (ours, theirs, historyLimit) => {
+    const [older, newer] = toTime(ours.lastUpdated) >= toTime(theirs.lastUpdated) ? [theirs, ours] : [ours, theirs];
+    const merged = { ...older, ...newer };
+
+    for (const family of ['ipv4', 'ipv6']) {
+        merged[family] = familyDetectedAt(ours, family) >= familyDetectedAt(theirs, family)
+            ? ours[family] || theirs[family]
+            : theirs[family] || ours[family];
+    }
+
+    // A signature only stays if it covers the merged addresses; the sequence never goes back
+    const addresses = normalizeTargetAddresses(merged);
+    const sameAddresses = (side) => ['ip', 'ipv4', 'ipv6'].every(field => (side[field] || null) === addresses[field]);
+    const sequenceOf = (side) => (side.signature && side.signature.sequence) || 0;
+    const sequence = Math.max(sequenceOf(ours), sequenceOf(theirs));
+    const signed = [newer, older].find(side => side.signature && side.signature.value && sameAddresses(side) && sequenceOf(side) === sequence);
+
+    if (signed) merged.signature = signed.signature;
+    else if (sequence > 0) merged.signature = { sequence };
+    else delete merged.signature;
+
+    const seen = new Set();
+    merged.history = [...older.history, ...newer.history]
+        .filter(entry => {
+            const key = `${entry.family || ''}|${entry.ip}|${entry.detectedAt}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .sort((a, b) => toTime(a.detectedAt) - toTime(b.detectedAt))
+        .slice(-historyLimit);
+
+    return normalizeTargetAddresses(merged);
+};
+
+/**
+ * Merge two raw ip.json documents (e.g. both sides of a git conflict)
+ * Targets are merged per family by detection time; unknown top-level fields are kept,
+ * the more recently updated document winning when both set one.
+ */
+const mergeIpConfigs = (oursRaw, theirsRaw, { defaultTarget = 'crypto-web-tool', historyLimit = 20 } = {}) => {
+    const ours = normalizeIpConfig(oursRaw, defaultTarget);
+    const theirs = normalizeIpConfig(theirsRaw, defaultTarget);
+    const targets = {};
+
+    for (const name of new Set([...Object.keys(theirs.targets), ...Object.keys(ours.targets)])) {
+        const a = ours.targets[name];
+        const b = theirs.targets[name];
+        targets[name] = a && b ? mergeTargets(a, b, historyLimit) : a || b;
+    }
+
+    const oursNewer = toTime(ours.meta.lastUpdated) >= toTime(theirs.meta.lastUpdated);
+    const extras = (raw, document) => Object.fromEntries(Object.entries(raw || {})
+        .filter(([key]) => !META_KEYS.includes(key) && !document.targets[key]));
+
+    const [olderRaw, newerRaw] = oursNewer ? [theirsRaw, oursRaw] : [oursRaw, theirsRaw];
+    const [olderDoc, newerDoc] = oursNewer ? [theirs, ours] : [ours, theirs];
+
+    const merged = serializeIpConfig({
+        targets,
+        meta: { ...olderDoc.meta, ...newerDoc.meta }
+    });
+
+    return { ...extras(olderRaw, olderDoc), ...extras(newerRaw, newerDoc), ...merged };
+};
+
+class IpConfigStore {
+    constructor(config, { signer = null } = {}) {
+        this.config = config;
+        this.signer = signer && signer.enabled ? signer : null;
+        this.filePath = config.configPath;
+        this.defaultTarget = config.ipMonitor.defaultTarget;
+        this.historyLimit = config.ipMonitor.historyLimit;
+    }
+
+    /**
+     * Read and normalize the config file
+     */
+    async read() {
+        const content = await fs.readFile(this.filePath, 'utf8');
+        const data = safeJsonParse(content, null);
+
+        if (!data) {
+            throw new Error(`Invalid JSON in ${this.filePath}`);
+        }
+
+        return normalizeIpConfig(data, this.defaultTarget);
+    }
+
+    /**
+     * Read the config file, returning an empty document if it is missing or unreadable
+     */
+    async readOrEmpty() {
+        try {
+            return await this.read();
+        } catch (error) {
+            return { targets: {}, meta: {} };
+        }
+    }
+
+    /**
+     * Write a normalized document to disk
+     */
+    async write(document) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(
+            this.filePath,
+            JSON.stringify(serializeIpConfig(document), null, 2),
+            'utf8'
+        );
+    }
+
+    /**
+     * Get the stored IP for a target ('ip' = primary, or 'ipv4' / 'ipv6')
+     */
+    async getTargetIp(name = this.defaultTarget, field = 'ip') {
+        const document = await this.read();
+        const target = document.targets[name];
+
+        if (!target || !target[field] || !isValidIp(target[field])) {
+            throw new Error(`Invalid or missing ${field} for target '${name}' in local config`);
+        }
+
+        return target[field];
+    }
+
+    /**
+     * Apply detected IPs to their targets and persist
+     * Each update: { target, family, ip, method, policy? }
+     */
+    async applyUpdates(updates, { createdBy } = {}) {
+        const document = await this.readOrEmpty();
+        const timestamp = formatTimestamp();
+        const touched = new Set();
+
+        for (const update of updates) {
+            const target = document.targets[update.target] || createTarget(update.policy);
+            const family = update.family || getIpFamily(update.ip);
+
+            // An overwrite records a fresh detection so it wins merges against the edit it replaces
+            if (target[family] !== update.ip || update.overwrite) {
+                target.history = [
+                    ...target.history,
+                    { ip: update.ip, family, method: update.method || null, detectedAt: timestamp }
+                ].slice(-this.historyLimit);
+            }
+
+            target[family] = update.ip;
+            target.lastUpdated = timestamp;
+            document.targets[update.target] = normalizeTargetAddresses(target);
+            touched.add(update.target);
+        }
+
+        if (this.signer) {
+            for (const name of touched) {
+                const target = document.targets[name];
+                target.signature = this.signer.sign(name, target, timestamp);
+            }
+        }
+
+        document.meta = {
+            ...document.meta,
+            lastUpdated: timestamp,
+            lastUpdateBy: UPDATED_BY
+        };
+
+        if (createdBy && !document.meta.createdBy) {
+            document.meta.createdBy = createdBy;
+        }
+
+        await this.write(document);
+        return document;
+    }
+}
+
+module.exports = IpConfigStore;
+module.exports.normalizeIpConfig = normalizeIpConfig;
+module.exports.serializeIpConfig = serializeIpConfig;
+module.exports.mergeIpConfigs = mergeIpConfigs;
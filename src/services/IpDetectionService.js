@@ -4,131 +4,142 @@
  */
 
 const axios = require('axios');
-const { executeCommand, isValidIp, cleanString, withRetry } = require('../utils/helpers');
+const { normalizeIp, getIpFamily, ipsEqual, withRetry } = require('../utils/helpers');
+const { metrics } = require('../utils/metrics');
 const { logger } = require('../util');
+const { normalizeIpConfig } = require('./IpConfigStore');
+const ProviderRegistry = require('../providers/ProviderRegistry');
+const ProviderStats = require('../providers/ProviderStats');
+
+const FAMILIES = ['ipv4', 'ipv6'];
+
+// outcome: success, or the failure kind counted in the provider statistics (timeout, invalid, failure)
+const detectionDuration = metrics.histogram(
+    'ip_monitor_detection_duration_seconds',
+    'Detection attempts per provider and family by outcome, retries included',
+    ['provider', 'family', 'outcome']
+);
 
 class IpDetectionService {
     constructor(config) {
         this.config = config;
         this.timeout = config.ipMonitor.timeout;
 
-        // Define detection methods in order of preference
-        this.detectionMethods = [
-            {
-                name: 'Google DNS',
-                method: () => this.getIpByGoogleDns(),
-                priority: 1
-            },
-            {
-                name: 'IPify API',
-                method: () => this.getIpByIpify(),
-                priority: 2
-            },
-            {
-                name: 'AWS CheckIP',
-                method: () => this.getIpByAws(),
-                priority: 3
-            },
-            {
-                name: 'HTTPBin',
-                method: () => this.getIpByHttpBin(),
-                priority: 4
-            },
-            {
-                name: 'ICanHazIP',
-                method: () => this.getIpByICanHazIp(),
-                priority: 5
-            }
-        ];
+        // Providers come from the registry: built-ins, config file and custom modules
+        this.registry = new ProviderRegistry(config).load();
+
+        // Reliability statistics drive adaptive ordering and circuit breaking
+        this.stats = new ProviderStats(config);
+        this.statsReady = this.stats.load();
     }
 
     /**
-     * Get public IP using Google DNS (most reliable)
+     * Get address families requested by a target policy
      */
-    async getIpByGoogleDns() {
-        const command = 'dig -4 TXT +short o-o.myaddr.l.google.com @ns1.google.com';
-        const result = await executeCommand(command, { timeout: this.timeout });
-        return cleanString(result);
+    getFamiliesForPolicy(policy = {}) {
+        const families = Array.isArray(policy.families) && policy.families.length > 0
+            ? policy.families
+            : this.config.ipMonitor.families;
+
+        return families.filter(f => FAMILIES.includes(f));
     }
 
     /**
-     * Get public IP using IPify API
+     * Get detection methods allowed by a target policy, in priority order
      */
-    async getIpByIpify() {
-        const response = await axios.get('https://api.ipify.org?format=text', {
-            timeout: this.timeout,
-            headers: {
-                'User-Agent': 'ip-monitor/1.0'
-            }
-        });
-        return cleanString(response.data);
+    getMethodsForPolicy(policy = {}, family = 'ipv4') {
+        const names = Array.isArray(policy.methods) && policy.methods.length > 0
+            ? policy.methods
+            : undefined;
+
+        const scope = policy.scope || this.config.ipMonitor.detection.scope;
+
+        return this.stats.arrange(this.registry.getProviders({ family, scope, names }));
     }
 
     /**
-     * Get public IP using AWS CheckIP service
+     * Get detection mode settings for a policy (policy values override config)
      */
-    async getIpByAws() {
-        const response = await axios.get('https://checkip.amazonaws.com', {
-            timeout: this.timeout,
-            headers: {
-                'User-Agent': 'ip-monitor/1.0'
-            }
-        });
-        return cleanString(response.data);
+    getDetectionSettings(policy = {}) {
+        const defaults = this.config.ipMonitor.detection;
+        return {
+            mode: policy.mode || defaults.mode,
+            providers: parseInt(policy.providers) || defaults.consensusProviders,
+            quorum: parseInt(policy.quorum) || defaults.quorum
+        };
     }
 
     /**
-     * Get public IP using HTTPBin
+     * Run one detection method and return a normalized IP of the expected family
      */
-    async getIpByHttpBin() {
-        const response = await axios.get('https://httpbin.org/ip', {
-            timeout: this.timeout,
-            headers: {
-                'User-Agent': 'ip-monitor/1.0'
+    async detectWithMethod(provider, family) {
+        // A provider that is already failing gets a single attempt in adaptive mode
+        const entry = this.stats.getEntry(provider.name);
+        const attempts = this.stats.adaptive.enabled && entry.consecutiveFailures > 0 ? 1 : 2;
+        const startTime = Date.now();
+        const endTimer = detectionDuration.startTimer({ provider: provider.name, family });
+
+        try {
+            const rawIp = await withRetry(() => provider.detect(), attempts, 1000);
+            const ip = normalizeIp(rawIp, { unmapIpv4: true });
+
+            if (!ip || getIpFamily(ip) !== family) {
+                const error = new Error(`Invalid ${family} format received: ${rawIp}`);
+                error.code = 'EINVALIDRESPONSE';
+                throw error;
             }
-        });
-        return response.data.origin;
+
+            this.stats.recordSuccess(provider.name, Date.now() - startTime);
+            endTimer({ outcome: 'success' });
+            return ip;
+        } catch (error) {
+            const kind = this.stats.recordFailure(provider.name, error, Date.now() - startTime);
+            endTimer({ outcome: kind });
+            throw error;
+        }
     }
 
     /**
-     * Get public IP using ICanHazIP
+     * Get public IP of one address family
+     * Uses fallback (first success) or consensus mode depending on the policy.
      */
-    async getIpByICanHazIp() {
-        const response = await axios.get('https://icanhazip.com', {
-            timeout: this.timeout,
-            headers: {
-                'User-Agent': 'ip-monitor/1.0'
-            }
-        });
-        return cleanString(response.data);
+    async getPublicIp(policy = {}, family = 'ipv4') {
+        await this.statsReady;
+
+        const sortedMethods = this.getMethodsForPolicy(policy, family);
+        if (sortedMethods.length === 0) {
+            throw new Error(`No ${family} detection methods match policy (scope ${policy.scope || this.config.ipMonitor.detection.scope})`);
+        }
+
+        const settings = this.getDetectionSettings(policy);
+        if (settings.mode === 'consensus') {
+            return this.getConsensusIp(sortedMethods, family, settings);
+        }
+
+        return this.getFallbackIp(sortedMethods, family);
     }
 
     /**
-     * Get public IP with fallback methods
+     * Try methods in priority order and return the first valid answer
      */
-    async getPublicIp() {
+    async getFallbackIp(sortedMethods, family) {
         const errors = [];
 
-        // Sort methods by priority
-        const sortedMethods = [...this.detectionMethods].sort((a, b) => a.priority - b.priority);
-
-        for (const { name, method } of sortedMethods) {
+        for (const detectionMethod of sortedMethods) {
+            const { name } = detectionMethod;
             try {
                 logger.info(`Attempting IP detection using ${name}`);
 
-                const ip = await withRetry(method, 2, 1000); // 2 retries with 1s base delay
-
-                if (isValidIp(ip)) {
-                    logger.info(`Successfully detected IP using ${name}: ${ip}`);
-                    return {
-                        ip,
-                        method: name,
-                        timestamp: new Date().toISOString(),
-                        success: true
-                    };
-                } else {
-                    throw new Error(`Invalid IP format received: ${ip}`);
-                }
+                const ip = await this.detectWithMethod(detectionMethod, family);
+
+                logger.info(`Successfully detected IP using ${name}: ${ip}`);
+                return {
+                    ip,
+                    family,
+                    method: name,
+                    timestamp: new Date().toISOString(),
+                    success: true
+                };
             } catch (error) {
                 const errorMsg = `${name} failed: ${error.message}`;
                 logger.warn(errorMsg);
@@ -138,17 +149,117 @@ class IpDetectionService {
 
         // All methods failed
         const errorSummary = errors.map(e => `${e.method}: ${e.error}`).join('; ');
-        throw new Error(`All IP detection methods failed. Errors: ${errorSummary}`);
+        throw new Error(`All ${family} detection methods failed. Errors: ${errorSummary}`);
+    }
+
+    /**
+     * Query the top N methods concurrently and accept an IP only when a quorum agrees
+     */
+    async getConsensusIp(sortedMethods, family, { providers, quorum }) {
+        const selected = sortedMethods.slice(0, providers);
+
+        if (selected.length < quorum) {
+            throw new Error(`Consensus needs ${quorum} ${family} providers but only ${selected.length} are available`);
+        }
+
+        logger.info(`Attempting ${family} consensus detection using ${selected.map(m => m.name).join(', ')} (quorum ${quorum})`);
+
+        const settled = await Promise.allSettled(
+            selected.map(detectionMethod => this.detectWithMethod(detectionMethod, family))
+        );
+
+        const votes = {};
+        const answers = [];
+        const failed = [];
+
+        settled.forEach((outcome, index) => {
+            const { name } = selected[index];
+            if (outcome.status === 'fulfilled') {
+                answers.push({ method: name, ip: outcome.value });
+                votes[outcome.value] = (votes[outcome.value] || []).concat(name);
+            } else {
+                failed.push({ method: name, error: outcome.reason.message });
+                logger.warn(`${name} failed: ${outcome.reason.message}`);
+            }
+        });
+
+        const [winner, agreed] = Object.entries(votes)
+            .sort((a, b) => b[1].length - a[1].length)[0] || [null, []];
+
+        const consensus = {
+            quorum,
+            queried: selected.length,
+            votes,
+            agreed,
+            disagreed: answers.filter(a => a.ip !== winner),
+            failed
+        };
+
+        if (!winner || agreed.length < quorum) {
+            const error = new Error(`No ${family} consensus: ${agreed.length}/${quorum} providers agreed (${JSON.stringify(votes)})`);
+            error.consensus = consensus;
+            throw error;
+        }
+
+        if (consensus.disagreed.length > 0) {
+            logger.warn(`${family} consensus reached on ${winner} but providers disagreed: ${consensus.disagreed.map(d => `${d.method}=${d.ip}`).join(', ')}`);
+        } else {
+            logger.info(`${family} consensus reached on ${winner} (${agreed.join(', ')})`);
+        }
+
+        return {
+            ip: winner,
+            family,
+            method: `consensus(${agreed.join(', ')})`,
+            consensus,
+            timestamp: new Date().toISOString(),
+            success: true
+        };
     }
 
     /**
-     * Get IP from remote GitHub repository
+     * Get public IPs for every address family requested by a policy
+     * A family that fails is reported as null with its error; fails only if all families fail.
+     */
+    async getPublicIps(policy = {}) {
+        const families = this.getFamiliesForPolicy(policy);
+        const results = { ipv4: null, ipv6: null, errors: {}, consensus: {} };
+
+        for (const family of families) {
+            try {
+                results[family] = await this.getPublicIp(policy, family);
+                if (results[family].consensus) {
+                    results.consensus[family] = results[family].consensus;
+                }
+            } catch (error) {
+                logger.warn(`${family} detection failed: ${error.message}`);
+                results.errors[family] = error.message;
+                if (error.consensus) {
+                    results.consensus[family] = error.consensus;
+                }
+            }
+        }
+
+        if (families.every(family => !results[family])) {
+            const summary = Object.entries(results.errors).map(([f, e]) => `${f}: ${e}`).join('; ');
+            const error = new Error(`IP detection failed for all families. ${summary}`);
+            // Callers still need the votes to report why consensus failed
+            error.errors = results.errors;
+            error.consensus = results.consensus;
+            throw error;
+        }
+
+        return results;
+    }
+
+    /**
+     * Get target IPs from remote GitHub repository
      */
     async getRemoteIp() {
         try {
-            logger.info(`Fetching remote IP from: ${this.config.githubRawUrl}`);
+            logger.info(`Fetching remote IP from: ${this.config.github.rawUrl}`);
 
-            const response = await axios.get(this.config.githubRawUrl, {
+            const response = await axios.get(this.config.github.rawUrl, {
                 timeout: this.timeout,
                 headers: {
                     'Accept': 'application/json',
@@ -157,18 +268,32 @@ class IpDetectionService {
                 }
             });
 
-            const data = response.data;
-            const remoteIp = data['crypto-web-tool'];
+            const defaultTarget = this.config.ipMonitor.defaultTarget;
+            const document = normalizeIpConfig(response.data, defaultTarget);
 
-            if (!remoteIp || !isValidIp(remoteIp)) {
-                throw new Error(`Invalid remote IP format: ${remoteIp}`);
+            const targets = {};
+            for (const [name, target] of Object.entries(document.targets)) {
+                if (target.ipv4 || target.ipv6) {
+                    targets[name] = { ipv4: target.ipv4, ipv6: target.ipv6, lastUpdated: target.lastUpdated || null };
+                }
+            }
+
+            if (Object.keys(targets).length === 0) {
+                throw new Error('Remote config contains no valid target IPs');
             }
 
-            logger.info(`Successfully fetched remote IP: ${remoteIp}`);
+            logger.info(`Successfully fetched remote IPs for ${Object.keys(targets).join(', ')}`);
+            const primary = targets[defaultTarget];
             return {
-                ip: remoteIp,
+                ip: primary ? primary.ipv4 || primary.ipv6 : null,
+                targets,
                 timestamp: new Date().toISOString(),
-                source: 'github-remote'
+                source: 'github-remote',
+                // CDN cache details, to tell a lagging cache from a lost publish
+                cache: {
+                    age: response.headers.age ? parseInt(response.headers.age) : null,
+                    etag: response.headers.etag || null
+                }
             };
         } catch (error) {
             logger.error('Failed to fetch remote IP:', error);
@@ -180,8 +305,7 @@ class IpDetectionService {
      * Compare two IP addresses
      */
     compareIps(ip1, ip2) {
-        if (!ip1 || !ip2) return false;
-        return ip1.toString().trim() === ip2.toString().trim();
+        return ipsEqual(ip1, ip2);
     }
 
     /**
@@ -189,12 +313,16 @@ class IpDetectionService {
      */
     async validateService() {
         try {
-            const result = await this.getPublicIp();
+            const result = await this.getPublicIps();
+            const primary = result.ipv4 || result.ipv6;
             return {
                 healthy: true,
-                ip: result.ip,
-                method: result.method,
-                timestamp: result.timestamp
+                ip: primary.ip,
+                ipv4: result.ipv4 ? result.ipv4.ip : null,
+                ipv6: result.ipv6 ? result.ipv6.ip : null,
+                method: primary.method,
+                errors: result.errors,
+                timestamp: primary.timestamp
             };
         } catch (error) {
             return {
@@ -210,13 +338,17 @@ class IpDetectionService {
      */
     getStats() {
         return {
-            availableMethods: this.detectionMethods.length,
-            methods: this.detectionMethods.map(m => ({
-                name: m.name,
-                priority: m.priority
+            availableMethods: this.registry.getProviders().length,
+            methods: this.registry.describe().map(provider => ({
+                ...provider,
+                effectivePriority: this.stats.getEffectivePriority(provider),
+                stats: this.stats.describe(provider.name)
             })),
+            adaptive: this.stats.adaptive,
+            families: this.config.ipMonitor.families,
+            detection: this.config.ipMonitor.detection,
             timeout: this.timeout,
-            remoteSource: this.config.githubRawUrl
+            remoteSource: this.config.github.rawUrl
         };
     }
 }
@@ -1,33 +1,76 @@
 /**
  * Simple IP Monitor Service
- * Core functionality: IP detection and Git commits only
- * No notifications, webhooks, or complex features
+ * Core functionality: IP detection, publishing ip.json (git and other backends)
+ * and notifications about changes, failures and health
  */
 
 const fs = require('fs').promises;
-const path = require('path');
-const { debounce, HealthStatus, formatTimestamp, isValidIp, safeJsonParse } = require('../utils/helpers');
+const { HealthStatus, ipsEqual } = require('../utils/helpers');
+const { SingleFlight, FileLock } = require('../utils/lock');
+const { newId, runWithContext, getContext } = require('../utils/context');
+const { metrics } = require('../utils/metrics');
 const { logger } = require('../util');
 
 const IpDetectionService = require('./IpDetectionService');
 const GitService = require('./GitService');
+const { buildIpChangeMessage } = GitService;
+const GitHubApiService = require('./GitHubApiService');
+const IpConfigStore = require('./IpConfigStore');
+const { serializeIpConfig } = IpConfigStore;
+const HistoryStore = require('./HistoryStore');
+const RecordSigner = require('./RecordSigner');
+const DriftDetector = require('./DriftDetector');
+const Scheduler = require('./Scheduler');
+const TraceStore = require('./TraceStore');
+const PublisherRegistry = require('../publishers/PublisherRegistry');
+const NotifierRegistry = require('../notifiers/NotifierRegistry');
+
+// outcome: updated | unchanged | failed | skipped (another process held the lock)
+const checkDuration = metrics.histogram(
+    'ip_monitor_check_duration_seconds',
+    'Duration of check cycles by trigger and outcome',
+    ['trigger', 'outcome'],
+    [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]
+);
+const checksTotal = metrics.counter('ip_monitor_checks_total', 'Check cycles by outcome', ['outcome']);
+const ipChanges = metrics.counter('ip_monitor_ip_changes_total', 'Detected IP changes per target and family', ['target', 'family']);
 
 class IpMonitorService {
     constructor(config) {
         this.config = config;
         this.isRunning = false;
-        this.intervalId = null;
         this.health = new HealthStatus();
 
         // Initialize core services only
         this.ipDetection = new IpDetectionService(config);
-        this.gitService = new GitService(config);
-
-        // Debounced IP check to prevent rapid successive calls
-        this.debouncedCheck = debounce(
-            this.checkAndUpdateIp.bind(this),
-            config.rateLimiting.debounceDelay
-        );
+        // Publish through a local checkout, or through the GitHub API when running without one
+        this.gitService = config.git.mode === 'github-api' ? new GitHubApiService(config) : new GitService(config);
+        // Set when git is configured but failed validation (see validateGit)
+        this.gitDisabledReason = null;
+        this.signer = new RecordSigner(config);
+        this.store = new IpConfigStore(config, { signer: this.signer });
+        this.history = new HistoryStore(config);
+        this.drift = new DriftDetector(config);
+
+        // Every backend a change is published to, git included
+        this.publishers = new PublisherRegistry(config, { gitService: this.gitService }).load();
+
+        // Telegram / webhook / email channels; sent in the background so a slow channel never holds up a check
+        this.notifiers = new NotifierRegistry(config).load();
+        this.wasHealthy = true;
+
+        // One check at a time, in this process and across processes sharing the repo
+        this.checkFlight = new SingleFlight();
+        this.checkLock = new FileLock(config.lock.path, {
+            staleMs: config.lock.staleMs,
+            waitMs: config.lock.waitMs
+        });
+
+        // Log lines and results of recent checks, by check id
+        this.traces = new TraceStore(config);
+
+        // Decides when scheduled checks run (interval, cron or adaptive)
+        this.scheduler = new Scheduler(config, () => this.enqueueCheck({ trigger: 'scheduled' }));
     }
 
     /**
@@ -44,7 +87,7 @@ class IpMonitorService {
             await this.performInitialCheck();
 
             // Start periodic monitoring
-            this.startPeriodicMonitoring();
+            await this.startPeriodicMonitoring();
 
             this.isRunning = true;
             this.health.recordCheck(true);
@@ -68,11 +111,11 @@ class IpMonitorService {
 
             this.isRunning = false;
 
-            // Clear monitoring interval
-            if (this.intervalId) {
-                clearInterval(this.intervalId);
-                this.intervalId = null;
-            }
+            // Cancel the next scheduled check
+            this.scheduler.stop();
+
+            // Persist provider statistics before exit
+            await this.ipDetection.stats.flush();
 
             logger.info('IP Monitor Service stopped successfully!');
 
@@ -81,6 +124,64 @@ class IpMonitorService {
         }
     }
 
+    /**
+     * Switch to a reloaded configuration without restarting
+     * Runs between checks. Everything is rebuilt from the new config before anything is
+     * swapped, so a publisher or notifier that fails to load leaves the old setup running.
+     * Detection providers, the check lock and the health server keep their startup settings.
+     */
+    applyConfig(config) {
+        this.reloads = (this.reloads || 0) + 1;
+
+        return this.checkFlight.run(`reload-${this.reloads}`, async () => {
+            const changed = this.config.diff(config);
+
+            // Settings only read at startup keep their running values until a restart
+            const restartRequired = changed.filter(c => c.restart).map(c => c.key);
+            if (restartRequired.length > 0) {
+                logger.warn(`Restart needed to apply: ${restartRequired.join(', ')}`);
+            }
+
+            const applied = changed.filter(c => !c.restart).map(c => c.key);
+            if (applied.length === 0) {
+                logger.info('Configuration reloaded, nothing to apply');
+                return { applied: false, changed: [], restartRequired };
+            }
+
+            config.keep(this.config, restartRequired);
+
+            const gitService = config.git.mode === 'github-api' ? new GitHubApiService(config) : new GitService(config);
+            const signer = new RecordSigner(config);
+            if (signer.enabled) signer.loadKey();
+            const store = new IpConfigStore(config, { signer });
+            const history = new HistoryStore(config);
+            const drift = new DriftDetector(config);
+            const publishers = new PublisherRegistry(config, { gitService }).load();
+            const notifiers = new NotifierRegistry(config).load();
+            const scheduler = new Scheduler(config, () => this.enqueueCheck({ trigger: 'scheduled' }));
+
+            // Keep what has been observed so far
+            Object.assign(drift, { current: this.drift.current, counts: this.drift.counts, remote: this.drift.remote });
+            Object.assign(publishers, { lastResults: this.publishers.lastResults, published: this.publishers.published });
+            notifiers.channels.forEach((channel, name) => {
+                const previous = this.notifiers.channels.get(name);
+                if (previous) Object.assign(channel, { suppressed: previous.suppressed, lastResult: previous.lastResult });
+            });
+            const { lastRun, lastChangeAt, lastFailureAt, running } = this.scheduler;
+            Object.assign(scheduler, { lastRun, lastChangeAt, lastFailureAt });
+
+            this.scheduler.stop();
+            Object.assign(this, { config, gitService, signer, store, history, drift, publishers, notifiers, scheduler });
+            // Providers stay as built; families, targets and the remote URL are read per check
+            this.ipDetection.config = config;
+            await this.validateGit();
+            if (running) scheduler.start();
+
+            logger.info(`Configuration reloaded: ${applied.join(', ')}`);
+            return { applied: true, changed: applied, restartRequired };
+        });
+    }
+
     /**
      * Validate all services before starting
      */
@@ -94,15 +195,23 @@ class IpMonitorService {
         }
 
         // Validate Git service (if enabled)
-        if (this.config.git.enabled) {
-            const gitValidation = await this.gitService.validateService();
-            if (!gitValidation.healthy) {
-                logger.warn(`Git service validation failed: ${gitValidation.error}`);
-                logger.warn('Continuing without Git integration...');
-                this.config.git.enabled = false;
+        await this.validateGit();
+
+        // Without a checkout, start from the published ip.json rather than whatever the image shipped
+        if (this.isGitEnabled() && this.config.git.mode === 'github-api') {
+            try {
+                await this.gitService.syncLocalConfig();
+            } catch (error) {
+                logger.warn(`Could not sync ip.json from GitHub: ${error.message}`);
             }
         }
 
+        // Fail early on a missing or unusable signing key
+        if (this.signer.enabled) {
+            const { keyId } = this.signer.loadKey();
+            logger.info(`Signing ip.json records with key ${keyId}`);
+        }
+
         // Validate IP config file exists
         try {
             await fs.access(this.config.configPath);
@@ -114,6 +223,29 @@ class IpMonitorService {
         logger.info('Service validation completed successfully');
     }
 
+    /**
+     * Validate the git service, continuing without it when it is unusable
+     */
+    async validateGit() {
+        // Kept here rather than in the config, so a reload still compares against the configured value
+        this.gitDisabledReason = null;
+        if (!this.config.git.enabled) return;
+
+        const gitValidation = await this.gitService.validateService();
+        if (!gitValidation.healthy) {
+            logger.warn(`Git service validation failed: ${gitValidation.error}`);
+            logger.warn('Continuing without Git integration...');
+            this.gitDisabledReason = `Git validation failed: ${gitValidation.error}`;
+        }
+    }
+
+    /**
+     * Whether git publishing is configured and passed validation
+     */
+    isGitEnabled() {
+        return this.config.git.enabled && !this.gitDisabledReason;
+    }
+
     /**
      * Create initial IP configuration file
      */
@@ -121,33 +253,56 @@ class IpMonitorService {
         try {
             logger.info('Creating initial IP configuration file...');
 
-            // Ensure directory exists
-            const configDir = path.dirname(this.config.configPath);
-            await fs.mkdir(configDir, { recursive: true });
-
-            // Get current IP
-            const ipResult = await this.ipDetection.getPublicIp();
-
-            // Create initial config
-            const initialConfig = {
-                'crypto-web-tool': ipResult.ip,
-                lastUpdated: formatTimestamp(),
-                createdBy: 'ip-monitor-service'
-            };
+            const targets = this.config.ipMonitor.targets.length > 0
+                ? this.config.ipMonitor.targets
+                : [{ name: this.config.ipMonitor.defaultTarget, policy: {} }];
+
+            const updates = [];
+            for (const { name, policy } of targets) {
+                const detected = await this.ipDetection.getPublicIps(policy);
+                for (const family of ['ipv4', 'ipv6']) {
+                    if (detected[family]) {
+                        updates.push({ target: name, family, ip: detected[family].ip, method: detected[family].method, policy });
+                    }
+                }
+            }
 
-            await fs.writeFile(
-                this.config.configPath,
-                JSON.stringify(initialConfig, null, 2),
-                'utf8'
-            );
+            await this.store.applyUpdates(updates, { createdBy: 'ip-monitor-service' });
 
-            logger.info(`Initial IP config created with IP: ${ipResult.ip}`);
+            logger.info(`Initial IP config created for ${updates.map(u => `${u.target}=${u.ip}`).join(', ')}`);
 
         } catch (error) {
             throw new Error(`Failed to create initial config: ${error.message}`);
         }
     }
 
+    /**
+     * Resolve the targets this monitor manages, with their detection policies
+     * Configured targets win; otherwise every target already in ip.json is managed.
+     */
+    resolveTargets(document) {
+        const configured = this.config.ipMonitor.targets;
+        const names = configured.length > 0
+            ? configured.map(t => t.name)
+            : Object.keys(document.targets);
+
+        if (names.length === 0) {
+            names.push(this.config.ipMonitor.defaultTarget);
+        }
+
+        return names.map(name => {
+            const fromConfig = configured.find(t => t.name === name);
+            const fromFile = document.targets[name];
+            return {
+                name,
+                policy: {
+                    ...(fromFile ? fromFile.policy : {}),
+                    ...(fromConfig ? fromConfig.policy : {})
+                }
+            };
+        });
+    }
+
     /**
      * Perform initial IP check on service start
      */
@@ -155,7 +310,7 @@ class IpMonitorService {
         logger.info('Performing initial IP check...');
 
         try {
-            await this.checkAndUpdateIp();
+            await this.enqueueCheck({ trigger: 'startup' });
             logger.info('Initial IP check completed successfully');
         } catch (error) {
             logger.error('Initial IP check failed:', error);
@@ -166,81 +321,329 @@ class IpMonitorService {
     /**
      * Start periodic IP monitoring
      */
-    startPeriodicMonitoring() {
-        logger.info(`Starting periodic monitoring with ${this.config.checkInterval}ms interval`);
+    async startPeriodicMonitoring() {
+        // Adaptive scheduling needs to know how long the IP has been stable. Taken from the
+        // history log: ip.json's lastUpdated also moves when records are re-signed or republished.
+        this.scheduler.setLastChange(await this.history.lastChangeAt().catch(() => null));
+
+        this.scheduler.start();
+    }
+
+    /**
+     * Run a check under the single-flight guard and the repository lock
+     * Callers asking for the same kind of check while one is running or queued
+     * get that check's result; other checks queue behind it.
+     */
+    enqueueCheck(options = {}) {
+        const key = JSON.stringify({ dryRun: Boolean(options.dryRun), skipGit: Boolean(options.skipGit) });
+
+        // Each cycle gets its own id; the request that started it (if any) is kept in its trace
+        return this.checkFlight.run(key, () => {
+            const checkId = newId();
+            return runWithContext({ checkId }, async () => {
+                this.traces.start(checkId, { ...options, requestId: getContext().requestId || null });
+                const endTimer = checkDuration.startTimer({ trigger: options.trigger || 'manual' });
+                const count = (outcome) => {
+                    endTimer({ outcome });
+                    checksTotal.inc({ outcome });
+                };
 
-        this.intervalId = setInterval(() => {
-            this.debouncedCheck();
-        }, this.config.checkInterval);
+                try {
+                    const result = await this.checkLock.withLock(() => this.checkAndUpdateIp(options));
+                    if (!options.dryRun) {
+                        const changed = (result.changes || []).some(c => !ipsEqual(c.oldIp, c.newIp));
+                        this.scheduler.recordOutcome({ changed });
+                    }
+                    this.notifyHealthTransition();
+                    this.traces.finish(checkId, { result });
+                    count(result.updated ? 'updated' : 'unchanged');
+                    return result;
+                } catch (error) {
+                    if (error.code === 'ELOCKED') {
+                        logger.warn(`Skipping IP check: ${error.message}`);
+                        this.health.recordCheck(false, error);
+                    }
+                    if (!options.dryRun) this.scheduler.recordOutcome({ failed: true });
+                    this.notifyHealthTransition();
+                    this.traces.finish(checkId, { error });
+                    count(error.code === 'ELOCKED' ? 'skipped' : 'failed');
+                    error.checkId = checkId;
+                    throw error;
+                }
+            });
+        });
+    }
+
+    /**
+     * Run a check now, outside the schedule
+     * Options: dryRun (detect and compare only), skipGit (update ip.json but don't commit)
+     * The scheduler restarts its countdown once the check completes.
+     */
+    async forceCheck({ dryRun = false, skipGit = false } = {}) {
+        logger.info(`Force check requested${dryRun ? ' (dry run)' : ''}${skipGit ? ' (skip git)' : ''}`);
+
+        return this.enqueueCheck({ dryRun, skipGit, trigger: 'manual' });
     }
 
     /**
      * Main IP check and update logic
      */
-    async checkAndUpdateIp() {
+    async checkAndUpdateIp({ dryRun = false, skipGit = false, trigger = 'manual' } = {}) {
         const startTime = Date.now();
+        // Set by enqueueCheck; every log line of the cycle carries it
+        const { checkId = null } = getContext();
 
         try {
-            logger.info('Starting IP check cycle...');
-
-            // Read current IP from config file
-            const localIp = await this.readLocalIp();
-            logger.info(`Local IP: ${localIp}`);
+            logger.info(`Starting IP check cycle (${trigger})...`);
 
-            // Get current public IP
-            const publicIpResult = await this.ipDetection.getPublicIp();
-            const publicIp = publicIpResult.ip;
-            logger.info(`Public IP: ${publicIp} (via ${publicIpResult.method})`);
+            const document = await this.store.readOrEmpty();
+            const targets = this.resolveTargets(document);
 
-            // Get remote IP from GitHub (for comparison)
-            let remoteIp;
+            // Get remote IPs from GitHub (for comparison)
+            let remoteTargets = null;
+            let remoteCache = null;
             try {
                 const remoteIpResult = await this.ipDetection.getRemoteIp();
-                remoteIp = remoteIpResult.ip;
-                logger.info(`Remote IP: ${remoteIp}`);
+                remoteTargets = remoteIpResult.targets;
+                remoteCache = remoteIpResult.cache;
+                this.drift.recordRemote(true);
             } catch (error) {
-                logger.warn('Failed to get remote IP, using local for comparison:', error.message);
-                remoteIp = localIp; // Fallback to local IP
+                logger.warn(`Published ip.json unreachable, comparing against local only: ${error.message}`);
+                this.drift.recordRemote(false, error);
+            }
+
+            // Targets sharing a policy share one detection per cycle
+            const detections = new Map();
+            const results = {};
+            const changes = [];
+            const observations = [];
+            const consensusOutcomes = [];
+            const paused = [];
+
+            for (const { name, policy } of targets) {
+                const policyKey = JSON.stringify(policy);
+                if (!detections.has(policyKey)) {
+                    detections.set(policyKey, this.ipDetection.getPublicIps(policy));
+                }
+
+                let detected;
+                try {
+                    detected = await detections.get(policyKey);
+                } catch (error) {
+                    // A failed consensus is a disagreement worth a health warning, not only a failed check
+                    Object.entries(error.consensus || {}).forEach(([family, consensus]) => {
+                        consensusOutcomes.push({ target: name, family, ...consensus });
+                    });
+                    this.recordConsensusHealth(consensusOutcomes);
+                    throw error;
+                }
+                Object.entries(detected.consensus).forEach(([family, consensus]) => {
+                    consensusOutcomes.push({ target: name, family, ...consensus });
+                });
+
+                const targetLog = logger.child({ target: name });
+                const local = document.targets[name] || {};
+                const remote = remoteTargets ? remoteTargets[name] || null : null;
+                const result = { updated: false };
+
+                // Each family is compared on its own so a v6-only change is still published
+                for (const family of this.ipDetection.getFamiliesForPolicy(policy)) {
+                    const publicIpResult = detected[family];
+                    if (!publicIpResult) {
+                        result[family] = { error: detected.errors[family] };
+                        continue;
+                    }
+
+                    const publicIp = publicIpResult.ip;
+                    const localIp = local[family] || null;
+                    const remoteIp = remote ? remote[family] || null : null;
+
+                    targetLog.info(`${family} local: ${localIp}, public: ${publicIp} (via ${publicIpResult.method}), remote: ${remoteIp}`);
+
+                    // Each kind of disagreement has its own configured action
+                    const state = this.drift.classify({ family, publicIp, local, remote, remoteReachable: Boolean(remoteTargets) });
+                    const action = this.drift.record(name, family, state, {
+                        localIp,
+                        remoteIp,
+                        publicIp,
+                        cacheAge: state === 'cdn_lag' && remoteCache ? remoteCache.age : undefined
+                    });
+                    // An unreachable remote pauses the whole check (below)
+                    if (action === 'pause' && state !== 'remote_unreachable') {
+                        paused.push({ target: name, family, state });
+                    }
+
+                    const needsUpdate = action === 'republish' || action === 'overwrite';
+                    observations.push({
+                        target: name,
+                        family,
+                        ip: publicIp,
+                        previousIp: localIp,
+                        changed: !ipsEqual(localIp, publicIp),
+                        method: publicIpResult.method,
+                        published: needsUpdate
+                    });
+                    result[family] = {
+                        updated: needsUpdate,
+                        oldIp: localIp,
+                        newIp: publicIp,
+                        remoteIp,
+                        method: publicIpResult.method,
+                        drift: state,
+                        action
+                    };
+
+                    if (needsUpdate) {
+                        result.updated = true;
+                        changes.push({
+                            target: name,
+                            family,
+                            oldIp: localIp,
+                            newIp: publicIp,
+                            method: publicIpResult.method,
+                            policy,
+                            // Same-IP republishes say why; an overwrite must win the merge with the remote edit
+                            ...(state !== 'local_stale' ? { reason: state } : {}),
+                            ...(action === 'overwrite' ? { overwrite: true } : {})
+                        });
+                    }
+                }
+
+                // Unchanged but unsigned or aging records are re-signed and published, so consumers can reject stale ones
+                const unchanged = ['ipv4', 'ipv6'].find(family => result[family] && result[family].newIp
+                    && !result[family].updated && ipsEqual(result[family].oldIp, result[family].newIp));
+                if (!result.updated && unchanged && this.signer.needsRefresh(local)) {
+                    const { oldIp, newIp, method } = result[unchanged];
+                    result.updated = true;
+                    result.signatureRefresh = true;
+                    changes.push({ target: name, family: unchanged, oldIp, newIp, method, policy, reason: 'signature refresh' });
+                }
+
+                // Legacy top-level fields mirror the primary family
+                const primaryFamily = result.ipv4 && result.ipv4.newIp ? result.ipv4 : result.ipv6;
+                if (primaryFamily) {
+                    Object.assign(result, {
+                        oldIp: primaryFamily.oldIp,
+                        newIp: primaryFamily.newIp,
+                        remoteIp: primaryFamily.remoteIp,
+                        method: primaryFamily.method
+                    });
+                }
+
+                results[name] = result;
             }
 
-            // Check if IP update is needed
-            const needsUpdate = localIp !== publicIp || remoteIp !== publicIp;
+            this.recordConsensusHealth(consensusOutcomes);
+            this.recordDriftHealth();
 
-            if (!needsUpdate) {
-                logger.info('No IP update needed');
+            // Nothing is published while the published copy is out of sight, if so configured
+            if (!remoteTargets && this.drift.actions.remote_unreachable === 'pause') {
+                paused.push({ target: '*', family: '*', state: 'remote_unreachable' });
+            }
+
+            const primary = results[this.config.ipMonitor.defaultTarget] || Object.values(results)[0];
+
+            if (paused.length > 0) {
+                const summary = paused.map(p => `${p.target}/${p.family}: ${p.state}`).join(', ');
+                logger.warn(`Publishing paused by drift policy (${summary})`);
+                if (!dryRun) await this.recordHistory(observations);
+                this.health.recordCheck(true);
+                return {
+                    updated: false,
+                    paused: true,
+                    dryRun,
+                    trigger,
+                    checkId,
+                    currentIp: primary ? primary.newIp : null,
+                    targets: results,
+                    changes: changes.map(({ policy, ...change }) => change),
+                    commit: { attempted: false, reason: `Paused by drift policy (${summary})` },
+                    duration: Date.now() - startTime
+                };
+            }
+
+            if (changes.length === 0) {
+                const drifted = Object.values(results).some(result => ['ipv4', 'ipv6']
+                    .some(family => result[family] && result[family].drift && result[family].drift !== 'in_sync'));
+                logger.info(drifted ? 'No IP update published (drift handled by policy)' : 'No IP update needed');
+                let retried = {};
+                if (!dryRun) {
+                    await this.recordHistory(observations);
+                    retried = await this.retryPublishers(document, { trigger });
+                }
                 this.health.recordCheck(true);
                 return {
                     updated: false,
-                    currentIp: publicIp,
-                    message: 'IP unchanged'
+                    dryRun,
+                    trigger,
+                    checkId,
+                    currentIp: primary ? primary.newIp : null,
+                    targets: results,
+                    message: drifted ? 'Drift reported, nothing published' : 'IP unchanged',
+                    commit: { attempted: false, reason: 'No changes' },
+                    ...(Object.keys(retried).length > 0 ? { publishers: retried } : {}),
+                    duration: Date.now() - startTime
                 };
             }
 
             // IP change detected
-            logger.info(`IP change detected: ${localIp} -> ${publicIp}`);
+            changes.forEach(c => logger.child({ target: c.target }).info(`${c.family} change detected: ${c.oldIp} -> ${c.newIp}${c.reason ? ` (${c.reason})` : ''}`));
+
+            if (dryRun) {
+                logger.info('Dry run - leaving ip.json and repository untouched');
+                this.health.recordCheck(true);
+                return {
+                    updated: false,
+                    dryRun,
+                    trigger,
+                    checkId,
+                    wouldUpdate: true,
+                    oldIp: changes[0].oldIp,
+                    newIp: changes[0].newIp,
+                    method: changes[0].method,
+                    targets: results,
+                    changes: changes.map(({ policy, ...change }) => change),
+                    commit: { attempted: false, reason: 'Dry run' },
+                    duration: Date.now() - startTime
+                };
+            }
 
             // Update local configuration
-            await this.updateLocalConfig(publicIp);
+            const updated = await this.updateLocalConfig(changes);
 
-            // Commit to Git if enabled
-            if (this.config.git.enabled) {
-                await this.commitIpChange(publicIp, localIp);
-            } else {
-                logger.info('Git integration disabled - skipping commit');
-            }
+            // Publish to git and every other backend
+            const publishers = await this.publishChanges(changes, updated, { skipGit, trigger });
+            const { type, ...commit } = publishers.git || { attempted: false, reason: 'Git publisher disabled' };
 
-            // Record IP change in health status
-            this.health.recordIpChange(localIp, publicIp);
+            await this.recordHistory(observations, commit.commitSha);
+
+            // Record IP changes in health status
+            changes
+                .filter(c => !ipsEqual(c.oldIp, c.newIp))
+                .forEach(c => {
+                    this.health.recordIpChange(c.oldIp, c.newIp, c.target, c.family);
+                    ipChanges.inc({ target: c.target, family: c.family });
+                });
             this.health.recordCheck(true);
 
+            this.notifyPublishOutcome(changes, publishers);
+
             const duration = Date.now() - startTime;
             logger.info(`IP update completed successfully in ${duration}ms`);
 
             return {
                 updated: true,
-                oldIp: localIp,
-                newIp: publicIp,
-                method: publicIpResult.method,
+                oldIp: changes[0].oldIp,
+                newIp: changes[0].newIp,
+                method: changes[0].method,
+                targets: results,
+                changes: changes.map(({ policy, ...change }) => change),
+                commitSha: commit.commitSha || null,
+                commit,
+                publishers,
+                dryRun,
+                trigger,
+                checkId,
                 duration: duration
             };
 
@@ -254,57 +657,192 @@ class IpMonitorService {
     }
 
     /**
-     * Read local IP from configuration file
+     * Send a notification in the background (the registry never throws)
      */
-    async readLocalIp() {
-        try {
-            const configContent = await fs.readFile(this.config.configPath, 'utf8');
-            const config = safeJsonParse(configContent, {});
+    notify(event) {
+        this.notifiers.notify(event);
+    }
 
-            const ip = config['crypto-web-tool'] || config.ip || null;
+    /**
+     * Notify about changed IPs and about publishers that failed
+     */
+    notifyPublishOutcome(changes, publishers) {
+        const results = Object.entries(publishers).filter(([, result]) => result.attempted);
+        const failed = results.filter(([, result]) => !result.success);
+        const succeeded = results.filter(([, result]) => result.success);
+        const ipChanges = changes
+            .filter(c => !ipsEqual(c.oldIp, c.newIp))
+            .map(({ policy, ...change }) => change);
+
+        if (ipChanges.length > 0) {
+            this.notify({
+                type: 'ip.changed',
+                title: 'IP changed',
+                summary: [
+                    ...ipChanges.map(c => `${c.target} ${c.family}: ${c.oldIp || '(none)'} -> ${c.newIp} (${c.method})`),
+                    `Published to: ${succeeded.map(([name]) => name).join(', ') || 'none'}`
+                ].join('\n'),
+                changes: ipChanges,
+                publishers
+            });
+        }
 
-            if (!ip || !isValidIp(ip)) {
-                throw new Error('Invalid or missing IP in local config');
-            }
+        if (failed.length > 0) {
+            this.notify({
+                type: 'publish.failed',
+                title: 'Publishing failed',
+                summary: failed.map(([name, result]) => `${name} (${result.type}): ${result.error}`).join('\n'),
+                changes: changes.map(({ policy, ...change }) => change),
+                failed: Object.fromEntries(failed)
+            });
+        }
+    }
+
+    /**
+     * Notify when the service turns unhealthy, and when it recovers
+     */
+    notifyHealthTransition() {
+        const health = this.health.getStatus();
+        if (health.healthy === this.wasHealthy) return;
+        this.wasHealthy = health.healthy;
+
+        const lastError = health.errors[health.errors.length - 1];
+        if (!health.healthy) {
+            this.notify({
+                type: 'health.unhealthy',
+                title: 'IP monitor unhealthy',
+                summary: `${health.errorCount} checks failed in a row${lastError ? `, last error: ${lastError.message}` : ''}`,
+                errorCount: health.errorCount,
+                lastError: lastError ? lastError.message : null
+            });
+        } else {
+            this.notify({
+                type: 'health.recovered',
+                title: 'IP monitor recovered',
+                summary: `Checks are succeeding again (last success ${new Date(health.lastSuccess).toISOString()})`
+            });
+        }
+    }
+
+    /**
+     * Append this cycle's observations to the IP history
+     * The commit SHA is attached to the observations that were published by it.
+     */
+    async recordHistory(observations, commitSha = null) {
+        const timestamp = new Date().toISOString();
+        await this.history.append(observations.map(({ published, ...observation }) => ({
+            ...observation,
+            timestamp,
+            commitSha: published ? commitSha : null
+        })));
+    }
+
+    /**
+     * Turn provider disagreement in consensus mode into a health warning
+     */
+    recordConsensusHealth(outcomes) {
+        const disputed = outcomes.filter(o => o.disagreed.length > 0 || o.agreed.length < o.quorum);
+
+        if (disputed.length === 0) {
+            this.health.clearWarning('consensus_disagreement');
+            return;
+        }
+
+        const summary = disputed
+            .map(o => `${o.target}/${o.family}: ${o.disagreed.map(d => `${d.method}=${d.ip}`).join(', ') || 'no quorum'}`)
+            .join('; ');
+
+        this.health.recordWarning(
+            'consensus_disagreement',
+            `Detection providers disagreed: ${summary}`,
+            disputed.map(o => ({
+                target: o.target,
+                family: o.family,
+                quorum: o.quorum,
+                agreed: o.agreed,
+                disagreed: o.disagreed,
+                failed: o.failed
+            }))
+        );
+    }
+
+    /**
+     * Turn drift that is only alerted on (or paused for) into a health warning
+     */
+    recordDriftHealth() {
+        const quiet = (action) => action !== 'alert' && action !== 'pause';
+        const alerted = this.drift.getActive().filter(entry => !quiet(entry.action));
+
+        // A stale local copy takes precedence in the per-family state, but the unreachable remote still counts
+        const { remote, actions } = this.drift;
+        if (remote.reachable === false && !quiet(actions.remote_unreachable)
+            && !alerted.some(entry => entry.state === 'remote_unreachable')) {
+            alerted.push({ target: '*', family: '*', state: 'remote_unreachable', action: actions.remote_unreachable, error: remote.error });
+        }
 
-            return ip;
+        if (alerted.length === 0) {
+            this.health.clearWarning('ip_drift');
+            return;
+        }
+
+        this.health.recordWarning(
+            'ip_drift',
+            `ip.json drift: ${alerted.map(entry => `${entry.target}/${entry.family} ${entry.state} (${entry.action})`).join('; ')}`,
+            alerted
+        );
+    }
+
+    /**
+     * Read local IP for a target from configuration file
+     */
+    async readLocalIp(target = this.config.ipMonitor.defaultTarget) {
+        try {
+            return await this.store.getTargetIp(target);
         } catch (error) {
             throw new Error(`Failed to read local IP: ${error.message}`);
         }
     }
 
     /**
-     * Update local IP configuration file
+     * Read local IPs for every target in the configuration file
      */
-    async updateLocalConfig(newIp) {
+    async readLocalIps() {
         try {
-            logger.info(`Updating local IP config: ${newIp}`);
-
-            // Read existing config
-            let existingConfig = {};
-            try {
-                const configContent = await fs.readFile(this.config.configPath, 'utf8');
-                existingConfig = safeJsonParse(configContent, {});
-            } catch (error) {
-                logger.warn('Could not read existing config, creating new one');
+            const document = await this.store.read();
+            const targets = {};
+            for (const [name, target] of Object.entries(document.targets)) {
+                targets[name] = {
+                    ip: target.ip,
+                    ipv4: target.ipv4,
+                    ipv6: target.ipv6,
+                    lastUpdated: target.lastUpdated,
+                    policy: target.policy
+                };
             }
+            return targets;
+        } catch (error) {
+            throw new Error(`Failed to read local IPs: ${error.message}`);
+        }
+    }
 
-            // Update with new IP
-            const updatedConfig = {
-                ...existingConfig,
-                'crypto-web-tool': newIp,
-                lastUpdated: formatTimestamp(),
-                lastUpdateBy: 'ip-monitor-service'
-            };
+    /**
+     * Update local IP configuration file
+     */
+    async updateLocalConfig(changes) {
+        try {
+            logger.info(`Updating local IP config: ${changes.map(c => `${c.target}=${c.newIp}`).join(', ')}`);
 
-            // Write updated config
-            await fs.writeFile(
-                this.config.configPath,
-                JSON.stringify(updatedConfig, null, 2),
-                'utf8'
-            );
+            const document = await this.store.applyUpdates(changes.map(c => ({
+                target: c.target,
+                family: c.family,
+                ip: c.newIp,
+                method: c.method,
+                policy: c.policy,
+                overwrite: c.overwrite
+            })));
 
             logger.info('Local IP configuration updated successfully');
+            return document;
 
         } catch (error) {
             throw new Error(`Failed to update local config: ${error.message}`);
@@ -312,27 +850,69 @@ class IpMonitorService {
     }
 
     /**
-     * Commit IP change to Git repository
+     * Event handed to publishers: the changes plus every target's current addresses
      */
-    async commitIpChange(newIp, oldIp) {
-        try {
-            logger.info('Committing IP change to Git...');
+    buildPublishEvent(changes, document, trigger) {
+        const targets = {};
+        for (const [name, target] of Object.entries(document.targets)) {
+            targets[name] = { ip: target.ip, ipv4: target.ipv4, ipv6: target.ipv6 };
+        }
+
+        return {
+            message: buildIpChangeMessage(changes),
+            changes: changes.map(({ policy, ...change }) => change),
+            targets,
+            document: serializeIpConfig(document),
+            trigger,
+            timestamp: new Date().toISOString()
+        };
+    }
 
-            const result = await this.gitService.commitIpChange(newIp, oldIp);
+    /**
+     * Fan an IP change out to every publisher; failures are reported per publisher, never thrown
+     */
+    async publishChanges(changes, document, { skipGit = false, trigger } = {}) {
+        const event = this.buildPublishEvent(changes, document, trigger);
+
+        let gitSkipReason = null;
+        if (!this.isGitEnabled()) {
+            logger.info('Git integration disabled - skipping commit');
+            gitSkipReason = 'Git integration disabled';
+        } else if (skipGit) {
+            logger.info('Git commit skipped on request');
+            gitSkipReason = 'Skipped on request';
+        }
 
-            if (result.success) {
-                logger.info('Git commit completed successfully');
-            } else {
-                logger.warn(`Git commit skipped: ${result.message}`);
-            }
+        const results = await this.publishers.publishAll(event, { skip: { git: gitSkipReason } });
 
-            return result;
+        const failed = Object.entries(results).filter(([, result]) => result.attempted && !result.success);
+        if (failed.length > 0) {
+            logger.warn(`IP was updated locally but not published to: ${failed.map(([name]) => name).join(', ')}`);
+        }
 
-        } catch (error) {
-            logger.error('Git commit failed:', error);
-            // Don't throw here - IP was already updated locally
-            logger.warn('IP was updated locally but not committed to repository');
+        return results;
+    }
+
+    /**
+     * Publish the unchanged ip.json again to publishers that failed or lag behind it
+     */
+    async retryPublishers(document, { trigger } = {}) {
+        const changes = [];
+        for (const [name, target] of Object.entries(document.targets)) {
+            ['ipv4', 'ipv6'].filter(family => target[family]).forEach(family => {
+                changes.push({ target: name, family, oldIp: target[family], newIp: target[family], reason: 'retry' });
+            });
         }
+        if (changes.length === 0) return {};
+
+        const results = await this.publishers.retryPending(this.buildPublishEvent(changes, document, trigger));
+
+        const failed = Object.entries(results).filter(([, result]) => !result.success);
+        if (failed.length > 0) {
+            logger.warn(`Still not published to: ${failed.map(([name]) => name).join(', ')}`);
+        }
+
+        return results;
     }
 
     /**
@@ -342,19 +922,31 @@ class IpMonitorService {
         try {
             const healthStatus = this.health.getStatus();
             const ipDetectionStats = this.ipDetection.getStats();
-            const gitStatus = this.config.git.enabled ? await this.gitService.validateService() : { enabled: false };
+            const gitStatus = this.isGitEnabled()
+                ? await this.gitService.validateService()
+                : { enabled: false, ...(this.gitDisabledReason && { error: this.gitDisabledReason }) };
 
             const currentIp = await this.readLocalIp().catch(() => 'Unknown');
+            const targets = await this.readLocalIps().catch(() => ({}));
 
             return {
                 service: {
                     name: 'IP Monitor',
                     isRunning: this.isRunning,
+                    checkInProgress: this.checkFlight.isBusy(),
                     healthy: healthStatus.healthy,
                     checkInterval: this.config.checkInterval,
-                    gitEnabled: this.config.git.enabled
+                    nextRun: this.scheduler.getInfo().nextRun,
+                    gitEnabled: this.isGitEnabled()
                 },
                 currentIp: currentIp,
+                targets: targets,
+                schedule: this.scheduler.getInfo(),
+                publishers: this.publishers.describe(),
+                notifiers: this.notifiers.describe(),
+                signing: this.signer.getInfo(),
+                drift: this.drift.getInfo(),
+                config: { file: this.config.filePath, reloads: this.reloads || 0 },
                 health: healthStatus,
                 services: {
                     ipDetection: ipDetectionStats,
@@ -382,16 +974,22 @@ class IpMonitorService {
     getHealth() {
         const healthStatus = this.health.getStatus();
 
+        let status = healthStatus.healthy ? 'healthy' : 'unhealthy';
+        if (healthStatus.healthy && healthStatus.warnings.length > 0) {
+            status = 'degraded';
+        }
+
         return {
-            status: healthStatus.healthy ? 'healthy' : 'unhealthy',
+            status,
             timestamp: new Date().toISOString(),
             healthy: healthStatus.healthy,
             uptime: healthStatus.uptime,
             lastCheck: healthStatus.lastCheck,
             errorCount: healthStatus.errorCount,
+            warnings: healthStatus.warnings,
             services: {
                 monitor: this.isRunning,
-                git: this.config.git.enabled
+                git: this.isGitEnabled()
             }
         };
     }
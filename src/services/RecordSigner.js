@@ -0,0 +1,162 @@
+/**
+ * Record Signer
+ * Signs ip.json target records with Ed25519 so consumers can verify them
+ * (see common/ipRecordVerifier.js), and manages the signing keys.
+ *
+ * Key directory (SIGNING_KEY_DIR):
+ *   signing-key.pem    current private key (PKCS#8, mode 0600)
+ *   public-keys.json   { keys: [{ keyId, publicKey, createdAt, retiredAt? }] } - hand this to consumers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { recordPayload, keyIdFor, rawPublicKey } = require('../../common/ipRecordVerifier');
+
+const PRIVATE_KEY_FILE = 'signing-key.pem';
+const PUBLIC_KEYS_FILE = 'public-keys.json';
+
+/**
+ * Read public-keys.json (empty list if missing)
+ */
+const readPublicKeys = (keyDir) => {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(keyDir, PUBLIC_KEYS_FILE), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return { keys: [] };
+        throw new Error(`Cannot read ${PUBLIC_KEYS_FILE}: ${error.message}`);
+    }
+};
+
+/**
+ * Describe a private key: { keyId, publicKey (base64 raw) }
+ */
+const describeKey = (privateKey) => {
+    const raw = rawPublicKey(crypto.createPublicKey(privateKey));
+    return { keyId: keyIdFor(raw), publicKey: raw.toString('base64') };
+};
+
+/**
+ * Create a new key pair in keyDir; refuses to replace an existing key unless force
+ */
+const generateKey = (keyDir, { force = false } = {}) => {
+    const privatePath = path.join(keyDir, PRIVATE_KEY_FILE);
+    if (fs.existsSync(privatePath) && !force) {
+        throw new Error(`${privatePath} already exists (use rotate to replace it)`);
+    }
+
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    const { keyId, publicKey } = describeKey(privateKey);
+
+    fs.mkdirSync(keyDir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(privatePath, privateKey.export({ format: 'pem', type: 'pkcs8' }), { mode: 0o600 });
+
+    const publicKeys = readPublicKeys(keyDir);
+    publicKeys.keys = publicKeys.keys.filter(entry => entry.keyId !== keyId);
+    publicKeys.keys.push({ keyId, publicKey, createdAt: new Date().toISOString() });
+    fs.writeFileSync(path.join(keyDir, PUBLIC_KEYS_FILE), JSON.stringify(publicKeys, null, 2));
+
+    return { keyId, publicKey };
+};
+
+/**
+ * Replace the current key: the old public key stays trusted for records signed before now
+ */
+const rotateKey = (keyDir) => {
+    const privatePath = path.join(keyDir, PRIVATE_KEY_FILE);
+    if (!fs.existsSync(privatePath)) {
+        throw new Error(`No key to rotate in ${keyDir} (use generate)`);
+    }
+
+    const previous = describeKey(fs.readFileSync(privatePath, 'utf8'));
+    const retiredAt = new Date().toISOString();
+
+    const publicKeys = readPublicKeys(keyDir);
+    publicKeys.keys = publicKeys.keys.map(entry => (
+        entry.keyId === previous.keyId && !entry.retiredAt ? { ...entry, retiredAt } : entry
+    ));
+    fs.writeFileSync(path.join(keyDir, PUBLIC_KEYS_FILE), JSON.stringify(publicKeys, null, 2));
+
+    const current = generateKey(keyDir, { force: true });
+    return { previous: { ...previous, retiredAt }, current };
+};
+
+class RecordSigner {
+    constructor(config) {
+        this.enabled = config.signing.enabled;
+        this.keyDir = config.signing.keyDir;
+        this.privateKeyPem = config.signing.privateKey;
+        this.refreshMs = config.signing.refreshMs;
+        this.key = null;
+    }
+
+    /**
+     * Load the private key (SIGNING_PRIVATE_KEY, else the key directory)
+     */
+    loadKey() {
+        if (this.key) return this.key;
+
+        let pem = this.privateKeyPem;
+        if (!pem) {
+            const privatePath = path.join(this.keyDir, PRIVATE_KEY_FILE);
+            try {
+                pem = fs.readFileSync(privatePath, 'utf8');
+            } catch (error) {
+                throw new Error(`Record signing is enabled but ${privatePath} cannot be read (run: npm run keys -- generate)`);
+            }
+        }
+
+        const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+        if (privateKey.asymmetricKeyType !== 'ed25519') {
+            throw new Error(`Signing key must be Ed25519, got ${privateKey.asymmetricKeyType}`);
+        }
+
+        this.key = { privateKey, ...describeKey(privateKey) };
+        return this.key;
+    }
+
+    /**
+     * Signature for a target record; the sequence continues from the record's previous one
+     */
+    sign(name, target, signedAt = new Date().toISOString()) {
+        const { privateKey, keyId } = this.loadKey();
+        const previous = target.signature && Number.isInteger(target.signature.sequence) ? target.signature.sequence : 0;
+        const sequence = previous + 1;
+
+        const value = crypto.sign(null, recordPayload(name, target, { signedAt, sequence }), privateKey);
+
+        return { alg: 'Ed25519', keyId, sequence, signedAt, value: value.toString('base64') };
+    }
+
+    /**
+     * Whether a record is unsigned, signed with another key, or due for a fresh signature
+     */
+    needsRefresh(target) {
+        if (!this.enabled || !target || !target.ip) return false;
+
+        const signature = target.signature;
+        if (!signature || !signature.value) return true;
+        if (signature.keyId !== this.loadKey().keyId) return true;
+
+        return Date.now() - (Date.parse(signature.signedAt) || 0) >= this.refreshMs;
+    }
+
+    /**
+     * Signing details for status output
+     */
+    getInfo() {
+        if (!this.enabled) return { enabled: false };
+
+        try {
+            const { keyId, publicKey } = this.loadKey();
+            return { enabled: true, keyId, publicKey, refreshMs: this.refreshMs };
+        } catch (error) {
+            return { enabled: true, error: error.message };
+        }
+    }
+}
+
+module.exports = RecordSigner;
+module.exports.generateKey = generateKey;
+module.exports.rotateKey = rotateKey;
+module.exports.readPublicKeys = readPublicKeys;
@@ -0,0 +1,260 @@
+/**
+ * Check Scheduler
+ * Decides when the next IP check runs: fixed interval, cron expression or
+ * adaptive interval, shifted out of quiet hours and spread with jitter
+ */
+
+const moment = require('moment-timezone');
+const { parseCron, nextCronTime } = require('../utils/cron');
+const { logger } = require('../util');
+
+// setTimeout overflows past ~24.8 days; longer waits are chained
+const MAX_TIMER_DELAY = 2147483647;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse quiet hours ("23:00-07:00,12:00-13:00") into minute-of-day windows
+ */
+const parseQuietHours = (value) => {
+    if (!value || !value.trim()) return [];
+
+    return value.split(',').map(window => {
+        const match = window.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+        if (!match) {
+            throw new Error(`Invalid quiet hours window '${window.trim()}' (expected HH:MM-HH:MM)`);
+        }
+
+        const [start, end] = [[match[1], match[2]], [match[3], match[4]]].map(([hours, minutes]) => {
+            const h = parseInt(hours);
+            const m = parseInt(minutes);
+            if (h > 24 || m > 59 || (h === 24 && m > 0)) {
+                throw new Error(`Invalid time in quiet hours window '${window.trim()}'`);
+            }
+            return h * 60 + m;
+        });
+
+        return { start, end, label: window.trim() };
+    });
+};
+
+class Scheduler {
+    constructor(config, task) {
+        const schedule = config.schedule;
+
+        this.task = task;
+        this.baseInterval = config.checkInterval;
+        this.minGap = config.rateLimiting.debounceDelay;
+        this.timezone = schedule.timezone;
+        this.jitterMs = schedule.jitterMs;
+        this.adaptive = schedule.adaptive;
+        this.cron = schedule.cron ? parseCron(schedule.cron) : null;
+        this.quietHours = parseQuietHours(schedule.quietHours);
+
+        if (this.timezone && !moment.tz.zone(this.timezone)) {
+            throw new Error(`Unknown schedule timezone: ${this.timezone}`);
+        }
+
+        this.mode = this.cron ? 'cron' : this.adaptive.enabled ? 'adaptive' : 'interval';
+        this.timer = null;
+        this.running = false;
+        this.nextRun = null;
+        this.currentInterval = null;
+        this.lastRun = null;
+        this.lastChangeAt = null;
+        this.lastFailureAt = null;
+    }
+
+    /**
+     * Start scheduling checks
+     */
+    start() {
+        this.running = true;
+        logger.info(`Scheduling IP checks (${this.describeMode()})`);
+        this.scheduleNext();
+    }
+
+    /**
+     * Stop scheduling checks
+     */
+    stop() {
+        this.running = false;
+        this.clearTimer();
+        this.nextRun = null;
+    }
+
+    clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Feed back the outcome of any check (scheduled or manual) and reschedule
+     */
+    recordOutcome({ changed = false, failed = false } = {}, at = Date.now()) {
+        this.lastRun = at;
+        if (changed) this.lastChangeAt = at;
+        if (failed) this.lastFailureAt = at;
+
+        if (this.running) this.scheduleNext();
+    }
+
+    /**
+     * Seed the last known change (e.g. from ip.json on startup)
+     */
+    setLastChange(timestamp) {
+        if (timestamp && (!this.lastChangeAt || timestamp > this.lastChangeAt)) {
+            this.lastChangeAt = timestamp;
+        }
+    }
+
+    /**
+     * Arm the timer for the next run
+     */
+    scheduleNext() {
+        this.clearTimer();
+        if (!this.running) return;
+
+        this.nextRun = this.computeNextRun();
+        this.armTimer();
+        logger.info(`Next IP check at ${new Date(this.nextRun).toISOString()}`);
+    }
+
+    armTimer() {
+        const delay = Math.max(this.nextRun - Date.now(), 0);
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (this.nextRun > Date.now()) {
+                this.armTimer();
+                return;
+            }
+            this.run();
+        }, Math.min(delay, MAX_TIMER_DELAY));
+    }
+
+    async run() {
+        try {
+            await this.task();
+        } catch (error) {
+            // The task reports its own failures through recordOutcome
+        }
+
+        // Make sure a failed task that never reported still leads to a next run
+        if (this.running && !this.timer) this.scheduleNext();
+    }
+
+    /**
+     * Interval for interval / adaptive modes
+     * Adaptive: short interval right after a change or failure, the base interval
+     * otherwise, doubling for each full day the IP has been stable up to the maximum.
+     */
+    getInterval(now = Date.now()) {
+        if (this.mode !== 'adaptive') return this.baseInterval;
+
+        const { minIntervalMs, maxIntervalMs, fastWindowMs, backoffAfterMs } = this.adaptive;
+        const lastEvent = Math.max(this.lastChangeAt || 0, this.lastFailureAt || 0);
+
+        if (lastEvent && now - lastEvent < fastWindowMs) {
+            return minIntervalMs;
+        }
+
+        const stableFor = this.lastChangeAt ? now - this.lastChangeAt : 0;
+        if (stableFor < backoffAfterMs) {
+            return this.baseInterval;
+        }
+
+        const stableDays = Math.floor((stableFor - backoffAfterMs) / DAY_MS) + 1;
+        return Math.min(this.baseInterval * Math.pow(2, stableDays), maxIntervalMs);
+    }
+
+    /**
+     * Compute the next run time: base schedule, then jitter, then quiet hours
+     */
+    computeNextRun(now = Date.now()) {
+        let next;
+        if (this.cron) {
+            next = nextCronTime(this.cron, now, this.timezone);
+            this.currentInterval = null;
+        } else {
+            this.currentInterval = this.getInterval(now);
+            next = now + this.currentInterval;
+        }
+
+        next = Math.max(next, now + this.minGap);
+
+        if (this.jitterMs > 0) {
+            next += Math.floor(Math.random() * this.jitterMs);
+        }
+
+        return this.skipQuietHours(next);
+    }
+
+    /**
+     * Quiet-hours window containing a time, if any
+     */
+    findQuietWindow(timestamp) {
+        const time = this.timezone ? moment.tz(timestamp, this.timezone) : moment(timestamp);
+        const minute = time.hours() * 60 + time.minutes();
+
+        for (const window of this.quietHours) {
+            const inside = window.start <= window.end
+                ? minute >= window.start && minute < window.end
+                : minute >= window.start || minute < window.end;
+            if (inside) {
+                // End of the window, today or tomorrow for windows crossing midnight
+                const end = time.clone().startOf('day').add(window.end, 'minutes');
+                if (window.start > window.end && minute >= window.start) end.add(1, 'day');
+                return { ...window, endsAt: end.valueOf() };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Move a run that falls inside quiet hours to the end of the window
+     */
+    skipQuietHours(timestamp) {
+        let next = timestamp;
+
+        // Adjacent windows may chain; a handful of hops covers any real setup
+        for (let hop = 0; hop < this.quietHours.length + 1; hop++) {
+            const window = this.findQuietWindow(next);
+            if (!window) return next;
+            next = window.endsAt;
+        }
+
+        return next;
+    }
+
+    describeMode() {
+        if (this.mode === 'cron') return `cron '${this.cron.expression}'${this.timezone ? ` ${this.timezone}` : ''}`;
+        if (this.mode === 'adaptive') return `adaptive, base ${this.baseInterval}ms`;
+        return `every ${this.baseInterval}ms`;
+    }
+
+    /**
+     * Schedule details for status output
+     */
+    getInfo() {
+        return {
+            mode: this.mode,
+            description: this.describeMode(),
+            running: this.running,
+            nextRun: this.nextRun ? new Date(this.nextRun).toISOString() : null,
+            nextRunIn: this.nextRun ? Math.max(this.nextRun - Date.now(), 0) : null,
+            currentInterval: this.currentInterval,
+            lastRun: this.lastRun ? new Date(this.lastRun).toISOString() : null,
+            lastChangeAt: this.lastChangeAt ? new Date(this.lastChangeAt).toISOString() : null,
+            lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+            timezone: this.timezone,
+            quietHours: this.quietHours.map(window => window.label),
+            jitterMs: this.jitterMs
+        };
+    }
+}
+
+module.exports = Scheduler;
+module.exports.parseQuietHours = parseQuietHours;
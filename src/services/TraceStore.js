@@ -0,0 +1,103 @@
+/**
+ * Check Trace Store
+ * Keeps the most recent check cycles in memory with every log line written
+ * while they ran (detection, drift, publishing, notifications), by check id
+ *
+ * One trace:
+ * { checkId, requestId, trigger, status: 'running' | 'completed' | 'failed',
+ *   startedAt, finishedAt, duration, result, error, events: [{ time, level, msg, ... }] }
+ */
+
+const { logger } = require('../util');
+
+class TraceStore {
+    constructor(config) {
+        this.limit = config.tracing.limit;
+        this.maxEvents = config.tracing.maxEvents;
+        this.traces = new Map(); // insertion order: oldest first
+
+        this.unsubscribe = logger.onEntry(entry => this.record(entry));
+    }
+
+    /**
+     * Open a trace for a check that is about to run
+     */
+    start(checkId, { requestId = null, trigger = 'manual', dryRun = false, skipGit = false } = {}) {
+        const trace = {
+            checkId,
+            requestId,
+            trigger,
+            dryRun: Boolean(dryRun),
+            skipGit: Boolean(skipGit),
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            duration: null,
+            result: null,
+            error: null,
+            events: [],
+            droppedEvents: 0
+        };
+
+        this.traces.set(checkId, trace);
+        while (this.traces.size > this.limit) {
+            this.traces.delete(this.traces.keys().next().value);
+        }
+
+        return trace;
+    }
+
+    /**
+     * Add a log entry to the trace of the check it was written in
+     */
+    record(entry) {
+        const trace = entry.checkId ? this.traces.get(entry.checkId) : null;
+        if (!trace) return;
+
+        if (trace.events.length >= this.maxEvents) {
+            trace.droppedEvents++;
+            return;
+        }
+
+        const { checkId, ...event } = entry;
+        trace.events.push(event);
+    }
+
+    /**
+     * Close a trace with the check result or the error it failed with
+     */
+    finish(checkId, { result = null, error = null } = {}) {
+        const trace = this.traces.get(checkId);
+        if (!trace) return;
+
+        trace.status = error ? 'failed' : 'completed';
+        trace.finishedAt = new Date().toISOString();
+        trace.duration = Date.parse(trace.finishedAt) - Date.parse(trace.startedAt);
+        trace.result = result;
+        trace.error = error ? { message: error.message, code: error.code || null } : null;
+    }
+
+    get(checkId) {
+        return this.traces.get(checkId) || null;
+    }
+
+    /**
+     * Recent checks without their events, newest first
+     */
+    list({ limit = this.limit } = {}) {
+        return [...this.traces.values()]
+            .reverse()
+            .slice(0, Math.max(1, parseInt(limit) || this.limit))
+            .map(({ events, result, ...summary }) => ({
+                ...summary,
+                updated: result ? Boolean(result.updated) : null,
+                events: events.length
+            }));
+    }
+
+    close() {
+        this.unsubscribe();
+    }
+}
+
+module.exports = TraceStore;
@@ -0,0 +1,151 @@
+/**
+ * API security middleware for the health / control server
+ * Bearer token or API key auth with read and admin scopes, a CORS allowlist
+ * and per-client rate limiting
+ *
+ * Settings are read through a getter on every request, so tokens and origins
+ * changed by a config reload apply without restarting the server.
+ */
+
+const crypto = require('crypto');
+const { RateLimiter, formatTimestamp } = require('./helpers');
+const { logger } = require('../util');
+
+// admin includes read
+const SCOPES = { read: 1, admin: 2 };
+
+const digest = (token) => crypto.createHash('sha256').update(String(token)).digest();
+
+const isLoopback = (address = '') => /^(127\.|::ffff:127\.)/.test(address) || address === '::1';
+
+const deny = (req, res, status, message) => {
+    logger.warn(`Rejected ${req.method} ${req.originalUrl} from ${req.ip}: ${message}`);
+    res.status(status).json({
+        error: message,
+        timestamp: formatTimestamp()
+    });
+};
+
+/**
+ * Token from "Authorization: Bearer <token>" or "X-API-Key: <token>"
+ */
+const tokenFromRequest = (req) => {
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)\s*$/i);
+    if (match) return match[1];
+    return (req.get('X-API-Key') || '').trim() || null;
+};
+
+/**
+ * Scope a token grants ('admin', 'read' or null), compared in constant time
+ */
+const scopeForToken = (token, { readTokens = [], adminTokens = [] }) => {
+    const presented = digest(token);
+    const matches = (tokens) => tokens.reduce((found, candidate) => crypto.timingSafeEqual(presented, digest(candidate)) || found, false);
+
+    if (matches(adminTokens)) return 'admin';
+    if (matches(readTokens)) return 'read';
+    return null;
+};
+
+/**
+ * Allow a request holding at least the given scope
+ * Without any tokens configured, reads are open and admin calls are only taken from this host.
+ */
+const requireScope = (scope, getAuth) => (req, res, next) => {
+    const auth = getAuth();
+    const configured = auth.readTokens.length + auth.adminTokens.length > 0;
+
+    if (!configured) {
+        if (scope === 'read' || isLoopback(req.socket.remoteAddress)) return next();
+        return deny(req, res, 403, 'Control API is only open to localhost until API_ADMIN_TOKENS is set');
+    }
+
+    const token = tokenFromRequest(req);
+    if (!token) {
+        res.set('WWW-Authenticate', 'Bearer realm="ip-monitor"');
+        return deny(req, res, 401, 'Authentication required');
+    }
+
+    const granted = scopeForToken(token, auth);
+    if (!granted) {
+        res.set('WWW-Authenticate', 'Bearer realm="ip-monitor", error="invalid_token"');
+        return deny(req, res, 401, 'Invalid token');
+    }
+
+    if (SCOPES[granted] < SCOPES[scope]) {
+        return deny(req, res, 403, `Requires the ${scope} scope`);
+    }
+
+    req.auth = { scope: granted };
+    next();
+};
+
+/**
+ * CORS headers for allowed origins only ('*' allows any); answers preflight requests
+ */
+const cors = (getOrigins) => (req, res, next) => {
+    const origin = req.get('Origin');
+    const origins = getOrigins();
+
+    // The answer depends on Origin unless every origin is allowed; caches must key on it
+    if (!origins.includes('*')) res.header('Vary', 'Origin');
+
+    if (origin && (origins.includes('*') || origins.includes(origin))) {
+        res.header('Access-Control-Allow-Origin', origins.includes('*') ? '*' : origin);
+        res.header('Access-Control-Allow-Methods', 'GET, POST');
+        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Request-Id');
+        res.header('Access-Control-Expose-Headers', 'X-Request-Id');
+    }
+
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+};
+
+/**
+ * At most maxCalls requests per client address per window
+ * getLimits() returns { maxCalls, windowMs } and is read per request, like the CORS origins.
+ * exemptPaths (health probes) are never limited: callers behind one proxy share an address.
+ */
+const rateLimit = (getLimits, { exemptPaths = [] } = {}) => {
+    const limiters = new Map();
+
+    return (req, res, next) => {
+        if (exemptPaths.includes(req.path)) return next();
+
+        const { maxCalls, windowMs } = getLimits();
+        const key = req.socket.remoteAddress || 'unknown';
+        if (!limiters.has(key)) {
+            // Forget clients whose window has passed
+            if (limiters.size >= 1000) {
+                limiters.forEach((limiter, client) => {
+                    if (limiter.getStatus().remaining === limiter.maxCalls) limiters.delete(client);
+                });
+            }
+            limiters.set(key, new RateLimiter(maxCalls, windowMs));
+        }
+
+        const limiter = limiters.get(key);
+        // Reloaded limits apply to clients already seen, keeping their recent calls
+        limiter.maxCalls = maxCalls;
+        limiter.windowMs = windowMs;
+        const allowed = limiter.isAllowed();
+        const { remaining, resetTime } = limiter.getStatus();
+
+        res.set('X-RateLimit-Limit', String(maxCalls));
+        res.set('X-RateLimit-Remaining', String(remaining));
+
+        if (!allowed) {
+            res.set('Retry-After', String(Math.max(1, Math.ceil((resetTime - Date.now()) / 1000))));
+            return deny(req, res, 429, 'Too many requests');
+        }
+        next();
+    };
+};
+
+module.exports = {
+    requireScope,
+    cors,
+    rateLimit,
+    scopeForToken,
+    tokenFromRequest
+};
@@ -0,0 +1,54 @@
+/**
+ * Correlation context
+ * Carries the ids of the current HTTP request and check cycle across async calls,
+ * so log lines, outgoing requests and traces can be tied back to what started them
+ *
+ * Context: { requestId, checkId }
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+// Incoming X-Request-Id values are echoed back and logged, so keep them short and plain
+const VALID_ID = /^[A-Za-z0-9._:-]{1,64}$/;
+
+/**
+ * New random id (16 hex characters)
+ */
+const newId = () => crypto.randomBytes(8).toString('hex');
+
+/**
+ * A caller-supplied id if it is usable, otherwise a new one
+ */
+const acceptId = (value) => (typeof value === 'string' && VALID_ID.test(value) ? value : newId());
+
+/**
+ * Run fn with the given ids added to the current context
+ */
+const runWithContext = (context, fn) => storage.run({ ...getContext(), ...context }, fn);
+
+/**
+ * Ids of the current request / check ({} outside of one)
+ */
+const getContext = () => storage.getStore() || {};
+
+/**
+ * Headers passing the current ids on to webhooks and other HTTP backends
+ */
+const correlationHeaders = () => {
+    const { requestId, checkId } = getContext();
+    return {
+        ...(requestId ? { 'X-Request-Id': requestId } : {}),
+        ...(checkId ? { 'X-Check-Id': checkId } : {})
+    };
+};
+
+module.exports = {
+    newId,
+    acceptId,
+    runWithContext,
+    getContext,
+    correlationHeaders
+};
@@ -0,0 +1,168 @@
+/**
+ * Cron expression parsing and next-run calculation
+ * Standard 5-field syntax (minute hour day-of-month month day-of-week) with
+ * lists, ranges, steps, month/day names and the @hourly/@daily/... macros.
+ */
+
+const moment = require('moment-timezone');
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+// Give up looking for a match after this many years (e.g. "0 0 30 2 *")
+const SEARCH_YEARS = 5;
+
+/**
+ * Parse one value, allowing month / day names
+ */
+const parseValue = (value, field, expression) => {
+    const lower = value.toLowerCase();
+    if (field.names && field.names.includes(lower)) {
+        return field.names.indexOf(lower) + field.nameOffset;
+    }
+
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid cron ${field.name} value '${value}' in '${expression}'`);
+    }
+
+    const number = parseInt(value);
+    if (number < field.min || number > field.max) {
+        throw new Error(`Cron ${field.name} value ${number} out of range ${field.min}-${field.max} in '${expression}'`);
+    }
+    return number;
+};
+
+/**
+ * Parse one field ("*", "1,5", "9-17", "*\/15", "mon-fri") into a set of values
+ */
+const parseField = (text, field, expression) => {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText);
+        if (!step || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+            throw new Error(`Invalid cron step '${part}' in '${expression}'`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field, expression);
+            end = parseValue(to, field, expression);
+            if (start > end) {
+                throw new Error(`Invalid cron range '${range}' in '${expression}'`);
+            }
+        } else {
+            start = parseValue(range, field, expression);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    // Sunday may be written as 0 or 7
+    if (field.name === 'dayOfWeek' && values.has(7)) {
+        values.delete(7);
+        values.add(0);
+    }
+
+    return values;
+};
+
+/**
+ * Parse a cron expression
+ */
+const parseCron = (expression) => {
+    const source = String(expression || '').trim();
+    const expanded = MACROS[source.toLowerCase()] || source;
+    const parts = expanded.split(/\s+/);
+
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression must have 5 fields: '${source}'`);
+    }
+
+    const schedule = { expression: source };
+    FIELDS.forEach((field, index) => {
+        schedule[field.name] = parseField(parts[index], field, source);
+    });
+
+    // Standard cron: when both day fields are restricted, either may match
+    // A field starting with '*' ("*", "*/2") counts as unrestricted, as in Vixie cron
+    schedule.restrictedDayOfMonth = !parts[2].startsWith('*');
+    schedule.restrictedDayOfWeek = !parts[4].startsWith('*');
+
+    return schedule;
+};
+
+const matchesDay = (schedule, time) => {
+    const dayOfMonth = schedule.dayOfMonth.has(time.date());
+    const dayOfWeek = schedule.dayOfWeek.has(time.day());
+
+    if (schedule.restrictedDayOfMonth && schedule.restrictedDayOfWeek) {
+        return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+};
+
+/**
+ * Next time (ms) strictly after `from` matching the schedule, in the given timezone
+ */
+const nextCronTime = (schedule, from = Date.now(), timezone = null) => {
+    const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+    const create = (value) => (timezone ? moment.tz(value, timezone) : moment(value));
+
+    let time = create(from).startOf('minute').add(1, 'minute');
+    const limit = create(from).add(SEARCH_YEARS, 'years');
+
+    while (time.isBefore(limit)) {
+        if (!parsed.month.has(time.month() + 1)) {
+            time = time.add(1, 'month').startOf('month');
+            continue;
+        }
+        if (!matchesDay(parsed, time)) {
+            time = time.add(1, 'day').startOf('day');
+            continue;
+        }
+        if (!parsed.hour.has(time.hour())) {
+            time = time.add(1, 'hour').startOf('hour');
+            continue;
+        }
+        if (!parsed.minute.has(time.minute())) {
+            time = time.add(1, 'minute');
+            continue;
+        }
+        return time.valueOf();
+    }
+
+    throw new Error(`Cron expression '${parsed.expression}' never matches`);
+};
+
+module.exports = {
+    parseCron,
+    nextCronTime
+};
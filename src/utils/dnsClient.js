@@ -0,0 +1,465 @@
+/**
+ * Minimal DNS wire-format client
+ * Used where Node's dns module cannot help (non-IN classes such as CHAOS,
+ * RFC 2136 dynamic updates signed with TSIG)
+ * Supports A, AAAA and TXT answers over UDP
+ */
+
+const dgram = require('dgram');
+const crypto = require('crypto');
+const net = require('net');
+const { expandIpv6 } = require('./helpers');
+
+const TYPES = { A: 1, NS: 2, CNAME: 5, SOA: 6, TXT: 16, AAAA: 28, TSIG: 250, ANY: 255 };
+const CLASSES = { IN: 1, CH: 3, NONE: 254, ANY: 255 };
+const RCODES = ['NOERROR', 'FORMERR', 'SERVFAIL', 'NXDOMAIN', 'NOTIMP', 'REFUSED', 'YXDOMAIN', 'YXRRSET', 'NXRRSET', 'NOTAUTH', 'NOTZONE'];
+const TSIG_ERRORS = { 16: 'BADSIG', 17: 'BADKEY', 18: 'BADTIME', 22: 'BADTRUNC' };
+
+// TSIG algorithm names (RFC 8945) and their HMAC digests
+const TSIG_ALGORITHMS = {
+    'hmac-md5': { name: 'hmac-md5.sig-alg.reg.int', digest: 'md5' },
+    'hmac-sha1': { name: 'hmac-sha1', digest: 'sha1' },
+    'hmac-sha224': { name: 'hmac-sha224', digest: 'sha224' },
+    'hmac-sha256': { name: 'hmac-sha256', digest: 'sha256' },
+    'hmac-sha384': { name: 'hmac-sha384', digest: 'sha384' },
+    'hmac-sha512': { name: 'hmac-sha512', digest: 'sha512' }
+};
+
+const OPCODE_UPDATE = 5;
+
+/**
+ * Encode a domain name as DNS labels
+ */
+const encodeName = (name) => {
+    const labels = String(name).replace(/\.$/, '').split('.').filter(Boolean);
+    const parts = labels.map(label => {
+        const bytes = Buffer.from(label, 'utf8');
+        if (bytes.length > 63) throw new Error(`DNS label too long: ${label}`);
+        return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+    });
+    return Buffer.concat([...parts, Buffer.from([0])]);
+};
+
+/**
+ * Decode a (possibly compressed) name at offset; returns { name, offset }
+ */
+const decodeName = (buffer, offset) => {
+    const labels = [];
+    let position = offset;
+    let nextOffset = null;
+    let jumps = 0;
+
+    for (;;) {
+        if (position >= buffer.length) throw new Error('DNS name runs past end of message');
+        const length = buffer[position];
+
+        if (length === 0) {
+            position += 1;
+            break;
+        }
+
+        // Compression pointer
+        if ((length & 0xc0) === 0xc0) {
+            if (++jumps > 20) throw new Error('DNS name compression loop');
+            if (nextOffset === null) nextOffset = position + 2;
+            position = buffer.readUInt16BE(position) & 0x3fff;
+            continue;
+        }
+
+        labels.push(buffer.toString('utf8', position + 1, position + 1 + length));
+        position += 1 + length;
+    }
+
+    return { name: labels.join('.'), offset: nextOffset === null ? position : nextOffset };
+};
+
+/**
+ * Decode record data into a readable value
+ */
+const decodeRdata = (type, rdata) => {
+    if (type === TYPES.A && rdata.length === 4) {
+        return Array.from(rdata).join('.');
+    }
+
+    if (type === TYPES.AAAA && rdata.length === 16) {
+        const groups = [];
+        for (let i = 0; i < 16; i += 2) groups.push(rdata.readUInt16BE(i).toString(16));
+        return groups.join(':');
+    }
+
+    if (type === TYPES.TXT) {
+        const chunks = [];
+        let position = 0;
+        while (position < rdata.length) {
+            const length = rdata[position];
+            chunks.push(rdata.toString('utf8', position + 1, position + 1 + length));
+            position += 1 + length;
+        }
+        return chunks.join('');
+    }
+
+    return rdata;
+};
+
+/**
+ * Build a DNS message
+ * sections: { question: [{ name, type, class }], answer/authority/additional: [records] }
+ * record: { name, type, class, ttl, data (Buffer) }
+ */
+const buildMessage = ({ id = crypto.randomBytes(2).readUInt16BE(0), flags = 0x0100, question = [], answer = [], authority = [], additional = [] }) => {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(id, 0);
+    header.writeUInt16BE(flags, 2);
+    header.writeUInt16BE(question.length, 4);
+    header.writeUInt16BE(answer.length, 6);
+    header.writeUInt16BE(authority.length, 8);
+    header.writeUInt16BE(additional.length, 10);
+
+    const encodeQuestion = (q) => {
+        const fixed = Buffer.alloc(4);
+        fixed.writeUInt16BE(TYPES[q.type] || q.type, 0);
+        fixed.writeUInt16BE(CLASSES[q.class || 'IN'] || q.class, 2);
+        return Buffer.concat([encodeName(q.name), fixed]);
+    };
+
+    const encodeRecord = (r) => {
+        const data = r.data || Buffer.alloc(0);
+        const fixed = Buffer.alloc(10);
+        fixed.writeUInt16BE(TYPES[r.type] || r.type, 0);
+        fixed.writeUInt16BE(CLASSES[r.class || 'IN'] || r.class, 2);
+        fixed.writeUInt32BE(r.ttl || 0, 4);
+        fixed.writeUInt16BE(data.length, 8);
+        return Buffer.concat([encodeName(r.name), fixed, data]);
+    };
+
+    return Buffer.concat([
+        header,
+        ...question.map(encodeQuestion),
+        ...answer.map(encodeRecord),
+        ...authority.map(encodeRecord),
+        ...additional.map(encodeRecord)
+    ]);
+};
+
+/**
+ * Parse a DNS message into header fields and answer records
+ */
+const parseMessage = (buffer) => {
+    if (buffer.length < 12) throw new Error('DNS message too short');
+
+    const id = buffer.readUInt16BE(0);
+    const flags = buffer.readUInt16BE(2);
+    const counts = [4, 6, 8, 10].map(offset => buffer.readUInt16BE(offset));
+    let offset = 12;
+
+    const question = [];
+    for (let i = 0; i < counts[0]; i++) {
+        const decoded = decodeName(buffer, offset);
+        offset = decoded.offset;
+        question.push({ name: decoded.name, type: buffer.readUInt16BE(offset), class: buffer.readUInt16BE(offset + 2) });
+        offset += 4;
+    }
+
+    const readRecords = (count) => {
+        const records = [];
+        for (let i = 0; i < count; i++) {
+            const start = offset;
+            const decoded = decodeName(buffer, offset);
+            offset = decoded.offset;
+            const type = buffer.readUInt16BE(offset);
+            const recordClass = buffer.readUInt16BE(offset + 2);
+            const ttl = buffer.readUInt32BE(offset + 4);
+            const length = buffer.readUInt16BE(offset + 8);
+            offset += 10;
+            const rdata = buffer.subarray(offset, offset + length);
+            offset += length;
+            records.push({ name: decoded.name, type, class: recordClass, ttl, rdata, value: decodeRdata(type, rdata), offset: start });
+        }
+        return records;
+    };
+
+    const answer = readRecords(counts[1]);
+    const authority = readRecords(counts[2]);
+    const additional = readRecords(counts[3]);
+
+    return {
+        id,
+        flags,
+        truncated: Boolean(flags & 0x0200),
+        rcode: RCODES[flags & 0x000f] || String(flags & 0x000f),
+        question,
+        answer,
+        authority,
+        additional
+    };
+};
+
+/**
+ * Send a message over UDP and resolve with the parsed response
+ */
+const exchange = (message, { server, port = 53, timeout = 5000 }) => {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket(net.isIPv6(server) ? 'udp6' : 'udp4');
+        const expectedId = message.readUInt16BE(0);
+
+        const finish = (error, result) => {
+            clearTimeout(timer);
+            socket.close();
+            if (error) reject(error);
+            else resolve(result);
+        };
+
+        const timer = setTimeout(() => {
+            const error = new Error(`DNS query to ${server}:${port} timed out after ${timeout}ms`);
+            error.code = 'ETIMEDOUT';
+            finish(error);
+        }, timeout);
+
+        socket.on('error', finish);
+        socket.on('message', (data) => {
+            try {
+                const response = parseMessage(data);
+                if (response.id !== expectedId) return; // not ours, keep waiting
+                response.raw = data; // TSIG verification needs the exact bytes
+                finish(null, response);
+            } catch (error) {
+                finish(error);
+            }
+        });
+
+        socket.send(message, port, server, (error) => {
+            if (error) finish(error);
+        });
+    });
+};
+
+/**
+ * Query a server directly and return the answer values of the requested type
+ */
+const query = async ({ server, port = 53, name, type = 'TXT', recordClass = 'IN', timeout = 5000 }) => {
+    const message = buildMessage({ question: [{ name, type, class: recordClass }] });
+    const response = await exchange(message, { server, port, timeout });
+
+    if (response.rcode !== 'NOERROR') {
+        throw new Error(`DNS query for ${name} ${recordClass} ${type} failed: ${response.rcode}`);
+    }
+
+    return response.answer
+        .filter(record => record.type === TYPES[type])
+        .map(record => record.value);
+};
+
+/**
+ * Record data for an A / AAAA address
+ */
+const encodeAddress = (ip) => {
+    if (net.isIPv4(ip)) {
+        return Buffer.from(ip.split('.').map(Number));
+    }
+
+    const groups = expandIpv6(ip);
+    if (groups) {
+        const buffer = Buffer.alloc(16);
+        groups.forEach((group, i) => buffer.writeUInt16BE(group, i * 2));
+        return buffer;
+    }
+
+    throw new Error(`Not an IP address: ${ip}`);
+};
+
+/**
+ * Resolve a TSIG key ({ name, algorithm, secret (base64) }) into what signing needs
+ */
+const resolveTsigKey = (key) => {
+    const algorithm = TSIG_ALGORITHMS[String(key.algorithm || 'hmac-sha256').toLowerCase().replace(/\.$/, '')];
+    if (!algorithm) {
+        throw new Error(`Unsupported TSIG algorithm: ${key.algorithm}`);
+    }
+    if (!key.name || !key.secret) {
+        throw new Error('TSIG key needs a name and a secret');
+    }
+
+    return {
+        name: String(key.name).toLowerCase(),
+        algorithmName: algorithm.name,
+        digest: algorithm.digest,
+        secret: Buffer.from(key.secret, 'base64')
+    };
+};
+
+/**
+ * Encode a 48-bit "time signed" value
+ */
+const encodeTime = (seconds) => {
+    const buffer = Buffer.alloc(6);
+    buffer.writeUInt16BE(Math.floor(seconds / 0x100000000), 0);
+    buffer.writeUInt32BE(seconds % 0x100000000, 2);
+    return buffer;
+};
+
+/**
+ * TSIG variables covered by the MAC (RFC 8945 section 4.3.3)
+ */
+const tsigVariables = (key, { time, fudge, error = 0, other = Buffer.alloc(0) }) => {
+    const classTtl = Buffer.alloc(6);
+    classTtl.writeUInt16BE(CLASSES.ANY, 0);
+
+    const timers = Buffer.alloc(8);
+    encodeTime(time).copy(timers, 0);
+    timers.writeUInt16BE(fudge, 6);
+
+    const tail = Buffer.alloc(4);
+    tail.writeUInt16BE(error, 0);
+    tail.writeUInt16BE(other.length, 2);
+
+    return Buffer.concat([encodeName(key.name), classTtl, encodeName(key.algorithmName), timers, tail, other]);
+};
+
+/**
+ * Append a TSIG record to a message; returns { message, mac }
+ */
+const signMessage = (message, key, { time = Math.floor(Date.now() / 1000), fudge = 300 } = {}) => {
+    const tsigKey = resolveTsigKey(key);
+    const mac = crypto.createHmac(tsigKey.digest, tsigKey.secret)
+        .update(message)
+        .update(tsigVariables(tsigKey, { time, fudge }))
+        .digest();
+
+    const rdataFixed = Buffer.alloc(10);
+    encodeTime(time).copy(rdataFixed, 0);
+    rdataFixed.writeUInt16BE(fudge, 6);
+    rdataFixed.writeUInt16BE(mac.length, 8);
+
+    const rdataTail = Buffer.alloc(6);
+    rdataTail.writeUInt16BE(message.readUInt16BE(0), 0); // original ID
+    // error and other length stay 0
+
+    const rdata = Buffer.concat([encodeName(tsigKey.algorithmName), rdataFixed, mac, rdataTail]);
+
+    const fixed = Buffer.alloc(10);
+    fixed.writeUInt16BE(TYPES.TSIG, 0);
+    fixed.writeUInt16BE(CLASSES.ANY, 2);
+    fixed.writeUInt32BE(0, 4);
+    fixed.writeUInt16BE(rdata.length, 8);
+
+    const signed = Buffer.concat([message, encodeName(tsigKey.name), fixed, rdata]);
+    signed.writeUInt16BE(message.readUInt16BE(10) + 1, 10);
+
+    return { message: signed, mac };
+};
+
+/**
+ * Read the fields of a TSIG record's data
+ */
+const parseTsigRdata = (rdata) => {
+    const algorithm = decodeName(rdata, 0);
+    let offset = algorithm.offset;
+    const time = rdata.readUInt16BE(offset) * 0x100000000 + rdata.readUInt32BE(offset + 2);
+    const fudge = rdata.readUInt16BE(offset + 6);
+    const macSize = rdata.readUInt16BE(offset + 8);
+    offset += 10;
+    const mac = rdata.subarray(offset, offset + macSize);
+    offset += macSize;
+    const originalId = rdata.readUInt16BE(offset);
+    const error = rdata.readUInt16BE(offset + 2);
+    const otherLength = rdata.readUInt16BE(offset + 4);
+    const other = rdata.subarray(offset + 6, offset + 6 + otherLength);
+
+    return { algorithm: algorithm.name, time, fudge, mac, originalId, error, other };
+};
+
+/**
+ * Verify the TSIG on a response to a signed request (RFC 8945 section 5.3)
+ * Throws if the response is unsigned, signed with another key, or the MAC doesn't match.
+ */
+const verifyResponse = (response, requestMac, key) => {
+    const raw = response.raw;
+    const tsigKey = resolveTsigKey(key);
+    const record = response.additional[response.additional.length - 1];
+
+    if (!record || record.type !== TYPES.TSIG) {
+        throw new Error('Response is not TSIG signed');
+    }
+    if (record.name.toLowerCase() !== tsigKey.name) {
+        throw new Error(`Response signed with unexpected key ${record.name}`);
+    }
+
+    const tsig = parseTsigRdata(record.rdata);
+
+    // The MAC covers the message as it was before the TSIG record was added
+    const unsigned = Buffer.from(raw.subarray(0, record.offset));
+    unsigned.writeUInt16BE(tsig.originalId, 0);
+    unsigned.writeUInt16BE(raw.readUInt16BE(10) - 1, 10);
+
+    const macSize = Buffer.alloc(2);
+    macSize.writeUInt16BE(requestMac.length, 0);
+
+    const expected = crypto.createHmac(tsigKey.digest, tsigKey.secret)
+        .update(macSize)
+        .update(requestMac)
+        .update(unsigned)
+        .update(tsigVariables(tsigKey, tsig))
+        .digest();
+
+    if (tsig.mac.length !== expected.length || !crypto.timingSafeEqual(tsig.mac, expected)) {
+        throw new Error('Response TSIG signature does not match');
+    }
+
+    return tsig;
+};
+
+/**
+ * Send an RFC 2136 UPDATE for one zone, optionally TSIG signed
+ * deletes: [{ name, type }] remove the whole RRset; adds: [{ name, type, ttl, value }]
+ */
+const update = async ({ server, port = 53, zone, deletes = [], adds = [], key = null, timeout = 5000 }) => {
+    const authority = [
+        ...deletes.map(({ name, type }) => ({ name, type, class: 'ANY', ttl: 0 })),
+        ...adds.map(({ name, type, ttl = 300, value }) => ({ name, type, class: 'IN', ttl, data: encodeAddress(value) }))
+    ];
+
+    let message = buildMessage({
+        flags: OPCODE_UPDATE << 11,
+        question: [{ name: zone, type: 'SOA', class: 'IN' }],
+        authority
+    });
+
+    let requestMac = null;
+    if (key) {
+        ({ message, mac: requestMac } = signMessage(message, key));
+    }
+
+    const response = await exchange(message, { server, port, timeout });
+
+    const tsigRecord = response.additional.find(record => record.type === TYPES.TSIG);
+    const tsigError = tsigRecord ? parseTsigRdata(tsigRecord.rdata).error : 0;
+
+    if (response.rcode !== 'NOERROR') {
+        const detail = TSIG_ERRORS[tsigError] ? ` (${TSIG_ERRORS[tsigError]})` : '';
+        const error = new Error(`DNS update of ${zone} at ${server} failed: ${response.rcode}${detail}`);
+        error.code = response.rcode;
+        throw error;
+    }
+
+    if (key) {
+        verifyResponse(response, requestMac, key);
+    }
+
+    return response;
+};
+
+module.exports = {
+    TYPES,
+    CLASSES,
+    TSIG_ALGORITHMS,
+    encodeName,
+    decodeName,
+    encodeAddress,
+    buildMessage,
+    parseMessage,
+    signMessage,
+    verifyResponse,
+    exchange,
+    query,
+    update
+};
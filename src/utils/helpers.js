@@ -5,6 +5,7 @@
 
 const { promisify } = require('util');
 const { exec } = require('child_process');
+const net = require('net');
 const execAsync = promisify(exec);
 
 /**
@@ -12,29 +13,141 @@ const execAsync = promisify(exec);
  */
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+const IPV4_REGEX = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
+
 /**
- * Validate IP address format
+ * Validate IPv4 address format
  */
-const isValidIp = (ip) => {
-    if (!ip || typeof ip !== 'string') return false;
+const isValidIpv4 = (ip) => typeof ip === 'string' && IPV4_REGEX.test(ip);
+
+/**
+ * Split an IPv6 address into address and zone id ("fe80::1%eth0")
+ */
+const splitIpv6Zone = (ip) => {
+    const value = ip.replace(/^\[|\]$/g, '');
+    const zoneIndex = value.indexOf('%');
+    if (zoneIndex === -1) return { address: value, zone: null };
+    return { address: value.slice(0, zoneIndex), zone: value.slice(zoneIndex + 1) };
+};
+
+/**
+ * Expand an IPv6 address (without zone) into 8 numeric groups, or null if invalid
+ */
+const expandIpv6 = (address) => {
+    if (!address || !net.isIPv6(address)) return null;
+
+    let head = address;
+    const groups = [];
+
+    // Embedded IPv4 tail (e.g. ::ffff:1.2.3.4) becomes two groups
+    const ipv4Tail = head.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+    let tail = [];
+    if (ipv4Tail) {
+        const octets = ipv4Tail[2].split('.').map(Number);
+        tail = [(octets[0] << 8) | octets[1], (octets[2] << 8) | octets[3]];
+        head = ipv4Tail[1].endsWith('::') ? ipv4Tail[1] : ipv4Tail[1].slice(0, -1);
+    }
+
+    const [left, right] = head.split('::');
+    const parse = (part) => (part ? part.split(':').map(g => parseInt(g, 16)) : []);
+    const leftGroups = parse(left);
+    const rightGroups = head.includes('::') ? parse(right) : [];
+    const missing = 8 - leftGroups.length - rightGroups.length - tail.length;
 
-    const ipv4Regex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-    const ipv6Regex = /^(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/;
+    groups.push(...leftGroups);
+    if (head.includes('::')) {
+        for (let i = 0; i < missing; i++) groups.push(0);
+    }
+    groups.push(...rightGroups, ...tail);
 
-    return ipv4Regex.test(ip) || ipv6Regex.test(ip);
+    return groups.length === 8 ? groups : null;
 };
 
 /**
- * Sanitize input for git commit messages
+ * Format 8 IPv6 groups in RFC 5952 canonical form
  */
-const sanitizeGitMessage = (message) => {
-    if (!message || typeof message !== 'string') return 'Update IP';
+const compressIpv6 = (groups) => {
+    // IPv4-mapped addresses keep their dotted tail
+    const isMapped = groups.slice(0, 5).every(g => g === 0) && groups[5] === 0xffff;
+    if (isMapped) {
+        return `::ffff:${groups[6] >> 8}.${groups[6] & 0xff}.${groups[7] >> 8}.${groups[7] & 0xff}`;
+    }
 
-    return message
-        .replace(/[`$(){}[\]|&;]/g, '') // Remove potentially dangerous characters
-        .replace(/\s+/g, ' ') // Normalize whitespace
-        .trim()
-        .substring(0, 100); // Limit length
+    // Find the longest run (>= 2) of zero groups, first one wins on ties
+    let bestStart = -1;
+    let bestLength = 0;
+    for (let i = 0; i < 8; i++) {
+        if (groups[i] !== 0) continue;
+        let j = i;
+        while (j < 8 && groups[j] === 0) j++;
+        if (j - i > bestLength && j - i >= 2) {
+            bestStart = i;
+            bestLength = j - i;
+        }
+        i = j;
+    }
+
+    const hex = groups.map(g => g.toString(16));
+    if (bestStart === -1) return hex.join(':');
+
+    const left = hex.slice(0, bestStart).join(':');
+    const right = hex.slice(bestStart + bestLength).join(':');
+    return `${left}::${right}`;
+};
+
+/**
+ * Normalize an IP address
+ * IPv6 is lowercased and compressed (RFC 5952), zone ids are kept,
+ * and IPv4-mapped addresses can optionally be unwrapped to plain IPv4.
+ * Returns null for invalid input.
+ */
+const normalizeIp = (ip, { unmapIpv4 = false } = {}) => {
+    if (!ip || typeof ip !== 'string') return null;
+
+    const value = ip.trim();
+    if (isValidIpv4(value)) return value;
+
+    const { address, zone } = splitIpv6Zone(value);
+    const groups = expandIpv6(address);
+    if (!groups) return null;
+
+    const normalized = compressIpv6(groups);
+    if (unmapIpv4 && normalized.startsWith('::ffff:') && normalized.includes('.')) {
+        return normalized.slice('::ffff:'.length);
+    }
+
+    return zone ? `${normalized}%${zone}` : normalized;
+};
+
+/**
+ * Get address family of an IP ('ipv4' | 'ipv6' | null)
+ * IPv4-mapped IPv6 addresses report as 'ipv4'.
+ */
+const getIpFamily = (ip) => {
+    const normalized = normalizeIp(ip, { unmapIpv4: true });
+    if (!normalized) return null;
+    return isValidIpv4(normalized) ? 'ipv4' : 'ipv6';
+};
+
+/**
+ * Validate IPv6 address format (compressed, zone ids and IPv4-mapped accepted)
+ */
+const isValidIpv6 = (ip) => {
+    if (!ip || typeof ip !== 'string') return false;
+    return expandIpv6(splitIpv6Zone(ip.trim()).address) !== null;
+};
+
+/**
+ * Validate IP address format
+ */
+const isValidIp = (ip) => isValidIpv4(typeof ip === 'string' ? ip.trim() : ip) || isValidIpv6(ip);
+
+/**
+ * Compare two IP addresses after normalization
+ */
+const ipsEqual = (ip1, ip2) => {
+    if (!ip1 || !ip2) return false;
+    return normalizeIp(ip1) === normalizeIp(ip2);
 };
 
 /**
@@ -42,10 +155,16 @@ const sanitizeGitMessage = (message) => {
  */
 const debounce = (func, delay) => {
     let timeoutId;
-    return (...args) => {
+    const debounced = (...args) => {
         clearTimeout(timeoutId);
         timeoutId = setTimeout(() => func.apply(null, args), delay);
     };
+    // Drop a pending call
+    debounced.cancel = () => {
+        clearTimeout(timeoutId);
+        timeoutId = null;
+    };
+    return debounced;
 };
 
 /**
@@ -89,13 +208,20 @@ class RateLimiter {
 /**
  * Retry wrapper with exponential backoff
  */
-const withRetry = async (fn, maxRetries = 3, baseDelay = 1000) => {
+const withRetry = async (fn, maxRetries = 3, baseDelay = 1000, shouldRetry = () => true) => {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
             return await fn();
         } catch (error) {
+            if (!shouldRetry(error)) {
+                throw error;
+            }
+
             if (attempt === maxRetries) {
-                throw new Error(`Failed after ${maxRetries} attempts: ${error.message}`);
+                const wrapped = new Error(`Failed after ${maxRetries} attempts: ${error.message}`);
+                wrapped.code = error.code;
+                wrapped.cause = error;
+                throw wrapped;
             }
 
             const delay = baseDelay * Math.pow(2, attempt - 1);
@@ -104,6 +230,24 @@ const withRetry = async (fn, maxRetries = 3, baseDelay = 1000) => {
     }
 };
 
+/**
+ * Reject a promise that does not settle within ms
+ */
+const withTimeout = (promise, ms, message = `Timed out after ${ms}ms`) => {
+    if (!ms) return promise;
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(message);
+            error.code = 'ETIMEDOUT';
+            reject(error);
+        }, ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
 /**
  * Safe JSON parse with error handling
  */
@@ -115,6 +259,15 @@ const safeJsonParse = (jsonString, defaultValue = null) => {
     }
 };
 
+/**
+ * Read a dotted field path from an object ("data.ip", "targets.web.ipv4")
+ */
+const getFieldPath = (data, fieldPath) => {
+    return String(fieldPath).split('.').reduce((value, key) => (
+        value === undefined || value === null ? undefined : value[key]
+    ), data);
+};
+
 /**
  * Format timestamp for logging
  */
@@ -185,10 +338,29 @@ class HealthStatus {
             errorCount: 0,
             totalChecks: 0,
             uptime: Date.now(),
-            errors: []
+            errors: [],
+            warnings: []
         };
     }
 
+    /**
+     * Record a non-fatal problem; replaces any earlier warning of the same type
+     */
+    recordWarning(type, message, details = null) {
+        this.status.warnings = this.status.warnings
+            .filter(w => w.type !== type)
+            .concat({ type, message, details, timestamp: Date.now() })
+            .slice(-10);
+    }
+
+    clearWarning(type) {
+        this.status.warnings = this.status.warnings.filter(w => w.type !== type);
+    }
+
+    hasWarnings() {
+        return this.status.warnings.length > 0;
+    }
+
     recordCheck(success = true, error = null) {
         this.status.lastCheck = Date.now();
         this.status.totalChecks++;
@@ -220,9 +392,11 @@ class HealthStatus {
         }
     }
 
-    recordIpChange(oldIp, newIp) {
+    recordIpChange(oldIp, newIp, target = null, family = null) {
         this.status.lastIpChange = {
             timestamp: Date.now(),
+            target,
+            family,
             oldIp,
             newIp
         };
@@ -244,11 +418,18 @@ class HealthStatus {
 module.exports = {
     sleep,
     isValidIp,
-    sanitizeGitMessage,
+    isValidIpv4,
+    isValidIpv6,
+    normalizeIp,
+    expandIpv6,
+    getIpFamily,
+    ipsEqual,
     debounce,
     RateLimiter,
     withRetry,
+    withTimeout,
     safeJsonParse,
+    getFieldPath,
     formatTimestamp,
     cleanString,
     parseBooleanEnv,
@@ -0,0 +1,244 @@
+/**
+ * Concurrency guards for the check-and-commit pipeline
+ * SingleFlight serializes work inside one process; FileLock keeps
+ * two processes working on the same repository from overlapping.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { sleep, safeJsonParse } = require('./helpers');
+
+/**
+ * Whether a process id is alive on this host
+ */
+const isProcessAlive = (pid) => {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: the process exists but belongs to someone else
+        return error.code === 'EPERM';
+    }
+};
+
+/**
+ * Run tasks one at a time; a caller whose key matches a task that is
+ * running or queued shares that task's result instead of starting another.
+ */
+class SingleFlight {
+    constructor() {
+        this.flights = new Map();
+        this.tail = Promise.resolve();
+    }
+
+    run(key, task) {
+        const existing = this.flights.get(key);
+        if (existing) return existing;
+
+        const flight = this.tail
+            .then(() => task())
+            .finally(() => {
+                if (this.flights.get(key) === flight) this.flights.delete(key);
+            });
+
+        this.flights.set(key, flight);
+        this.tail = flight.catch(() => {});
+        return flight;
+    }
+
+    isBusy() {
+        return this.flights.size > 0;
+    }
+}
+
+const sameHolder = (a, b) => Boolean(a && b) && a.token === b.token && a.pid === b.pid && a.hostname === b.hostname;
+
+/**
+ * Exclusive lock file created with O_EXCL, holding { pid, hostname, token, acquiredAt, refreshedAt }
+ * The holder refreshes refreshedAt every refreshMs; a lock whose process is gone (same host)
+ * or that hasn't been refreshed for staleMs is taken over.
+ */
+class FileLock {
+    constructor(filePath, { staleMs = 10 * 60 * 1000, waitMs = 2 * 60 * 1000, pollMs = 500, refreshMs = null } = {}) {
+        this.filePath = filePath;
+        this.staleMs = staleMs;
+        this.waitMs = waitMs;
+        this.pollMs = pollMs;
+        this.refreshMs = refreshMs || Math.max(Math.floor(staleMs / 3), 1);
+        this.held = false;
+        this.holder = null;
+        this.refreshTimer = null;
+        this.refreshing = null;
+    }
+
+    /**
+     * Acquire the lock, waiting up to waitMs for another holder to finish
+     */
+    async acquire() {
+        const startTime = Date.now();
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        while (true) {
+            const now = Date.now();
+            const holder = { pid: process.pid, hostname: os.hostname(), token: crypto.randomUUID(), acquiredAt: now, refreshedAt: now };
+            try {
+                const handle = await fs.open(this.filePath, 'wx');
+                try {
+                    await handle.writeFile(JSON.stringify(holder), 'utf8');
+                } finally {
+                    await handle.close();
+                }
+                this.held = true;
+                this.holder = holder;
+                this.startRefresh();
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw new Error(`Failed to create lock file ${this.filePath}: ${error.message}`);
+                }
+            }
+
+            const current = await this.readHolder();
+            if (await this.isStale(current) && await this.takeOver(current)) {
+                continue;
+            }
+
+            if (Date.now() - startTime >= this.waitMs) {
+                const error = new Error(`Lock ${this.filePath} is held by pid ${current ? current.pid : 'unknown'} on ${current ? current.hostname : 'unknown host'}`);
+                error.code = 'ELOCKED';
+                error.holder = current;
+                throw error;
+            }
+
+            await sleep(this.pollMs);
+        }
+    }
+
+    /**
+     * Remove a stale lock, unless another waiter replaced it since it was judged stale
+     * The file is renamed away first (only one waiter can win that), then checked: a lock
+     * that turns out to be a fresh one is linked back, which never overwrites a newer lock.
+     */
+    async takeOver(stale) {
+        const aside = `${this.filePath}.${process.pid}.${crypto.randomUUID()}`;
+        try {
+            await fs.rename(this.filePath, aside);
+        } catch (error) {
+            // Someone else removed it first; just try to create it again
+            return error.code === 'ENOENT';
+        }
+
+        let moved = null;
+        try {
+            moved = safeJsonParse(await fs.readFile(aside, 'utf8'), null);
+        } catch (error) {
+            moved = null;
+        }
+
+        // A lock with no holder yet is only stale while the file is old (its creator may be writing it)
+        const expected = stale
+            ? sameHolder(moved, stale)
+            : !moved && await fs.stat(aside).then(stats => Date.now() - stats.mtimeMs > this.staleMs, () => false);
+        if (!expected) {
+            await fs.link(aside, this.filePath).catch(() => {});
+        }
+        await fs.unlink(aside).catch(() => {});
+        return expected;
+    }
+
+    /**
+     * Keep refreshedAt current while the lock is held, so a long run isn't taken for abandoned
+     */
+    startRefresh() {
+        this.stopRefresh();
+        this.refreshTimer = setInterval(() => {
+            this.refreshing = this.refresh().catch(() => false);
+        }, this.refreshMs);
+        this.refreshTimer.unref();
+    }
+
+    stopRefresh() {
+        if (this.refreshTimer) clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    /**
+     * Rewrite the lock with a new refreshedAt; false if it is no longer ours
+     */
+    async refresh() {
+        if (!this.held) return false;
+
+        const current = await this.readHolder();
+        if (!this.held || !sameHolder(current, this.holder)) return false;
+
+        this.holder = { ...this.holder, refreshedAt: Date.now() };
+        await fs.writeFile(this.filePath, JSON.stringify(this.holder), 'utf8');
+        return true;
+    }
+
+    /**
+     * Release the lock if this process holds it
+     */
+    async release() {
+        if (!this.held) return;
+        this.held = false;
+        this.stopRefresh();
+        // A refresh already under way must not recreate the file after it is removed
+        await this.refreshing;
+
+        const holder = await this.readHolder();
+        if (sameHolder(holder, this.holder)) {
+            await fs.unlink(this.filePath).catch(() => {});
+        }
+        this.holder = null;
+    }
+
+    /**
+     * Read the current holder (null if the file is missing or not yet written)
+     */
+    async readHolder() {
+        try {
+            return safeJsonParse(await fs.readFile(this.filePath, 'utf8'), null);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async isStale(holder) {
+        if (!holder) {
+            // Missing, or created but not written yet: only stale once old enough
+            try {
+                const stats = await fs.stat(this.filePath);
+                return Date.now() - stats.mtimeMs > this.staleMs;
+            } catch (error) {
+                return error.code === 'ENOENT';
+            }
+        }
+
+        if (holder.hostname === os.hostname() && !isProcessAlive(holder.pid)) {
+            return true;
+        }
+
+        return Date.now() - (holder.refreshedAt || holder.acquiredAt) > this.staleMs;
+    }
+
+    /**
+     * Run a task while holding the lock
+     */
+    async withLock(task) {
+        await this.acquire();
+        try {
+            return await task();
+        } finally {
+            await this.release();
+        }
+    }
+}
+
+module.exports = {
+    SingleFlight,
+    FileLock,
+    isProcessAlive
+};
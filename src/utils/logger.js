@@ -0,0 +1,359 @@
+/**
+ * Logger
+ * Leveled logging to the console (text or JSON) and to a JSON-lines file,
+ * written asynchronously and rotated by size and age with old files pruned
+ *
+ * Every line: { time, level, msg, requestId, checkId, ...context, data | error }
+ * The request / check ids come from the correlation context (./context.js);
+ * child loggers add their own context ({ target, ... }) to every line they write.
+ */
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const util = require('util');
+const moment = require('moment-timezone');
+const { getContext } = require('./context');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const DEFAULTS = {
+    level: 'info',
+    enableConsole: true,
+    enableFile: false,
+    filePath: 'logs/ip-monitor.log',
+    format: 'text', // console only; the file is always JSON lines
+    maxSize: 10 * 1024 * 1024,
+    rotateMs: 24 * 60 * 60 * 1000,
+    maxFiles: 7,
+    retentionMs: 14 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Plain object with everything worth keeping from an error (stack, code, cause, extra fields)
+ */
+const serializeError = (error, depth = 0) => {
+    const serialized = {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        stack: error.stack
+    };
+
+    Object.keys(error)
+        .filter(key => !(key in serialized) && key !== 'cause')
+        .forEach(key => {
+            serialized[key] = error[key];
+        });
+
+    if (error.cause instanceof Error && depth < 3) {
+        serialized.cause = serializeError(error.cause, depth + 1);
+    } else if (error.cause !== undefined) {
+        serialized.cause = error.cause;
+    }
+
+    return serialized;
+};
+
+/**
+ * JSON.stringify that keeps errors and survives cycles / BigInt
+ */
+const toJson = (value) => {
+    const seen = new WeakSet();
+    try {
+        return JSON.stringify(value, (key, item) => {
+            if (item instanceof Error) return serializeError(item);
+            if (typeof item === 'bigint') return item.toString();
+            if (item && typeof item === 'object') {
+                if (seen.has(item)) return '[Circular]';
+                seen.add(item);
+            }
+            return item;
+        });
+    } catch (error) {
+        return JSON.stringify({ ...value, data: util.inspect(value.data) });
+    }
+};
+
+/**
+ * Appends lines to a file in batches, rotating it when it grows too big or too old
+ */
+class FileSink {
+    constructor(options) {
+        this.filePath = path.resolve(options.filePath);
+        this.options = options;
+        this.queue = [];
+        this.flushing = null;
+        this.size = null;
+        this.openedAt = null;
+        this.failed = false;
+
+        // Lines still queued when the process exits are written synchronously
+        this.onExit = () => this.flushSync();
+        process.on('exit', this.onExit);
+    }
+
+    write(line) {
+        this.queue.push(line);
+        if (!this.flushing) {
+            this.flushing = this.flush().finally(() => {
+                this.flushing = null;
+            });
+        }
+    }
+
+    async flush() {
+        while (this.queue.length > 0) {
+            const batch = this.queue.splice(0).join('');
+            try {
+                await this.open();
+                await this.rotateIfNeeded(Buffer.byteLength(batch));
+                await fsp.appendFile(this.filePath, batch, 'utf8');
+                this.size += Buffer.byteLength(batch);
+                this.failed = false;
+            } catch (error) {
+                // Reported once per failure streak; the logger can't log about itself
+                if (!this.failed) console.error(`Log file write to ${this.filePath} failed: ${error.message}`);
+                this.failed = true;
+            }
+        }
+    }
+
+    flushSync() {
+        if (this.queue.length === 0) return;
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, this.queue.splice(0).join(''), 'utf8');
+        } catch (error) {
+            console.error(`Log file write to ${this.filePath} failed: ${error.message}`);
+        }
+    }
+
+    async open() {
+        if (this.size !== null) return;
+
+        await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+        try {
+            const stat = await fsp.stat(this.filePath);
+            this.size = stat.size;
+            this.openedAt = stat.birthtimeMs || stat.mtimeMs;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.size = 0;
+            this.openedAt = Date.now();
+        }
+    }
+
+    async rotateIfNeeded(incoming) {
+        const { maxSize, rotateMs } = this.options;
+        const tooBig = maxSize > 0 && this.size + incoming > maxSize;
+        const tooOld = rotateMs > 0 && Date.now() - this.openedAt >= rotateMs;
+        if (this.size === 0 || (!tooBig && !tooOld)) return;
+
+        const { dir, name, ext } = path.parse(this.filePath);
+        const stamp = moment.utc().format('YYYYMMDD-HHmmss-SSS');
+        await fsp.rename(this.filePath, path.join(dir, `${name}.${stamp}${ext}`));
+        this.size = 0;
+        this.openedAt = Date.now();
+
+        await this.prune();
+    }
+
+    /**
+     * Keep at most maxFiles rotated files, none older than retentionMs
+     */
+    async prune() {
+        const { maxFiles, retentionMs } = this.options;
+        const { dir, name, ext } = path.parse(this.filePath);
+        const pattern = new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.\\d{8}-\\d{6}-\\d{3}${ext.replace('.', '\\.')}$`);
+
+        const rotated = (await fsp.readdir(dir)).filter(file => pattern.test(file)).sort().reverse();
+        const files = await Promise.all(rotated.map(async (file) => {
+            const stat = await fsp.stat(path.join(dir, file));
+            return { file, mtimeMs: stat.mtimeMs };
+        }));
+
+        const expired = files.filter(({ mtimeMs }, index) =>
+            (maxFiles > 0 && index >= maxFiles) || (retentionMs > 0 && Date.now() - mtimeMs > retentionMs));
+
+        await Promise.all(expired.map(({ file }) => fsp.unlink(path.join(dir, file)).catch(() => {})));
+    }
+
+    async drain() {
+        while (this.flushing) await this.flushing;
+    }
+
+    close() {
+        process.removeListener('exit', this.onExit);
+        this.flushSync();
+    }
+}
+
+class Logger {
+    /**
+     * Root loggers take options (see DEFAULTS); child loggers share their root's settings and file
+     */
+    constructor(options = {}, context = {}, root = null) {
+        this.root = root || this;
+        this.context = context;
+
+        if (!root) {
+            this.options = { ...DEFAULTS };
+            this.sink = null;
+            this.listeners = [];
+            this.configure(options);
+        }
+    }
+
+    /**
+     * Apply logging settings (Config.logging); safe to call again on reload
+     */
+    configure(options = {}) {
+        const root = this.root;
+        const defined = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null));
+        root.options = { ...root.options, ...defined };
+        if (!(root.options.level in LEVELS)) root.options.level = DEFAULTS.level;
+
+        const sinkPath = root.options.enableFile ? path.resolve(root.options.filePath) : null;
+        if (root.sink && root.sink.filePath !== sinkPath) {
+            const previous = root.sink;
+            root.sink = null;
+            previous.drain().then(() => previous.close());
+        }
+        if (sinkPath && !root.sink) {
+            root.sink = new FileSink(root.options);
+        }
+        if (root.sink) root.sink.options = root.options;
+
+        return this;
+    }
+
+    /**
+     * Logger adding context to every line
+     */
+    child(context) {
+        return new Logger({}, { ...this.context, ...context }, this.root);
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] <= LEVELS[this.root.options.level];
+    }
+
+    /**
+     * Call fn with every entry, whatever the level (check traces); returns an unsubscribe function
+     */
+    onEntry(fn) {
+        const { listeners } = this.root;
+        listeners.push(fn);
+        return () => {
+            const index = listeners.indexOf(fn);
+            if (index >= 0) listeners.splice(index, 1);
+        };
+    }
+
+    log(level, msg, data) {
+        const { options, sink, listeners } = this.root;
+        const enabled = this.isLevelEnabled(level);
+        if (!enabled && listeners.length === 0) return;
+
+        const entry = { time: new Date().toISOString(), level, msg: String(msg), ...getContext(), ...this.context };
+        if (data instanceof Error) {
+            entry.error = serializeError(data);
+        } else if (data !== undefined) {
+            entry.data = data;
+        }
+
+        listeners.forEach(listener => listener(entry));
+        if (!enabled) return;
+
+        if (sink) sink.write(`${toJson(entry)}\n`);
+
+        if (options.enableConsole) {
+            const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+            stream.write(`${options.format === 'json' ? toJson(entry) : this.formatText(entry, data)}\n`);
+        }
+    }
+
+    /**
+     * One readable console line: time, level, message, context, then the data or error stack
+     */
+    formatText({ time, level, msg }, data) {
+        const context = Object.entries({ ...getContext(), ...this.context }).map(([key, value]) => `${key}=${value}`).join(' ');
+        let line = `${time} ${level.toUpperCase().padEnd(5)} ${msg}${context ? ` [${context}]` : ''}`;
+
+        if (data instanceof Error) {
+            line += `\n${data.stack || data.message}`;
+        } else if (data !== undefined) {
+            line += ` ${typeof data === 'string' ? data : util.inspect(data, { depth: 4, breakLength: Infinity })}`;
+        }
+        return line;
+    }
+
+    error(msg, data) {
+        this.log('error', msg, data);
+    }
+
+    warn(msg, data) {
+        this.log('warn', msg, data);
+    }
+
+    info(msg, data) {
+        this.log('info', msg, data);
+    }
+
+    debug(msg, data) {
+        this.log('debug', msg, data);
+    }
+
+    /**
+     * Wait until everything logged so far is in the file
+     */
+    async flush() {
+        if (this.root.sink) await this.root.sink.drain();
+    }
+}
+
+/**
+ * Snapshot written as-is for later analysis (log/<NODE_ENV>/<date>/analyze.json)
+ */
+const writeAnalyzeLog = async (msg) => {
+    const dir = path.join(process.cwd(), 'log', String(process.env.NODE_ENV), moment().format('YYYY-MM-DD'));
+    try {
+        await fsp.mkdir(dir, { recursive: true });
+        await fsp.writeFile(path.join(dir, 'analyze.json'), JSON.stringify(msg));
+    } catch (error) {
+        console.error(`Writing analyze log failed: ${error.message}`);
+    }
+};
+
+const createLogger = (options = {}) => new Logger(options);
+
+/**
+ * Add the named channel methods of the old util logger (logTx, newToken, ...)
+ * Channel lines go to the same log, tagged with { channel }.
+ */
+const withChannels = (logger) => {
+    const channel = (name, level = 'info') => {
+        const log = logger.child({ channel: name });
+        return (msg, data) => log.log(level, msg, data);
+    };
+
+    return Object.assign(logger, {
+        logTx: channel('tx'),
+        logTxEr: channel('txEr', 'error'),
+        logLPTx: channel('LPTx'),
+        logBuyTx: channel('BuyTx'),
+        logSellTx: channel('SellTx'),
+        newToken: channel('newToken'),
+        writeAnalyzeLog
+    });
+};
+
+module.exports = {
+    createLogger,
+    withChannels,
+    Logger,
+    serializeError,
+    writeAnalyzeLog,
+    LEVELS
+};
@@ -0,0 +1,321 @@
+/**
+ * Metrics
+ * Counters, gauges and histograms with labels, rendered in the Prometheus text
+ * exposition format (version 0.0.4) for /metrics
+ *
+ * The shared registry (`metrics`) lives as long as the process, so counts survive
+ * config reloads that rebuild the services recording them. Values only known at
+ * scrape time (health, drift, current IPs) go into a fresh Registry per scrape.
+ */
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+// Seconds; detection and HTTP calls are sub-second, git pushes and full checks take longer
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const formatValue = (value) => {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+};
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const escapeHelp = (text) => String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        if (!METRIC_NAME.test(name)) throw new Error(`Invalid metric name: ${name}`);
+        labelNames.forEach(label => {
+            if (!LABEL_NAME.test(label) || label.startsWith('__')) throw new Error(`Invalid label name for ${name}: ${label}`);
+        });
+
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // label values key -> { labels, ... }
+    }
+
+    /**
+     * Series for a label set, created on first use; only declared labels are allowed
+     */
+    getSeries(labels = {}, create) {
+        const unknown = Object.keys(labels).filter(label => !this.labelNames.includes(label));
+        if (unknown.length > 0) throw new Error(`Unknown labels for ${this.name}: ${unknown.join(', ')}`);
+
+        const values = this.labelNames.map(label => (labels[label] === undefined || labels[label] === null ? '' : String(labels[label])));
+        const key = JSON.stringify(values);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: Object.fromEntries(this.labelNames.map((label, i) => [label, values[i]])), ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+        this.series.forEach(series => lines.push(...this.renderSeries(series)));
+        return lines;
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames = []) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, value = 1) {
+        if (!(value >= 0)) throw new Error(`Counter ${this.name} can only go up, got ${value}`);
+        this.getSeries(labels, () => ({ value: 0 })).value += value;
+    }
+
+    renderSeries({ labels, value }) {
+        return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames = []) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.getSeries(labels, () => ({ value: 0 })).value = Number(value);
+    }
+
+    renderSeries({ labels, value }) {
+        return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        if (labelNames.includes('le')) throw new Error(`Histogram ${name} cannot use the label le`);
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Start timing; the returned function observes the elapsed seconds with the labels
+     * given to both calls (e.g. the outcome, known only at the end)
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (endLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...endLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    renderSeries({ labels, counts, sum, count }) {
+        const lines = this.buckets.map((bound, i) =>
+            `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+        lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    /**
+     * Get or create a metric; asking again for the same name returns the same metric
+     */
+    register(MetricClass, name, help, labelNames = [], ...rest) {
+        const existing = this.metrics.get(name);
+        if (existing) {
+            if (existing.constructor !== MetricClass) throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+            return existing;
+        }
+
+        const metric = new MetricClass(name, help, labelNames, ...rest);
+        this.metrics.set(name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(Counter, name, help, labelNames);
+    }
+
+    gauge(name, help, labelNames) {
+        return this.register(Gauge, name, help, labelNames);
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(Histogram, name, help, labelNames, buckets);
+    }
+
+    /**
+     * Every metric with at least one series, in registration order
+     */
+    render() {
+        return [...this.metrics.values()]
+            .filter(metric => metric.series.size > 0)
+            .map(metric => `${metric.render().join('\n')}\n`)
+            .join('');
+    }
+
+    reset() {
+        this.metrics.forEach(metric => metric.reset());
+    }
+}
+
+/**
+ * Problems with a text exposition ([] if it is valid)
+ * Checks line syntax, metric / label names, values, HELP / TYPE placement, families
+ * kept together, duplicate series and histogram buckets (cumulative, +Inf = _count).
+ */
+const validateExposition = (text) => {
+    const problems = [];
+    if (text.length > 0 && !text.endsWith('\n')) problems.push('output must end with a newline');
+
+    const families = new Map(); // name -> { type, help, closed }
+    const seen = new Set();
+    const histograms = new Map(); // family + labels without le -> { buckets: [[le, value]], count }
+    let current = null;
+
+    // Histogram / summary samples belong to the family without their suffix
+    const familyOf = (name) => {
+        const match = name.match(/^(.*)_(bucket|sum|count)$/);
+        if (!match || !families.has(match[1])) return name;
+        const { type } = families.get(match[1]);
+        return type === 'histogram' || (type === 'summary' && match[2] !== 'bucket') ? match[1] : name;
+    };
+
+    const enter = (name, lineNo) => {
+        if (current === name) return;
+        if (current) families.get(current).closed = true;
+        if (families.has(name) && families.get(name).closed) problems.push(`line ${lineNo}: ${name} is split into several groups`);
+        if (!families.has(name)) families.set(name, { type: null, help: false, samples: 0, closed: false });
+        current = name;
+    };
+
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+
+    lines.forEach((line, index) => {
+        const lineNo = index + 1;
+        if (line.trim() === '') return;
+
+        const comment = line.match(/^#\s+(HELP|TYPE)\s+(\S+)(?:\s+(.*))?$/);
+        if (comment) {
+            const [, kind, name, rest = ''] = comment;
+            if (!METRIC_NAME.test(name)) problems.push(`line ${lineNo}: invalid metric name ${name}`);
+            enter(name, lineNo);
+            const family = families.get(name);
+
+            if (kind === 'HELP') {
+                if (family.help) problems.push(`line ${lineNo}: second HELP for ${name}`);
+                family.help = true;
+            } else {
+                if (family.type) problems.push(`line ${lineNo}: second TYPE for ${name}`);
+                if (family.samples > 0) problems.push(`line ${lineNo}: TYPE for ${name} after its samples`);
+                if (!['counter', 'gauge', 'histogram', 'summary', 'untyped'].includes(rest.trim())) {
+                    problems.push(`line ${lineNo}: unknown type ${rest.trim()} for ${name}`);
+                }
+                family.type = rest.trim();
+            }
+            return;
+        }
+        if (line.startsWith('#')) return;
+
+        const sample = line.match(/^([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\{(.*)\})?[ \t]+(\S+)(?:[ \t]+(-?\d+))?$/);
+        if (!sample) {
+            problems.push(`line ${lineNo}: not a valid sample: ${line}`);
+            return;
+        }
+
+        const [, name, labelText = '', rawValue] = sample;
+        const labels = {};
+        const labelPattern = /\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*"((?:[^"\\\n]|\\[\\"n])*)"\s*(,|$)/y;
+        let offset = 0;
+        while (offset < labelText.length) {
+            labelPattern.lastIndex = offset;
+            const match = labelPattern.exec(labelText);
+            if (!match || match[0].length === 0) {
+                problems.push(`line ${lineNo}: malformed labels {${labelText}}`);
+                break;
+            }
+            if (labels[match[1]] !== undefined) problems.push(`line ${lineNo}: duplicate label ${match[1]}`);
+            labels[match[1]] = match[2];
+            offset = labelPattern.lastIndex;
+        }
+
+        const value = /^[+-]?Inf$/.test(rawValue) ? (rawValue.startsWith('-') ? -Infinity : Infinity) : rawValue === 'NaN' ? NaN : Number(rawValue);
+        if (rawValue !== 'NaN' && Number.isNaN(value)) problems.push(`line ${lineNo}: invalid value ${rawValue}`);
+
+        const familyName = familyOf(name);
+        enter(familyName, lineNo);
+        const family = families.get(familyName);
+        family.samples++;
+        if (!family.type) problems.push(`line ${lineNo}: ${name} has no TYPE`);
+        if (family.type === 'counter' && value < 0) problems.push(`line ${lineNo}: counter ${name} is negative`);
+
+        const seriesKey = `${name}${JSON.stringify(Object.entries(labels).sort())}`;
+        if (seen.has(seriesKey)) problems.push(`line ${lineNo}: duplicate series ${name}{${labelText}}`);
+        seen.add(seriesKey);
+
+        if (family.type === 'histogram') {
+            const { le, ...rest } = labels;
+            const key = `${familyName}${JSON.stringify(Object.entries(rest).sort())}`;
+            if (!histograms.has(key)) histograms.set(key, { name: familyName, buckets: [], count: null });
+            const histogram = histograms.get(key);
+
+            if (name.endsWith('_bucket')) {
+                if (le === undefined) problems.push(`line ${lineNo}: ${name} without le label`);
+                else histogram.buckets.push([le === '+Inf' ? Infinity : Number(le), value]);
+            } else if (name.endsWith('_count')) {
+                histogram.count = value;
+            }
+        }
+    });
+
+    histograms.forEach(({ name, buckets, count }) => {
+        const sorted = [...buckets].sort((a, b) => a[0] - b[0]);
+        if (sorted.some(([le], i) => Number.isNaN(le) || (i > 0 && le === sorted[i - 1][0]))) problems.push(`${name}: invalid or repeated le values`);
+        if (sorted.some(([, value], i) => i > 0 && value < sorted[i - 1][1])) problems.push(`${name}: bucket counts are not cumulative`);
+        const inf = sorted.find(([le]) => le === Infinity);
+        if (!inf) problems.push(`${name}: missing le="+Inf" bucket`);
+        else if (count !== null && inf[1] !== count) problems.push(`${name}: +Inf bucket (${inf[1]}) differs from _count (${count})`);
+    });
+
+    return problems;
+};
+
+// Shared by every service in the process
+const metrics = new Registry();
+
+module.exports = {
+    metrics,
+    Registry,
+    Counter,
+    Gauge,
+    Histogram,
+    validateExposition,
+    DEFAULT_BUCKETS
+};
@@ -0,0 +1,305 @@
+/**
+ * Minimal SMTP client
+ * Sends plain-text notification emails without pulling in a mail library
+ * Supports implicit TLS (port 465), STARTTLS, AUTH PLAIN / LOGIN and UTF-8 bodies
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * SMTP failure; 4xx replies and connection problems are worth retrying, 5xx are not
+ */
+const smtpError = (message, { responseCode = null, code = null } = {}) => {
+    const error = new Error(message);
+    error.code = code || (responseCode ? `SMTP_${responseCode}` : 'ESMTP');
+    error.responseCode = responseCode;
+    error.retryable = !responseCode || responseCode < 500;
+    return error;
+};
+
+/**
+ * Reads SMTP replies ("250-first line" ... "250 last line") off a socket
+ */
+class SmtpConnection {
+    constructor(timeout) {
+        this.timeout = timeout;
+        this.buffer = '';
+        this.lines = [];
+        this.replies = [];
+        this.waiting = [];
+        this.error = null;
+        this.onData = this.onData.bind(this);
+        this.onError = this.onError.bind(this);
+        this.onClose = this.onClose.bind(this);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        socket.on('data', this.onData);
+        socket.on('error', this.onError);
+        socket.on('close', this.onClose);
+        socket.setTimeout(this.timeout, () => {
+            this.onError(smtpError(`SMTP server did not answer within ${this.timeout}ms`, { code: 'ETIMEDOUT' }));
+            socket.destroy();
+        });
+    }
+
+    /**
+     * Stop reading from the current socket (before handing it to TLS)
+     */
+    detach() {
+        this.socket.removeListener('data', this.onData);
+        this.socket.removeListener('error', this.onError);
+        this.socket.removeListener('close', this.onClose);
+        this.socket.setTimeout(0);
+    }
+
+    onData(chunk) {
+        this.buffer += chunk.toString('utf8');
+
+        let index;
+        while ((index = this.buffer.indexOf('\n')) >= 0) {
+            const line = this.buffer.slice(0, index).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(index + 1);
+            this.lines.push(line);
+
+            // "250-..." continues the reply, "250 ..." (or a bare code) ends it
+            if (/^\d{3}(?: |$)/.test(line)) {
+                this.replies.push({
+                    code: parseInt(line.slice(0, 3)),
+                    lines: this.lines.map(l => l.slice(4))
+                });
+                this.lines = [];
+            }
+        }
+
+        this.flush();
+    }
+
+    onError(error) {
+        this.error = this.error || error;
+        this.flush();
+    }
+
+    onClose() {
+        this.onError(smtpError('SMTP connection closed unexpectedly', { code: 'ECONNRESET' }));
+    }
+
+    flush() {
+        while (this.waiting.length > 0 && this.replies.length > 0) {
+            this.waiting.shift().resolve(this.replies.shift());
+        }
+        while (this.error && this.waiting.length > 0) {
+            this.waiting.shift().reject(this.error);
+        }
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            this.waiting.push({ resolve, reject });
+            this.flush();
+        });
+    }
+
+    /**
+     * Wait for a reply and fail unless its code is one of the expected ones
+     */
+    async expect(expected, action) {
+        const reply = await this.read();
+        if (!expected.includes(reply.code)) {
+            throw smtpError(`SMTP ${action} failed: ${reply.code} ${reply.lines.join(' ')}`, { responseCode: reply.code });
+        }
+        return reply;
+    }
+
+    async command(line, expected, action = line.split(' ')[0]) {
+        this.socket.write(`${line}\r\n`);
+        return this.expect(expected, action);
+    }
+}
+
+/**
+ * SNI only applies to host names, not IP addresses
+ */
+const serverName = (host) => (net.isIP(host) ? {} : { servername: host });
+
+/**
+ * Connect, with implicit TLS when secure
+ */
+const connect = ({ host, port, secure, tlsOptions, timeout }) => {
+    return new Promise((resolve, reject) => {
+        const options = { host, port, ...(secure ? { ...serverName(host), ...tlsOptions } : {}) };
+        const socket = secure ? tls.connect(options) : net.connect(options);
+        const timer = setTimeout(() => {
+            socket.destroy();
+            reject(smtpError(`Connecting to ${host}:${port} timed out after ${timeout}ms`, { code: 'ETIMEDOUT' }));
+        }, timeout);
+
+        socket.once(secure ? 'secureConnect' : 'connect', () => {
+            clearTimeout(timer);
+            socket.removeListener('error', onError);
+            resolve(socket);
+        });
+
+        const onError = (error) => {
+            clearTimeout(timer);
+            reject(smtpError(`Connecting to ${host}:${port} failed: ${error.message}`, { code: error.code }));
+        };
+        socket.once('error', onError);
+    });
+};
+
+/**
+ * Upgrade a plain connection after STARTTLS
+ */
+const upgrade = (socket, { host, tlsOptions, timeout }) => {
+    return new Promise((resolve, reject) => {
+        const secured = tls.connect({ socket, ...serverName(host), ...tlsOptions });
+        const timer = setTimeout(() => {
+            secured.destroy();
+            reject(smtpError(`TLS handshake with ${host} timed out after ${timeout}ms`, { code: 'ETIMEDOUT' }));
+        }, timeout);
+
+        secured.once('secureConnect', () => {
+            clearTimeout(timer);
+            resolve(secured);
+        });
+        secured.once('error', (error) => {
+            clearTimeout(timer);
+            reject(smtpError(`TLS handshake with ${host} failed: ${error.message}`, { code: error.code }));
+        });
+    });
+};
+
+/**
+ * Capabilities from an EHLO reply: { STARTTLS: [], AUTH: ['PLAIN', 'LOGIN'], ... }
+ */
+const parseCapabilities = (reply) => {
+    const capabilities = {};
+    reply.lines.slice(1).forEach(line => {
+        const [name, ...args] = line.trim().split(/\s+/);
+        capabilities[name.toUpperCase()] = args.map(arg => arg.toUpperCase());
+    });
+    return capabilities;
+};
+
+/**
+ * RFC 2047 encoded-word for non-ASCII header values
+ */
+const encodeHeader = (value) => {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+};
+
+/**
+ * Bare address out of "Name <user@host>"
+ */
+const addressOf = (value) => {
+    const match = String(value).match(/<([^>]+)>/);
+    return (match ? match[1] : value).trim();
+};
+
+/**
+ * RFC 5322 message with a base64 UTF-8 text body
+ */
+const buildMessage = ({ from, to, subject, text, hostname }) => {
+    const body = Buffer.from(text, 'utf8').toString('base64').replace(/(.{76})/g, '$1\r\n');
+    const messageId = `<${Date.now()}.${crypto.randomBytes(6).toString('hex')}@${hostname}>`;
+
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: ${messageId}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+};
+
+/**
+ * Send one plain-text email
+ * options: { host, port, secure, startTls ('auto' | 'required' | 'never'), username, password,
+ *            from, to (string or array), subject, text, rejectUnauthorized, timeout }
+ * Returns { accepted, response }.
+ */
+const sendMail = async ({
+    host,
+    port = 587,
+    secure = false,
+    startTls = 'auto',
+    username = null,
+    password = '',
+    from,
+    to,
+    subject,
+    text,
+    rejectUnauthorized = true,
+    timeout = 10000
+}) => {
+    const recipients = (Array.isArray(to) ? to : String(to || '').split(',')).map(r => r.trim()).filter(Boolean);
+    if (!host || !from || recipients.length === 0) {
+        throw smtpError('SMTP needs a host, a from address and at least one recipient', { code: 'EINVAL' });
+    }
+
+    const hostname = os.hostname() || 'localhost';
+    const tlsOptions = { rejectUnauthorized };
+    const connection = new SmtpConnection(timeout);
+    connection.attach(await connect({ host, port, secure, tlsOptions, timeout }));
+
+    try {
+        await connection.expect([220], 'greeting');
+        let capabilities = parseCapabilities(await connection.command(`EHLO ${hostname}`, [250]));
+
+        if (!secure && startTls !== 'never') {
+            if (capabilities.STARTTLS) {
+                await connection.command('STARTTLS', [220]);
+                connection.detach();
+                connection.attach(await upgrade(connection.socket, { host, tlsOptions, timeout }));
+                capabilities = parseCapabilities(await connection.command(`EHLO ${hostname}`, [250]));
+            } else if (startTls === 'required') {
+                throw smtpError(`${host} does not offer STARTTLS`, { code: 'ENOTLS' });
+            }
+        }
+
+        if (username) {
+            const mechanisms = capabilities.AUTH || [];
+            if (mechanisms.includes('PLAIN') || !mechanisms.includes('LOGIN')) {
+                const credentials = Buffer.from(`\0${username}\0${password}`, 'utf8').toString('base64');
+                await connection.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+            } else {
+                await connection.command('AUTH LOGIN', [334], 'AUTH');
+                await connection.command(Buffer.from(username, 'utf8').toString('base64'), [334], 'AUTH');
+                await connection.command(Buffer.from(password, 'utf8').toString('base64'), [235], 'AUTH');
+            }
+        }
+
+        await connection.command(`MAIL FROM:<${addressOf(from)}>`, [250], 'MAIL FROM');
+        for (const recipient of recipients) {
+            await connection.command(`RCPT TO:<${addressOf(recipient)}>`, [250, 251], 'RCPT TO');
+        }
+
+        await connection.command('DATA', [354]);
+        // Lines starting with a dot are escaped by doubling it
+        const message = buildMessage({ from, to: recipients, subject, text, hostname }).replace(/^\./gm, '..');
+        const reply = await connection.command(`${message}\r\n.`, [250], 'DATA');
+
+        connection.socket.write('QUIT\r\n');
+        return { accepted: recipients, response: `${reply.code} ${reply.lines.join(' ')}` };
+    } finally {
+        connection.detach();
+        connection.socket.on('error', () => {}); // late resets after QUIT don't matter
+        connection.socket.end();
+    }
+};
+
+module.exports = {
+    sendMail,
+    buildMessage,
+    encodeHeader
+};
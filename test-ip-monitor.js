@@ -70,6 +70,17 @@ async function testSimple() {
         console.log('   Healthy:', status.service.healthy);
         console.log('   Current IP:', status.currentIp);
 
+        // Test metrics output
+        console.log('\n📈 Testing metrics...');
+        const HealthServer = require('./src/services/HealthServer');
+        const { validateExposition } = require('./src/utils/metrics');
+        const metrics = new HealthServer(config, service).formatPrometheusMetrics(status, service.getHealth());
+        const problems = validateExposition(metrics);
+        console.log(problems.length === 0 ? '✅ Metrics are valid Prometheus text format' : '⚠️ Metrics format issues');
+        problems.forEach(problem => console.log('   ', problem));
+        if (problems.length > 0) process.exitCode = 1;
+        console.log('   Series:', metrics.split('\n').filter(line => line && !line.startsWith('#')).length);
+
         console.log('\n✅ Simple IP Monitor test completed successfully!');
         console.log('\n🚀 To run the IP monitor:');
         console.log('   npm start');
@@ -79,13 +90,14 @@ async function testSimple() {
     } catch (error) {
         console.error('❌ Simple IP Monitor test failed:', error.message);
         console.error(error);
+        process.exitCode = 1;
     }
 }
 
 testSimple()
     .then(() => {
         console.log('\n🏁 Test completed');
-        process.exit(0);
+        process.exit(process.exitCode || 0);
     })
     .catch((error) => {
         console.error('💥 Test crashed:', error);
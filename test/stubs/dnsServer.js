@@ -0,0 +1,146 @@
+/**
+ * UDP DNS server stub for tests
+ * Every query is parsed and passed to handler(request, raw); the handler returns
+ * { rcode, answer, additional } to reply, a Buffer to send as-is, or null to stay silent.
+ * TSIG helpers check signed UPDATEs and sign replies with dnsClient's own signing.
+ */
+
+const dgram = require('dgram');
+const dnsClient = require('../../src/utils/dnsClient');
+
+const RCODES = { NOERROR: 0, FORMERR: 1, SERVFAIL: 2, NXDOMAIN: 3, REFUSED: 5, NOTAUTH: 9 };
+
+/**
+ * TXT record data from one string (split into 255-byte chunks)
+ */
+const txt = (value) => {
+    const bytes = Buffer.from(value, 'utf8');
+    const chunks = [];
+    for (let i = 0; i < bytes.length || i === 0; i += 255) {
+        const chunk = bytes.subarray(i, i + 255);
+        chunks.push(Buffer.from([chunk.length]), chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+/**
+ * Build a reply to a parsed request, echoing its id, opcode and question
+ */
+const reply = (request, { rcode = 'NOERROR', answer = [], authority = [], additional = [] } = {}) => {
+    const opcode = request.flags & 0x7800;
+    return dnsClient.buildMessage({
+        id: request.id,
+        flags: 0x8000 | opcode | 0x0400 | (request.flags & 0x0100) | 0x0080 | RCODES[rcode],
+        question: request.question.map(q => ({ name: q.name, type: q.type, class: q.class })),
+        answer,
+        authority,
+        additional
+    });
+};
+
+/**
+ * Fields of a TSIG record ({ algorithm, time, fudge, mac, originalId, error })
+ */
+const readTsig = (record) => {
+    const algorithm = dnsClient.decodeName(record.rdata, 0);
+    const offset = algorithm.offset;
+    const macSize = record.rdata.readUInt16BE(offset + 8);
+    const tail = offset + 10 + macSize;
+    return {
+        keyName: record.name,
+        algorithm: algorithm.name,
+        time: record.rdata.readUInt16BE(offset) * 0x100000000 + record.rdata.readUInt32BE(offset + 2),
+        fudge: record.rdata.readUInt16BE(offset + 6),
+        mac: record.rdata.subarray(offset + 10, tail),
+        originalId: record.rdata.readUInt16BE(tail),
+        error: record.rdata.readUInt16BE(tail + 2)
+    };
+};
+
+/**
+ * Check the TSIG on a request: re-sign the unsigned message with the same time and compare MACs
+ * Returns the TSIG fields, or null when the request is unsigned or the MAC doesn't match.
+ */
+const verifyRequest = (request, raw, key) => {
+    const record = request.additional[request.additional.length - 1];
+    if (!record || record.type !== dnsClient.TYPES.TSIG) return null;
+
+    const tsig = readTsig(record);
+    const unsigned = Buffer.from(raw.subarray(0, record.offset));
+    unsigned.writeUInt16BE(tsig.originalId, 0);
+    unsigned.writeUInt16BE(raw.readUInt16BE(10) - 1, 10);
+
+    const { mac } = dnsClient.signMessage(unsigned, key, { time: tsig.time, fudge: tsig.fudge });
+    return mac.equals(tsig.mac) ? tsig : null;
+};
+
+/**
+ * Sign a response to a signed request (RFC 8945: the MAC also covers the request MAC)
+ * signMessage takes the request MAC as a message prefix; the header fields it writes are fixed up after.
+ */
+const signResponse = (response, requestMac, key, time) => {
+    const prefix = Buffer.alloc(2 + requestMac.length);
+    prefix.writeUInt16BE(requestMac.length, 0);
+    requestMac.copy(prefix, 2);
+
+    const { message } = dnsClient.signMessage(Buffer.concat([prefix, response]), key, { time });
+    const signed = Buffer.from(message.subarray(prefix.length));
+    signed.writeUInt16BE(response.readUInt16BE(10) + 1, 10);
+    signed.writeUInt16BE(response.readUInt16BE(0), signed.length - 6);
+    return signed;
+};
+
+/**
+ * Unsigned TSIG record reporting an error (16 BADSIG, 17 BADKEY, 18 BADTIME)
+ */
+const tsigErrorRecord = (tsig, error) => {
+    const fixed = Buffer.alloc(16);
+    fixed.writeUInt16BE(Math.floor(tsig.time / 0x100000000), 0);
+    fixed.writeUInt32BE(tsig.time % 0x100000000, 2);
+    fixed.writeUInt16BE(tsig.fudge, 6);
+    fixed.writeUInt16BE(0, 8); // no MAC
+    fixed.writeUInt16BE(tsig.originalId, 10);
+    fixed.writeUInt16BE(error, 12);
+    return {
+        name: tsig.keyName,
+        type: 'TSIG',
+        class: 'ANY',
+        data: Buffer.concat([dnsClient.encodeName(tsig.algorithm), fixed])
+    };
+};
+
+const startDnsServer = (handler) => new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+    const queries = [];
+
+    socket.on('message', async (raw, remote) => {
+        const request = dnsClient.parseMessage(raw);
+        queries.push(request);
+
+        const result = await handler(request, raw);
+        if (!result) return;
+
+        const response = Buffer.isBuffer(result) ? result : reply(request, result);
+        socket.send(response, remote.port, remote.address);
+    });
+
+    socket.once('error', reject);
+    socket.bind(0, '127.0.0.1', () => {
+        resolve({
+            port: socket.address().port,
+            server: `127.0.0.1:${socket.address().port}`,
+            queries,
+            close: () => new Promise(done => socket.close(done))
+        });
+    });
+});
+
+module.exports = {
+    startDnsServer,
+    reply,
+    txt,
+    readTsig,
+    verifyRequest,
+    signResponse,
+    tsigErrorRecord
+};
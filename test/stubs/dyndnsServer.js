@@ -0,0 +1,51 @@
+/**
+ * dyndns2 provider stub for tests
+ * GET /nic/update?hostname=&myip= with basic auth, answering like DynDNS / No-IP:
+ * good <ip> for a new address, nochg <ip> for the current one, badauth, nohost, or
+ * state.answers[hostname] when set (e.g. '911')
+ */
+
+const http = require('http');
+
+const startDyndnsServer = async ({ username = 'user', password = 'secret', hostnames = [] } = {}) => {
+    const state = { records: {}, answers: {} };
+    const requests = [];
+    const expectedAuth = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const hostname = url.searchParams.get('hostname');
+        const myip = url.searchParams.get('myip');
+        requests.push({ path: url.pathname, hostname, myip, userAgent: req.headers['user-agent'] });
+
+        const answer = (status, text) => {
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end(`${text}\n`);
+        };
+
+        if (url.pathname !== '/nic/update') return answer(404, 'not found');
+        if (req.headers.authorization !== expectedAuth) return answer(200, 'badauth');
+        if (state.answers[hostname]) return answer(200, state.answers[hostname]);
+        if (!hostnames.includes(hostname)) return answer(200, 'nohost');
+
+        const unchanged = state.records[hostname] === myip;
+        state.records[hostname] = myip;
+        answer(200, `${unchanged ? 'nochg' : 'good'} ${myip}`);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        state,
+        requests,
+        close: () => {
+            server.closeAllConnections();
+            return new Promise(done => server.close(done));
+        }
+    };
+};
+
+module.exports = {
+    startDyndnsServer
+};
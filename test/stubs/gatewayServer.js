@@ -0,0 +1,139 @@
+/**
+ * Gateway stubs for tests
+ * - NAT-PMP responder (UDP) answering the external address request
+ * - UPnP IGD: SSDP responder (UDP) plus device description and SOAP control (HTTP)
+ */
+
+const dgram = require('dgram');
+const http = require('http');
+
+const WAN_IP_SERVICE = 'urn:schemas-upnp-org:service:WANIPConnection:1';
+
+const bindUdp = (onMessage) => new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+    socket.on('message', (message, remote) => onMessage(socket, message, remote));
+    socket.once('error', reject);
+    socket.bind(0, '127.0.0.1', () => resolve(socket));
+});
+
+/**
+ * NAT-PMP responder; result: { externalIp, resultCode } or null to stay silent
+ */
+const startNatPmpServer = async (respond) => {
+    const requests = [];
+
+    const socket = await bindUdp((server, message, remote) => {
+        requests.push(message);
+        const result = respond(message);
+        if (!result) return;
+
+        const response = Buffer.alloc(12);
+        response[0] = 0; // version
+        response[1] = 128 + message[1]; // opcode of the request + 128
+        response.writeUInt16BE(result.resultCode || 0, 2);
+        response.writeUInt32BE(Math.floor(process.uptime()), 4); // seconds since start of epoch
+        Buffer.from((result.externalIp || '0.0.0.0').split('.').map(Number)).copy(response, 8);
+        server.send(response, remote.port, remote.address);
+    });
+
+    return {
+        port: socket.address().port,
+        requests,
+        close: () => new Promise(done => socket.close(done))
+    };
+};
+
+const deviceDescription = (controlPath) => `<?xml version="1.0"?>
+<root xmlns="urn:schemas-upnp-org:device-1-0">
+  <device>
+    <deviceType>urn:schemas-upnp-org:device:InternetGatewayDevice:1</deviceType>
+    <deviceList><device>
+      <deviceType>urn:schemas-upnp-org:device:WANDevice:1</deviceType>
+      <deviceList><device>
+        <deviceType>urn:schemas-upnp-org:device:WANConnectionDevice:1</deviceType>
+        <serviceList>
+          <service>
+            <serviceType>urn:schemas-upnp-org:service:WANCommonInterfaceConfig:1</serviceType>
+            <controlURL>/ctl/CmnIfCfg</controlURL>
+          </service>
+          <service>
+            <serviceType>${WAN_IP_SERVICE}</serviceType>
+            <controlURL>${controlPath}</controlURL>
+          </service>
+        </serviceList>
+      </device></deviceList>
+    </device></deviceList>
+  </device>
+</root>`;
+
+/**
+ * UPnP IGD: answers M-SEARCH with its description URL and GetExternalIPAddress with
+ * state.externalIp (change it between calls; null answers a SOAP fault)
+ */
+const startIgdServer = async (state = { externalIp: '203.0.113.7' }) => {
+    const searches = [];
+    const soapRequests = [];
+
+    const httpServer = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (req.method === 'GET' && req.url === '/rootDesc.xml') {
+                res.writeHead(200, { 'Content-Type': 'text/xml' });
+                return res.end(deviceDescription('/ctl/IPConn'));
+            }
+
+            if (req.method === 'POST' && req.url === '/ctl/IPConn') {
+                soapRequests.push({ action: req.headers.soapaction, body });
+                if (!state.externalIp) {
+                    res.writeHead(500, { 'Content-Type': 'text/xml' });
+                    return res.end('<s:Envelope><s:Body><s:Fault><faultstring>UPnPError</faultstring></s:Fault></s:Body></s:Envelope>');
+                }
+                res.writeHead(200, { 'Content-Type': 'text/xml' });
+                return res.end('<?xml version="1.0"?><s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body>' +
+                    `<u:GetExternalIPAddressResponse xmlns:u="${WAN_IP_SERVICE}">` +
+                    `<NewExternalIPAddress>${state.externalIp}</NewExternalIPAddress>` +
+                    '</u:GetExternalIPAddressResponse></s:Body></s:Envelope>');
+            }
+
+            res.writeHead(404);
+            res.end();
+        });
+    });
+
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    const location = `http://127.0.0.1:${httpServer.address().port}/rootDesc.xml`;
+
+    const ssdp = await bindUdp((server, message, remote) => {
+        searches.push(message.toString());
+        server.send(Buffer.from([
+            'HTTP/1.1 200 OK',
+            'CACHE-CONTROL: max-age=120',
+            'ST: urn:schemas-upnp-org:device:InternetGatewayDevice:1',
+            `LOCATION: ${location}`,
+            '',
+            ''
+        ].join('\r\n')), remote.port, remote.address);
+    });
+
+    return {
+        ssdpPort: ssdp.address().port,
+        location,
+        searches,
+        soapRequests,
+        state,
+        close: async () => {
+            httpServer.closeAllConnections();
+            await Promise.all([
+                new Promise(done => httpServer.close(done)),
+                new Promise(done => ssdp.close(done))
+            ]);
+        }
+    };
+};
+
+module.exports = {
+    WAN_IP_SERVICE,
+    startNatPmpServer,
+    startIgdServer
+};
@@ -0,0 +1,76 @@
+/**
+ * Throwaway git repositories for tests: a bare "origin" and clones of it
+ * Everything lives under one temp directory removed after the test.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Fixed identity and no user / system config, so tests behave the same on any machine
+const GIT_ENV = {
+    GIT_AUTHOR_NAME: 'Test',
+    GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'Test',
+    GIT_COMMITTER_EMAIL: 'test@example.com',
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_CONFIG_GLOBAL: '/dev/null'
+};
+
+const git = (cwd, ...args) => execFileSync('git', args, {
+    cwd,
+    env: { ...process.env, ...GIT_ENV },
+    stdio: ['ignore', 'pipe', 'pipe']
+}).toString('utf8').trimEnd();
+
+/**
+ * Bare origin with one commit on main; clone(name) checks out another working copy
+ */
+const createRepos = (t, files = { 'README.md': 'test\n' }) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'git-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const origin = path.join(root, 'origin.git');
+    git(root, 'init', '--quiet', '--bare', '-b', 'main', origin);
+
+    const clone = (name) => {
+        const dir = path.join(root, name);
+        git(root, 'clone', '--quiet', origin, dir);
+        return dir;
+    };
+
+    const seed = clone('seed');
+    git(seed, 'checkout', '--quiet', '-b', 'main');
+    write(seed, files);
+    git(seed, 'add', '-A');
+    git(seed, 'commit', '--quiet', '-m', 'initial');
+    git(seed, 'push', '--quiet', 'origin', 'main');
+
+    return { root, origin, clone, seed };
+};
+
+const write = (dir, files) => {
+    for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), content);
+    }
+};
+
+/**
+ * Commit files in a working copy and push them
+ */
+const commitAndPush = (dir, files, message = 'change') => {
+    write(dir, files);
+    git(dir, 'add', '-A');
+    git(dir, 'commit', '--quiet', '-m', message);
+    git(dir, 'push', '--quiet');
+};
+
+module.exports = {
+    GIT_ENV,
+    git,
+    write,
+    createRepos,
+    commitAndPush
+};
@@ -0,0 +1,84 @@
+/**
+ * GitHub contents API stub for tests
+ * GET / PUT /repos/{owner}/{repo}/contents/{path} on one file, checking the token and the blob sha
+ *
+ * state.content: current file text (null = not found)
+ * state.beforePut(body): hook run before a PUT is checked, e.g. to simulate a concurrent commit
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const blobSha = (content) => crypto.createHash('sha1').update(`blob ${Buffer.byteLength(content)}\0${content}`).digest('hex');
+
+const startGitHubApiServer = async ({ token = 'test-token', content = null, conflictStatus = 409 } = {}) => {
+    const state = { content, commits: 0, beforePut: null };
+    const requests = [];
+
+    const send = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const body = raw ? JSON.parse(raw) : null;
+            requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body });
+
+            if (req.headers.authorization !== `Bearer ${token}`) {
+                return send(res, 401, { message: 'Bad credentials' });
+            }
+
+            if (req.method === 'GET') {
+                if (state.content === null) return send(res, 404, { message: 'Not Found' });
+                return send(res, 200, {
+                    type: 'file',
+                    sha: blobSha(state.content),
+                    content: Buffer.from(state.content, 'utf8').toString('base64'),
+                    encoding: 'base64'
+                });
+            }
+
+            if (req.method === 'PUT') {
+                if (state.beforePut) state.beforePut(body);
+
+                const currentSha = state.content === null ? undefined : blobSha(state.content);
+                if (body.sha !== currentSha) {
+                    return conflictStatus === 409
+                        ? send(res, 409, { message: `${url.pathname} does not match ${body.sha}` })
+                        : send(res, 422, { message: '"sha" wasn\'t supplied.' });
+                }
+
+                state.content = Buffer.from(body.content, 'base64').toString('utf8');
+                state.commits++;
+                return send(res, state.commits === 1 && currentSha === undefined ? 201 : 200, {
+                    content: { sha: blobSha(state.content) },
+                    commit: { sha: crypto.createHash('sha1').update(`commit ${state.commits}`).digest('hex') }
+                });
+            }
+
+            send(res, 405, { message: 'Method Not Allowed' });
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        apiUrl: `http://127.0.0.1:${server.address().port}`,
+        state,
+        requests,
+        blobSha,
+        close: () => {
+            server.closeAllConnections();
+            return new Promise(done => server.close(done));
+        }
+    };
+};
+
+module.exports = {
+    startGitHubApiServer,
+    blobSha
+};
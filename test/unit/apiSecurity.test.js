@@ -0,0 +1,189 @@
+/**
+ * API token scopes, the CORS allowlist and per-client rate limiting
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { requireScope, cors, rateLimit, scopeForToken, tokenFromRequest } = require('../../src/utils/apiSecurity');
+
+const READ = 'read-token-0123456789';
+const ADMIN = 'admin-token-0123456789';
+const AUTH = { readTokens: [READ], adminTokens: [ADMIN] };
+
+/**
+ * Minimal express request / response pair; run() reports whether next() was called
+ */
+const call = (middleware, { method = 'GET', path = '/api/status', headers = {}, remoteAddress = '192.0.2.10' } = {}) => {
+    const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const req = {
+        method,
+        path,
+        originalUrl: path,
+        ip: remoteAddress,
+        socket: { remoteAddress },
+        get: (name) => lowered[name.toLowerCase()]
+    };
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+        sendStatus(code) {
+            this.statusCode = code;
+            return this;
+        },
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        }
+    };
+    res.header = res.set;
+
+    let passed = false;
+    middleware(req, res, () => { passed = true; });
+    return { req, res, passed };
+};
+
+test('tokens come from a bearer header or X-API-Key and map to their scope', () => {
+    const request = (headers) => call((req, res, next) => next(), { headers }).req;
+
+    assert.equal(tokenFromRequest(request({ Authorization: `bearer ${READ}` })), READ);
+    assert.equal(tokenFromRequest(request({ 'X-API-Key': ` ${ADMIN} ` })), ADMIN);
+    assert.equal(tokenFromRequest(request({ Authorization: `Basic ${READ}` })), null);
+
+    assert.equal(scopeForToken(ADMIN, AUTH), 'admin');
+    assert.equal(scopeForToken(READ, AUTH), 'read');
+    assert.equal(scopeForToken(`${READ}x`, AUTH), null);
+    assert.equal(scopeForToken(READ, { adminTokens: [READ] }), 'admin');
+});
+
+test('requireScope checks the token against the scope', () => {
+    const read = requireScope('read', () => AUTH);
+    const admin = requireScope('admin', () => AUTH);
+
+    const missing = call(read);
+    assert.equal(missing.passed, false);
+    assert.equal(missing.res.statusCode, 401);
+    assert.equal(missing.res.headers['WWW-Authenticate'], 'Bearer realm="ip-monitor"');
+
+    const wrong = call(read, { headers: { Authorization: 'Bearer not-a-token' } });
+    assert.equal(wrong.res.statusCode, 401);
+    assert.match(wrong.res.headers['WWW-Authenticate'], /invalid_token/);
+    assert.equal(wrong.res.body.error, 'Invalid token');
+
+    // A read token can't reach control routes, even from localhost
+    const tooWeak = call(admin, { headers: { 'X-API-Key': READ }, remoteAddress: '127.0.0.1' });
+    assert.equal(tooWeak.res.statusCode, 403);
+    assert.equal(tooWeak.res.body.error, 'Requires the admin scope');
+
+    const allowed = call(admin, { headers: { Authorization: `Bearer ${ADMIN}` } });
+    assert.equal(allowed.passed, true);
+    assert.deepEqual(allowed.req.auth, { scope: 'admin' });
+    assert.equal(call(read, { headers: { Authorization: `Bearer ${ADMIN}` } }).passed, true);
+});
+
+test('without tokens reads are open and control routes only answer localhost', () => {
+    const none = () => ({ readTokens: [], adminTokens: [] });
+    const admin = requireScope('admin', none);
+
+    assert.equal(call(requireScope('read', none)).passed, true);
+    assert.equal(call(admin, { remoteAddress: '127.0.0.1' }).passed, true);
+    assert.equal(call(admin, { remoteAddress: '::ffff:127.0.0.1' }).passed, true);
+    assert.equal(call(admin, { remoteAddress: '::1' }).passed, true);
+
+    const remote = call(admin, { remoteAddress: '192.0.2.10' });
+    assert.equal(remote.passed, false);
+    assert.equal(remote.res.statusCode, 403);
+});
+
+test('settings are read on every request so reloaded tokens apply', () => {
+    const auth = { readTokens: [], adminTokens: [] };
+    const read = requireScope('read', () => auth);
+
+    assert.equal(call(read).passed, true);
+    auth.readTokens = [READ];
+    assert.equal(call(read).res.statusCode, 401);
+    assert.equal(call(read, { headers: { 'X-API-Key': READ } }).passed, true);
+});
+
+test('CORS headers are only sent to allowed origins and preflights end the request', () => {
+    const middleware = cors(() => ['https://dash.example.com']);
+
+    const allowed = call(middleware, { headers: { Origin: 'https://dash.example.com' } });
+    assert.equal(allowed.passed, true);
+    assert.equal(allowed.res.headers['Access-Control-Allow-Origin'], 'https://dash.example.com');
+    assert.equal(allowed.res.headers.Vary, 'Origin');
+    assert.match(allowed.res.headers['Access-Control-Allow-Headers'], /Authorization, X-API-Key/);
+
+    // Responses to other origins still vary by Origin, so a cache never hands them to an allowed one
+    const other = call(middleware, { headers: { Origin: 'https://evil.example.com' } });
+    assert.equal(other.passed, true);
+    assert.deepEqual(other.res.headers, { Vary: 'Origin' });
+    assert.deepEqual(call(middleware).res.headers, { Vary: 'Origin' });
+
+    const preflight = call(middleware, { method: 'OPTIONS', headers: { Origin: 'https://dash.example.com' } });
+    assert.equal(preflight.passed, false);
+    assert.equal(preflight.res.statusCode, 204);
+    assert.equal(preflight.res.headers['Access-Control-Allow-Methods'], 'GET, POST');
+
+    const rejectedPreflight = call(middleware, { method: 'OPTIONS', headers: { Origin: 'https://evil.example.com' } });
+    assert.equal(rejectedPreflight.res.statusCode, 204);
+    assert.equal(rejectedPreflight.res.headers['Access-Control-Allow-Origin'], undefined);
+
+    const any = call(cors(() => ['*']), { headers: { Origin: 'https://anything.example.com' } });
+    assert.equal(any.res.headers['Access-Control-Allow-Origin'], '*');
+    assert.equal(any.res.headers.Vary, undefined);
+});
+
+test('the rate limit answers 429 with Retry-After once a client runs out of calls', () => {
+    const limit = rateLimit(() => ({ maxCalls: 2, windowMs: 60 * 1000 }));
+
+    const first = call(limit);
+    assert.equal(first.passed, true);
+    assert.equal(first.res.headers['X-RateLimit-Limit'], '2');
+    assert.equal(first.res.headers['X-RateLimit-Remaining'], '1');
+    assert.equal(call(limit).passed, true);
+
+    const limited = call(limit);
+    assert.equal(limited.passed, false);
+    assert.equal(limited.res.statusCode, 429);
+    assert.equal(limited.res.body.error, 'Too many requests');
+    assert.equal(limited.res.headers['X-RateLimit-Remaining'], '0');
+    const retryAfter = Number(limited.res.headers['Retry-After']);
+    assert.ok(retryAfter >= 1 && retryAfter <= 60, `Retry-After ${retryAfter}`);
+
+    // Each client address has its own budget
+    assert.equal(call(limit, { remoteAddress: '192.0.2.11' }).passed, true);
+});
+
+test('health probes are not rate limited', () => {
+    const limit = rateLimit(() => ({ maxCalls: 1, windowMs: 60 * 1000 }), { exemptPaths: ['/health', '/metrics'] });
+
+    assert.equal(call(limit).passed, true);
+    assert.equal(call(limit).res.statusCode, 429);
+    for (let i = 0; i < 5; i++) {
+        assert.equal(call(limit, { path: '/health' }).passed, true);
+        assert.equal(call(limit, { path: '/metrics' }).passed, true);
+    }
+});
+
+test('reloaded limits apply to clients already seen', () => {
+    const limits = { maxCalls: 1, windowMs: 60 * 1000 };
+    const limit = rateLimit(() => limits);
+
+    assert.equal(call(limit).passed, true);
+    assert.equal(call(limit).res.statusCode, 429);
+
+    limits.maxCalls = 3;
+    const raised = call(limit);
+    assert.equal(raised.passed, true);
+    assert.equal(raised.res.headers['X-RateLimit-Limit'], '3');
+    assert.equal(raised.res.headers['X-RateLimit-Remaining'], '1');
+});
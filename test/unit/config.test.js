@@ -0,0 +1,165 @@
+/**
+ * Config layering (default < file < env) and the schema's reject rules
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Config = require('../../src/config/Config');
+
+const writeConfig = (t, name, content) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+};
+
+const load = (env = {}, file = null) => new Config({ file, env, argv: [] });
+
+/**
+ * The ECONFIG error a config throws, for asserting on its collected problems
+ */
+const configErrors = (env, file) => {
+    try {
+        load(env, file);
+    } catch (error) {
+        assert.equal(error.code, 'ECONFIG');
+        return error.errors;
+    }
+    assert.fail('expected an invalid configuration');
+};
+
+test('defaults apply when nothing is set', () => {
+    const config = load();
+    assert.equal(config.checkInterval, 60 * 60 * 1000);
+    assert.deepEqual(config.ipMonitor.families, ['ipv4']);
+    assert.equal(config.git.mode, 'local');
+    assert.deepEqual(config.envOverrides(), []);
+});
+
+test('the environment overrides the file, which overrides the defaults', (t) => {
+    const file = writeConfig(t, 'ip-monitor.yml', [
+        'ipMonitor:',
+        '  checkInterval: 120000',
+        '  families: [ipv4, ipv6]',
+        '  targets:',
+        '    - web',
+        '    - name: api',
+        '      policy: { families: [ipv6] }',
+        'git:',
+        '  enabled: false',
+        'server:',
+        '  port: 8080'
+    ].join('\n'));
+
+    const config = load({ PORT: '9090', GIT_COMMIT_ENABLED: 'yes', IP_FAMILIES: '' }, file);
+
+    assert.equal(config.checkInterval, 120000);
+    assert.deepEqual(config.ipMonitor.families, ['ipv4', 'ipv6']);
+    assert.deepEqual(config.ipMonitor.targets, [{ name: 'web', policy: {} }, { name: 'api', policy: { families: ['ipv6'] } }]);
+    assert.equal(config.server.port, 9090);
+    assert.equal(config.git.enabled, true);
+    assert.equal(config.sources['ipMonitor.checkInterval'], 'file');
+    assert.equal(config.sources['server.rateLimit.maxCalls'], 'default');
+    assert.deepEqual(config.envOverrides(), [
+        { key: 'git.enabled', env: 'GIT_COMMIT_ENABLED' },
+        { key: 'server.port', env: 'PORT' }
+    ]);
+});
+
+test('environment values are coerced to the field type', () => {
+    const config = load({
+        CHECK_INTERVAL_MS: ' 30000 ',
+        HEALTH_CHECK: 'off',
+        IP_TARGETS: '[{"name":"web","policy":{"families":["ipv4"]}}]',
+        GITHUB_API_URL: 'https://github.example.com/api/v3/'
+    });
+
+    assert.equal(config.checkInterval, 30000);
+    assert.equal(config.server.enableHealthCheck, false);
+    assert.deepEqual(config.ipMonitor.targets, [{ name: 'web', policy: { families: ['ipv4'] } }]);
+    assert.equal(config.github.apiUrl, 'https://github.example.com/api/v3');
+});
+
+test('bad values are rejected together, naming the variable and the key', () => {
+    const errors = configErrors({
+        CHECK_INTERVAL_MS: '5s',
+        MAX_RETRIES: '0',
+        PORT: '70000',
+        GIT_AUTO_COMMIT: 'maybe',
+        DETECTION_MODE: 'majority',
+        IP_FAMILIES: 'ipv4,ipv5',
+        API_READ_TOKENS: 'short',
+        CORS_ORIGINS: 'example.com',
+        CHECK_CRON: '61 * * * *',
+        SCHEDULE_TIMEZONE: 'Mars/Olympus',
+        GITHUB_API_URL: 'ftp://example.com'
+    });
+
+    assert.deepEqual(errors.map(error => error.split(':')[0]), [
+        'CHECK_INTERVAL_MS (ipMonitor.checkInterval)',
+        'MAX_RETRIES (ipMonitor.maxRetries)',
+        'IP_FAMILIES (ipMonitor.families)',
+        'DETECTION_MODE (ipMonitor.detection.mode)',
+        'GIT_AUTO_COMMIT (git.autoCommit)',
+        'GITHUB_API_URL (github.apiUrl)',
+        'PORT (server.port)',
+        'API_READ_TOKENS (server.auth.readTokens)',
+        'CORS_ORIGINS (server.cors.origins)',
+        'CHECK_CRON (schedule.cron)',
+        'SCHEDULE_TIMEZONE (schedule.timezone)'
+    ]);
+    assert.match(errors[0], /expected an integer, got "5s"/);
+    assert.match(errors[1], /must be at least 1, got 0/);
+    assert.match(errors[2], /unknown values ipv5/);
+    assert.match(errors[3], /expected one of fallback, consensus/);
+    assert.match(errors[6], /must be at most 65535/);
+    assert.match(errors[7], /at least 16 characters/);
+});
+
+test('unknown and malformed file settings are rejected', (t) => {
+    const typo = writeConfig(t, 'typo.yml', 'ipMonitor:\n  checkIntervall: 60000\n  detection:\n    mode: consensus\nsever:\n  port: 80\n');
+    assert.deepEqual(configErrors({}, typo), ['ipMonitor.checkIntervall: unknown setting', 'sever: unknown setting']);
+
+    const wrongType = writeConfig(t, 'ip-monitor.json', JSON.stringify({ git: { enabled: 'sometimes', maxRetries: 2.5 } }));
+    assert.deepEqual(configErrors({}, wrongType), [
+        'git.enabled: expected true or false, got "sometimes"',
+        'git.maxRetries: expected an integer, got 2.5'
+    ]);
+
+    assert.deepEqual(configErrors({}, writeConfig(t, 'list.yml', '- a\n- b\n')), ['config file must contain a mapping of settings']);
+    assert.match(configErrors({}, writeConfig(t, 'broken.json', '{ "git": '))[0], /cannot parse config file/);
+    assert.match(configErrors({ CONFIG_FILE: '/nonexistent/ip-monitor.yml' })[0], /config file not found/);
+});
+
+test('a bad environment value is reported even when the file has a good one', (t) => {
+    const file = writeConfig(t, 'ip-monitor.yml', 'server:\n  port: 8080\n');
+    assert.deepEqual(configErrors({ PORT: 'http' }, file), ['PORT (server.port): expected an integer, got "http"']);
+});
+
+test('cross-field rules', () => {
+    assert.deepEqual(configErrors({ GIT_COMMIT_MODE: 'github-api' }), ['github.token (GITHUB_TOKEN) is required with git.mode github-api']);
+    assert.equal(load({ GIT_COMMIT_MODE: 'github-api', GIT_COMMIT_ENABLED: 'false' }).git.mode, 'github-api');
+    assert.equal(load({ GIT_COMMIT_MODE: 'github-api', GITHUB_TOKEN: 'ghp_test' }).github.token, 'ghp_test');
+
+    assert.deepEqual(configErrors({ TSIG_KEY_NAME: 'ddns-key' }), ['publishers.rfc2136.tsig needs both a name and a secret']);
+    assert.deepEqual(configErrors({ TSIG_SECRET: 'c2VjcmV0' }), ['publishers.rfc2136.tsig needs both a name and a secret']);
+
+    assert.deepEqual(configErrors({ CONSENSUS_PROVIDERS: '2', CONSENSUS_QUORUM: '3' }), [
+        'ipMonitor.detection.quorum (3) cannot exceed ipMonitor.detection.consensusProviders (2)'
+    ]);
+    assert.deepEqual(configErrors({ SCHEDULE_MIN_INTERVAL_MS: '7200000', SCHEDULE_MAX_INTERVAL_MS: '3600000' }), [
+        'schedule.adaptive.minIntervalMs cannot exceed schedule.adaptive.maxIntervalMs'
+    ]);
+});
+
+test('secrets are redacted and list secrets keep their length', () => {
+    const config = load({ GITHUB_TOKEN: 'ghp_secret', API_ADMIN_TOKENS: '0123456789abcdef0,0123456789abcdef1' });
+    const redacted = config.redacted();
+    assert.equal(redacted.github.token, '<redacted>');
+    assert.deepEqual(redacted.server.auth.adminTokens, ['<redacted>', '<redacted>']);
+    assert.equal(config.github.token, 'ghp_secret');
+});
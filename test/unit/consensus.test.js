@@ -0,0 +1,52 @@
+/**
+ * Consensus detection: quorum, disagreement and failure details
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const IpDetectionService = require('../../src/services/IpDetectionService');
+
+/**
+ * Detection service whose providers answer from a fixed table (an Error answer fails)
+ */
+const stubDetection = (answers, { families = ['ipv4'], quorum = 2 } = {}) => {
+    const service = Object.create(IpDetectionService.prototype);
+    service.statsReady = Promise.resolve();
+    service.getFamiliesForPolicy = () => families;
+    service.getMethodsForPolicy = (policy, family) => Object.keys(answers[family] || {}).map(name => ({ name }));
+    service.getDetectionSettings = () => ({ mode: 'consensus', providers: 3, quorum });
+    service.detectWithMethod = async ({ name }, family) => {
+        const answer = answers[family][name];
+        if (answer instanceof Error) throw answer;
+        return answer;
+    };
+    return service;
+};
+
+test('getPublicIps accepts the address a quorum agrees on and reports the dissenter', async () => {
+    const service = stubDetection({
+        ipv4: { a: '203.0.113.7', b: '203.0.113.7', c: '198.51.100.1' }
+    });
+
+    const result = await service.getPublicIps();
+    assert.equal(result.ipv4.ip, '203.0.113.7');
+    assert.deepEqual(result.consensus.ipv4.agreed, ['a', 'b']);
+    assert.deepEqual(result.consensus.ipv4.disagreed, [{ method: 'c', ip: '198.51.100.1' }]);
+});
+
+test('getPublicIps keeps consensus and errors on the error when every family fails', async () => {
+    const service = stubDetection({
+        ipv4: { a: '203.0.113.7', b: '198.51.100.1', c: new Error('timeout of 3000ms exceeded') },
+        ipv6: { a: new Error('ENETUNREACH'), b: new Error('ENETUNREACH') }
+    }, { families: ['ipv4', 'ipv6'] });
+
+    await assert.rejects(service.getPublicIps(), (error) => {
+        assert.match(error.message, /IP detection failed for all families/);
+        assert.deepEqual(Object.keys(error.errors), ['ipv4', 'ipv6']);
+        assert.equal(error.consensus.ipv4.agreed.length, 1);
+        assert.equal(error.consensus.ipv4.disagreed.length, 1);
+        assert.deepEqual(error.consensus.ipv4.failed, [{ method: 'c', error: 'timeout of 3000ms exceeded' }]);
+        assert.equal(error.consensus.ipv6.failed.length, 2);
+        return true;
+    });
+});
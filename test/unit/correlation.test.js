@@ -0,0 +1,126 @@
+/**
+ * Correlation ids: X-Request-Id on log lines, check traces and /api/checks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('../../src/utils/logger');
+const { runWithContext, getContext } = require('../../src/utils/context');
+const { SingleFlight } = require('../../src/utils/lock');
+const { HealthStatus } = require('../../src/utils/helpers');
+const { logger } = require('../../src/util');
+const IpMonitorService = require('../../src/services/IpMonitorService');
+const HealthServer = require('../../src/services/HealthServer');
+const TraceStore = require('../../src/services/TraceStore');
+const Config = require('../../src/config/Config');
+
+/**
+ * Monitor running the real check queue and traces; the check itself only logs a line
+ */
+const createMonitor = (t, config) => {
+    const service = Object.create(IpMonitorService.prototype);
+    Object.assign(service, {
+        config,
+        health: new HealthStatus(),
+        wasHealthy: true,
+        checkFlight: new SingleFlight(),
+        checkLock: { withLock: fn => fn() },
+        traces: new TraceStore(config),
+        scheduler: { recordOutcome: () => {} },
+        notifiers: { notify: async () => ({}) }
+    });
+    service.checkAndUpdateIp = async () => {
+        logger.child({ target: 'web' }).info('ipv4 local: 203.0.113.7, public: 203.0.113.7');
+        return { updated: false, checkId: getContext().checkId };
+    };
+    t.after(() => service.traces.close());
+    return service;
+};
+
+/**
+ * Health server for the monitor on a free localhost port
+ */
+const startServer = async (t, monitor) => {
+    const server = new HealthServer(monitor.config, monitor);
+    server.server = await server.listen(server.app, 0, '127.0.0.1', 'Health server');
+    t.after(() => server.stop());
+
+    const base = `http://127.0.0.1:${server.server.address().port}`;
+    return (route, options = {}) => fetch(`${base}${route}`, options);
+};
+
+test('log lines written inside a request carry its id, and the check id inside a check', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+    const fileLogger = createLogger({ enableConsole: false, enableFile: true, filePath: path.join(dir, 'app.log') });
+    t.after(() => {
+        fileLogger.root.sink.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    await runWithContext({ requestId: 'deploy-42' }, async () => {
+        fileLogger.info('POST /api/check');
+        await runWithContext({ checkId: 'c0ffee' }, async () => {
+            fileLogger.child({ target: 'web' }).warn('ipv4 drift: cdn_lag');
+        });
+    });
+    fileLogger.info('outside');
+    await fileLogger.flush();
+
+    const lines = fs.readFileSync(path.join(dir, 'app.log'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(({ msg, requestId, checkId, target }) => ({ msg, requestId, checkId, target })), [
+        { msg: 'POST /api/check', requestId: 'deploy-42', checkId: undefined, target: undefined },
+        { msg: 'ipv4 drift: cdn_lag', requestId: 'deploy-42', checkId: 'c0ffee', target: 'web' },
+        { msg: 'outside', requestId: undefined, checkId: undefined, target: undefined }
+    ]);
+});
+
+test('a check started through the API is listed under the caller\'s X-Request-Id', async (t) => {
+    const config = new Config({ env: {}, argv: [] });
+    const monitor = createMonitor(t, config);
+    const request = await startServer(t, monitor);
+
+    const entries = [];
+    t.after(logger.onEntry(entry => entries.push(entry)));
+
+    const response = await request('/api/check', { method: 'POST', headers: { 'X-Request-Id': 'deploy-42' } });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-request-id'), 'deploy-42');
+    const { result } = await response.json();
+    assert.match(result.checkId, /^[0-9a-f]{16}$/);
+
+    // Every line of the request, the check's included, carries the request id
+    const requestLines = entries.filter(entry => entry.requestId === 'deploy-42');
+    assert.ok(requestLines.some(entry => entry.msg === 'POST /api/check'));
+    const checkLine = requestLines.find(entry => entry.target === 'web');
+    assert.equal(checkLine.checkId, result.checkId);
+
+    const { checks } = await (await request('/api/checks')).json();
+    assert.equal(checks.length, 1);
+    assert.deepEqual([checks[0].checkId, checks[0].requestId, checks[0].status], [result.checkId, 'deploy-42', 'completed']);
+
+    const trace = await (await request(`/api/checks/${result.checkId}`)).json();
+    assert.equal(trace.requestId, 'deploy-42');
+    assert.ok(trace.events.length > 0);
+    assert.ok(trace.events.every(event => event.requestId === 'deploy-42' && !('checkId' in event)));
+    assert.ok(trace.events.some(event => event.msg === 'ipv4 local: 203.0.113.7, public: 203.0.113.7'));
+});
+
+test('a missing or unusable X-Request-Id is replaced with a new id', async (t) => {
+    const monitor = createMonitor(t, new Config({ env: {}, argv: [] }));
+    const request = await startServer(t, monitor);
+
+    const generated = (await request('/health')).headers.get('x-request-id');
+    assert.match(generated, /^[0-9a-f]{16}$/);
+
+    for (const unusable of ['has spaces', 'x'.repeat(65), 'id/with/slashes']) {
+        const id = (await request('/health', { headers: { 'X-Request-Id': unusable } })).headers.get('x-request-id');
+        assert.match(id, /^[0-9a-f]{16}$/);
+    }
+
+    await request('/api/check', { method: 'POST', headers: { 'X-Request-Id': 'has spaces' } });
+    const [check] = (await (await request('/api/checks')).json()).checks;
+    assert.match(check.requestId, /^[0-9a-f]{16}$/);
+});
@@ -0,0 +1,68 @@
+/**
+ * Cron parsing and next-run calculation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextCronTime } = require('../../src/utils/cron');
+
+const utc = (text) => Date.parse(`${text}Z`);
+const iso = (ms) => new Date(ms).toISOString().replace('.000Z', '');
+
+/**
+ * The next `count` run times after `from`, in UTC
+ */
+const runs = (expression, from, count = 3) => {
+    const times = [];
+    let time = utc(from);
+    for (let i = 0; i < count; i++) {
+        time = nextCronTime(expression, time, 'UTC');
+        times.push(iso(time));
+    }
+    return times;
+};
+
+test('parseCron expands lists, ranges, steps, names and macros', () => {
+    const schedule = parseCron('*/15 9-17 1,15 jan-mar mon-fri');
+    assert.deepEqual([...schedule.minute], [0, 15, 30, 45]);
+    assert.deepEqual([...schedule.hour], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    assert.deepEqual([...schedule.dayOfMonth], [1, 15]);
+    assert.deepEqual([...schedule.month], [1, 2, 3]);
+    assert.deepEqual([...schedule.dayOfWeek], [1, 2, 3, 4, 5]);
+
+    assert.deepEqual([...parseCron('@weekly').dayOfWeek], [0]);
+    assert.deepEqual([...parseCron('0 0 * * 7').dayOfWeek], [0]);
+    assert.throws(() => parseCron('0 0 * *'), /5 fields/);
+});
+
+test('either day field may match when both are restricted', () => {
+    // 2026-01-01 is a Thursday; the 13th or any Friday
+    assert.deepEqual(runs('0 0 13 * 5', '2026-01-01T00:00:00'), [
+        '2026-01-02T00:00:00',
+        '2026-01-09T00:00:00',
+        '2026-01-13T00:00:00'
+    ]);
+});
+
+test('a day field starting with * is unrestricted, so both must match', () => {
+    assert.equal(parseCron('0 0 */2 * 1').restrictedDayOfMonth, false);
+    assert.equal(parseCron('0 0 1 * */2').restrictedDayOfWeek, false);
+
+    // Odd days of the month that are also Mondays
+    assert.deepEqual(runs('0 0 */2 * 1', '2026-01-01T00:00:00'), [
+        '2026-01-05T00:00:00',
+        '2026-01-19T00:00:00',
+        '2026-02-09T00:00:00'
+    ]);
+
+    // The 1st of the month when it falls on an even weekday (Sun, Tue, Thu, Sat)
+    assert.deepEqual(runs('0 0 1 * */2', '2026-01-01T00:00:00', 2), [
+        '2026-02-01T00:00:00',
+        '2026-03-01T00:00:00'
+    ]);
+});
+
+test('nextCronTime follows the timezone', () => {
+    const next = nextCronTime('30 8 * * *', utc('2026-06-01T00:00:00'), 'Asia/Ho_Chi_Minh');
+    assert.equal(iso(next), '2026-06-01T01:30:00');
+});
@@ -0,0 +1,94 @@
+/**
+ * dns provider type against a local UDP resolver stub
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createProvider } = require('../../src/providers/providerTypes');
+const { classifyError } = require('../../src/providers/ProviderStats');
+const { TYPES, CLASSES } = require('../../src/utils/dnsClient');
+const { startDnsServer, txt } = require('../stubs/dnsServer');
+
+const DEFAULTS = { timeout: 30000, dnsTimeout: 500 };
+
+test('CHAOS TXT whoami.cloudflare is sent over the wire client and parsed', async (t) => {
+    const stub = await startDnsServer((request) => ({
+        answer: [{ name: request.question[0].name, type: 'TXT', class: 'CH', data: txt('203.0.113.7') }]
+    }));
+    t.after(() => stub.close());
+
+    const provider = createProvider({
+        name: 'Cloudflare DNS',
+        type: 'dns',
+        hostname: 'whoami.cloudflare',
+        recordType: 'TXT',
+        recordClass: 'CH',
+        servers: [stub.server]
+    }, DEFAULTS);
+
+    assert.equal(await provider.detect(), '203.0.113.7');
+    assert.equal(stub.queries.length, 1);
+    assert.deepEqual(stub.queries[0].question, [{ name: 'whoami.cloudflare', type: TYPES.TXT, class: CLASSES.CH }]);
+});
+
+test('TXT o-o.myaddr picks the record holding an address of the provider family', async (t) => {
+    const stub = await startDnsServer((request) => ({
+        answer: [
+            { name: request.question[0].name, type: 'TXT', ttl: 60, data: txt('edns0-client-subnet 198.51.100.0/24') },
+            { name: request.question[0].name, type: 'TXT', ttl: 60, data: txt('2001:db8::7') },
+            { name: request.question[0].name, type: 'TXT', ttl: 60, data: txt('203.0.113.7') }
+        ]
+    }));
+    t.after(() => stub.close());
+
+    const definition = {
+        name: 'Google DNS',
+        type: 'dns',
+        hostname: 'o-o.myaddr.l.google.com',
+        recordType: 'TXT',
+        servers: [stub.server]
+    };
+
+    assert.equal(await createProvider(definition, DEFAULTS).detect(), '203.0.113.7');
+    assert.equal(await createProvider({ ...definition, family: 'ipv6' }, DEFAULTS).detect(), '2001:db8::7');
+    assert.equal(stub.queries[0].question[0].name, 'o-o.myaddr.l.google.com');
+});
+
+test('an empty answer is an invalid response', async (t) => {
+    const stub = await startDnsServer(() => ({ answer: [] }));
+    t.after(() => stub.close());
+
+    const provider = createProvider({
+        name: 'Cloudflare DNS',
+        type: 'dns',
+        hostname: 'whoami.cloudflare',
+        recordClass: 'CH',
+        servers: [stub.server]
+    }, DEFAULTS);
+
+    await assert.rejects(provider.detect(), (error) => classifyError(error) === 'invalid');
+});
+
+test('dns providers time out after DNS_TIMEOUT_MS, not the general timeout', async (t) => {
+    const stub = await startDnsServer(() => null);
+    t.after(() => stub.close());
+
+    for (const recordClass of ['CH', 'IN']) {
+        const provider = createProvider({
+            name: `Silent ${recordClass}`,
+            type: 'dns',
+            hostname: 'whoami.cloudflare',
+            recordClass,
+            servers: [stub.server]
+        }, { timeout: 30000, dnsTimeout: 200 });
+        assert.equal(provider.timeout, 200);
+
+        const started = Date.now();
+        await assert.rejects(provider.detect(), (error) => classifyError(error) === 'timeout');
+        assert.ok(Date.now() - started < 5000, `${recordClass} query took ${Date.now() - started}ms`);
+    }
+
+    // Other types and explicit per-provider timeouts are left alone
+    assert.equal(createProvider({ name: 'HTTP', type: 'http-text', url: 'http://127.0.0.1/' }, DEFAULTS).timeout, 30000);
+    assert.equal(createProvider({ name: 'Slow DNS', type: 'dns', hostname: 'a.example', timeout: 1500 }, DEFAULTS).timeout, 1500);
+});
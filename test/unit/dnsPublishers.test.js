@@ -0,0 +1,218 @@
+/**
+ * rfc2136 and dyndns2 publishers against local stubs, including retries of records left behind
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPublisher } = require('../../src/publishers/publisherTypes');
+const PublisherRegistry = require('../../src/publishers/PublisherRegistry');
+const dnsClient = require('../../src/utils/dnsClient');
+const { startDnsServer, reply, readTsig, verifyRequest, signResponse, tsigErrorRecord } = require('../stubs/dnsServer');
+const { startDyndnsServer } = require('../stubs/dyndnsServer');
+
+const KEY = { name: 'ddns-key', algorithm: 'hmac-sha256', secret: Buffer.from('0123456789abcdef0123456789abcdef').toString('base64') };
+const OTHER_KEY = { ...KEY, secret: Buffer.from('fedcba9876543210fedcba9876543210').toString('base64') };
+const context = { config: { ipMonitor: { defaultTarget: 'web' } } };
+
+const event = (targets, extra = {}) => ({ message: 'update ip', changes: [], targets, timestamp: new Date().toISOString(), ...extra });
+const WEB = { web: { ip: '203.0.113.7', ipv4: '203.0.113.7', ipv6: '2001:db8::7' }, api: { ip: '198.51.100.9', ipv4: '198.51.100.9', ipv6: null } };
+
+/**
+ * Authoritative server stub: applies signed UPDATEs to a zone map and signs its answers
+ * refuse: names to answer REFUSED for
+ */
+const startUpdateServer = async ({ key = KEY, refuse = new Set() } = {}) => {
+    const zone = {};
+    const updates = [];
+
+    const stub = await startDnsServer((request, raw) => {
+        const tsig = verifyRequest(request, raw, key);
+        if (!tsig) {
+            const presented = readTsig(request.additional[request.additional.length - 1]);
+            return { rcode: 'NOTAUTH', additional: [tsigErrorRecord(presented, 16)] };
+        }
+
+        updates.push(request);
+        const names = request.authority.map(record => record.name);
+        const response = names.some(name => refuse.has(name))
+            ? reply(request, { rcode: 'REFUSED' })
+            : reply(request);
+
+        if (!names.some(name => refuse.has(name))) {
+            request.authority.forEach(record => {
+                const key = `${record.name}/${record.type === dnsClient.TYPES.A ? 'A' : 'AAAA'}`;
+                if (record.class === dnsClient.CLASSES.ANY) delete zone[key];
+                else zone[key] = record.value;
+            });
+        }
+
+        return signResponse(response, tsig.mac, key, tsig.time);
+    });
+
+    return { ...stub, zone, updates };
+};
+
+test('rfc2136 replaces each RRset with one TSIG signed UPDATE', async (t) => {
+    const stub = await startUpdateServer();
+    t.after(() => stub.close());
+
+    const publisher = createPublisher({
+        name: 'rfc2136',
+        type: 'rfc2136',
+        server: stub.server,
+        zone: 'example.com',
+        records: ['home.example.com', 'api.example.com=api'],
+        ttl: 120,
+        tsig: KEY
+    }, context);
+
+    const result = await publisher.publish(event(WEB));
+
+    assert.deepEqual(result.records, [
+        { name: 'home.example.com', type: 'A', value: '203.0.113.7', success: true },
+        { name: 'home.example.com', type: 'AAAA', value: '2001:db8::7', success: true },
+        { name: 'api.example.com', type: 'A', value: '198.51.100.9', success: true }
+    ]);
+    assert.deepEqual(stub.zone, {
+        'home.example.com/A': '203.0.113.7',
+        'home.example.com/AAAA': '2001:db8:0:0:0:0:0:7',
+        'api.example.com/A': '198.51.100.9'
+    });
+
+    const [first] = stub.updates;
+    assert.equal((first.flags >> 11) & 0xf, 5);
+    assert.deepEqual(first.question, [{ name: 'example.com', type: dnsClient.TYPES.SOA, class: dnsClient.CLASSES.IN }]);
+    assert.deepEqual(first.authority.map(r => [r.name, r.type, r.class, r.ttl, r.rdata.length]), [
+        ['home.example.com', dnsClient.TYPES.A, dnsClient.CLASSES.ANY, 0, 0],
+        ['home.example.com', dnsClient.TYPES.A, dnsClient.CLASSES.IN, 120, 4]
+    ]);
+});
+
+test('rfc2136 reports a bad signature without retrying', async (t) => {
+    const stub = await startUpdateServer({ key: OTHER_KEY });
+    t.after(() => stub.close());
+
+    const registry = new PublisherRegistry({ publishers: { statePath: null } });
+    const result = await registry.publishOne(createPublisher({
+        name: 'rfc2136',
+        type: 'rfc2136',
+        server: stub.server,
+        zone: 'example.com',
+        records: ['home.example.com'],
+        tsig: KEY,
+        retryDelay: 10
+    }, context), event({ web: { ip: '203.0.113.7', ipv4: '203.0.113.7', ipv6: null } }));
+
+    assert.equal(result.success, false);
+    assert.equal(result.attempts, 1);
+    assert.equal(result.code, 'NOTAUTH');
+    assert.match(result.records[0].error, /NOTAUTH \(BADSIG\)/);
+    assert.deepEqual(stub.zone, {});
+});
+
+test('a retry only sends the records that are still behind', async (t) => {
+    const refuse = new Set(['api.example.com']);
+    const stub = await startUpdateServer({ refuse });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'publisher-state-'));
+    t.after(async () => {
+        await stub.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const registry = new PublisherRegistry({ ...context.config, publishers: { statePath: path.join(dir, 'state.json') } });
+    registry.register({
+        name: 'rfc2136',
+        type: 'rfc2136',
+        server: stub.server,
+        zone: 'example.com',
+        records: ['home.example.com', 'api.example.com=api'],
+        tsig: KEY,
+        maxRetries: 1
+    });
+    const sent = () => stub.updates.splice(0).map(update => `${update.authority[1].name}/${update.authority[1].type}`);
+
+    const first = await registry.publishAll(event(WEB));
+    assert.equal(first.rfc2136.success, false);
+    assert.deepEqual(sent(), ['home.example.com/1', 'home.example.com/28', 'api.example.com/1']);
+
+    const retried = await registry.retryPending(event(WEB));
+    assert.equal(retried.rfc2136.success, false);
+    assert.deepEqual(sent(), ['api.example.com/1']);
+    assert.deepEqual(retried.rfc2136.records.filter(r => r.skipped).map(r => `${r.name}/${r.type}`), ['home.example.com/A', 'home.example.com/AAAA']);
+
+    // The server accepts it now; afterwards nothing is pending
+    refuse.clear();
+    const recovered = await registry.retryPending(event(WEB));
+    assert.equal(recovered.rfc2136.success, true);
+    assert.deepEqual(sent(), ['api.example.com/1']);
+    assert.deepEqual(await registry.retryPending(event(WEB)), {});
+
+    // After an address change only the record holding it is behind
+    const moved = { ...WEB, web: { ip: '203.0.113.8', ipv4: '203.0.113.8', ipv6: '2001:db8::7' } };
+    await registry.retryPending(event(moved));
+    assert.deepEqual(sent(), ['home.example.com/1']);
+    assert.equal(stub.zone['home.example.com/A'], '203.0.113.8');
+});
+
+test('dyndns2 treats good and nochg as success and badauth as final', async (t) => {
+    const stub = await startDyndnsServer({ hostnames: ['home.example.com', 'api.example.com'] });
+    t.after(() => stub.close());
+
+    const definition = {
+        name: 'dyndns2',
+        type: 'dyndns2',
+        url: stub.url,
+        username: 'user',
+        password: 'secret',
+        records: ['home.example.com', 'api.example.com=api']
+    };
+
+    const result = await createPublisher(definition, context).publish(event(WEB));
+    assert.deepEqual(result.records.map(r => [r.name, r.value, r.response]), [
+        ['home.example.com', '203.0.113.7,2001:db8::7', 'good 203.0.113.7,2001:db8::7'],
+        ['api.example.com', '198.51.100.9', 'good 198.51.100.9']
+    ]);
+    assert.equal(stub.requests[0].path, '/nic/update');
+    assert.equal(stub.requests[0].userAgent, 'ip-monitor/1.0');
+
+    const again = await createPublisher(definition, context).publish(event(WEB));
+    assert.deepEqual(again.records.map(r => r.response), ['nochg 203.0.113.7,2001:db8::7', 'nochg 198.51.100.9']);
+
+    const registry = new PublisherRegistry({ publishers: { statePath: null } });
+    const denied = await registry.publishOne(createPublisher({ ...definition, password: 'wrong', retryDelay: 10 }, context), event(WEB));
+    assert.equal(denied.success, false);
+    assert.equal(denied.attempts, 1);
+    assert.equal(denied.code, 'badauth');
+    assert.equal(denied.records[0].error, "Provider answered 'badauth'");
+});
+
+test('dyndns2 retries 911 and resends only hostnames that are behind', async (t) => {
+    const stub = await startDyndnsServer({ hostnames: ['home.example.com', 'api.example.com'] });
+    t.after(() => stub.close());
+    stub.state.answers['api.example.com'] = '911';
+
+    const registry = new PublisherRegistry({ ...context.config, publishers: { statePath: null } });
+    registry.register({
+        name: 'dyndns2',
+        type: 'dyndns2',
+        url: stub.url,
+        username: 'user',
+        password: 'secret',
+        records: ['home.example.com', 'api.example.com=api'],
+        maxRetries: 2,
+        retryDelay: 10
+    });
+
+    const first = await registry.publishAll(event(WEB));
+    assert.equal(first.dyndns2.success, false);
+    assert.equal(first.dyndns2.attempts, 2);
+
+    delete stub.state.answers['api.example.com'];
+    stub.requests.length = 0;
+    const retried = await registry.retryPending(event(WEB));
+    assert.equal(retried.dyndns2.success, true);
+    assert.deepEqual(stub.requests.map(r => r.hostname), ['api.example.com']);
+});
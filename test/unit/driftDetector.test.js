@@ -0,0 +1,69 @@
+/**
+ * Drift classification between ip.json, the published copy and the detected IP, and the action per state
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DriftDetector = require('../../src/services/DriftDetector');
+const Config = require('../../src/config/Config');
+
+const MINUTE = 60 * 1000;
+const NOW = Date.UTC(2026, 0, 1, 12);
+const ago = (ms) => new Date(NOW - ms).toISOString();
+
+const createDetector = (env = {}) => new DriftDetector(new Config({ env, argv: [] }));
+
+// ip.json written by us 20 minutes ago, replacing 203.0.113.1
+const local = { ipv4: '203.0.113.7', lastUpdated: ago(20 * MINUTE), history: [{ ip: '203.0.113.1' }] };
+const classify = (detector, options) => detector.classify({ family: 'ipv4', publicIp: '203.0.113.7', local, now: NOW, ...options });
+
+test('an unreachable published copy is remote_unreachable once ip.json is current', () => {
+    const detector = createDetector();
+
+    assert.equal(classify(detector, { remote: null, remoteReachable: false }), 'remote_unreachable');
+    // A changed IP is still local_stale: it has to be published either way
+    assert.equal(classify(detector, { publicIp: '203.0.113.9', remote: null, remoteReachable: false }), 'local_stale');
+});
+
+test('a published copy changed by someone else is remote_edited', () => {
+    const detector = createDetector();
+
+    // Written after our last update
+    assert.equal(classify(detector, { remote: { ipv4: '203.0.113.1', lastUpdated: ago(5 * MINUTE) } }), 'remote_edited');
+    // An address ip.json never had, even without a newer timestamp
+    assert.equal(classify(detector, { remote: { ipv4: '198.51.100.4', lastUpdated: ago(60 * MINUTE) } }), 'remote_edited');
+});
+
+test('our own older value is cdn_lag inside the lag window and remote_stale after it', () => {
+    const detector = createDetector({ DRIFT_CDN_LAG_MS: String(30 * MINUTE) });
+    const remote = { ipv4: '203.0.113.1', lastUpdated: ago(60 * MINUTE) };
+
+    assert.equal(classify(detector, { remote }), 'cdn_lag');
+    assert.equal(classify(detector, { remote, now: NOW + 10 * MINUTE + 1 }), 'remote_stale');
+    assert.equal(classify(detector, { remote: { ...remote, ipv4: '203.0.113.7' } }), 'in_sync');
+});
+
+test('each state records its configured action and counts transitions, not repeats', () => {
+    const detector = createDetector({ DRIFT_REMOTE_EDITED: 'overwrite', DRIFT_CDN_LAG: 'republish' });
+
+    assert.equal(detector.record('web', 'ipv4', 'remote_unreachable'), 'alert');
+    assert.equal(detector.record('web', 'ipv4', 'remote_unreachable'), 'alert');
+    assert.equal(detector.record('web', 'ipv4', 'remote_edited', { remoteIp: '198.51.100.4' }), 'overwrite');
+    assert.equal(detector.record('api', 'ipv4', 'cdn_lag'), 'republish');
+    assert.equal(detector.record('api', 'ipv4', 'in_sync'), 'none');
+
+    const { counts, targets } = detector.getInfo();
+    assert.equal(counts.remote_unreachable, 1);
+    assert.equal(counts.remote_edited, 1);
+    assert.equal(counts.cdn_lag, 1);
+    assert.deepEqual(detector.getActive().map(entry => [entry.target, entry.state, entry.action, entry.remoteIp]), [
+        ['web', 'remote_edited', 'overwrite', '198.51.100.4']
+    ]);
+    assert.equal(targets.length, 2);
+});
+
+test('an action a state does not allow is rejected', () => {
+    const { drift } = new Config({ env: {}, argv: [] });
+    assert.throws(() => new DriftDetector({ drift: { ...drift, actions: { ...drift.actions, cdn_lag: 'overwrite' } } }), /Invalid drift action 'overwrite' for cdn_lag/);
+    assert.throws(() => new Config({ env: { DRIFT_CDN_LAG: 'overwrite' }, argv: [] }), /DRIFT_CDN_LAG/);
+});
@@ -0,0 +1,92 @@
+/**
+ * Gateway detection (NAT-PMP, UPnP IGD) against local stubs
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const gateway = require('../../src/providers/gateway');
+const { createProvider } = require('../../src/providers/providerTypes');
+const { classifyError } = require('../../src/providers/ProviderStats');
+const { WAN_IP_SERVICE, startNatPmpServer, startIgdServer } = require('../stubs/gatewayServer');
+
+test('NAT-PMP external address request (opcode 0)', async (t) => {
+    const stub = await startNatPmpServer(() => ({ externalIp: '203.0.113.7' }));
+    t.after(() => stub.close());
+
+    const provider = createProvider({ name: 'NAT-PMP', type: 'natpmp', scope: 'gateway', gateway: '127.0.0.1', port: stub.port }, { timeout: 1000 });
+
+    assert.equal(await provider.detect(), '203.0.113.7');
+    assert.deepEqual([...stub.requests[0]], [0, 0]);
+});
+
+test('NAT-PMP result codes and silence are errors', async (t) => {
+    const refusing = await startNatPmpServer(() => ({ resultCode: 2 }));
+    const silent = await startNatPmpServer(() => null);
+    t.after(() => Promise.all([refusing.close(), silent.close()]));
+
+    await assert.rejects(
+        gateway.getNatPmpExternalIp({ gateway: '127.0.0.1', port: refusing.port, timeout: 1000 }),
+        /result code 2/
+    );
+    await assert.rejects(
+        gateway.getNatPmpExternalIp({ gateway: '127.0.0.1', port: silent.port, timeout: 200 }),
+        (error) => classifyError(error) === 'timeout'
+    );
+});
+
+test('UPnP: SSDP discovery, device description and GetExternalIPAddress', async (t) => {
+    const stub = await startIgdServer();
+    t.after(() => stub.close());
+
+    const location = await gateway.discoverIgd({ ssdpAddress: '127.0.0.1', ssdpPort: stub.ssdpPort, timeout: 1000 });
+    assert.equal(location, stub.location);
+    assert.match(stub.searches[0], /^M-SEARCH \* HTTP\/1\.1\r\n/);
+    assert.match(stub.searches[0], /\r\nST: urn:schemas-upnp-org:device:InternetGatewayDevice:1\r\n/);
+
+    const provider = createProvider({
+        name: 'UPnP IGD',
+        type: 'upnp',
+        scope: 'gateway',
+        ssdpAddress: '127.0.0.1',
+        ssdpPort: stub.ssdpPort
+    }, { timeout: 1000 });
+
+    assert.equal(await provider.detect(), '203.0.113.7');
+    assert.equal(stub.soapRequests[0].action, `"${WAN_IP_SERVICE}#GetExternalIPAddress"`);
+    assert.match(stub.soapRequests[0].body, new RegExp(`<u:GetExternalIPAddress xmlns:u="${WAN_IP_SERVICE}">`));
+
+    // The control URL is reused while it works and rediscovered after a failure
+    stub.state.externalIp = '203.0.113.8';
+    assert.equal(await provider.detect(), '203.0.113.8');
+    assert.equal(stub.searches.length, 2);
+
+    stub.state.externalIp = null;
+    await assert.rejects(provider.detect());
+    stub.state.externalIp = '203.0.113.9';
+    assert.equal(await provider.detect(), '203.0.113.9');
+    assert.equal(stub.searches.length, 3);
+});
+
+test('findWanService resolves the control URL against URLBase or the location', () => {
+    const description = (base) => `<root>${base}<service><serviceType>urn:schemas-upnp-org:service:Layer3Forwarding:1</serviceType>` +
+        '<controlURL>/ctl/L3F</controlURL></service>' +
+        '<service><serviceType>urn:schemas-upnp-org:service:WANPPPConnection:1</serviceType>' +
+        '<controlURL>/ctl/PPPConn</controlURL></service></root>';
+
+    assert.deepEqual(gateway.findWanService(description(''), 'http://192.168.1.1:5000/rootDesc.xml'), {
+        serviceType: 'urn:schemas-upnp-org:service:WANPPPConnection:1',
+        controlUrl: 'http://192.168.1.1:5000/ctl/PPPConn'
+    });
+    assert.equal(
+        gateway.findWanService(description('<URLBase>http://10.0.0.1:49152/</URLBase>'), 'http://192.168.1.1:5000/rootDesc.xml').controlUrl,
+        'http://10.0.0.1:49152/ctl/PPPConn'
+    );
+    assert.throws(() => gateway.findWanService('<root></root>', 'http://192.168.1.1/'), /no WANIPConnection/);
+});
+
+test('isPrivateAddress', () => {
+    ['10.1.2.3', '192.168.0.1', '172.16.0.1', '100.64.0.1', '127.0.0.1'].forEach(ip => assert.ok(gateway.isPrivateAddress(ip, 'ipv4'), ip));
+    ['203.0.113.7', '172.32.0.1', '100.128.0.1'].forEach(ip => assert.ok(!gateway.isPrivateAddress(ip, 'ipv4'), ip));
+    ['::1', 'fe80::1', 'fd00::1'].forEach(ip => assert.ok(gateway.isPrivateAddress(ip, 'ipv6'), ip));
+    assert.ok(!gateway.isPrivateAddress('2001:db8::1', 'ipv6'));
+});
@@ -0,0 +1,128 @@
+/**
+ * GitClient error classification, against real git runs and captured remote output
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const GitClient = require('../../common/GitClient');
+const {
+    GitError, GitConflictError, GitAuthError, GitNonFastForwardError, GitNothingToCommitError, GitPushRejectedError, classifyGitError
+} = GitClient;
+const { GIT_ENV, git, write, createRepos, commitAndPush } = require('../stubs/gitRepo');
+
+const clientFor = (cwd) => new GitClient({ cwd, timeout: 10000, env: GIT_ENV });
+
+test('committing with nothing staged is ENOTHINGTOCOMMIT', async (t) => {
+    const { clone } = createRepos(t);
+    await assert.rejects(clientFor(clone('work')).commit('update ip'), (error) => {
+        assert.ok(error instanceof GitNothingToCommitError);
+        assert.equal(error.code, 'ENOTHINGTOCOMMIT');
+        assert.deepEqual(error.args, ['commit', '-m', 'update ip']);
+        return true;
+    });
+});
+
+test('a push behind the remote is ENONFASTFORWARD', async (t) => {
+    const { clone } = createRepos(t);
+    const work = clone('work');
+    commitAndPush(clone('other'), { 'ip.json': '{"ip":"203.0.113.1"}\n' });
+
+    write(work, { 'ip.json': '{"ip":"203.0.113.2"}\n' });
+    git(work, 'add', '-A');
+    git(work, 'commit', '--quiet', '-m', 'update ip');
+
+    await assert.rejects(clientFor(work).push(), (error) => {
+        assert.ok(error instanceof GitNonFastForwardError);
+        assert.equal(error.code, 'ENONFASTFORWARD');
+        assert.match(error.message, /^git push failed: .*rejected/);
+        return true;
+    });
+});
+
+test('a rebase onto a conflicting change is ECONFLICT', async (t) => {
+    const { clone } = createRepos(t, { 'ip.json': '{"ip":"203.0.113.1"}\n' });
+    const work = clone('work');
+    commitAndPush(clone('other'), { 'ip.json': '{"ip":"203.0.113.3"}\n' });
+
+    write(work, { 'ip.json': '{"ip":"203.0.113.2"}\n' });
+    git(work, 'commit', '--quiet', '-am', 'update ip');
+
+    const client = clientFor(work);
+    await assert.rejects(client.pull(['--rebase']), (error) => {
+        assert.ok(error instanceof GitConflictError);
+        assert.equal(error.code, 'ECONFLICT');
+        return true;
+    });
+    assert.deepEqual(await client.conflictedFiles(), ['ip.json']);
+    assert.equal(await client.isRebasing(), true);
+});
+
+test('a push declined by a hook is EREJECTED, not a non-fast-forward', async (t) => {
+    const { origin, clone } = createRepos(t);
+    const hook = path.join(origin, 'hooks', 'pre-receive');
+    fs.writeFileSync(hook, '#!/bin/sh\necho "protected branch" >&2\nexit 1\n', { mode: 0o755 });
+
+    const work = clone('work');
+    write(work, { 'ip.json': '{}\n' });
+    git(work, 'add', '-A');
+    git(work, 'commit', '--quiet', '-m', 'update ip');
+
+    await assert.rejects(clientFor(work).push(), (error) => {
+        assert.ok(error instanceof GitPushRejectedError);
+        assert.ok(!(error instanceof GitNonFastForwardError));
+        assert.equal(error.code, 'EREJECTED');
+        assert.match(error.message, /\[remote rejected\] main -> main \(pre-receive hook declined\)/);
+        return true;
+    });
+});
+
+test('a remote asking for credentials is EAUTH', async (t) => {
+    const server = http.createServer((req, res) => {
+        res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="git"' });
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(done => server.close(done)));
+
+    const { clone } = createRepos(t);
+    const work = clone('work');
+    git(work, 'remote', 'set-url', 'origin', `http://127.0.0.1:${server.address().port}/acme/ip-config.git`);
+
+    await assert.rejects(clientFor(work).pull(['--ff-only']), (error) => {
+        assert.ok(error instanceof GitAuthError);
+        assert.equal(error.code, 'EAUTH');
+        return true;
+    });
+});
+
+test('captured remote output is classified by what the remote said', () => {
+    const classify = (stderr) => classifyGitError(['push'], 1, '', stderr);
+
+    const protectedBranch = classify([
+        'remote: error: GH006: Protected branch update failed for refs/heads/main.',
+        'To github.com:acme/ip-config.git',
+        ' ! [remote rejected] main -> main (protected branch hook declined)',
+        "error: failed to push some refs to 'github.com:acme/ip-config.git'"
+    ].join('\n'));
+    assert.equal(protectedBranch.code, 'EREJECTED');
+
+    const behind = classify([
+        'To github.com:acme/ip-config.git',
+        ' ! [rejected]        main -> main (fetch first)',
+        "error: failed to push some refs to 'github.com:acme/ip-config.git'",
+        'hint: Updates were rejected because the remote contains work that you do'
+    ].join('\n'));
+    assert.equal(behind.code, 'ENONFASTFORWARD');
+    assert.equal(behind.message, "git push failed: ! [rejected]        main -> main (fetch first) | error: failed to push some refs to 'github.com:acme/ip-config.git'");
+
+    assert.equal(classify("remote: Invalid username or password.\nfatal: Authentication failed for 'https://github.com/acme/ip-config.git/'").code, 'EAUTH');
+    assert.equal(classify('ERROR: Repository not found.\nfatal: Could not read from remote repository.').code, 'EAUTH');
+
+    const unknown = classify('fatal: unable to access: Could not resolve host: github.com');
+    assert.ok(unknown instanceof GitError);
+    assert.equal(unknown.code, 'EGIT');
+    assert.equal(unknown.exitCode, 1);
+});
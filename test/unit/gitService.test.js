@@ -0,0 +1,103 @@
+/**
+ * GitService commits: restricted to the managed files, and refusing a busy index
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const GitClient = require('../../common/GitClient');
+const GitService = require('../../src/services/GitService');
+const Config = require('../../src/config/Config');
+const { GIT_ENV, git, write, createRepos } = require('../stubs/gitRepo');
+
+const IP_JSON = 'src/config/ip.json';
+const KEYS = 'data/keys/public-keys.json';
+
+/**
+ * GitService working in a fresh clone (paths resolve against the working directory, so it moves there)
+ */
+const createService = (t, git = {}) => {
+    const { clone, origin } = createRepos(t, { [IP_JSON]: '{}\n', [KEYS]: '{"keys":[]}\n', 'README.md': 'test\n' });
+    const work = clone('work');
+
+    const cwd = process.cwd();
+    process.chdir(work);
+    t.after(() => process.chdir(cwd));
+
+    const service = new GitService({
+        configPath: path.join(work, IP_JSON),
+        git: {
+            enabled: true,
+            autoCommit: true,
+            maxRetries: 3,
+            timeout: 10000,
+            managedFiles: [IP_JSON],
+            stagedChanges: 'refuse',
+            pullStrategy: 'rebase',
+            ...git
+        },
+        ipMonitor: { defaultTarget: 'web', historyLimit: 20 }
+    });
+    service.git = new GitClient({ cwd: work, timeout: 10000, env: GIT_ENV });
+
+    return { service, work, origin };
+};
+
+const filesIn = (dir, ref) => git(dir, 'show', '--name-only', '--format=', ref).split('\n').filter(Boolean);
+
+test('only the managed files are committed and pushed; other changes stay as they were', async (t) => {
+    const { service, work } = createService(t, { stagedChanges: 'ignore' });
+    write(work, { [IP_JSON]: '{"ip":"203.0.113.7"}\n', 'README.md': 'edited\n', 'notes.txt': 'staged\n' });
+    git(work, 'add', 'notes.txt');
+
+    const result = await service.commitAndPush('update ip web 203.0.113.7');
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.operations, ['check-index', 'add', 'commit', 'pull', 'push']);
+    assert.equal(git(work, 'rev-parse', 'origin/main'), result.commitSha);
+    assert.deepEqual(filesIn(work, 'HEAD'), [IP_JSON]);
+    assert.deepEqual(git(work, 'status', '--porcelain').split('\n'), [' M README.md', 'A  notes.txt']);
+});
+
+test('every file in the managed list is committed, and only when one of them changed', async (t) => {
+    const { service, work } = createService(t, { managedFiles: [IP_JSON, KEYS] });
+
+    write(work, { 'README.md': 'edited\n' });
+    assert.deepEqual(await service.commitAndPush('update ip'), { success: true, message: 'No changes to commit' });
+
+    write(work, { [IP_JSON]: '{"ip":"203.0.113.7"}\n', [KEYS]: '{"keys":[{"keyId":"a"}]}\n' });
+    await service.commitAndPush('update ip web 203.0.113.7');
+    assert.deepEqual(filesIn(work, 'origin/main').sort(), [KEYS, IP_JSON].sort());
+    assert.deepEqual(git(work, 'status', '--porcelain').split('\n'), [' M README.md']);
+});
+
+test('unrelated staged changes are refused without committing or retrying', async (t) => {
+    const { service, work } = createService(t);
+    const before = git(work, 'rev-parse', 'HEAD');
+    write(work, { [IP_JSON]: '{"ip":"203.0.113.7"}\n', 'notes.txt': 'staged\n' });
+    git(work, 'add', 'notes.txt');
+
+    const started = Date.now();
+    await assert.rejects(service.commitIpChange([{ target: 'web', family: 'ipv4', oldIp: null, newIp: '203.0.113.7' }]), (error) => {
+        assert.equal(error.code, 'ESTAGEDCHANGES');
+        assert.match(error.message, /unrelated changes are staged \(notes\.txt\)/);
+        assert.deepEqual(error.cause.files, ['notes.txt']);
+        assert.equal(error.cause.step, 'check-index');
+        return true;
+    });
+
+    // The retry delay is 2s; a refusal must not wait for it
+    assert.ok(Date.now() - started < 2000);
+    assert.equal(git(work, 'rev-parse', 'HEAD'), before);
+    assert.deepEqual(git(work, 'status', '--porcelain').split('\n'), ['A  notes.txt', ` M ${IP_JSON}`]);
+});
+
+test('the managed files default to ip.json relative to the working directory', (t) => {
+    const cwd = process.cwd();
+    t.after(() => process.chdir(cwd));
+    process.chdir(path.join(__dirname, '..', '..'));
+
+    const config = new Config({ env: { IP_CONFIG_PATH: path.resolve('src/config/ip.json') }, argv: [] });
+    assert.deepEqual(config.git.managedFiles, [IP_JSON]);
+    assert.deepEqual(new Config({ env: { GIT_MANAGED_FILES: `${IP_JSON}, ${KEYS}` }, argv: [] }).git.managedFiles, [IP_JSON, KEYS]);
+});
@@ -0,0 +1,161 @@
+/**
+ * GitHub contents API publishing against a local stub
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GitHubApiService = require('../../src/services/GitHubApiService');
+const { startGitHubApiServer, blobSha } = require('../stubs/githubApiServer');
+
+const at = (hour) => `2026-01-01T${String(hour).padStart(2, '0')}:00:00.000Z`;
+
+const ipConfig = (targets, lastUpdated) => JSON.stringify({
+    targets: Object.fromEntries(Object.entries(targets).map(([name, ip]) => [name, {
+        ip,
+        ipv4: ip,
+        ipv6: null,
+        policy: {},
+        lastUpdated,
+        history: [{ ip, family: 'ipv4', method: 'test', detectedAt: lastUpdated }]
+    }])),
+    lastUpdated
+}, null, 2);
+
+const createService = async (t, { content = null, token = 'test-token', conflictStatus } = {}) => {
+    const stub = await startGitHubApiServer({ content, conflictStatus });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-api-'));
+    t.after(async () => {
+        await stub.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const configPath = path.join(dir, 'ip.json');
+    const service = new GitHubApiService({
+        configPath,
+        git: { enabled: true, autoCommit: true, maxRetries: 3, timeout: 2000 },
+        github: { apiUrl: stub.apiUrl, owner: 'acme', repo: 'ip config', branch: 'main', path: 'src/config/ip.json', token },
+        ipMonitor: { defaultTarget: 'web', historyLimit: 20 }
+    });
+
+    return { stub, service, configPath };
+};
+
+const changes = [{ target: 'web', family: 'ipv4', oldIp: '203.0.113.1', newIp: '203.0.113.2' }];
+
+test('publish reads the sha and PUTs the merged file with it', async (t) => {
+    const remote = ipConfig({ web: '203.0.113.1' }, at(1));
+    const { stub, service, configPath } = await createService(t, { content: remote });
+    fs.writeFileSync(configPath, ipConfig({ web: '203.0.113.2' }, at(2)));
+
+    const result = await service.commitIpChange(changes);
+
+    assert.match(result.commitSha, /^[0-9a-f]{40}$/);
+    assert.deepEqual(stub.requests.map(r => r.method), ['GET', 'PUT']);
+
+    const [get, put] = stub.requests;
+    assert.equal(get.path, '/repos/acme/ip%20config/contents/src/config/ip.json');
+    assert.deepEqual(get.query, { ref: 'main' });
+    assert.equal(get.headers['x-github-api-version'], '2022-11-28');
+    assert.equal(put.body.sha, blobSha(remote));
+    assert.equal(put.body.branch, 'main');
+    assert.match(put.body.message, /203\.0\.113\.2/);
+    assert.equal(JSON.parse(stub.state.content).targets.web.ipv4, '203.0.113.2');
+
+    // Nothing to write the second time
+    assert.equal((await service.commitIpChange(changes)).message, 'No changes to commit');
+    assert.equal(stub.requests.length, 3);
+});
+
+test('publish creates the file when it does not exist', async (t) => {
+    const { stub, service, configPath } = await createService(t);
+    fs.writeFileSync(configPath, ipConfig({ web: '203.0.113.2' }, at(2)));
+
+    await service.commitIpChange(changes);
+
+    assert.equal(stub.requests[1].body.sha, undefined);
+    assert.equal(JSON.parse(stub.state.content).targets.web.ipv4, '203.0.113.2');
+});
+
+for (const conflictStatus of [409, 422]) {
+    test(`a ${conflictStatus} sha conflict re-reads the file and merges the concurrent change`, async (t) => {
+        const { stub, service, configPath } = await createService(t, { content: ipConfig({ web: '203.0.113.1' }, at(1)), conflictStatus });
+        fs.writeFileSync(configPath, ipConfig({ web: '203.0.113.2' }, at(2)));
+
+        // Another monitor adds its target between our GET and PUT
+        stub.state.beforePut = () => {
+            stub.state.beforePut = null;
+            const concurrent = JSON.parse(ipConfig({ web: '203.0.113.1' }, at(1)));
+            concurrent.targets.api = JSON.parse(ipConfig({ api: '198.51.100.7' }, at(3))).targets.api;
+            stub.state.content = JSON.stringify({ ...concurrent, lastUpdated: at(3) }, null, 2);
+        };
+
+        await service.commitIpChange(changes);
+
+        assert.deepEqual(stub.requests.map(r => r.method), ['GET', 'PUT', 'GET', 'PUT']);
+        assert.equal(stub.state.commits, 1);
+
+        const published = JSON.parse(stub.state.content);
+        assert.equal(published.targets.web.ipv4, '203.0.113.2');
+        assert.equal(published.targets.api.ipv4, '198.51.100.7');
+        assert.deepEqual(JSON.parse(fs.readFileSync(configPath, 'utf8')), published);
+    });
+}
+
+test('the merged document is written back to the local ip.json', async (t) => {
+    const remote = JSON.parse(ipConfig({ web: '203.0.113.1', api: '198.51.100.7' }, at(3)));
+    remote.targets.web = JSON.parse(ipConfig({ web: '203.0.113.1' }, at(1))).targets.web;
+    remote.owner = 'ops';
+    const { stub, service, configPath } = await createService(t, { content: JSON.stringify(remote, null, 2) });
+    fs.writeFileSync(configPath, ipConfig({ web: '203.0.113.2' }, at(2)));
+
+    await service.commitIpChange(changes);
+
+    const local = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    assert.deepEqual(local, JSON.parse(stub.state.content));
+    assert.equal(local.targets.web.ipv4, '203.0.113.2');
+    assert.equal(local.targets.api.ipv4, '198.51.100.7');
+    assert.equal(local.owner, 'ops');
+});
+
+test('bad credentials are not retried', async (t) => {
+    const { stub, service, configPath } = await createService(t, { content: ipConfig({ web: '203.0.113.1' }, at(1)), token: 'wrong-token' });
+    fs.writeFileSync(configPath, ipConfig({ web: '203.0.113.2' }, at(2)));
+
+    await assert.rejects(service.commitIpChange(changes), (error) => {
+        assert.equal(error.code, 'EAUTH');
+        assert.match(error.message, /401.*Bad credentials/);
+        return true;
+    });
+    assert.equal(stub.requests.length, 1);
+
+    const status = await service.validateService();
+    assert.equal(status.healthy, false);
+    assert.equal(stub.requests.length, 2);
+});
+
+test('validateService reuses a recent successful call instead of asking GitHub', async (t) => {
+    const remote = ipConfig({ web: '203.0.113.1' }, at(1));
+    const { stub, service, configPath } = await createService(t, { content: remote });
+
+    const first = await service.validateService();
+    assert.equal(first.healthy, true);
+    assert.equal(first.repository.fileSha, blobSha(remote));
+    assert.equal(stub.requests.length, 1);
+
+    await service.validateService();
+    assert.equal(stub.requests.length, 1);
+
+    // A publish refreshes the known sha
+    fs.writeFileSync(configPath, ipConfig({ web: '203.0.113.2' }, at(2)));
+    await service.commitIpChange(changes);
+    assert.equal((await service.validateService()).repository.fileSha, blobSha(stub.state.content));
+    assert.equal(stub.requests.length, 3);
+
+    // Past the TTL it reads the file again
+    service.lastAccess.at -= GitHubApiService.VALIDATION_TTL;
+    await service.validateService();
+    assert.equal(stub.requests.length, 4);
+});
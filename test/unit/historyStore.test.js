@@ -0,0 +1,89 @@
+/**
+ * IP history summary and queries
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HistoryStore = require('../../src/services/HistoryStore');
+const IpMonitorService = require('../../src/services/IpMonitorService');
+
+const HOUR = 60 * 60 * 1000;
+const at = (hours) => new Date(Date.UTC(2026, 0, 1) + hours * HOUR).toISOString();
+
+const createStore = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ip-history-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new HistoryStore({ history: { enabled: true, path: path.join(dir, 'ip-history.jsonl') } });
+};
+
+test('summary does not count the first observation of a target as a change', async (t) => {
+    const store = createStore(t);
+    await store.append([
+        { timestamp: at(0), target: 'web', family: 'ipv4', ip: '203.0.113.1', previousIp: null, changed: true },
+        { timestamp: at(1), target: 'web', family: 'ipv4', ip: '203.0.113.1', previousIp: '203.0.113.1', changed: false },
+        { timestamp: at(5), target: 'web', family: 'ipv4', ip: '203.0.113.2', previousIp: '203.0.113.1', changed: true },
+        { timestamp: at(9), target: 'web', family: 'ipv4', ip: '203.0.113.3', previousIp: '203.0.113.2', changed: true },
+        { timestamp: at(10), target: 'web', family: 'ipv4', ip: '203.0.113.3', previousIp: '203.0.113.3', changed: false },
+        { timestamp: at(2), target: 'api', family: 'ipv6', ip: '2001:db8::1', previousIp: null, changed: true }
+    ]);
+
+    const [web, api] = await store.summary();
+
+    assert.equal(web.observations, 5);
+    assert.equal(web.changes, 2);
+    assert.equal(web.distinctIps, 3);
+    assert.equal(web.currentIp, '203.0.113.3');
+    assert.equal(web.lastChange, at(9));
+    assert.equal(web.currentLeaseMs, HOUR);
+    assert.equal(web.averageLeaseMs, 4 * HOUR);
+
+    assert.equal(api.changes, 0);
+    assert.equal(api.lastChange, null);
+    assert.equal(api.currentLeaseMs, null);
+});
+
+test('query filters, orders and pages entries', async (t) => {
+    const store = createStore(t);
+    await store.append([0, 1, 2, 3].map(hour => ({
+        timestamp: at(hour),
+        target: 'web',
+        family: 'ipv4',
+        ip: `203.0.113.${hour}`,
+        previousIp: hour > 0 ? `203.0.113.${hour - 1}` : null,
+        changed: hour !== 2
+    })));
+
+    const page = await store.query({ limit: 2, offset: 1 });
+    assert.equal(page.total, 4);
+    assert.deepEqual(page.items.map(e => e.ip), ['203.0.113.2', '203.0.113.1']);
+
+    const changes = await store.query({ changesOnly: true, from: at(1), order: 'asc' });
+    assert.deepEqual(changes.items.map(e => e.ip), ['203.0.113.1', '203.0.113.3']);
+
+    assert.throws(() => HistoryStore.parseTime('yesterday'), /Invalid time/);
+});
+
+test('adaptive scheduling is seeded from the last real change, not ip.json lastUpdated', async (t) => {
+    const store = createStore(t);
+    await store.append([
+        { timestamp: at(0), target: 'web', family: 'ipv4', ip: '203.0.113.1', previousIp: null, changed: true },
+        { timestamp: at(5), target: 'web', family: 'ipv4', ip: '203.0.113.2', previousIp: '203.0.113.1', changed: true },
+        { timestamp: at(7), target: 'api', family: 'ipv6', ip: '2001:db8::1', previousIp: null, changed: true },
+        { timestamp: at(20), target: 'web', family: 'ipv4', ip: '203.0.113.2', previousIp: '203.0.113.2', changed: false }
+    ]);
+    assert.equal(await store.lastChangeAt(), Date.parse(at(5)));
+    assert.equal(await createStore(t).lastChangeAt(), null);
+
+    // A target re-signed a minute ago must not look like a fresh change
+    const seeded = [];
+    const service = Object.create(IpMonitorService.prototype);
+    service.history = store;
+    service.store = { readOrEmpty: async () => ({ targets: { web: { lastUpdated: new Date().toISOString() } } }) };
+    service.scheduler = { setLastChange: (time) => seeded.push(time), start: () => {} };
+
+    await service.startPeriodicMonitoring();
+    assert.deepEqual(seeded, [Date.parse(at(5))]);
+});
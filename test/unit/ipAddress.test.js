@@ -0,0 +1,48 @@
+/**
+ * IP address normalization and comparison (IPv4 / IPv6)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeIp, ipsEqual, getIpFamily, isValidIp, isValidIpv6, expandIpv6 } = require('../../src/utils/helpers');
+
+test('normalizeIp compresses and lowercases IPv6 (RFC 5952)', () => {
+    assert.equal(normalizeIp('2001:0DB8:0000:0000:0000:0000:0000:0001'), '2001:db8::1');
+    assert.equal(normalizeIp('2001:db8:0:0:1:0:0:1'), '2001:db8::1:0:0:1');
+    assert.equal(normalizeIp('[2001:db8::1]'), '2001:db8::1');
+    assert.equal(normalizeIp(' 203.0.113.7 '), '203.0.113.7');
+});
+
+test('normalizeIp keeps zone ids and can unwrap IPv4-mapped addresses', () => {
+    assert.equal(normalizeIp('FE80::1%eth0'), 'fe80::1%eth0');
+    assert.equal(normalizeIp('::ffff:203.0.113.7'), '::ffff:203.0.113.7');
+    assert.equal(normalizeIp('::ffff:203.0.113.7', { unmapIpv4: true }), '203.0.113.7');
+});
+
+test('normalizeIp rejects invalid input', () => {
+    ['', null, 'example.com', '256.1.1.1', '2001:db8::1::2', '1:2:3:4:5:6:7:8:9'].forEach(value => {
+        assert.equal(normalizeIp(value), null, String(value));
+    });
+});
+
+test('ipsEqual compares normalized addresses', () => {
+    assert.ok(ipsEqual('2001:DB8:0:0::1', '2001:db8::1'));
+    assert.ok(ipsEqual('203.0.113.7', '203.0.113.7'));
+    assert.ok(!ipsEqual('203.0.113.7', '203.0.113.8'));
+    assert.ok(!ipsEqual(null, '203.0.113.7'));
+});
+
+test('getIpFamily reports mapped addresses as ipv4', () => {
+    assert.equal(getIpFamily('203.0.113.7'), 'ipv4');
+    assert.equal(getIpFamily('2001:db8::1'), 'ipv6');
+    assert.equal(getIpFamily('::ffff:203.0.113.7'), 'ipv4');
+    assert.equal(getIpFamily('nope'), null);
+});
+
+test('IPv6 validation and expansion', () => {
+    assert.ok(isValidIpv6('::1'));
+    assert.ok(isValidIp('2001:db8::1%2'));
+    assert.ok(!isValidIp('2001:db8:::1'));
+    assert.deepEqual(expandIpv6('2001:db8::1'), [0x2001, 0xdb8, 0, 0, 0, 0, 0, 1]);
+    assert.deepEqual(expandIpv6('::ffff:1.2.3.4'), [0, 0, 0, 0, 0, 0xffff, 0x0102, 0x0304]);
+});
@@ -0,0 +1,123 @@
+/**
+ * ip.json normalization and conflict merging
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeIpConfig, serializeIpConfig, mergeIpConfigs } = require('../../src/services/IpConfigStore');
+
+const at = (hour) => `2026-01-01T${String(hour).padStart(2, '0')}:00:00.000Z`;
+
+const target = ({ ipv4 = null, ipv6 = null, lastUpdated, history = [], ...rest }) => ({
+    ip: ipv4 || ipv6,
+    ipv4,
+    ipv6,
+    policy: {},
+    lastUpdated,
+    history,
+    ...rest
+});
+
+const detection = (ip, family, hour) => ({ ip, family, method: 'test', detectedAt: at(hour) });
+
+test('normalizeIpConfig reads the legacy layouts', () => {
+    assert.deepEqual(normalizeIpConfig({ ip: '203.0.113.7' }, 'web').targets.web.ipv4, '203.0.113.7');
+
+    const flat = normalizeIpConfig({ web: '2001:DB8::1', api: '::ffff:203.0.113.9', lastUpdated: at(1), note: 'keep' });
+    assert.equal(flat.targets.web.ipv6, '2001:db8::1');
+    assert.equal(flat.targets.web.ip, '2001:db8::1');
+    assert.equal(flat.targets.api.ipv4, '203.0.113.9');
+    assert.equal(flat.targets.note, undefined);
+    assert.deepEqual(flat.meta, { lastUpdated: at(1) });
+
+    const serialized = serializeIpConfig(flat);
+    assert.equal(serialized.web, '2001:db8::1');
+    assert.equal(serialized.targets.api.ip, '203.0.113.9');
+});
+
+test('mergeIpConfigs keeps the most recently detected address per family', () => {
+    // Ours saw a new IPv4 at 05:00, theirs a new IPv6 at 06:00 (and updated last)
+    const ours = {
+        targets: {
+            web: target({
+                ipv4: '203.0.113.2',
+                ipv6: '2001:db8::1',
+                lastUpdated: at(5),
+                history: [detection('2001:db8::1', 'ipv6', 1), detection('203.0.113.2', 'ipv4', 5)]
+            })
+        },
+        lastUpdated: at(5)
+    };
+    const theirs = {
+        targets: {
+            web: target({
+                ipv4: '203.0.113.1',
+                ipv6: '2001:db8::2',
+                lastUpdated: at(6),
+                history: [detection('2001:db8::1', 'ipv6', 1), detection('203.0.113.1', 'ipv4', 2), detection('2001:db8::2', 'ipv6', 6)]
+            })
+        },
+        lastUpdated: at(6)
+    };
+
+    const merged = mergeIpConfigs(ours, theirs);
+    const web = merged.targets.web;
+
+    assert.equal(web.ipv4, '203.0.113.2');
+    assert.equal(web.ipv6, '2001:db8::2');
+    assert.equal(web.ip, '203.0.113.2');
+    assert.equal(merged.web, '203.0.113.2');
+    assert.equal(web.lastUpdated, at(6));
+    assert.equal(merged.lastUpdated, at(6));
+
+    // Histories are combined without duplicates, oldest first
+    assert.deepEqual(web.history.map(entry => entry.detectedAt), [at(1), at(2), at(5), at(6)]);
+
+    // Either argument order gives the same addresses
+    const reversed = mergeIpConfigs(theirs, ours).targets.web;
+    assert.equal(reversed.ipv4, '203.0.113.2');
+    assert.equal(reversed.ipv6, '2001:db8::2');
+});
+
+test('mergeIpConfigs keeps one-sided targets, unknown fields and the history limit', () => {
+    const ours = {
+        targets: { web: target({ ipv4: '203.0.113.1', lastUpdated: at(1), history: [1, 2, 3].map(h => detection(`203.0.113.${h}`, 'ipv4', h)) }) },
+        lastUpdated: at(3),
+        owner: 'ours',
+        ours: true
+    };
+    const theirs = {
+        targets: {
+            web: target({ ipv4: '203.0.113.4', lastUpdated: at(4), history: [4].map(h => detection(`203.0.113.${h}`, 'ipv4', h)) }),
+            api: target({ ipv4: '198.51.100.1', lastUpdated: at(2) })
+        },
+        lastUpdated: at(4),
+        owner: 'theirs'
+    };
+
+    const merged = mergeIpConfigs(ours, theirs, { historyLimit: 3 });
+
+    assert.equal(merged.targets.api.ipv4, '198.51.100.1');
+    assert.equal(merged.api, '198.51.100.1');
+    assert.equal(merged.targets.web.ipv4, '203.0.113.4');
+    assert.deepEqual(merged.targets.web.history.map(entry => entry.ip), ['203.0.113.2', '203.0.113.3', '203.0.113.4']);
+    assert.equal(merged.owner, 'theirs');
+    assert.equal(merged.ours, true);
+});
+
+test('mergeIpConfigs drops a signature that no longer covers the merged addresses', () => {
+    const signature = (sequence, value) => ({ alg: 'Ed25519', keyId: 'k1', sequence, signedAt: at(1), value });
+
+    // Each side signed its own addresses; the merge mixes them, so neither signature holds
+    const ours = { targets: { web: target({ ipv4: '203.0.113.2', ipv6: '2001:db8::1', lastUpdated: at(5), signature: signature(3, 'a'), history: [detection('203.0.113.2', 'ipv4', 5)] }) } };
+    const theirs = { targets: { web: target({ ipv4: '203.0.113.1', ipv6: '2001:db8::2', lastUpdated: at(6), signature: signature(4, 'b'), history: [detection('203.0.113.1', 'ipv4', 2), detection('2001:db8::2', 'ipv6', 6)] }) } };
+
+    assert.deepEqual(mergeIpConfigs(ours, theirs).targets.web.signature, { sequence: 4 });
+
+    // A side whose addresses win on both families keeps its signature
+    const stale = { targets: { web: target({ ipv4: '203.0.113.1', lastUpdated: at(1), signature: signature(2, 'c'), history: [detection('203.0.113.1', 'ipv4', 1)] }) } };
+    const fresh = { targets: { web: target({ ipv4: '203.0.113.9', lastUpdated: at(7), signature: signature(3, 'd'), history: [detection('203.0.113.9', 'ipv4', 7)] }) } };
+
+    assert.equal(mergeIpConfigs(stale, fresh).targets.web.signature.value, 'd');
+    assert.equal(mergeIpConfigs(fresh, stale).targets.web.signature.value, 'd');
+});
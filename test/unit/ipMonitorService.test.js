@@ -0,0 +1,207 @@
+/**
+ * IpMonitorService: git validation state, what dry-run / skip-git checks publish
+ * and the drift action a check applies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IpMonitorService = require('../../src/services/IpMonitorService');
+const Config = require('../../src/config/Config');
+
+const IP_JSON = 'src/config/ip.json';
+const HOUR = 60 * 60 * 1000;
+const ago = (ms) => new Date(Date.now() - ms).toISOString();
+
+/**
+ * Service working in a temp directory whose detection finds `publicIp` and whose published
+ * copy holds `remote` (an Error when unreachable); git and a second publisher record their calls
+ */
+const createService = (t, {
+    env = {},
+    local = null,
+    publicIp = '203.0.113.7',
+    remote = { ipv4: '203.0.113.1', ipv6: null, lastUpdated: null }
+} = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ip-monitor-'));
+    const cwd = process.cwd();
+    process.chdir(dir);
+    t.after(() => {
+        process.chdir(cwd);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    if (local) {
+        fs.mkdirSync(path.dirname(IP_JSON), { recursive: true });
+        fs.writeFileSync(IP_JSON, JSON.stringify({ targets: { web: local } }, null, 2));
+    }
+
+    const service = new IpMonitorService(new Config({ env: { IP_DEFAULT_TARGET: 'web', ...env }, argv: [] }));
+    t.after(() => service.traces.unsubscribe());
+
+    service.ipDetection = {
+        getFamiliesForPolicy: () => ['ipv4'],
+        getPublicIps: async () => ({ ipv4: { ip: publicIp, method: 'stub' }, ipv6: null, errors: {}, consensus: {} }),
+        getRemoteIp: async () => {
+            if (remote instanceof Error) throw remote;
+            return { targets: { web: remote }, cache: { age: 120, etag: null } };
+        }
+    };
+
+    const calls = { git: [], mirror: [] };
+    service.gitService.commitIpChange = async (changes) => {
+        calls.git.push(changes);
+        return { success: true, commitSha: 'abc123' };
+    };
+    service.publishers.register({
+        name: 'mirror',
+        maxRetries: 1,
+        publish: async (event) => {
+            calls.mirror.push(event);
+            return { success: true };
+        }
+    });
+
+    return { service, dir, calls };
+};
+
+test('a failed git validation disables git on the service, not in the config', async () => {
+    const service = Object.create(IpMonitorService.prototype);
+    service.config = new Config({ env: {}, argv: [] });
+    service.gitService = { validateService: async () => ({ healthy: false, error: 'not a git repository' }) };
+
+    await service.validateGit();
+
+    assert.equal(service.isGitEnabled(), false);
+    assert.equal(service.config.git.enabled, true);
+    // A reload of the same settings sees nothing to apply
+    assert.deepEqual(service.config.diff(new Config({ env: {}, argv: [] })), []);
+
+    service.gitService = { validateService: async () => ({ healthy: true }) };
+    await service.validateGit();
+    assert.equal(service.isGitEnabled(), true);
+});
+
+test('a dry-run check reports the change and writes nothing', async (t) => {
+    const { service, dir, calls } = createService(t);
+
+    const result = await service.forceCheck({ dryRun: true });
+
+    assert.equal(result.dryRun, true);
+    assert.equal(result.updated, false);
+    assert.equal(result.wouldUpdate, true);
+    assert.equal(result.newIp, '203.0.113.7');
+    assert.deepEqual(result.commit, { attempted: false, reason: 'Dry run' });
+
+    assert.deepEqual(calls, { git: [], mirror: [] });
+    for (const file of [IP_JSON, 'data/ip-history.jsonl', 'data/publisher-state.json']) {
+        assert.equal(fs.existsSync(path.join(dir, file)), false, `${file} was written`);
+    }
+});
+
+test('skip-git updates ip.json and the other publishers, only git is skipped', async (t) => {
+    const { service, dir, calls } = createService(t);
+
+    const result = await service.forceCheck({ skipGit: true });
+
+    assert.equal(result.updated, true);
+    assert.deepEqual(result.commit, { attempted: false, reason: 'Skipped on request' });
+    assert.equal(result.publishers.mirror.success, true);
+
+    assert.equal(calls.git.length, 0);
+    assert.equal(calls.mirror.length, 1);
+    assert.equal(calls.mirror[0].targets.web.ipv4, '203.0.113.7');
+
+    const ipJson = JSON.parse(fs.readFileSync(path.join(dir, IP_JSON), 'utf8'));
+    assert.equal(ipJson.targets.web.ipv4, '203.0.113.7');
+    assert.equal(fs.existsSync(path.join(dir, 'data/ip-history.jsonl')), true);
+
+    // The same check without the flag commits
+    service.ipDetection.getPublicIps = async () => ({ ipv4: { ip: '203.0.113.8', method: 'stub' }, ipv6: null, errors: {}, consensus: {} });
+    const committed = await service.forceCheck();
+    assert.equal(committed.commit.commitSha, 'abc123');
+    assert.equal(calls.git.length, 1);
+});
+
+const UNREACHABLE = new Error('Failed to fetch remote IP: getaddrinfo ENOTFOUND raw.githubusercontent.com');
+
+test('an unreachable published copy alerts and still publishes a change', async (t) => {
+    const { service, calls } = createService(t, { remote: UNREACHABLE });
+
+    const result = await service.forceCheck();
+
+    assert.equal(result.updated, true);
+    assert.equal(calls.git.length, 1);
+    assert.equal(service.drift.getInfo().remote.reachable, false);
+});
+
+test('an unreachable published copy pauses all publishing when the action is pause', async (t) => {
+    const { service, dir, calls } = createService(t, {
+        env: { DRIFT_REMOTE_UNREACHABLE: 'pause' },
+        local: { ipv4: '203.0.113.1', lastUpdated: ago(HOUR) },
+        remote: UNREACHABLE
+    });
+
+    const result = await service.forceCheck();
+
+    assert.equal(result.paused, true);
+    assert.equal(result.updated, false);
+    assert.equal(result.commit.reason, 'Paused by drift policy (*/*: remote_unreachable)');
+    assert.deepEqual(calls, { git: [], mirror: [] });
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, IP_JSON), 'utf8')).targets.web.ipv4, '203.0.113.1');
+});
+
+// Our last write was two hours ago; someone published another address an hour ago
+const REMOTE_EDIT = {
+    local: { ipv4: '203.0.113.7', lastUpdated: ago(2 * HOUR) },
+    remote: { ipv4: '198.51.100.4', ipv6: null, lastUpdated: ago(HOUR) }
+};
+
+test('a remote edit is reported and left in place by default', async (t) => {
+    const { service, calls } = createService(t, REMOTE_EDIT);
+
+    const result = await service.forceCheck();
+
+    assert.equal(result.updated, false);
+    assert.deepEqual([result.targets.web.ipv4.drift, result.targets.web.ipv4.action], ['remote_edited', 'alert']);
+    assert.deepEqual(calls.git, []);
+});
+
+test('a remote edit is replaced when the action is overwrite', async (t) => {
+    const { service, calls } = createService(t, { ...REMOTE_EDIT, env: { DRIFT_REMOTE_EDITED: 'overwrite' } });
+
+    const result = await service.forceCheck();
+
+    assert.equal(result.updated, true);
+    assert.deepEqual(calls.git[0].map(({ target, newIp, reason, overwrite }) => ({ target, newIp, reason, overwrite })), [
+        { target: 'web', newIp: '203.0.113.7', reason: 'remote_edited', overwrite: true }
+    ]);
+});
+
+// We replaced 203.0.113.1 a minute ago and the raw URL still serves it
+const CDN_LAG = {
+    local: { ipv4: '203.0.113.7', lastUpdated: ago(60 * 1000), history: [{ ip: '203.0.113.1' }] },
+    remote: { ipv4: '203.0.113.1', ipv6: null, lastUpdated: ago(HOUR) }
+};
+
+test('a lagging raw URL cache is waited out by default', async (t) => {
+    const { service, calls } = createService(t, CDN_LAG);
+
+    const result = await service.forceCheck();
+
+    assert.equal(result.updated, false);
+    assert.deepEqual([result.targets.web.ipv4.drift, result.targets.web.ipv4.action], ['cdn_lag', 'wait']);
+    assert.equal(service.drift.getActive()[0].cacheAge, 120);
+    assert.deepEqual(calls.git, []);
+});
+
+test('a lagging raw URL cache is republished when the action is republish', async (t) => {
+    const { service, calls } = createService(t, { ...CDN_LAG, env: { DRIFT_CDN_LAG: 'republish' } });
+
+    const result = await service.forceCheck();
+
+    assert.equal(result.updated, true);
+    assert.equal(calls.git[0][0].reason, 'cdn_lag');
+});
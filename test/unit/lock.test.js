@@ -0,0 +1,148 @@
+/**
+ * SingleFlight and the cross-process FileLock (waiting, stale takeover, refresh)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SingleFlight, FileLock } = require('../../src/utils/lock');
+const { sleep } = require('../../src/utils/helpers');
+
+const tempLockPath = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lock-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'ip-monitor.lock');
+};
+
+const writeHolder = (filePath, holder) => fs.writeFileSync(filePath, JSON.stringify(holder));
+
+const readHolder = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+test('SingleFlight shares a running task by key and runs the rest one at a time', async () => {
+    const flight = new SingleFlight();
+    const order = [];
+    const task = (name, ms) => async () => {
+        order.push(`start ${name}`);
+        await sleep(ms);
+        order.push(`end ${name}`);
+        return name;
+    };
+
+    const first = flight.run('scheduled', task('a', 30));
+    const shared = flight.run('scheduled', task('b', 0));
+    const other = flight.run('dry-run', task('c', 0));
+    assert.equal(shared, first);
+    assert.equal(flight.isBusy(), true);
+
+    assert.deepEqual(await Promise.all([first, shared, other]), ['a', 'a', 'c']);
+    assert.deepEqual(order, ['start a', 'end a', 'start c', 'end c']);
+    assert.equal(flight.isBusy(), false);
+});
+
+test('SingleFlight keeps going after a task fails', async () => {
+    const flight = new SingleFlight();
+    const failed = flight.run('a', async () => { throw new Error('boom'); });
+    const next = flight.run('b', async () => 'ok');
+
+    await assert.rejects(failed, /boom/);
+    assert.equal(await next, 'ok');
+});
+
+test('a held lock makes others wait, then fail with ELOCKED', async (t) => {
+    const filePath = tempLockPath(t);
+    const holder = new FileLock(filePath);
+    await holder.acquire();
+
+    const holderInfo = readHolder(filePath);
+    assert.equal(holderInfo.pid, process.pid);
+    assert.equal(holderInfo.hostname, os.hostname());
+
+    const waiter = new FileLock(filePath, { waitMs: 50, pollMs: 10 });
+    await assert.rejects(waiter.acquire(), (error) => {
+        assert.equal(error.code, 'ELOCKED');
+        assert.equal(error.holder.token, holderInfo.token);
+        return true;
+    });
+
+    // Released while waiting: the waiter gets it
+    const patient = new FileLock(filePath, { waitMs: 1000, pollMs: 10 });
+    const acquired = patient.acquire();
+    await sleep(30);
+    await holder.release();
+    await acquired;
+    assert.equal(readHolder(filePath).token, patient.holder.token);
+
+    await patient.release();
+    assert.equal(fs.existsSync(filePath), false);
+});
+
+test('a lock left by a dead process on this host is taken over', async (t) => {
+    const filePath = tempLockPath(t);
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    writeHolder(filePath, { pid, hostname: os.hostname(), token: 'dead', acquiredAt: Date.now(), refreshedAt: Date.now() });
+
+    const lock = new FileLock(filePath, { waitMs: 0 });
+    await lock.acquire();
+    assert.equal(readHolder(filePath).pid, process.pid);
+    await lock.release();
+});
+
+test('a lock from another host is only taken over once it stops being refreshed', async (t) => {
+    const filePath = tempLockPath(t);
+    const remote = { pid: 1, hostname: 'other-host', token: 'remote', acquiredAt: Date.now() - 60 * 60 * 1000 };
+
+    // Acquired long ago but refreshed just now: its holder is still working
+    writeHolder(filePath, { ...remote, refreshedAt: Date.now() });
+    await assert.rejects(new FileLock(filePath, { staleMs: 1000, waitMs: 0 }).acquire(), { code: 'ELOCKED' });
+
+    writeHolder(filePath, { ...remote, refreshedAt: Date.now() - 2000 });
+    const lock = new FileLock(filePath, { staleMs: 1000, waitMs: 0 });
+    await lock.acquire();
+    assert.equal(readHolder(filePath).token, lock.holder.token);
+    await lock.release();
+});
+
+test('two waiters that both judged a lock stale cannot both take it', async (t) => {
+    const filePath = tempLockPath(t);
+    const stale = { pid: 1, hostname: 'other-host', token: 'stale', acquiredAt: 0, refreshedAt: 0 };
+    writeHolder(filePath, stale);
+
+    const first = new FileLock(filePath, { staleMs: 1000, waitMs: 0 });
+    const second = new FileLock(filePath, { staleMs: 1000, waitMs: 0 });
+
+    // Both read the same stale holder; the first removes it and takes the lock
+    assert.equal(await first.takeOver(stale), true);
+    await first.acquire();
+
+    // The second's takeover finds the first's lock instead and leaves it in place
+    assert.equal(await second.takeOver(stale), false);
+    assert.equal(readHolder(filePath).token, first.holder.token);
+    await assert.rejects(second.acquire(), { code: 'ELOCKED' });
+
+    await first.release();
+    assert.deepEqual(fs.readdirSync(path.dirname(filePath)), []);
+});
+
+test('withLock refreshes the lock so a long run is not taken over', async (t) => {
+    const filePath = tempLockPath(t);
+    const lock = new FileLock(filePath, { staleMs: 200, refreshMs: 40 });
+    const other = new FileLock(filePath, { staleMs: 200, waitMs: 0 });
+
+    const result = await lock.withLock(async () => {
+        const { acquiredAt } = readHolder(filePath);
+        await sleep(400);
+
+        const holder = readHolder(filePath);
+        assert.equal(holder.acquiredAt, acquiredAt);
+        assert.ok(holder.refreshedAt > acquiredAt);
+        await assert.rejects(other.acquire(), { code: 'ELOCKED' });
+        return 'done';
+    });
+
+    assert.equal(result, 'done');
+    assert.equal(lock.refreshTimer, null);
+    assert.equal(fs.existsSync(filePath), false);
+});
@@ -0,0 +1,136 @@
+/**
+ * Log file rotation by size and age, and pruning of rotated files by count and age
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('../../src/utils/logger');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const ROTATED = /^app\.\d{8}-\d{6}-\d{3}\.log$/;
+
+/**
+ * File-only logger writing app.log in a temp directory; rotation and pruning are off unless set,
+ * and Date.now is driven by the returned clock
+ */
+const createFileLogger = (t, options = {}) => {
+    const clock = { now: Date.UTC(2026, 0, 1, 12) };
+    t.mock.method(Date, 'now', () => clock.now);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+    const logger = createLogger({
+        enableConsole: false,
+        enableFile: true,
+        filePath: path.join(dir, 'app.log'),
+        maxSize: 0,
+        rotateMs: 0,
+        maxFiles: 0,
+        retentionMs: 0,
+        ...options
+    });
+    t.after(() => {
+        logger.root.sink.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Each line is written on its own, a second apart, so rotated files get distinct names
+    const write = async (...messages) => {
+        for (const msg of messages) {
+            logger.info(msg);
+            await logger.flush();
+            clock.now += 1000;
+        }
+    };
+
+    return { logger, dir, clock, write };
+};
+
+const rotatedFiles = (dir) => fs.readdirSync(dir).filter(file => ROTATED.test(file)).sort();
+
+const messagesIn = (dir, file) => fs.readFileSync(path.join(dir, file), 'utf8')
+    .split('\n').filter(Boolean).map(line => JSON.parse(line).msg);
+
+/**
+ * Rotated files that sort (and so are pruned) as written at `time`
+ */
+const writeRotated = (dir, time, { mtime = time } = {}) => {
+    const stamp = new Date(time).toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').slice(0, 19);
+    const file = `app.${stamp}.log`;
+    fs.writeFileSync(path.join(dir, file), '{"msg":"old"}\n');
+    fs.utimesSync(path.join(dir, file), mtime / 1000, mtime / 1000);
+    return file;
+};
+
+test('the file is rotated before a write would take it past maxSize', async (t) => {
+    // Lines are 61-65 bytes: two fit in a file
+    const { dir, write } = createFileLogger(t, { maxSize: 130 });
+
+    await write('one', 'two', 'three', 'four', 'five');
+
+    const rotated = rotatedFiles(dir);
+    assert.equal(rotated.length, 2);
+    assert.deepEqual(rotated, ['app.20260101-120002-000.log', 'app.20260101-120004-000.log']);
+    for (const file of [...rotated, 'app.log']) {
+        assert.ok(fs.statSync(path.join(dir, file)).size <= 130, `${file} is over maxSize`);
+    }
+
+    // Nothing is lost or reordered across the files
+    assert.deepEqual([...rotated, 'app.log'].flatMap(file => messagesIn(dir, file)), ['one', 'two', 'three', 'four', 'five']);
+});
+
+test('the file is rotated once it is older than rotateMs, named after the time of rotation', async (t) => {
+    const { dir, clock, write } = createFileLogger(t, { rotateMs: 60 * MINUTE });
+
+    await write('first');
+    clock.now += 30 * MINUTE;
+    await write('second');
+    assert.deepEqual(rotatedFiles(dir), []);
+
+    clock.now += 30 * MINUTE;
+    await write('third');
+
+    assert.deepEqual(rotatedFiles(dir), ['app.20260101-130002-000.log']);
+    assert.deepEqual(messagesIn(dir, 'app.20260101-130002-000.log'), ['first', 'second']);
+    assert.deepEqual(messagesIn(dir, 'app.log'), ['third']);
+
+    // The age counts from the rotation, not from the first line
+    clock.now += 59 * MINUTE;
+    await write('fourth');
+    assert.equal(rotatedFiles(dir).length, 1);
+});
+
+test('rotation keeps the newest maxFiles rotated files and leaves other files alone', async (t) => {
+    const { dir, clock, write } = createFileLogger(t, { maxSize: 100, maxFiles: 3 });
+    const old = [4, 3, 2, 1].map(days => writeRotated(dir, clock.now - days * DAY));
+    fs.writeFileSync(path.join(dir, 'app.log.bak'), 'keep\n');
+    fs.writeFileSync(path.join(dir, 'other.20250101-000000-000.log'), 'keep\n');
+
+    await write('one', 'two');
+
+    const rotated = rotatedFiles(dir);
+    assert.equal(rotated.length, 3);
+    assert.deepEqual(rotated.slice(0, 2), old.slice(2));
+    assert.deepEqual(messagesIn(dir, rotated[2]), ['one']);
+    assert.ok(fs.existsSync(path.join(dir, 'app.log.bak')));
+    assert.ok(fs.existsSync(path.join(dir, 'other.20250101-000000-000.log')));
+});
+
+test('rotation removes rotated files last modified longer than retentionMs ago', async (t) => {
+    const { dir, clock, write } = createFileLogger(t, { maxSize: 100, retentionMs: 7 * DAY });
+    const expired = writeRotated(dir, clock.now - 10 * DAY);
+    const recent = writeRotated(dir, clock.now - 2 * DAY);
+    // Named as old, but written to recently: the modification time decides
+    const touched = writeRotated(dir, clock.now - 20 * DAY, { mtime: clock.now - DAY });
+
+    await write('one', 'two');
+
+    const rotated = rotatedFiles(dir);
+    assert.equal(rotated.length, 3);
+    assert.ok(!rotated.includes(expired));
+    assert.ok(rotated.includes(recent));
+    assert.ok(rotated.includes(touched));
+});
@@ -0,0 +1,94 @@
+/**
+ * Metric rendering and the /metrics output, checked against the text exposition format
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Registry, validateExposition } = require('../../src/utils/metrics');
+const HealthServer = require('../../src/services/HealthServer');
+
+const providerStats = (overrides = {}) => ({
+    success: 12,
+    failure: 2,
+    timeout: 1,
+    invalidResponse: 0,
+    latencyMs: { p50: 80, p90: 200, p99: null },
+    circuitOpen: false,
+    ...overrides
+});
+
+test('histograms render cumulative buckets, +Inf, _sum and _count', () => {
+    const registry = new Registry();
+    const histogram = registry.histogram('ip_monitor_test_duration_seconds', 'Test durations', ['outcome'], [0.1, 1]);
+    histogram.observe({ outcome: 'success' }, 0.05);
+    histogram.observe({ outcome: 'success' }, 0.5);
+    histogram.observe({ outcome: 'success' }, 5);
+    histogram.observe({ outcome: 'fail "quoted"\n' }, 0.2);
+
+    const text = registry.render();
+    assert.deepEqual(validateExposition(text), []);
+    assert.match(text, /^ip_monitor_test_duration_seconds_bucket\{outcome="success",le="0.1"\} 1$/m);
+    assert.match(text, /^ip_monitor_test_duration_seconds_bucket\{outcome="success",le="1"\} 2$/m);
+    assert.match(text, /^ip_monitor_test_duration_seconds_bucket\{outcome="success",le="\+Inf"\} 3$/m);
+    assert.match(text, /^ip_monitor_test_duration_seconds_sum\{outcome="success"\} 5.55$/m);
+    assert.match(text, /^ip_monitor_test_duration_seconds_count\{outcome="fail \\"quoted\\"\\n"\} 1$/m);
+});
+
+test('counters only go up', () => {
+    const counter = new Registry().counter('ip_monitor_test_total', 'Test count', ['kind']);
+    counter.inc({ kind: 'a' }, 2);
+    assert.throws(() => counter.inc({ kind: 'a' }, -1), /can only go up/);
+    assert.equal(counter.set, undefined);
+});
+
+test('the validator catches broken output', () => {
+    assert.deepEqual(validateExposition([
+        '# TYPE broken_seconds histogram',
+        'broken_seconds_bucket{le="1"} 3',
+        'broken_seconds_bucket{le="+Inf"} 2',
+        'broken_seconds_count 2',
+        '# TYPE broken_total counter',
+        'broken_total -1',
+        ''
+    ].join('\n')), [
+        'line 6: counter broken_total is negative',
+        'broken_seconds: bucket counts are not cumulative'
+    ]);
+});
+
+test('the /metrics output is valid exposition text', () => {
+    const server = Object.create(HealthServer.prototype);
+    const now = Date.now();
+
+    const status = {
+        service: { isRunning: true },
+        health: { uptimeMs: 90 * 1000, errorCount: 0, lastCheck: now, lastSuccess: now, lastIpChange: { timestamp: now - 1000 } },
+        targets: { web: { ipv4: '203.0.113.7', ipv6: '2001:db8::7' }, api: { ipv4: '198.51.100.9', ipv6: null } },
+        services: {
+            ipDetection: {
+                methods: [
+                    { name: 'ipify', stats: providerStats() },
+                    { name: 'dns "cloudflare"', stats: providerStats({ circuitOpen: true, latencyMs: { p50: null, p90: null, p99: null } }) }
+                ]
+            },
+            git: { enabled: true, healthy: true }
+        },
+        drift: {
+            remote: { reachable: false },
+            targets: [{ target: 'web', family: 'ipv4', state: 'remote_unreachable' }],
+            counts: { in_sync: 3, remote_unreachable: 1, remote_edited: 0 }
+        }
+    };
+
+    const text = server.formatPrometheusMetrics(status, { healthy: true, warnings: [] });
+
+    assert.deepEqual(validateExposition(text), []);
+    assert.match(text, /^ip_monitor_provider_requests_total\{provider="ipify",outcome="success"\} 12$/m);
+    assert.match(text, /^ip_monitor_provider_circuit_open\{provider="dns \\"cloudflare\\""\} 1$/m);
+    assert.match(text, /^ip_monitor_drift_transitions_total\{state="remote_unreachable"\} 1$/m);
+    assert.match(text, /^ip_monitor_info\{target="web",family="ipv6",ip="2001:db8::7"\} 1$/m);
+    assert.doesNotMatch(text, /latency_ms|quantile=/);
+
+    // Every scrape starts from a fresh registry, so the persisted counts aren't added twice
+    assert.match(server.formatPrometheusMetrics(status, { healthy: true, warnings: [] }), /outcome="success"\} 12$/m);
+});
@@ -0,0 +1,186 @@
+/**
+ * Notification channels: per-channel rate limits, event subscriptions and message formatting
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const NotifierRegistry = require('../../src/notifiers/NotifierRegistry');
+const IpMonitorService = require('../../src/services/IpMonitorService');
+const Config = require('../../src/config/Config');
+
+const HOUR = 60 * 60 * 1000;
+
+const createRegistry = (env = {}) => new NotifierRegistry(new Config({ env, argv: [] })).load();
+
+/**
+ * Custom channel that keeps every notification it is sent
+ */
+const recorder = (name, options = {}) => {
+    const sent = [];
+    return {
+        sent,
+        definition: { name, send: async (notification) => { sent.push(notification); return { delivered: true }; }, ...options }
+    };
+};
+
+const event = (n) => ({ type: 'ip.changed', title: 'IP changed', summary: `web ipv4: 203.0.113.${n - 1} -> 203.0.113.${n}` });
+
+/**
+ * Local HTTP server standing in for the Telegram Bot API and a notification webhook
+ */
+const startServer = async (t) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ path: req.url, headers: req.headers, body, json: JSON.parse(body) });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: true, result: { message_id: requests.length } }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(done => server.close(done)));
+    return { url: `http://127.0.0.1:${server.address().port}`, requests };
+};
+
+test('each channel has its own rate limit, and the next notification sent mentions the dropped ones', async (t) => {
+    const clock = { now: Date.UTC(2026, 0, 1) };
+    t.mock.method(Date, 'now', () => clock.now);
+
+    const registry = createRegistry({ NOTIFY_RATE_LIMIT: '2', NOTIFY_RATE_WINDOW_MS: String(HOUR) });
+    const strict = recorder('strict', { rateLimit: { maxCalls: 1 } });
+    const relaxed = recorder('relaxed');
+    registry.register(strict.definition);
+    registry.register(relaxed.definition);
+
+    const first = await registry.notify(event(1));
+    assert.equal(first.strict.sent, true);
+    assert.equal(first.strict.delivered, true);
+
+    const second = await registry.notify(event(2));
+    assert.deepEqual([second.strict.sent, second.strict.reason], [false, 'Rate limited']);
+    assert.equal(second.relaxed.sent, true);
+
+    const third = await registry.notify(event(3));
+    assert.equal(third.strict.sent, false);
+    assert.equal(third.relaxed.sent, false);
+
+    const [strictInfo, relaxedInfo] = registry.describe();
+    assert.deepEqual([strictInfo.rateLimit.maxCalls, strictInfo.rateLimit.windowMs, strictInfo.suppressed], [1, HOUR, 2]);
+    assert.deepEqual([relaxedInfo.rateLimit.maxCalls, relaxedInfo.rateLimit.remaining, relaxedInfo.suppressed], [2, 0, 1]);
+
+    // A new window: one notification goes out and carries the count
+    clock.now += HOUR;
+    await registry.notify(event(4));
+    assert.equal(strict.sent.length, 2);
+    assert.match(strict.sent[1].text, /web ipv4: 203\.0\.113\.3 -> 203\.0\.113\.4/);
+    assert.match(strict.sent[1].text, /\n\(2 earlier notifications were dropped by the rate limit\)$/);
+    assert.match(relaxed.sent[2].text, /\(1 earlier notifications were dropped/);
+    assert.equal(registry.describe()[0].suppressed, 0);
+});
+
+test('channels only get the events they subscribe to, and disabled channels none', async () => {
+    const registry = createRegistry({ NOTIFY_EVENTS: 'ip.changed,health.unhealthy' });
+    const all = recorder('all');
+    const health = recorder('health', { events: ['health.unhealthy', 'health.recovered'] });
+    const off = recorder('off', { enabled: false });
+    [all, health, off].forEach(channel => registry.register(channel.definition));
+
+    assert.deepEqual(Object.keys(await registry.notify(event(1))), ['all']);
+    assert.deepEqual(Object.keys(await registry.notify({ type: 'health.unhealthy', title: 'IP monitor unhealthy' })), ['all', 'health']);
+    assert.deepEqual(Object.keys(await registry.notify({ type: 'health.recovered', title: 'IP monitor recovered' })), ['health']);
+
+    assert.throws(() => registry.register({ name: 'typo', events: ['ip.change'], send: async () => ({}) }), /unknown events: ip\.change/);
+});
+
+test('messages use the default layout unless the channel has templates', async () => {
+    const registry = createRegistry();
+    registry.hostname = 'monitor-1';
+    const plain = recorder('plain');
+    const custom = recorder('custom', {
+        subject: 'IP alert: {{ title }}',
+        template: '{{ title }}: {{ missing.field }}',
+        templates: { 'ip.changed': '{{ changes.0.target }} is now {{ changes.0.newIp }}\n{{ publishers }}' }
+    });
+    registry.register(plain.definition);
+    registry.register(custom.definition);
+
+    await registry.notify({ ...event(7), timestamp: '2026-01-01T00:00:00.000Z', changes: [{ target: 'web', newIp: '203.0.113.7' }], publishers: { git: { success: true } } });
+    await registry.notify({ type: 'health.recovered', title: 'IP monitor recovered', summary: 'Checks are succeeding again' });
+
+    assert.deepEqual(plain.sent[0], {
+        type: 'ip.changed',
+        title: 'IP changed',
+        subject: '[ip-monitor] IP changed',
+        text: 'IP changed on monitor-1\nweb ipv4: 203.0.113.6 -> 203.0.113.7\n2026-01-01T00:00:00.000Z',
+        event: plain.sent[0].event
+    });
+    assert.equal(plain.sent[0].event.hostname, 'monitor-1');
+
+    assert.equal(custom.sent[0].subject, 'IP alert: IP changed');
+    assert.equal(custom.sent[0].text, 'web is now 203.0.113.7\n{\n  "git": {\n    "success": true\n  }\n}');
+    // Missing fields render empty; the event type's template falls back to the channel's
+    assert.equal(custom.sent[1].text, 'IP monitor recovered:');
+});
+
+test('Telegram gets one message per chat and the webhook a signed JSON body', async (t) => {
+    const server = await startServer(t);
+    const registry = createRegistry({
+        TELEGRAM_TOKEN: '123:abc',
+        TELEGRAM_CHAT_ID: '111, 222',
+        TELEGRAM_API_URL: server.url,
+        NOTIFY_WEBHOOK_URL: `${server.url}/hook`,
+        NOTIFY_WEBHOOK_SECRET: 'webhook-secret'
+    });
+    registry.hostname = 'monitor-1';
+
+    const results = await registry.notify({ ...event(7), timestamp: '2026-01-01T00:00:00.000Z' });
+
+    assert.deepEqual(results.telegram.messages.map(m => m.chatId), ['111', '222']);
+    assert.equal(results.webhook.status, 200);
+
+    const telegram = server.requests.filter(request => request.path === '/bot123:abc/sendMessage');
+    assert.deepEqual(telegram.map(request => request.json), ['111', '222'].map(chatId => ({
+        chat_id: chatId,
+        text: 'IP changed on monitor-1\nweb ipv4: 203.0.113.6 -> 203.0.113.7\n2026-01-01T00:00:00.000Z',
+        disable_web_page_preview: true
+    })));
+
+    const [hook] = server.requests.filter(request => request.path === '/hook');
+    assert.deepEqual(Object.keys(hook.json), ['event', 'title', 'text', 'data', 'timestamp']);
+    assert.equal(hook.json.event, 'ip.changed');
+    assert.equal(hook.json.data.summary, 'web ipv4: 203.0.113.6 -> 203.0.113.7');
+    const timestamp = hook.headers['x-ip-monitor-timestamp'];
+    const expected = crypto.createHmac('sha256', 'webhook-secret').update(`${timestamp}.${hook.body}`).digest('hex');
+    assert.equal(hook.headers['x-ip-monitor-signature'], `sha256=${expected}`);
+});
+
+test('the monitor summarizes changed IPs and failed publishers', () => {
+    const service = Object.create(IpMonitorService.prototype);
+    const sent = [];
+    service.notify = (notification) => sent.push(notification);
+
+    service.notifyPublishOutcome([
+        { target: 'web', family: 'ipv4', oldIp: '203.0.113.1', newIp: '203.0.113.7', method: 'ipify', policy: {} },
+        { target: 'api', family: 'ipv6', oldIp: null, newIp: '2001:db8::7', method: 'dns' },
+        { target: 'web', family: 'ipv6', oldIp: '2001:db8::1', newIp: '2001:db8::1', method: 'dns', reason: 'signature refresh' }
+    ], {
+        git: { type: 'git', attempted: true, success: true },
+        hook: { type: 'webhook', attempted: true, success: false, error: 'HTTP 502' },
+        dyndns: { type: 'dyndns2', attempted: false, reason: 'Not configured' }
+    });
+
+    assert.deepEqual(sent.map(notification => notification.type), ['ip.changed', 'publish.failed']);
+    assert.equal(sent[0].summary, [
+        'web ipv4: 203.0.113.1 -> 203.0.113.7 (ipify)',
+        'api ipv6: (none) -> 2001:db8::7 (dns)',
+        'Published to: git'
+    ].join('\n'));
+    assert.equal(sent[0].changes.length, 2);
+    assert.equal(sent[0].changes[0].policy, undefined);
+    assert.equal(sent[1].summary, 'hook (webhook): HTTP 502');
+    assert.deepEqual(Object.keys(sent[1].failed), ['hook']);
+});
@@ -0,0 +1,109 @@
+/**
+ * Provider statistics: circuit breaker, demotion inside the adaptive window and provider order
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ProviderStats = require('../../src/providers/ProviderStats');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Unpersisted stats with adaptive detection on; Date.now is driven by the returned clock
+ */
+const createStats = (t, adaptive = {}) => {
+    const clock = { now: Date.UTC(2026, 0, 1) };
+    t.mock.method(Date, 'now', () => clock.now);
+
+    const stats = new ProviderStats({
+        ipMonitor: {
+            detection: {
+                statsPath: null,
+                adaptive: { enabled: true, failureThreshold: 3, cooldownMs: 15 * MINUTE, windowMs: 60 * MINUTE, demotionStep: 10, ...adaptive }
+            }
+        }
+    });
+    return { stats, clock };
+};
+
+const fail = (stats, name, times = 1) => {
+    for (let i = 0; i < times; i++) stats.recordFailure(name, new Error('connect ECONNREFUSED'), 50);
+};
+
+test('the circuit opens after the failure threshold and stays open for the cooldown', (t) => {
+    const { stats, clock } = createStats(t);
+
+    fail(stats, 'ipify', 2);
+    assert.equal(stats.isCircuitOpen('ipify'), false);
+
+    fail(stats, 'ipify');
+    assert.equal(stats.isCircuitOpen('ipify'), true);
+    assert.equal(stats.describe('ipify').circuitOpenUntil, clock.now + 15 * MINUTE);
+
+    clock.now += 15 * MINUTE - 1;
+    assert.equal(stats.isCircuitOpen('ipify'), true);
+});
+
+test('after the cooldown the circuit is half-open and one attempt decides', (t) => {
+    const { stats, clock } = createStats(t);
+    fail(stats, 'ipify', 3);
+    fail(stats, 'icanhazip', 3);
+
+    clock.now += 15 * MINUTE;
+    assert.equal(stats.isCircuitOpen('ipify'), false);
+    assert.equal(stats.isCircuitOpen('icanhazip'), false);
+
+    // A failed trial reopens at once, without waiting for the threshold again
+    fail(stats, 'ipify');
+    assert.equal(stats.isCircuitOpen('ipify'), true);
+    assert.equal(stats.describe('ipify').consecutiveFailures, 4);
+
+    // A successful one closes it and resets the count
+    stats.recordSuccess('icanhazip', 40);
+    fail(stats, 'icanhazip');
+    assert.equal(stats.isCircuitOpen('icanhazip'), false);
+    assert.equal(stats.describe('icanhazip').circuitOpenUntil, null);
+});
+
+test('failures demote a provider only while they are inside the window', (t) => {
+    const { stats, clock } = createStats(t, { failureThreshold: 10 });
+    const ipify = { name: 'ipify', priority: 1 };
+    const ifconfig = { name: 'ifconfig', priority: 15 };
+
+    fail(stats, 'ipify');
+    clock.now += 30 * MINUTE;
+    fail(stats, 'ipify');
+    assert.equal(stats.getEffectivePriority(ipify), 21);
+    assert.deepEqual(stats.arrange([ipify, ifconfig]).map(p => p.name), ['ifconfig', 'ipify']);
+
+    // The first failure leaves the window
+    clock.now += 30 * MINUTE + 1;
+    assert.equal(stats.getEffectivePriority(ipify), 11);
+    assert.deepEqual(stats.arrange([ipify, ifconfig]).map(p => p.name), ['ipify', 'ifconfig']);
+
+    clock.now += 30 * MINUTE;
+    assert.equal(stats.getEffectivePriority(ipify), 1);
+    assert.equal(stats.getEffectivePriority(ifconfig), 15);
+});
+
+test('arrange skips open circuits, and falls back to every provider when all are open', (t) => {
+    const { stats } = createStats(t, { demotionStep: 0 });
+    const providers = [{ name: 'ipify', priority: 1 }, { name: 'icanhazip', priority: 2 }, { name: 'ifconfig', priority: 3 }];
+
+    fail(stats, 'ipify', 3);
+    assert.deepEqual(stats.arrange(providers).map(p => p.name), ['icanhazip', 'ifconfig']);
+
+    fail(stats, 'icanhazip', 3);
+    fail(stats, 'ifconfig', 3);
+    assert.deepEqual(stats.arrange(providers).map(p => p.name), ['ipify', 'icanhazip', 'ifconfig']);
+});
+
+test('with adaptive detection off nothing is reordered or skipped', (t) => {
+    const { stats } = createStats(t, { enabled: false });
+    const providers = [{ name: 'ipify', priority: 1 }, { name: 'icanhazip', priority: 2 }];
+
+    fail(stats, 'ipify', 5);
+    assert.equal(stats.isCircuitOpen('ipify'), false);
+    assert.equal(stats.getEffectivePriority(providers[0]), 1);
+    assert.equal(stats.arrange(providers), providers);
+});
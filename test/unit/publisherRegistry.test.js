@@ -0,0 +1,131 @@
+/**
+ * Publisher fan-out, persisted publish state and retries of failed / lagging publishers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PublisherRegistry = require('../../src/publishers/PublisherRegistry');
+
+const createRegistry = (statePath) => {
+    const config = {
+        ipMonitor: { defaultTarget: 'web' },
+        publishers: { path: null, statePath, webhook: {}, rfc2136: {}, dyndns2: {} }
+    };
+    const gitService = { commitIpChange: async () => ({ success: true, commitSha: 'abc' }) };
+    return new PublisherRegistry(config, { gitService }).load();
+};
+
+/**
+ * Custom publisher that fails while `state.down` is set and records every event it gets
+ */
+const flaky = (name, state) => ({
+    name,
+    maxRetries: 1,
+    retryDelay: 0,
+    publish: async (event) => {
+        state.events.push(event);
+        if (state.down) throw new Error(`${name} is down`);
+        return { success: true };
+    }
+});
+
+const eventFor = (ipv4) => ({
+    message: `update ip web ${ipv4}`,
+    changes: [{ target: 'web', family: 'ipv4', newIp: ipv4 }],
+    targets: { web: { ip: ipv4, ipv4, ipv6: null } },
+    timestamp: new Date().toISOString()
+});
+
+const tempStatePath = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'publisher-state-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'publisher-state.json');
+};
+
+test('a publisher that failed is retried on the next check until it succeeds', async (t) => {
+    const statePath = tempStatePath(t);
+    const registry = createRegistry(statePath);
+    const hook = { down: true, events: [] };
+    const mirror = { down: false, events: [] };
+    registry.register(flaky('hook', hook));
+    registry.register(flaky('mirror', mirror));
+
+    const results = await registry.publishAll(eventFor('203.0.113.1'));
+    assert.equal(results.git.success, true);
+    assert.equal(results.hook.success, false);
+    assert.equal(results.mirror.success, true);
+
+    // Same addresses: only the failed publisher is pending, git never is
+    assert.deepEqual(registry.getPending(eventFor('203.0.113.1').targets).map(p => p.name), ['hook']);
+
+    const stillDown = await registry.retryPending(eventFor('203.0.113.1'));
+    assert.deepEqual(Object.keys(stillDown), ['hook']);
+    assert.equal(stillDown.hook.success, false);
+    assert.equal(hook.events[1].retry, true);
+
+    hook.down = false;
+    const recovered = await registry.retryPending(eventFor('203.0.113.1'));
+    assert.equal(recovered.hook.success, true);
+    assert.deepEqual(await registry.retryPending(eventFor('203.0.113.1')), {});
+    assert.equal(mirror.events.length, 1);
+
+    const described = registry.describe().find(p => p.name === 'hook');
+    assert.equal(described.lastResult.success, true);
+    assert.ok(described.publishedAt);
+});
+
+test('publish state survives a restart', async (t) => {
+    const statePath = tempStatePath(t);
+    const hook = { down: true, events: [] };
+    const mirror = { down: false, events: [] };
+
+    const before = createRegistry(statePath);
+    before.register(flaky('hook', hook));
+    before.register(flaky('mirror', mirror));
+    await before.publishAll(eventFor('203.0.113.1'));
+
+    const saved = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    assert.equal(saved.publishers.hook.lastResult.success, false);
+    assert.equal(saved.publishers.mirror.published.targets.web.ipv4, '203.0.113.1');
+
+    const after = createRegistry(statePath);
+    after.register(flaky('hook', hook));
+    after.register(flaky('mirror', mirror));
+    await after.stateReady;
+
+    assert.deepEqual(after.getPending(eventFor('203.0.113.1').targets).map(p => p.name), ['hook']);
+
+    // A publisher that is behind the current addresses (or new) is pending too
+    after.register(flaky('added', { down: false, events: [] }));
+    assert.deepEqual(after.getPending(eventFor('203.0.113.2').targets).map(p => p.name), ['hook', 'mirror', 'added']);
+});
+
+test('records that went through are remembered when others fail', async (t) => {
+    const registry = createRegistry(tempStatePath(t));
+    let seen = null;
+    registry.register({
+        name: 'dns',
+        maxRetries: 1,
+        publish: async (event) => {
+            seen = event.published;
+            const error = new Error('1 of 2 records failed');
+            error.result = {
+                records: [
+                    { name: 'a.example.com', type: 'A', value: '203.0.113.1', success: true },
+                    { name: 'b.example.com', type: 'A', value: '203.0.113.1', success: false, error: 'REFUSED' }
+                ]
+            };
+            throw error;
+        }
+    });
+
+    await registry.publishAll(eventFor('203.0.113.1'));
+    assert.deepEqual(registry.published.dns.records, { 'a.example.com/A': '203.0.113.1' });
+    assert.equal(registry.published.dns.targets, null);
+
+    await registry.retryPending(eventFor('203.0.113.1'));
+    assert.deepEqual(seen, { 'a.example.com/A': '203.0.113.1' });
+});
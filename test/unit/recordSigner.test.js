@@ -0,0 +1,126 @@
+/**
+ * Ed25519 record signing, verification and key rotation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RecordSigner = require('../../src/services/RecordSigner');
+const { generateKey, rotateKey, readPublicKeys } = RecordSigner;
+const { verifyRecord, createVerifier } = require('../../common/ipRecordVerifier');
+
+const TARGET = { ip: '203.0.113.7', ipv4: '203.0.113.7', ipv6: '2001:db8::7' };
+const HOUR = 60 * 60 * 1000;
+
+const tempKeyDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signing-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'keys');
+};
+
+const createSigner = (keyDir) => new RecordSigner({ signing: { enabled: true, keyDir, privateKey: null, refreshMs: 24 * HOUR } });
+
+/**
+ * Sign a target the way the monitor stores it
+ */
+const signed = (signer, name, target, signedAt) => ({ ...target, signature: signer.sign(name, target, signedAt) });
+
+test('signatures verify against public-keys.json and fail when the record changes', (t) => {
+    const keyDir = tempKeyDir(t);
+    const { keyId } = generateKey(keyDir);
+    const publicKeys = readPublicKeys(keyDir);
+    const signer = createSigner(keyDir);
+
+    assert.equal((fs.statSync(path.join(keyDir, 'signing-key.pem')).mode & 0o777), 0o600);
+    assert.throws(() => generateKey(keyDir), /already exists/);
+
+    const record = signed(signer, 'web', TARGET);
+    assert.equal(record.signature.alg, 'Ed25519');
+    assert.equal(record.signature.keyId, keyId);
+    assert.equal(record.signature.sequence, 1);
+
+    const result = verifyRecord('web', record, { publicKeys });
+    assert.equal(result.valid, true);
+    assert.equal(result.keyId, keyId);
+
+    assert.equal(verifyRecord('web', { ...record, ipv4: '203.0.113.8' }, { publicKeys }).reason, 'bad-signature');
+    assert.equal(verifyRecord('api', record, { publicKeys }).reason, 'bad-signature');
+    assert.equal(verifyRecord('web', TARGET, { publicKeys }).reason, 'unsigned');
+    assert.equal(verifyRecord('web', record, { publicKeys: [] }).reason, 'unknown-key');
+});
+
+test('the sequence grows with each signature and older records are replays', (t) => {
+    const keyDir = tempKeyDir(t);
+    generateKey(keyDir);
+    const signer = createSigner(keyDir);
+    const verifier = createVerifier({ publicKeys: readPublicKeys(keyDir) });
+
+    const first = signed(signer, 'web', TARGET);
+    const second = signed(signer, 'web', first);
+    assert.equal(second.signature.sequence, 2);
+
+    assert.equal(verifier.verify('web', first).valid, true);
+    assert.equal(verifier.verify('web', second).valid, true);
+    assert.equal(verifier.verify('web', first).reason, 'replayed');
+    assert.deepEqual(verifier.state.web, { sequence: 2, value: second.signature.value });
+});
+
+test('signatures are refreshed when they age or the key changes', (t) => {
+    const keyDir = tempKeyDir(t);
+    generateKey(keyDir);
+    const signer = createSigner(keyDir);
+
+    assert.equal(signer.needsRefresh(TARGET), true);
+    const fresh = signed(signer, 'web', TARGET);
+    assert.equal(signer.needsRefresh(fresh), false);
+
+    const old = signed(signer, 'web', TARGET, new Date(Date.now() - 25 * HOUR).toISOString());
+    assert.equal(signer.needsRefresh(old), true);
+
+    rotateKey(keyDir);
+    assert.equal(createSigner(keyDir).needsRefresh(fresh), true);
+});
+
+test('after a rotation old records stay valid until re-signed, but not ones signed with the retired key later', (t) => {
+    const keyDir = tempKeyDir(t);
+    generateKey(keyDir);
+    const oldSigner = createSigner(keyDir);
+    const beforeRotation = signed(oldSigner, 'web', TARGET, new Date(Date.now() - HOUR).toISOString());
+
+    const { previous, current } = rotateKey(keyDir);
+    assert.notEqual(previous.keyId, current.keyId);
+
+    const publicKeys = readPublicKeys(keyDir);
+    assert.deepEqual(publicKeys.keys.map(entry => [entry.keyId, Boolean(entry.retiredAt)]), [
+        [previous.keyId, true],
+        [current.keyId, false]
+    ]);
+
+    assert.equal(verifyRecord('web', beforeRotation, { publicKeys }).valid, true);
+
+    // A leaked old key can't vouch for anything newer than its retirement
+    const afterRotation = signed(oldSigner, 'web', TARGET, new Date(Date.parse(previous.retiredAt) + 1000).toISOString());
+    assert.equal(verifyRecord('web', afterRotation, { publicKeys }).reason, 'retired-key');
+
+    const resigned = signed(createSigner(keyDir), 'web', beforeRotation);
+    const result = verifyRecord('web', resigned, { publicKeys });
+    assert.equal(result.valid, true);
+    assert.equal(result.keyId, current.keyId);
+    assert.equal(result.sequence, 2);
+});
+
+test('rotating without a key and loading a non-Ed25519 key are refused', (t) => {
+    const keyDir = tempKeyDir(t);
+    assert.throws(() => rotateKey(keyDir), /No key to rotate/);
+    assert.throws(() => createSigner(keyDir).loadKey(), /cannot be read/);
+
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const signer = new RecordSigner({
+        signing: { enabled: true, keyDir, privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' }), refreshMs: HOUR }
+    });
+    assert.throws(() => signer.loadKey(), /must be Ed25519, got ec/);
+    assert.match(signer.getInfo().error, /must be Ed25519/);
+});